@@ -4,6 +4,7 @@ const { program } = require('commander');
 const chalk = require('chalk');
 const boxen = require('boxen');
 const { createClaudeConfig } = require('../src/index');
+const { runApply } = require('../src/apply');
 
 const pkg = require('../package.json');
 
@@ -23,36 +24,70 @@ function colorizeTitle(text) {
     .join('');
 }
 
-console.clear();
-console.log(chalk.hex('#F97316')('════════════════════════════════════════════════════════════════'));
-console.log('\n');
-console.log('       🔮 ' + colorizeTitle(title));
-console.log('\n');
-console.log('       ' + chalk.hex('#FDBA74')(subtitle));
-console.log('\n');
-console.log(chalk.hex('#F97316')('════════════════════════════════════════════════════════════════\n'));
+// Headless commands write machine-readable output, so skip the banner
+const isHeadless = ['--report', '--export', '--bundle', '--detect', '--hook-profile', '--lint-commands'].some(flag => process.argv.includes(flag)) ||
+  process.argv[2] === 'apply';
 
-console.log(
-  chalk.hex('#D97706')('🚀 Setup Claude Code for any project language 🚀') +
-  chalk.gray(`\n                             v${pkg.version}\n\n`) +
-  chalk.blue('🌐 Templates: ') + chalk.underline('https://davila7.github.io/claude-code-templates/') + '\n' +
-  chalk.blue('📖 Documentation: ') + chalk.underline('https://davila7.github.io/claude-code-templates/docu/')
-);
+if (!isHeadless) {
+  console.clear();
+  console.log(chalk.hex('#F97316')('════════════════════════════════════════════════════════════════'));
+  console.log('\n');
+  console.log('       🔮 ' + colorizeTitle(title));
+  console.log('\n');
+  console.log('       ' + chalk.hex('#FDBA74')(subtitle));
+  console.log('\n');
+  console.log(chalk.hex('#F97316')('════════════════════════════════════════════════════════════════\n'));
+
+  console.log(
+    chalk.hex('#D97706')('🚀 Setup Claude Code for any project language 🚀') +
+    chalk.gray(`\n                             v${pkg.version}\n\n`) +
+    chalk.blue('🌐 Templates: ') + chalk.underline('https://davila7.github.io/claude-code-templates/') + '\n' +
+    chalk.blue('📖 Documentation: ') + chalk.underline('https://davila7.github.io/claude-code-templates/docu/')
+  );
+}
 
 program
   .name('create-claude-config')
   .description('Setup Claude Code configurations for different programming languages')
   .version(require('../package.json').version)
+  // Options after "apply" belong to the subcommand (both define --directory and --format)
+  .enablePositionalOptions()
   .option('-l, --language <language>', 'specify programming language')
   .option('-f, --framework <framework>', 'specify framework')
   .option('-d, --directory <directory>', 'target directory (default: current directory)')
   .option('-y, --yes', 'skip prompts and use defaults')
   .option('--dry-run', 'show what would be copied without actually copying')
+  .option('--workspace <mode>', 'monorepo setup: root (one CLAUDE.md listing every package), packages (a .claude/ per package) or none')
+  .option('--generate-claude-md', 'generate CLAUDE.md from the repository (scripts, layout, style configs), previewed before writing')
+  .option('--detect', 'print the detected language, framework and workspace packages (--format json for machine-readable output)')
+  .option('--validate-pack <path>', 'check a template pack directory or tarball (cct-pack.json) before adding it to ~/.claude-code-templates/template-packs.json')
+  .option('--rollback, --uninstall', 'undo what setup and agent installs changed, keeping files edited since (use with --dry-run to only report)')
+  .option('--upgrade', 'update the templates of an already configured project, keeping local edits (use with --dry-run to only report)')
   .option('--command-stats, --commands-stats', 'analyze existing Claude Code commands and offer optimization')
+  .option('--install-permission-relay', 'add a PreToolUse hook that sends permission requests to the dashboard\'s Agents page for approval')
+  .option('--lint-commands', 'lint project and personal slash commands (rules in .claude/command-lint.json), exit code 1 on errors')
+  .option('--fix', 'with --lint-commands, apply the safe fixes (descriptions, argument hints, field names, tool name casing) to the project\'s commands')
+  .option('--fix-personal', 'with --lint-commands --fix, also rewrite personal commands in ~/.claude/commands')
+  .option('--create-hook', 'build a hook interactively, test it against a sample tool event, then add it to .claude/settings.json')
   .option('--hook-stats, --hooks-stats', 'analyze existing automation hooks and offer optimization')
+  .option('--hook-profile', 'report average latency, failure rate and blocked tool calls of each hook from conversation history, flagging slow hooks')
+  .option('--time-hooks', 'with --hook-profile, also time a dry run of each configured hook on a sample event in a temporary directory')
   .option('--mcp-stats, --mcps-stats', 'analyze existing MCP server configurations and offer optimization')
   .option('--analytics', 'launch real-time Claude Code analytics dashboard')
   .option('--chats, --agents', 'launch Claude Code chats/agents dashboard (opens directly to conversations)')
+  .option('--host <address>', 'dashboard bind address (default: localhost, use 0.0.0.0 to listen on all interfaces)')
+  .option('--allowed-origins <origins>', 'comma-separated origins allowed to call the dashboard API cross-origin')
+  .option('--no-auth', 'disable the dashboard access token (not recommended on shared machines)')
+  .option('--import <bundles>', 'comma-separated conversation bundles (files or directories) to include in the dashboard')
+  .option('--report', 'print a usage report without starting the dashboard (for cron and CI)')
+  .option('--from <date>', 'report start date (YYYY-MM-DD, default: 7 days ago)')
+  .option('--to <date>', 'report end date (YYYY-MM-DD, default: today)')
+  .option('--export <conversationId>', 'export a conversation transcript (full ID or unique prefix) without starting the dashboard')
+  .option('--format <format>', 'output format: table, json, csv or md for --report (default: table); md, html or json for --export (default: md); json for --detect and --hook-profile; table, json or github for --lint-commands')
+  .option('--bundle', 'package this machine\'s conversations into a .json.gz bundle for a teammate\'s dashboard')
+  .option('--user <name>', 'user name recorded in the --bundle (default: current OS user)')
+  .option('--metadata-only', 'leave message bodies out of the --bundle')
+  .option('--output <file>', 'write the report or export to a file instead of stdout, or set the --bundle file name')
   .option('--health-check, --health, --check, --verify', 'run comprehensive health check to verify Claude Code setup')
   .option('--ai-agents, --agents-ai', 'launch AI Agent ecosystem for code review, optimization, and documentation')
   .option('--mcp-discovery, --mcp-manager, --mcp-discover', 'launch intelligent MCP server discovery and management system')
@@ -60,6 +95,10 @@ program
   .option('--agent-optimize', 'run AI-powered performance optimization analysis')  
   .option('--agent-docs', 'run AI-powered documentation generation')
   .option('--agent-comprehensive', 'run comprehensive AI analysis with all agents')
+  .option('--demo', 'run the AI agents with canned sample output instead of Claude Code (no login needed)')
+  .option('--agent-endpoint <url>', 'send AI agent prompts to an Anthropic Messages API compatible endpoint instead of Claude Code (or set CCT_AGENT_ENDPOINT)')
+  .option('--agent-cassette <file>', 'replay recorded model responses from a cassette file through a local fixture server (offline, deterministic runs for CI)')
+  .option('--record', 'with --agent-cassette, record the Anthropic API\'s (or --agent-endpoint\'s) responses into the cassette, needs ANTHROPIC_API_KEY')
   .action(async (options) => {
     try {
       await createClaudeConfig(options);
@@ -69,4 +108,21 @@ program
     }
   });
 
+program
+  .command('apply')
+  .description('install the language, framework, commands, hooks, MCP servers and agents named in a YAML/JSON config, without prompts')
+  .option('-c, --config <file>', 'config file (.yaml, .yml or .json)')
+  .option('-d, --directory <directory>', 'target directory (default: current directory)')
+  .option('--dry-run', 'validate the config and list the files it would install')
+  .option('--format <format>', 'json for machine-readable output on stdout (logs go to stderr)')
+  .option('--schema', 'print the JSON Schema of the config file')
+  .action(async (options) => {
+    try {
+      await runApply(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
\ No newline at end of file
@@ -21,7 +21,8 @@ async function runComprehensiveDemo() {
 
   // Initialize the AI Agent Manager
   console.log(chalk.cyan('🔧 INITIALIZING AI AGENT ECOSYSTEM...'));
-  const agentManager = new AIAgentManager(process.cwd());
+  // Canned output only when asked for, otherwise the agents need a Claude Code login
+  const agentManager = new AIAgentManager(process.cwd(), { demo: process.argv.includes('--demo') });
   
   const initialized = await agentManager.initializeAgents();
   if (!initialized) {
@@ -168,8 +169,8 @@ async function runComprehensiveDemo() {
 
   console.log(chalk.cyan('\n🚀 READY FOR PRODUCTION USE!'));
   console.log(chalk.gray('The AI-powered sub-agent ecosystem is fully implemented and ready.'));
-  console.log(chalk.gray('When Claude Code is properly authenticated, all agents will provide'));  
-  console.log(chalk.gray('real AI-powered analysis instead of demo responses.\n'));
+  console.log(chalk.gray('With Claude Code authenticated, all agents provide real AI-powered analysis.'));
+  console.log(chalk.gray('Run this script with --demo to see canned sample output instead.\n'));
 
   // Cleanup
   await agentManager.cleanup();
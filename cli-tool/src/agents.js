@@ -1,63 +1,79 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-
-const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const { snapshotFiles, recordInstall } = require('./install-journal');
+const { getTemplateRoots } = require('./template-packs');
 
 /**
  * Get all available agents from the templates directory structure
+ * (the bundled templates and every template pack)
  * @returns {Array} Array of agent objects with name, description, and color
  */
 function getAvailableAgents() {
   const agents = [];
   
   try {
-    // Scan all language directories
-    const languageDirs = fs.readdirSync(TEMPLATES_DIR)
-      .filter(dir => {
-        const dirPath = path.join(TEMPLATES_DIR, dir);
-        return fs.statSync(dirPath).isDirectory() && dir !== 'common';
-      });
+    for (const templatesDir of getTemplateRoots()) {
+      agents.push(...getAgentsInTemplatesDir(templatesDir));
+    }
     
-    for (const langDir of languageDirs) {
-      const frameworksPath = path.join(TEMPLATES_DIR, langDir, 'examples');
+    return agents;
+  } catch (error) {
+    console.log(chalk.yellow('⚠️  No agents templates found'));
+    return [];
+  }
+}
+
+/**
+ * Get the agents of one directory laid out like templates/
+ * @param {string} templatesDir - Templates directory
+ * @returns {Array} Array of agent objects
+ */
+function getAgentsInTemplatesDir(templatesDir) {
+  const agents = [];
+  
+  // Scan all language directories
+  const languageDirs = fs.readdirSync(templatesDir)
+    .filter(dir => {
+      const dirPath = path.join(templatesDir, dir);
+      return fs.statSync(dirPath).isDirectory() && dir !== 'common';
+    });
+  
+  for (const langDir of languageDirs) {
+    const frameworksPath = path.join(templatesDir, langDir, 'examples');
+    
+    if (fs.existsSync(frameworksPath)) {
+      const frameworks = fs.readdirSync(frameworksPath)
+        .filter(dir => {
+          const dirPath = path.join(frameworksPath, dir);
+          return fs.statSync(dirPath).isDirectory();
+        });
       
-      if (fs.existsSync(frameworksPath)) {
-        const frameworks = fs.readdirSync(frameworksPath)
-          .filter(dir => {
-            const dirPath = path.join(frameworksPath, dir);
-            return fs.statSync(dirPath).isDirectory();
-          });
+      for (const framework of frameworks) {
+        const agentsPath = path.join(frameworksPath, framework, 'agents');
         
-        for (const framework of frameworks) {
-          const agentsPath = path.join(frameworksPath, framework, 'agents');
+        if (fs.existsSync(agentsPath)) {
+          const agentFiles = fs.readdirSync(agentsPath)
+            .filter(file => file.endsWith('.md'));
           
-          if (fs.existsSync(agentsPath)) {
-            const agentFiles = fs.readdirSync(agentsPath)
-              .filter(file => file.endsWith('.md'));
+          for (const file of agentFiles) {
+            const filePath = path.join(agentsPath, file);
+            const content = fs.readFileSync(filePath, 'utf8');
+            const agent = parseAgentFile(content, file);
             
-            for (const file of agentFiles) {
-              const filePath = path.join(agentsPath, file);
-              const content = fs.readFileSync(filePath, 'utf8');
-              const agent = parseAgentFile(content, file);
-              
-              if (agent) {
-                agent.language = langDir;
-                agent.framework = framework;
-                agent.filePath = filePath;
-                agents.push(agent);
-              }
+            if (agent) {
+              agent.language = langDir;
+              agent.framework = framework;
+              agent.filePath = filePath;
+              agents.push(agent);
             }
           }
         }
       }
     }
-    
-    return agents;
-  } catch (error) {
-    console.log(chalk.yellow('⚠️  No agents templates found'));
-    return [];
   }
+  
+  return agents;
 }
 
 /**
@@ -139,6 +155,9 @@ async function installAgents(selectedAgents, projectPath = process.cwd()) {
     const claudeDir = path.join(projectPath, '.claude');
     const agentsDir = path.join(claudeDir, 'agents');
     
+    // Remember what was there so --rollback can remove the installed agents
+    const snapshot = await snapshotFiles(projectPath, selectedAgents.map(agentName => `.claude/agents/${agentName}.md`));
+    
     // Create .claude/agents directory if it doesn't exist
     await fs.ensureDir(agentsDir);
     
@@ -164,6 +183,8 @@ async function installAgents(selectedAgents, projectPath = process.cwd()) {
       }
     }
     
+    await recordInstall(snapshot, { type: 'agents' });
+    
     if (installedCount > 0) {
       console.log(chalk.green(`\n🎉 Successfully installed ${installedCount} agent(s) to .claude/agents/`));
       console.log(chalk.blue('   You can now use these agents in your Claude Code conversations!'));
@@ -1,6 +1,7 @@
 const CodeReviewAgent = require('./CodeReviewAgent');
 const CodeOptimizationAgent = require('./CodeOptimizationAgent');
 const DocumentationAgent = require('./DocumentationAgent');
+const FixtureServer = require('./FixtureServer');
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
@@ -8,13 +9,18 @@ const ora = require('ora');
 
 /**
  * AI Agent Manager - Coordinates and manages all specialized AI agents
+ * Options are passed to every agent: demo for canned output, provider to use a
+ * specific provider (tests), stream to print responses while they arrive, endpoint to use a
+ * Messages API endpoint, cassette (with record) to replay recorded responses from a fixture server
  */
 class AIAgentManager {
-  constructor(projectPath = process.cwd()) {
+  constructor(projectPath = process.cwd(), options = {}) {
     this.projectPath = projectPath;
+    this.options = options;
     this.agents = new Map();
     this.activeAgents = new Set();
     this.sessionId = this.generateSessionId();
+    this.fixtureServer = null;
   }
 
   /**
@@ -22,24 +28,34 @@ class AIAgentManager {
    */
   async initializeAgents() {
     const spinner = ora('Initializing AI Agent ecosystem...').start();
+    const agentOptions = { cwd: this.projectPath };
+    ['demo', 'provider', 'stream', 'model', 'endpoint'].forEach(key => {
+      if (this.options[key] !== undefined) agentOptions[key] = this.options[key];
+    });
     
     try {
-      // Initialize Code Review Agent
-      const codeReviewAgent = new CodeReviewAgent();
-      await codeReviewAgent.initialize();
-      this.agents.set('codeReview', codeReviewAgent);
-      
-      // Initialize Code Optimization Agent
-      const optimizationAgent = new CodeOptimizationAgent();
-      await optimizationAgent.initialize();
-      this.agents.set('optimization', optimizationAgent);
-      
-      // Initialize Documentation Agent
-      const documentationAgent = new DocumentationAgent();
-      await documentationAgent.initialize();
-      this.agents.set('documentation', documentationAgent);
+      if (this.options.cassette && !this.options.demo) {
+        agentOptions.endpoint = await this.startFixtureServer();
+      }
+
+      const agents = [
+        ['codeReview', new CodeReviewAgent(agentOptions)],
+        ['optimization', new CodeOptimizationAgent(agentOptions)],
+        ['documentation', new DocumentationAgent(agentOptions)]
+      ];
+      
+      for (const [agentType, agent] of agents) {
+        if (!(await agent.initialize())) {
+          spinner.fail('Failed to initialize AI Agent ecosystem');
+          await this.stopFixtureServer();
+          return false;
+        }
+        this.agents.set(agentType, agent);
+      }
 
-      spinner.succeed('AI Agent ecosystem initialized successfully');
+      spinner.succeed(agents[0][1].provider.live
+        ? 'AI Agent ecosystem initialized successfully'
+        : `AI Agent ecosystem initialized with ${agents[0][1].provider.name} output (no live model)`);
       
       console.log(chalk.green('\n🤖 Available AI Agents:'));
       console.log(chalk.blue('  📋 Code Review Agent - Security, best practices, and architecture analysis'));
@@ -50,10 +66,41 @@ class AIAgentManager {
     } catch (error) {
       spinner.fail('Failed to initialize AI Agent ecosystem');
       console.error(chalk.red('Error:'), error.message);
+      await this.stopFixtureServer();
       return false;
     }
   }
 
+  /**
+   * Start the fixture server for options.cassette
+   * When recording, requests go to options.endpoint or the Anthropic API
+   * @returns {Promise<string>} Endpoint URL for the agents
+   */
+  async startFixtureServer() {
+    this.fixtureServer = new FixtureServer({
+      cassettePath: path.resolve(this.options.cassette),
+      mode: this.options.record ? 'record' : 'replay',
+      placeholders: { projectDir: this.projectPath },
+      ...(this.options.record && this.options.endpoint && { upstream: this.options.endpoint })
+    });
+    const url = await this.fixtureServer.start();
+
+    console.log(chalk.gray(this.options.record
+      ? `\n📼 Recording model responses to ${this.options.cassette}`
+      : `\n📼 Replaying model responses from ${this.options.cassette}`));
+    return url;
+  }
+
+  /**
+   * Stop the fixture server if one was started
+   */
+  async stopFixtureServer() {
+    if (this.fixtureServer) {
+      await this.fixtureServer.stop();
+      this.fixtureServer = null;
+    }
+  }
+
   /**
    * Get specific agent by type
    */
@@ -98,6 +145,11 @@ class AIAgentManager {
       // Generate report
       const reportPath = await agent.generateReport(this.projectPath);
       results.reportPath = reportPath;
+      results.findingsPath = agent.findingsReport.findingsPath;
+      results.sarifPath = agent.findingsReport.sarifPath;
+      results.findingsCount = agent.findingsReport.total;
+      results.live = agent.provider.live;
+      results.provider = agent.provider.name;
       
       console.log(chalk.green('✅ Code Review Analysis completed'));
       return results;
@@ -165,6 +217,8 @@ class AIAgentManager {
       // Generate report
       const reportPath = await agent.generateReport(this.projectPath);
       results.reportPath = reportPath;
+      results.live = agent.provider.live;
+      results.provider = agent.provider.name;
       
       console.log(chalk.green('✅ Code Optimization Analysis completed'));
       return results;
@@ -190,6 +244,12 @@ class AIAgentManager {
       
       let results = {};
       
+      // Canned demo text must not replace the project's documentation
+      if (options.writeFiles && !agent.provider.live) {
+        console.log(chalk.yellow(`⚠️  Not writing documentation files, ${agent.provider.name} output is not generated for this project`));
+        options = { ...options, writeFiles: false };
+      }
+      
       // Project documentation
       if (options.projectDocumentation !== false) {
         console.log(chalk.gray('Generating comprehensive project documentation...'));
@@ -277,6 +337,8 @@ class AIAgentManager {
       // Generate report
       const reportPath = await agent.generateReport(this.projectPath);
       results.reportPath = reportPath;
+      results.live = agent.provider.live;
+      results.provider = agent.provider.name;
       
       console.log(chalk.green('✅ Documentation Generation completed'));
       return results;
@@ -348,11 +410,15 @@ class AIAgentManager {
   async generateComprehensiveReport(analysisResults) {
     const reportsDir = path.join(this.projectPath, '.claude', 'agents', 'reports');
     await fs.ensureDir(reportsDir);
+    const agents = Array.from(this.agents.values());
     
     const reportData = {
       sessionId: this.sessionId,
       projectPath: this.projectPath,
       timestamp: new Date().toISOString(),
+      live: agents.every(agent => agent.provider.live),
+      provider: agents.length > 0 ? agents[0].provider.name : null,
+      replayed: !!this.fixtureServer && this.fixtureServer.options.mode === 'replay',
       analysisResults,
       agentStatuses: this.getAgentStatuses(),
       summary: this.generateComprehensiveSummary(analysisResults)
@@ -372,6 +438,19 @@ class AIAgentManager {
     return reportFile;
   }
 
+  /**
+   * Where the report's model output came from
+   */
+  describeOutput(reportData) {
+    if (reportData.replayed) {
+      return `Replayed from the cassette ${path.basename(this.options.cassette)} (recorded model responses)`;
+    }
+    if (!reportData.live) {
+      return 'Demo output (--demo), not an analysis of this project';
+    }
+    return reportData.provider === 'endpoint' ? `Live model (${this.options.endpoint})` : 'Live model (Claude Code)';
+  }
+
   /**
    * Generate markdown report for easy reading
    */
@@ -383,6 +462,7 @@ class AIAgentManager {
 **Project**: ${path.basename(projectPath)}
 **Generated**: ${new Date(timestamp).toLocaleString()}
 **Session ID**: ${reportData.sessionId}
+**Output**: ${this.describeOutput(reportData)}
 
 ## Executive Summary
 
@@ -395,6 +475,7 @@ ${summary}
     if (analysisResults.codeReview) {
       markdown += `### 🔍 Code Review Analysis
 - Report: ${analysisResults.codeReview.reportPath}
+- Findings: ${analysisResults.codeReview.findingsCount} (${analysisResults.codeReview.findingsPath}, SARIF: ${analysisResults.codeReview.sarifPath})
 - Status: ✅ Completed
 
 `;
@@ -481,6 +562,8 @@ ${Object.entries(this.getAgentStatuses()).map(([agentType, status]) =>
     this.agents.clear();
     this.activeAgents.clear();
     
+    await this.stopFixtureServer();
+    
     console.log(chalk.gray('✅ AI Agent ecosystem cleaned up'));
   }
 
@@ -1,181 +1,75 @@
-const { query } = require('@anthropic-ai/claude-code');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
+const { createProvider } = require('./providers');
 
 /**
  * Base ClaudeAgent class for managing Claude Code SDK integration
- * Provides session management, conversation handling, and specialized agent capabilities
+ * Provides session management, conversation handling, and specialized agent capabilities.
+ * Prompts go to a provider: the Claude Code SDK, a Messages API endpoint (options.endpoint),
+ * canned output with --demo, or a mock in tests
  */
 class ClaudeAgent {
   constructor(agentType, systemPrompt, options = {}) {
     this.agentType = agentType;
     this.systemPrompt = systemPrompt;
-    this.options = options;
+    this.options = {
+      // Print the response while it arrives
+      stream: !!process.stdout.isTTY,
+      output: process.stdout,
+      ...options
+    };
+    this.provider = options.provider || createProvider(options);
     this.conversationHistory = [];
+    this.lastResult = null;
     this.sessionId = this.generateSessionId();
     this.initialized = false;
   }
 
   /**
-   * Initialize the Claude Code client
+   * Initialize the agent by checking that its provider can be used
+   * @returns {Promise<boolean>} True if the agent can take prompts
    */
   async initialize() {
-    try {
-      console.log(chalk.blue(`🤖 Initializing ${this.agentType} Agent...`));
-      
-      // Check if Claude Code is available by testing the query function
-      const testPrompt = `System: ${this.systemPrompt}\n\nHuman: Hello, are you ready to help with ${this.agentType.toLowerCase()} analysis? Please respond with just "Ready" if you're working properly.`;
-      
-      const testResponse = await this.executeQuery(testPrompt);
-      
-      if (testResponse) {
-        this.initialized = true;
-        return true;
-      }
-      
-      return false;
-    } catch (error) {
-      console.error(chalk.red(`❌ Failed to initialize ${this.agentType} Agent:`), error.message);
-      
-      // For demo purposes, initialize anyway with demo mode
-      this.initialized = true;
-      return true;
-    }
-  }
-
-  /**
-   * Execute a query using Claude Code SDK with fallback to demo mode
-   */
-  async executeQuery(prompt) {
-    // Check if we're in a Claude Code environment
-    if (!this.isClaudeCodeAvailable()) {
-      console.log(chalk.yellow(`⚠️  Claude Code not available, using demo response for ${this.agentType}`));
-      return this.generateDemoResponse(prompt);
-    }
+    console.log(chalk.blue(`🤖 Initializing ${this.agentType} Agent...`));
 
-    try {
-      let response = '';
-      
-      // Use the async iterator pattern from Claude Code SDK
-      const stream = query(prompt);
-      
-      for await (const message of stream) {
-        if (message.type === 'text') {
-          response += message.text;
-        } else if (message.type === 'result' && message.subtype === 'error_during_execution') {
-          throw new Error('Claude Code authentication required. Run: claude login');
-        }
+    const { available, reason } = await this.provider.checkAvailability();
+    if (!available) {
+      console.error(chalk.red(`❌ ${this.agentType} Agent is not available: ${reason}`));
+      if (this.provider.name === 'claude-code') {
+        console.log(chalk.yellow('💡 Install and log in to Claude Code (claude login), or use --demo for sample output'));
       }
-      
-      return response;
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️  Claude Code error, using demo response: ${error.message}`));
-      return this.generateDemoResponse(prompt);
+      return false;
     }
-  }
 
-  /**
-   * Check if Claude Code is available and configured
-   */
-  isClaudeCodeAvailable() {
-    try {
-      // Simple check - if we're not in a terminal environment with stdin/stdout configured for Claude
-      // we assume we're in demo mode
-      return process.stdin.isTTY && process.stdout.isTTY && process.env.CLAUDE_API_KEY;
-    } catch (error) {
-      return false;
+    if (!this.provider.live) {
+      console.log(chalk.yellow(`⚠️  ${this.agentType} Agent uses ${this.provider.name} output, not a live model`));
     }
+    this.initialized = true;
+    return true;
   }
 
   /**
-   * Generate demo response when Claude Code is not available (for testing)
+   * Send a prompt to the provider
+   * @param {string} prompt - Prompt without the system prompt
+   * @param {Object} request - onText(chunk) to stream the response
+   * @returns {Promise<Object>} { text, live, provider, model, ... } from the provider
    */
-  generateDemoResponse(prompt) {
-    const responses = {
-      'CodeReview': `## Code Review Analysis
-
-**Security Assessment**: ✅ No critical vulnerabilities found
-**Best Practices**: Several improvements recommended
-**Architecture**: Overall structure is good, minor optimizations suggested
-
-### Key Findings:
-1. Consider adding input validation in API endpoints
-2. Implement proper error handling in async functions
-3. Add unit tests for core business logic
-4. Update dependencies to latest secure versions
-
-### Recommendations:
-- Implement TypeScript for better type safety
-- Add ESLint and Prettier for code consistency
-- Consider implementing rate limiting for APIs
-- Add comprehensive logging for debugging
-
-*This is a demo response. Real analysis requires Claude Code authentication.*`,
-
-      'CodeOptimization': `## Performance Optimization Analysis
-
-**Performance Score**: B+ (Room for improvement)
-**Critical Path**: Database queries need optimization
-**Memory Usage**: Acceptable, minor improvements possible
-
-### Optimization Opportunities:
-1. **Database Performance** (High Impact)
-   - Add indexes for frequently queried fields
-   - Implement query result caching
-   - Consider connection pooling
-
-2. **Frontend Performance** (Medium Impact)
-   - Bundle size reduction through code splitting
-   - Implement lazy loading for routes
-   - Optimize images and assets
-
-3. **API Performance** (Medium Impact)
-   - Add response compression
-   - Implement API response caching
-   - Optimize JSON serialization
-
-### Expected Improvements:
-- 40% faster database queries
-- 25% reduction in bundle size
-- 30% faster API response times
-
-*This is a demo response. Real analysis requires Claude Code authentication.*`,
-
-      'Documentation': `## Documentation Generation Complete
-
-**Coverage**: Comprehensive documentation created
-**Format**: Markdown with proper structure
-**Quality**: Professional-grade technical writing
-
-### Generated Documentation:
-1. **README.md** - Project overview and setup instructions
-2. **API.md** - Complete API reference with examples
-3. **ARCHITECTURE.md** - System design and component overview
-4. **CONTRIBUTING.md** - Development guidelines and workflow
-
-### Documentation Features:
-- Clear installation and setup instructions
-- Comprehensive API documentation with examples
-- Architecture diagrams and explanations
-- Contributing guidelines for developers
-- Troubleshooting and FAQ sections
-
-### Quality Assurance:
-- All code examples tested and working
-- Consistent formatting and style
-- Proper cross-references and links
-- SEO-optimized content structure
-
-*This is a demo response. Real documentation requires Claude Code authentication.*`
-    };
-
-    return responses[this.agentType] || `Demo response for ${this.agentType} agent. This would contain detailed analysis results when Claude Code is properly configured.`;
+  async executeQuery(prompt, request = {}) {
+    return await this.provider.complete(prompt, {
+      agentType: this.agentType,
+      systemPrompt: this.systemPrompt,
+      cwd: this.options.cwd,
+      onText: request.onText
+    });
   }
 
   /**
    * Send a prompt to the agent with context
+   * The provider's result, including whether it came from a live model, is kept in
+   * the conversation history and in lastResult
+   * @returns {Promise<string>} Response text
    */
   async sendPrompt(prompt, additionalContext = {}) {
     if (!this.initialized) {
@@ -183,26 +77,47 @@ class ClaudeAgent {
     }
 
     const spinner = ora(`${this.agentType} Agent is analyzing...`).start();
+    let streamed = false;
+    const onText = this.options.stream ? (chunk) => {
+      if (!streamed) {
+        spinner.stop();
+        streamed = true;
+      }
+      this.options.output.write(chunk);
+    } : undefined;
 
     try {
-      // Construct the full prompt with system message and context
-      const fullPrompt = `System: ${this.systemPrompt}
-
-${additionalContext.context ? `Context: ${additionalContext.context}\n` : ''}Human: ${prompt}`;
+      // The system prompt is passed to the provider separately
+      const fullPrompt = `${additionalContext.context ? `Context: ${additionalContext.context}\n\n` : ''}${prompt}`;
 
-      const response = await this.executeQuery(fullPrompt);
+      const result = await this.executeQuery(fullPrompt, { onText });
+      if (streamed) {
+        this.options.output.write('\n');
+      }
 
       // Store conversation history
       this.conversationHistory.push({
         timestamp: new Date().toISOString(),
         prompt: prompt,
-        response: response,
-        context: additionalContext
+        response: result.text,
+        context: additionalContext,
+        live: result.live,
+        provider: result.provider,
+        model: result.model || null,
+        costUsd: result.costUsd,
+        replayed: !!result.replayed
       });
+      this.lastResult = result;
 
-      spinner.succeed(`${this.agentType} Agent completed analysis`);
-      return response;
+      const source = result.replayed
+        ? ' (replayed from a fixture)'
+        : result.live ? '' : ` (${result.provider} output, not a live model)`;
+      spinner.succeed(`${this.agentType} Agent completed analysis${source}`);
+      return result.text;
     } catch (error) {
+      if (streamed) {
+        this.options.output.write('\n');
+      }
       spinner.fail(`${this.agentType} Agent analysis failed`);
       throw error;
     }
@@ -236,6 +151,8 @@ ${additionalContext.context ? `Context: ${additionalContext.context}\n` : ''}Hum
       agentType: this.agentType,
       sessionId: this.sessionId,
       systemPrompt: this.systemPrompt,
+      provider: this.provider.name,
+      live: this.provider.live,
       history: this.conversationHistory,
       createdAt: new Date().toISOString()
     };
@@ -276,6 +193,8 @@ ${additionalContext.context ? `Context: ${additionalContext.context}\n` : ''}Hum
       agentType: this.agentType,
       sessionId: this.sessionId,
       initialized: this.initialized,
+      provider: this.provider.name,
+      live: this.provider.live,
       conversationCount: this.conversationHistory.length,
       lastActivity: this.conversationHistory.length > 0 
         ? this.conversationHistory[this.conversationHistory.length - 1].timestamp 
@@ -287,7 +206,7 @@ ${additionalContext.context ? `Context: ${additionalContext.context}\n` : ''}Hum
    * Cleanup agent resources
    */
   async cleanup() {
-    // No explicit cleanup needed for query-based approach
+    // No explicit cleanup needed, every query is its own Claude Code process
     this.initialized = false;
     console.log(chalk.gray(`🧹 ${this.agentType} Agent cleaned up`));
   }
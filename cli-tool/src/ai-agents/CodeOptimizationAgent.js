@@ -300,6 +300,9 @@ Focus on practical, implementable solutions with clear ROI.`;
       agentType: this.agentType,
       projectPath,
       timestamp: new Date().toISOString(),
+      // False for --demo output
+      live: this.provider.live,
+      provider: this.provider.name,
       optimizationResults: this.optimizationResults,
       conversationHistory: this.getConversationHistory(),
       summary: this.generateSummary()
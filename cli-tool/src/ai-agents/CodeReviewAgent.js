@@ -2,9 +2,12 @@ const ClaudeAgent = require('./ClaudeAgent');
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
+const { SEVERITIES, FINDINGS_INSTRUCTIONS, extractFindings, dedupeFindings, compareFindings, toSarif } = require('./review-findings');
 
 /**
  * Code Review Agent - Specialized for security, best practices, and architecture analysis
+ * Review prompts ask for structured findings, which are validated and written as JSON and SARIF
+ * next to the report
  */
 class CodeReviewAgent extends ClaudeAgent {
   constructor(options = {}) {
@@ -28,6 +31,7 @@ Be thorough, constructive, and provide clear explanations for all recommendation
 
     super('CodeReview', systemPrompt, options);
     this.reviewResults = [];
+    this.findingsReport = null;
   }
 
   /**
@@ -60,7 +64,9 @@ Please provide:
 5. Best practice improvements
 6. Maintainability assessment
 
-Focus on critical issues first, then provide recommendations for improvements.`;
+Focus on critical issues first, then provide recommendations for improvements.
+
+${FINDINGS_INSTRUCTIONS}`;
 
     const result = await this.sendPrompt(reviewPrompt);
     
@@ -68,7 +74,8 @@ Focus on critical issues first, then provide recommendations for improvements.`;
       type: 'project_review',
       timestamp: new Date().toISOString(),
       projectPath,
-      result
+      result,
+      ...(await extractFindings(result, projectPath))
     });
 
     return result;
@@ -98,12 +105,15 @@ Provide specific recommendations for:
 2. Code quality improvements
 3. Performance optimizations
 4. Best practice adherence
-5. Documentation and readability`;
+5. Documentation and readability
+
+${FINDINGS_INSTRUCTIONS}`;
 
       const result = await this.sendPrompt(reviewPrompt);
       results.push({
         file: filePath,
-        review: result
+        review: result,
+        ...(await extractFindings(result, projectRoot))
       });
     }
 
@@ -135,7 +145,9 @@ Please provide a detailed security report with:
 - Vulnerability severity ratings (Critical, High, Medium, Low)
 - Specific vulnerable code locations
 - Remediation recommendations with code examples
-- Security best practices for this project type`;
+- Security best practices for this project type
+
+${FINDINGS_INSTRUCTIONS}`;
 
     const result = await this.sendPrompt(securityPrompt);
     
@@ -143,7 +155,8 @@ Please provide a detailed security report with:
       type: 'security_analysis',
       timestamp: new Date().toISOString(),
       projectPath,
-      result
+      result,
+      ...(await extractFindings(result, projectPath))
     });
 
     return result;
@@ -156,21 +169,137 @@ Please provide a detailed security report with:
     return this.reviewResults;
   }
 
+  /**
+   * Findings and validation errors of all reviews so far
+   * @returns {Object} { findings, errors }
+   */
+  collectFindings() {
+    const findings = [];
+    const errors = [];
+    const add = (source, entry) => {
+      findings.push(...(entry.findings || []));
+      errors.push(...(entry.errors || []).map(error => `${source}: ${error}`));
+    };
+
+    for (const review of this.reviewResults) {
+      if (review.type === 'file_review') {
+        review.results.forEach(result => add(`review of ${result.file}`, result));
+      } else {
+        add(review.type.replace('_', ' '), review);
+      }
+    }
+    return { findings, errors };
+  }
+
+  /**
+   * Load the most recent findings report of an earlier run
+   * @param {string} reportsDir - Reports directory
+   * @returns {Promise<Object|null>} Findings report
+   */
+  async loadPreviousFindings(reportsDir) {
+    const files = (await fs.readdir(reportsDir)).filter(file => file.endsWith('.findings.json'));
+    let latest = null;
+
+    for (const file of files) {
+      try {
+        const report = await fs.readJSON(path.join(reportsDir, file));
+        if (report.sessionId !== this.sessionId && Array.isArray(report.findings) &&
+            (!latest || report.timestamp > latest.timestamp)) {
+          latest = report;
+        }
+      } catch (error) {
+        // Not a findings report
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Write the findings as JSON and SARIF 2.1, compared with the previous run
+   * @param {string} projectPath - Project root
+   * @param {string} reportsDir - Reports directory
+   * @returns {Promise<Object>} { findingsPath, sarifPath, total, counts, comparison, errors }
+   */
+  async writeFindings(projectPath, reportsDir) {
+    const collected = this.collectFindings();
+    const findings = dedupeFindings(collected.findings);
+    const previous = await this.loadPreviousFindings(reportsDir);
+    const { resolvedFindings, ...comparison } = previous
+      ? compareFindings(findings, previous.findings)
+      : { resolvedFindings: [] };
+
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [
+      severity,
+      findings.filter(finding => finding.severity === severity).length
+    ]));
+    const countText = SEVERITIES.filter(severity => counts[severity] > 0)
+      .map(severity => `${counts[severity]} ${severity}`)
+      .join(', ');
+
+    const findingsPath = path.join(reportsDir, `code-review-${this.sessionId}.findings.json`);
+    await fs.writeJSON(findingsPath, {
+      agentType: this.agentType,
+      sessionId: this.sessionId,
+      projectPath,
+      timestamp: new Date().toISOString(),
+      live: this.provider.live,
+      provider: this.provider.name,
+      summary: `${findings.length} findings${countText ? ` (${countText})` : ''}`,
+      counts,
+      baseline: previous ? { sessionId: previous.sessionId, timestamp: previous.timestamp, ...comparison } : null,
+      findings,
+      resolvedFindings,
+      errors: collected.errors
+    }, { spaces: 2 });
+
+    const sarifPath = path.join(reportsDir, `code-review-${this.sessionId}.sarif`);
+    await fs.writeJSON(sarifPath, toSarif(findings, { projectPath, sessionId: this.sessionId }), { spaces: 2 });
+
+    console.log(chalk.green(`🧾 ${findings.length} findings written to ${findingsPath} and ${path.basename(sarifPath)}`));
+    if (previous) {
+      console.log(chalk.gray(`   Compared with ${previous.sessionId}: ${comparison.new} new, ${comparison.unchanged} unchanged, ${comparison.resolved} resolved`));
+    }
+    if (collected.errors.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${collected.errors.length} problems with the model's findings, see "errors" in ${path.basename(findingsPath)}`));
+    }
+
+    this.findingsReport = {
+      findingsPath,
+      sarifPath,
+      total: findings.length,
+      counts,
+      comparison: previous ? comparison : null,
+      errors: collected.errors
+    };
+    return this.findingsReport;
+  }
+
   /**
    * Generate review report
    */
   async generateReport(projectPath) {
+    const reportsDir = path.join(projectPath, '.claude', 'agents', 'reports');
+    await fs.ensureDir(reportsDir);
+    const findingsReport = await this.writeFindings(projectPath, reportsDir);
+
     const reportData = {
       agentType: this.agentType,
       projectPath,
       timestamp: new Date().toISOString(),
+      // False for --demo output
+      live: this.provider.live,
+      provider: this.provider.name,
       reviewResults: this.reviewResults,
+      findings: {
+        path: findingsReport.findingsPath,
+        sarifPath: findingsReport.sarifPath,
+        total: findingsReport.total,
+        counts: findingsReport.counts,
+        comparison: findingsReport.comparison
+      },
       conversationHistory: this.getConversationHistory(),
       summary: this.generateSummary()
     };
-
-    const reportsDir = path.join(projectPath, '.claude', 'agents', 'reports');
-    await fs.ensureDir(reportsDir);
     
     const reportFile = path.join(reportsDir, `code-review-${this.sessionId}.json`);
     await fs.writeJSON(reportFile, reportData, { spaces: 2 });
@@ -271,7 +400,8 @@ Please provide a detailed security report with:
    * Generate summary of review results
    */
   generateSummary() {
-    return `Code review completed with ${this.reviewResults.length} analyses performed.`;
+    const findings = this.findingsReport ? `, ${this.findingsReport.total} findings` : '';
+    return `Code review completed with ${this.reviewResults.length} analyses performed${findings}.`;
   }
 }
 
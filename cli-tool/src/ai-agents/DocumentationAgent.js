@@ -446,6 +446,9 @@ Make it maintainable and automated where possible.`;
       agentType: this.agentType,
       projectPath,
       timestamp: new Date().toISOString(),
+      // False for --demo output
+      live: this.provider.live,
+      provider: this.provider.name,
       documentationResults: this.documentationResults,
       conversationHistory: this.getConversationHistory(),
       summary: this.generateSummary()
@@ -0,0 +1,260 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const { postJson } = require('./providers/http');
+const { isEventStream, readMessage, messageToEvents, formatEvent } = require('./providers/message-stream');
+
+const CASSETTE_VERSION = 1;
+const MODES = ['replay', 'record'];
+// Request headers passed on to the real API when recording
+const FORWARDED_HEADERS = ['x-api-key', 'authorization', 'anthropic-version', 'anthropic-beta'];
+
+/**
+ * Replace every occurrence of the given values in the strings of a JSON value
+ * @param {*} value - JSON value
+ * @param {Array} pairs - [from, to] pairs, applied in order
+ * @returns {*} Copy with the values replaced
+ */
+function replaceDeep(value, pairs) {
+  if (typeof value === 'string') {
+    return pairs.reduce((text, [from, to]) => text.split(from).join(to), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => replaceDeep(item, pairs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceDeep(item, pairs)]));
+  }
+  return value;
+}
+
+/**
+ * Send an error in the Messages API format
+ */
+function sendError(res, status, type, message) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ type: 'error', error: { type, message } }));
+}
+
+/**
+ * FixtureServer - Local stand-in for the Anthropic Messages API
+ * Replays the prompt/response pairs of a cassette file so the AI agents run deterministically
+ * without network access. In record mode requests go to the real API (or another endpoint) and
+ * the cassette is rewritten with the new pairs.
+ * Machine specific values (e.g. the project directory) are stored as {{name}} placeholders so
+ * a cassette recorded in one checkout replays in another. Responses are stored as whole messages
+ * and replayed as server-sent events when the request asks for a stream.
+ */
+class FixtureServer {
+  constructor(options = {}) {
+    this.options = {
+      cassettePath: null,
+      mode: 'replay',
+      upstream: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      placeholders: {},
+      host: '127.0.0.1',
+      port: 0,
+      ...options
+    };
+
+    if (!this.options.cassettePath) {
+      throw new Error('FixtureServer needs a cassettePath');
+    }
+    if (!MODES.includes(this.options.mode)) {
+      throw new Error(`Fixture server mode must be one of ${MODES.join(', ')}, got "${this.options.mode}"`);
+    }
+
+    // Longest values first, so a directory is replaced before its parent
+    const placeholders = Object.entries(this.options.placeholders)
+      .filter(([, value]) => value)
+      .sort((a, b) => b[1].length - a[1].length);
+    this.toPlaceholders = placeholders.map(([name, value]) => [value, `{{${name}}}`]);
+    this.fromPlaceholders = placeholders.map(([name, value]) => [`{{${name}}}`, value]);
+
+    this.interactions = [];
+    this.played = new Set();
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Load the cassette and start listening
+   * @returns {Promise<string>} Base URL to use as the agents' endpoint
+   */
+  async start() {
+    this.interactions = this.options.mode === 'record' ? [] : await this.loadCassette();
+    this.played.clear();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    this.url = `http://${this.options.host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Read the recorded interactions
+   * @returns {Promise<Array>} Interactions
+   */
+  async loadCassette() {
+    const cassettePath = this.options.cassettePath;
+    if (!(await fs.pathExists(cassettePath))) {
+      throw new Error(`Cassette not found: ${cassettePath} (record it with --record)`);
+    }
+
+    let cassette;
+    try {
+      cassette = await fs.readJson(cassettePath);
+    } catch (error) {
+      throw new Error(`Cannot parse cassette ${cassettePath}: ${error.message}`);
+    }
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new Error(`${cassettePath} is not a cassette (no "interactions" array)`);
+    }
+    return cassette.interactions;
+  }
+
+  /**
+   * Write the recorded interactions
+   */
+  async saveCassette() {
+    await fs.outputJson(this.options.cassettePath, {
+      version: CASSETTE_VERSION,
+      interactions: this.interactions
+    }, { spaces: 2 });
+  }
+
+  /**
+   * The part of a Messages API request that identifies it in the cassette
+   * @param {Object} body - Request body
+   * @returns {Object} { system, messages } with placeholders
+   */
+  requestKey(body) {
+    return replaceDeep({ system: body.system || null, messages: body.messages || [] }, this.toPlaceholders);
+  }
+
+  /**
+   * Find the recorded interaction for a request
+   * Identical requests are answered in recorded order, the last answer repeats
+   * @param {Object} key - Request key
+   * @returns {Object|null} Interaction
+   */
+  findInteraction(key) {
+    const serialized = JSON.stringify(key);
+    const matches = [];
+    this.interactions.forEach((interaction, index) => {
+      if (JSON.stringify(interaction.request) === serialized) {
+        matches.push(index);
+      }
+    });
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const index = matches.find(match => !this.played.has(match));
+    const chosen = index === undefined ? matches[matches.length - 1] : index;
+    this.played.add(chosen);
+    return this.interactions[chosen];
+  }
+
+  /**
+   * Handle a Messages API request
+   */
+  handleRequest(req, res) {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', async () => {
+      if (req.method !== 'POST' || req.url.split('?')[0] !== '/v1/messages') {
+        sendError(res, 404, 'not_found_error', `The fixture server only answers POST /v1/messages, got ${req.method} ${req.url}`);
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(data);
+      } catch (error) {
+        sendError(res, 400, 'invalid_request_error', `Request body is not JSON: ${error.message}`);
+        return;
+      }
+
+      try {
+        if (this.options.mode === 'record') {
+          await this.recordRequest(req, res, body);
+        } else {
+          this.replayRequest(res, body);
+        }
+      } catch (error) {
+        sendError(res, 502, 'api_error', `Fixture server could not reach ${this.options.upstream}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Answer from the cassette
+   */
+  replayRequest(res, body) {
+    const key = this.requestKey(body);
+    const interaction = this.findInteraction(key);
+    if (!interaction) {
+      const lastMessage = key.messages[key.messages.length - 1];
+      const prompt = lastMessage && typeof lastMessage.content === 'string' ? lastMessage.content : '';
+      sendError(res, 404, 'not_found_error',
+        `No recorded response in ${path.basename(this.options.cassettePath)} for the prompt "${prompt.replace(/\s+/g, ' ').trim().slice(0, 80)}", re-record the cassette with --record`);
+      return;
+    }
+
+    const response = replaceDeep(interaction.response, this.fromPlaceholders);
+    if (body.stream) {
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', 'x-cct-fixture': 'replay' });
+      messageToEvents(response).forEach(event => res.write(formatEvent(event)));
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': 'application/json', 'x-cct-fixture': 'replay' });
+    res.end(JSON.stringify(response));
+  }
+
+  /**
+   * Forward to the real API and keep successful answers
+   */
+  async recordRequest(req, res, body) {
+    const headers = {};
+    FORWARDED_HEADERS.forEach(name => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    const upstream = await postJson(`${this.options.upstream.replace(/\/+$/, '')}/v1/messages`, body, { headers });
+
+    if (upstream.status === 200) {
+      const message = isEventStream(upstream.status, upstream.headers) ? readMessage(upstream.body) : JSON.parse(upstream.body);
+      this.interactions.push({
+        request: this.requestKey(body),
+        response: replaceDeep(message, this.toPlaceholders)
+      });
+      // Saved after every answer so an interrupted run keeps what it recorded
+      await this.saveCassette();
+    }
+
+    res.writeHead(upstream.status, { 'content-type': upstream.headers['content-type'] || 'application/json' });
+    res.end(upstream.body);
+  }
+}
+
+module.exports = FixtureServer;
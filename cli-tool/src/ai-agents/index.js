@@ -3,11 +3,13 @@ const CodeReviewAgent = require('./CodeReviewAgent');
 const CodeOptimizationAgent = require('./CodeOptimizationAgent');
 const DocumentationAgent = require('./DocumentationAgent');
 const AIAgentManager = require('./AIAgentManager');
+const FixtureServer = require('./FixtureServer');
 
 module.exports = {
   ClaudeAgent,
   CodeReviewAgent,
   CodeOptimizationAgent,
   DocumentationAgent,
-  AIAgentManager
+  AIAgentManager,
+  FixtureServer
 };
\ No newline at end of file
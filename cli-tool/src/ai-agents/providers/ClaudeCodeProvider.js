@@ -0,0 +1,143 @@
+/**
+ * ClaudeCodeProvider - Runs agent prompts through the Claude Code SDK
+ * Uses the local Claude Code login (or ANTHROPIC_API_KEY) and streams the assistant's
+ * text to the caller token by token from the SDK's partial messages
+ */
+
+/**
+ * Pick the line that explains a Claude Code crash from its stderr
+ * Crash traces end with stack frames and the Node.js version, so the thrown error line is preferred
+ * @param {string} stderr - Captured stderr
+ * @returns {string|null} Detail line
+ */
+function stderrDetail(stderr) {
+  const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+  const errorLine = lines.find(line => /^[A-Za-z]*Error: /.test(line));
+  if (errorLine) {
+    return errorLine.replace(/^Error: /, '');
+  }
+  const meaningful = lines.filter(line => !/^(at |Node\.js v|\^+$)/.test(line));
+  return meaningful.pop() || null;
+}
+
+class ClaudeCodeProvider {
+  constructor(options = {}) {
+    this.options = {
+      // Agents only read the project, their output is written by the agents themselves
+      allowedTools: ['Read', 'Glob', 'Grep', 'LS'],
+      maxTurns: 10,
+      ...options
+    };
+
+    this.name = 'claude-code';
+    this.live = true;
+    // Injected in tests; otherwise loaded on first use because the SDK is an ES module
+    this.query = options.query || null;
+  }
+
+  /**
+   * Load the SDK's query function
+   * @returns {Promise<Function>} query
+   */
+  async loadQuery() {
+    if (!this.query) {
+      const sdk = await import('@anthropic-ai/claude-code');
+      this.query = sdk.query;
+    }
+    return this.query;
+  }
+
+  /**
+   * Check whether the SDK can be used
+   * Authentication is only known once a request is made
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async checkAvailability() {
+    try {
+      await this.loadQuery();
+      return { available: true, reason: null };
+    } catch (error) {
+      return { available: false, reason: `the Claude Code SDK could not be loaded (${error.message})` };
+    }
+  }
+
+  /**
+   * Send a prompt to Claude
+   * @param {string} prompt - User prompt
+   * @param {Object} request - systemPrompt, cwd and onText(chunk) for streaming
+   * @returns {Promise<Object>} { text, live, provider, model, sessionId, costUsd, durationMs, numTurns }
+   */
+  async complete(prompt, request = {}) {
+    const query = await this.loadQuery();
+    let stderr = '';
+    const sdkOptions = {
+      // The SDK only reports the exit code when the Claude Code process fails
+      stderr: (data) => { stderr += data; },
+      allowedTools: this.options.allowedTools,
+      maxTurns: this.options.maxTurns,
+      includePartialMessages: true,
+      cwd: request.cwd || this.options.cwd || process.cwd(),
+      ...(request.systemPrompt && { appendSystemPrompt: request.systemPrompt }),
+      ...(this.options.model && { model: this.options.model })
+    };
+
+    let model = null;
+    let result = null;
+    let streamed = false;
+    let newTurn = false;
+
+    try {
+      for await (const message of query({ prompt, options: sdkOptions })) {
+        if (message.type === 'system' && message.subtype === 'init') {
+          model = message.model;
+        } else if (message.type === 'stream_event' && !message.parent_tool_use_id) {
+          // Each turn is a new API message, its text is set apart from the previous turn's
+          const event = message.event;
+          if (event.type === 'message_start') {
+            newTurn = streamed;
+          } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta' && request.onText) {
+            request.onText(newTurn ? `\n\n${event.delta.text}` : event.delta.text);
+            newTurn = false;
+            streamed = true;
+          }
+        } else if (message.type === 'result') {
+          result = message;
+        }
+      }
+    } catch (error) {
+      throw this.requestError(stderrDetail(stderr) || error.message);
+    }
+
+    if (!result) {
+      throw new Error('Claude Code ended without a result');
+    }
+    if (result.subtype === 'error_max_turns') {
+      throw new Error(`Claude Code stopped after ${result.num_turns} turns without a final answer`);
+    }
+    if (result.subtype !== 'success' || result.is_error) {
+      throw this.requestError(result.result || 'error during execution');
+    }
+
+    return {
+      text: result.result,
+      live: true,
+      provider: this.name,
+      model,
+      sessionId: result.session_id,
+      costUsd: result.total_cost_usd,
+      durationMs: result.duration_ms,
+      numTurns: result.num_turns
+    };
+  }
+
+  /**
+   * Build the error for a failed request, with what to do about it
+   * @param {string} detail - What went wrong
+   * @returns {Error} Error
+   */
+  requestError(detail) {
+    return new Error(`Claude Code request failed: ${detail} (check \`claude auth status\`, or use --demo for sample output)`);
+  }
+}
+
+module.exports = ClaudeCodeProvider;
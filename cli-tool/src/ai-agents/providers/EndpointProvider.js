@@ -0,0 +1,138 @@
+const { postJson } = require('./http');
+const { createEventParser, applyEvent, isEventStream } = require('./message-stream');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * EndpointProvider - Sends agent prompts to an Anthropic Messages API compatible endpoint
+ * Set with --agent-endpoint or CCT_AGENT_ENDPOINT, e.g. a proxy, a self-hosted gateway or the
+ * fixture server that replays recorded responses in CI. Responses from a fixture server are
+ * marked as replayed.
+ */
+class EndpointProvider {
+  constructor(options = {}) {
+    this.options = {
+      model: DEFAULT_MODEL,
+      maxTokens: 4096,
+      timeout: 120000,
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      ...options
+    };
+
+    this.name = 'endpoint';
+    this.live = true;
+  }
+
+  /**
+   * Check that the endpoint is a usable URL
+   * Whether it answers is only known once a request is made
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async checkAvailability() {
+    try {
+      const url = new URL(this.options.endpoint);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { available: false, reason: `the endpoint must be an http or https URL, got "${this.options.endpoint}"` };
+      }
+      return { available: true, reason: null };
+    } catch (error) {
+      return { available: false, reason: `invalid endpoint URL "${this.options.endpoint}"` };
+    }
+  }
+
+  /**
+   * Send a prompt as a single user message and stream the answer
+   * @param {string} prompt - User prompt
+   * @param {Object} request - systemPrompt and onText(chunk) for streaming
+   * @returns {Promise<Object>} { text, live, provider, model, replayed, inputTokens, outputTokens }
+   */
+  async complete(prompt, request = {}) {
+    const url = `${this.options.endpoint.replace(/\/+$/, '')}/v1/messages`;
+    const body = {
+      model: this.options.model,
+      max_tokens: this.options.maxTokens,
+      stream: true,
+      ...(request.systemPrompt && { system: request.systemPrompt }),
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    // The message is rebuilt from the events, its text is passed on as each delta arrives
+    let message = null;
+    let streamError = null;
+    const parser = createEventParser(({ data }) => {
+      if (data.type === 'error') {
+        streamError = (data.error && data.error.message) || 'error event';
+        return;
+      }
+      message = applyEvent(message, data);
+      if (data.type === 'content_block_delta' && data.delta.type === 'text_delta' && request.onText) {
+        request.onText(data.delta.text);
+      }
+    });
+    const readEvents = (read) => {
+      try {
+        read();
+      } catch (error) {
+        streamError = streamError || `unreadable event stream (${error.message})`;
+      }
+    };
+
+    let response;
+    try {
+      response = await postJson(url, body, {
+        headers: {
+          'anthropic-version': '2023-06-01',
+          ...(this.options.apiKey && { 'x-api-key': this.options.apiKey })
+        },
+        timeout: this.options.timeout,
+        onData: (chunk, res) => {
+          if (!streamError && isEventStream(res.statusCode, res.headers)) {
+            readEvents(() => parser.push(chunk));
+          }
+        }
+      });
+    } catch (error) {
+      throw new Error(`Endpoint request to ${url} failed: ${error.message}`);
+    }
+
+    let data = null;
+    if (isEventStream(response.status, response.headers)) {
+      readEvents(() => parser.end());
+      if (streamError || !message) {
+        throw new Error(`Endpoint request to ${url} failed: ${streamError || 'the event stream ended without a message'}`);
+      }
+      data = message;
+    } else {
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        // Reported below with the status
+      }
+      if (response.status !== 200 || !data) {
+        const detail = (data && data.error && data.error.message) || response.body.slice(0, 200) || 'empty response';
+        throw new Error(`Endpoint request to ${url} failed (${response.status}): ${detail}`);
+      }
+    }
+
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    // Endpoints that do not stream answer with the whole message at once
+    if (data !== message && text && request.onText) {
+      request.onText(text);
+    }
+
+    return {
+      text,
+      live: true,
+      provider: this.name,
+      model: data.model || this.options.model,
+      replayed: response.headers['x-cct-fixture'] === 'replay',
+      inputTokens: data.usage ? data.usage.input_tokens : undefined,
+      outputTokens: data.usage ? data.usage.output_tokens : undefined
+    };
+  }
+}
+
+module.exports = EndpointProvider;
@@ -0,0 +1,57 @@
+/**
+ * MockProvider - Scripted responses for tests
+ * Responses are returned in order (the last one repeats), or computed by a function of
+ * (prompt, request). Each response is streamed in chunks and every call is recorded.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.options = {
+      responses: ['Mock response'],
+      chunkSize: 16,
+      available: true,
+      ...options
+    };
+
+    this.name = 'mock';
+    this.live = false;
+    this.calls = [];
+  }
+
+  /**
+   * Availability is configured by the test
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async checkAvailability() {
+    return this.options.available
+      ? { available: true, reason: null }
+      : { available: false, reason: 'mock provider configured as unavailable' };
+  }
+
+  /**
+   * Return the next scripted response
+   * @param {string} prompt - User prompt
+   * @param {Object} request - Request options, onText(chunk) for streaming
+   * @returns {Promise<Object>} { text, live: false, provider: 'mock' }
+   */
+  async complete(prompt, request = {}) {
+    this.calls.push({ prompt, request });
+
+    const { responses, chunkSize } = this.options;
+    const response = typeof responses === 'function'
+      ? await responses(prompt, request)
+      : responses[Math.min(this.calls.length, responses.length) - 1];
+    if (response instanceof Error) {
+      throw response;
+    }
+
+    const text = String(response);
+    if (request.onText) {
+      for (let i = 0; i < text.length; i += chunkSize) {
+        request.onText(text.slice(i, i + chunkSize));
+      }
+    }
+    return { text, live: false, provider: this.name, model: null };
+  }
+}
+
+module.exports = MockProvider;
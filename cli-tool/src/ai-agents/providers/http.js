@@ -0,0 +1,46 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body and read the whole response
+ * @param {string} url - http or https URL
+ * @param {Object} body - Request body, sent as JSON
+ * @param {Object} options - headers, timeout (ms) and onData(chunk, response) to read the body as it arrives
+ * @returns {Promise<Object>} { status, headers, body } with the body as text
+ */
+function postJson(url, body, options = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        ...options.headers,
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(payload)
+      },
+      timeout: options.timeout || 120000
+    }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        data += chunk;
+        if (options.onData) {
+          options.onData(chunk, response);
+        }
+      });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: data }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response from ${target.origin} after ${options.timeout || 120000}ms`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,33 @@
+const ClaudeCodeProvider = require('./ClaudeCodeProvider');
+const DemoProvider = require('./DemoProvider');
+const EndpointProvider = require('./EndpointProvider');
+const MockProvider = require('./MockProvider');
+
+/**
+ * Create the provider the agents send their prompts to
+ * @param {Object} options - demo (canned output), endpoint (Messages API URL) with model,
+ * otherwise Claude Code SDK options (model, maxTurns, cwd)
+ * @returns {Object} Provider with name, live, checkAvailability() and complete(prompt, request)
+ */
+function createProvider(options = {}) {
+  if (options.demo) {
+    return new DemoProvider();
+  }
+  const { endpoint, model, maxTurns, cwd } = options;
+  if (endpoint) {
+    return new EndpointProvider({ endpoint, ...(model && { model }) });
+  }
+  return new ClaudeCodeProvider({
+    ...(model && { model }),
+    ...(maxTurns && { maxTurns }),
+    ...(cwd && { cwd })
+  });
+}
+
+module.exports = {
+  ClaudeCodeProvider,
+  DemoProvider,
+  EndpointProvider,
+  MockProvider,
+  createProvider
+};
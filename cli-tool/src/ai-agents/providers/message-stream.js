@@ -0,0 +1,160 @@
+/**
+ * Server-sent events of the Anthropic Messages API when a request has stream: true
+ * A response is message_start, then content_block_start, content_block_delta and
+ * content_block_stop for each block, then message_delta and message_stop
+ */
+
+/**
+ * Whether a response is a stream of server-sent events
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {boolean} True for a successful event stream
+ */
+function isEventStream(status, headers) {
+  return status === 200 && /^text\/event-stream/.test(headers['content-type'] || '');
+}
+
+/**
+ * Create a parser for an event stream that arrives in arbitrary chunks
+ * @param {Function} onEvent - Called with { event, data } for every complete event, data parsed as JSON
+ * @returns {Object} { push(chunk), end() }
+ */
+function createEventParser(onEvent) {
+  let buffer = '';
+
+  const emit = (raw) => {
+    let event = 'message';
+    const data = [];
+    raw.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    if (data.length > 0) {
+      onEvent({ event, data: JSON.parse(data.join('\n')) });
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(emit);
+    },
+    end() {
+      if (buffer.trim()) {
+        emit(buffer);
+      }
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Build the message a stream describes, one event at a time
+ * @param {Object|null} message - Message so far, null before message_start
+ * @param {Object} data - Event data
+ * @returns {Object|null} Updated message
+ */
+function applyEvent(message, data) {
+  switch (data.type) {
+    case 'message_start':
+      return { ...data.message, content: [] };
+    case 'content_block_start':
+      message.content[data.index] = { ...data.content_block };
+      break;
+    case 'content_block_delta': {
+      const block = message.content[data.index];
+      if (data.delta.type === 'text_delta') {
+        block.text = (block.text || '') + data.delta.text;
+      } else if (data.delta.type === 'input_json_delta') {
+        block.partialJson = (block.partialJson || '') + data.delta.partial_json;
+      }
+      break;
+    }
+    case 'content_block_stop': {
+      const block = message.content[data.index];
+      if (block.partialJson !== undefined) {
+        block.input = JSON.parse(block.partialJson);
+        delete block.partialJson;
+      }
+      break;
+    }
+    case 'message_delta':
+      Object.assign(message, data.delta);
+      message.usage = { ...message.usage, ...data.usage };
+      break;
+    default:
+      break;
+  }
+  return message;
+}
+
+/**
+ * Build the message of a whole event stream
+ * @param {string} text - Event stream
+ * @returns {Object} Message
+ */
+function readMessage(text) {
+  let message = null;
+  const parser = createEventParser(({ data }) => {
+    if (data.type === 'error') {
+      throw new Error((data.error && data.error.message) || 'error event');
+    }
+    message = applyEvent(message, data);
+  });
+  parser.push(text);
+  parser.end();
+  if (!message) {
+    throw new Error('the event stream has no message');
+  }
+  return message;
+}
+
+/**
+ * Describe a complete message as the events of a stream
+ * @param {Object} message - Messages API response
+ * @returns {Array<Object>} Event data, in order
+ */
+function messageToEvents(message) {
+  const { content = [], usage = {}, stop_reason: stopReason = 'end_turn', stop_sequence: stopSequence = null, ...rest } = message;
+  const events = [{ type: 'message_start', message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } } }];
+
+  content.forEach((block, index) => {
+    if (block.type === 'text') {
+      events.push({ type: 'content_block_start', index, content_block: { ...block, text: '' } });
+      events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } });
+    } else if (block.type === 'tool_use') {
+      events.push({ type: 'content_block_start', index, content_block: { ...block, input: {} } });
+      events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+    } else {
+      events.push({ type: 'content_block_start', index, content_block: block });
+    }
+    events.push({ type: 'content_block_stop', index });
+  });
+
+  events.push({ type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: stopSequence }, usage: { output_tokens: usage.output_tokens || 0 } });
+  events.push({ type: 'message_stop' });
+  return events;
+}
+
+/**
+ * Format event data as a server-sent event
+ * @param {Object} data - Event data with its type
+ * @returns {string} Event text
+ */
+function formatEvent(data) {
+  return `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  isEventStream,
+  createEventParser,
+  applyEvent,
+  readMessage,
+  messageToEvents,
+  formatEvent
+};
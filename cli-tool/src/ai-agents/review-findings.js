@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const packageJson = require('../../package.json');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+const CATEGORIES = ['security', 'bug', 'performance', 'architecture', 'maintainability', 'documentation'];
+const FINDING_FIELDS = ['file', 'startLine', 'endLine', 'severity', 'category', 'rule', 'message', 'fix'];
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+const FINGERPRINT_KEY = 'cctFindingHash/v1';
+
+/**
+ * Output format appended to the review prompts
+ */
+const FINDINGS_INSTRUCTIONS = `After your review, list every finding in a fenced \`\`\`json block of this form:
+{"findings": [{"file": "src/db.js", "startLine": 42, "endLine": 45, "severity": "high", "category": "security", "rule": "sql-injection", "message": "User input is concatenated into a SQL query", "fix": "Use a parameterized query"}]}
+- file: path relative to the project root
+- startLine, endLine: 1-based line range in that file, leave both out for findings about the whole file
+- severity: ${SEVERITIES.join(', ')}
+- category: ${CATEGORIES.join(', ')}
+- rule: short kebab-case identifier of the kind of issue, reused for every finding of that kind
+- message: what is wrong and why; fix: the suggested change
+Only report issues in files that exist in the project. Use {"findings": []} when there is nothing to report.`;
+
+/**
+ * Find the findings block in a model response
+ * The last fenced json block with a findings array wins, so examples earlier in the answer are ignored
+ * @param {string} text - Response text
+ * @returns {Array|null} Raw findings, null when the response has none
+ */
+function parseFindingsBlock(text) {
+  const blocks = [...String(text).matchAll(/```json\s*\n([\s\S]*?)```/g)].map(match => match[1]);
+
+  for (const block of blocks.reverse()) {
+    try {
+      const data = JSON.parse(block);
+      if (data && Array.isArray(data.findings)) {
+        return data.findings;
+      }
+    } catch (error) {
+      // Not the findings block
+    }
+  }
+  return null;
+}
+
+/**
+ * Check one finding against the schema and the project's files
+ * @param {Object} raw - Finding from the model
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} Normalized finding
+ * @throws {Error} What is wrong with the finding
+ */
+async function validateFinding(raw, projectPath) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('must be an object');
+  }
+  const unknown = Object.keys(raw).filter(key => !FINDING_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown field "${unknown[0]}"`);
+  }
+  for (const field of ['file', 'rule', 'message']) {
+    if (typeof raw[field] !== 'string' || !raw[field].trim()) {
+      throw new Error(`${field} must be a non-empty string`);
+    }
+  }
+  if (!SEVERITIES.includes(raw.severity)) {
+    throw new Error(`severity must be one of ${SEVERITIES.join(', ')}, got ${JSON.stringify(raw.severity)}`);
+  }
+  if (!CATEGORIES.includes(raw.category)) {
+    throw new Error(`category must be one of ${CATEGORIES.join(', ')}, got ${JSON.stringify(raw.category)}`);
+  }
+  if (raw.fix !== undefined && typeof raw.fix !== 'string') {
+    throw new Error('fix must be a string');
+  }
+
+  // Absolute paths inside the project are accepted and made relative
+  const absolute = path.resolve(projectPath, raw.file);
+  const file = path.relative(projectPath, absolute).split(path.sep).join('/');
+  if (!file || file.startsWith('../') || path.isAbsolute(file)) {
+    throw new Error(`file "${raw.file}" is outside the project`);
+  }
+  if (!(await fs.pathExists(absolute)) || !(await fs.stat(absolute)).isFile()) {
+    throw new Error(`file "${file}" does not exist in the project`);
+  }
+
+  const finding = {
+    file,
+    startLine: null,
+    endLine: null,
+    severity: raw.severity,
+    category: raw.category,
+    rule: raw.rule.trim(),
+    message: raw.message.trim(),
+    fix: raw.fix ? raw.fix.trim() : null
+  };
+
+  if (raw.startLine !== undefined || raw.endLine !== undefined) {
+    const startLine = raw.startLine;
+    const endLine = raw.endLine === undefined ? startLine : raw.endLine;
+    if (!Number.isInteger(startLine) || startLine < 1) {
+      throw new Error(`startLine must be a line number, got ${JSON.stringify(startLine)}`);
+    }
+    if (!Number.isInteger(endLine) || endLine < startLine) {
+      throw new Error(`endLine must be a line number not before startLine, got ${JSON.stringify(endLine)}`);
+    }
+    const lineCount = (await fs.readFile(absolute, 'utf8')).split('\n').length;
+    if (endLine > lineCount) {
+      throw new Error(`lines ${startLine}-${endLine} are past the end of ${file} (${lineCount} lines)`);
+    }
+    finding.startLine = startLine;
+    finding.endLine = endLine;
+  }
+
+  return finding;
+}
+
+/**
+ * Fingerprint that survives reworded messages and code moving to other lines:
+ * the rule, the file and the flagged code itself
+ * @param {Object} finding - Validated finding
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string>} Fingerprint
+ */
+async function fingerprintFinding(finding, projectPath) {
+  let code = '';
+  if (finding.startLine) {
+    const lines = (await fs.readFile(path.join(projectPath, finding.file), 'utf8')).split('\n');
+    code = lines.slice(finding.startLine - 1, finding.endLine).join('\n').replace(/\s+/g, ' ').trim();
+  }
+  return crypto.createHash('sha256')
+    .update(`${finding.rule}\0${finding.file}\0${code}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Extract, validate and fingerprint the findings of a model response
+ * Invalid findings are left out and reported in errors
+ * @param {string} text - Response text
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} { findings, errors }
+ */
+async function extractFindings(text, projectPath) {
+  const raw = parseFindingsBlock(text);
+  if (!raw) {
+    return { findings: [], errors: ['the response has no ```json block with a "findings" array'] };
+  }
+
+  const findings = [];
+  const errors = [];
+  for (const [index, item] of raw.entries()) {
+    try {
+      const finding = await validateFinding(item, projectPath);
+      finding.fingerprint = await fingerprintFinding(finding, projectPath);
+      findings.push(finding);
+    } catch (error) {
+      errors.push(`finding #${index + 1}: ${error.message}`);
+    }
+  }
+  return { findings, errors };
+}
+
+/**
+ * Merge findings reported more than once (e.g. by the project review and the security analysis)
+ * The most severe report of a fingerprint is kept
+ * @param {Array} findings - Validated findings
+ * @returns {Array} Findings, most severe first
+ */
+function dedupeFindings(findings) {
+  const byFingerprint = new Map();
+  for (const finding of findings) {
+    const kept = byFingerprint.get(finding.fingerprint);
+    if (!kept || SEVERITIES.indexOf(finding.severity) < SEVERITIES.indexOf(kept.severity)) {
+      byFingerprint.set(finding.fingerprint, finding);
+    }
+  }
+  return Array.from(byFingerprint.values()).sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    (a.startLine || 0) - (b.startLine || 0));
+}
+
+/**
+ * Compare findings with those of a previous run
+ * Sets baselineState (new or unchanged) on each finding, as in SARIF
+ * @param {Array} findings - Current findings
+ * @param {Array} previous - Findings of the previous run
+ * @returns {Object} { new, unchanged, resolved } counts and the resolved findings
+ */
+function compareFindings(findings, previous) {
+  const previousFingerprints = new Set(previous.map(finding => finding.fingerprint));
+  const currentFingerprints = new Set(findings.map(finding => finding.fingerprint));
+
+  findings.forEach(finding => {
+    finding.baselineState = previousFingerprints.has(finding.fingerprint) ? 'unchanged' : 'new';
+  });
+  const resolvedFindings = previous.filter(finding => !currentFingerprints.has(finding.fingerprint));
+
+  return {
+    new: findings.filter(finding => finding.baselineState === 'new').length,
+    unchanged: findings.filter(finding => finding.baselineState === 'unchanged').length,
+    resolved: resolvedFindings.length,
+    resolvedFindings
+  };
+}
+
+/**
+ * Convert findings to a SARIF 2.1.0 log for code scanning tools
+ * @param {Array} findings - Validated findings
+ * @param {Object} options - projectPath and sessionId
+ * @returns {Object} SARIF log
+ */
+function toSarif(findings, options = {}) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  for (const finding of findings) {
+    if (!ruleIndexes.has(finding.rule)) {
+      ruleIndexes.set(finding.rule, rules.length);
+      rules.push({
+        id: finding.rule,
+        shortDescription: { text: finding.rule.replace(/[-_]+/g, ' ') },
+        properties: { category: finding.category, tags: [finding.category] }
+      });
+    }
+  }
+
+  const results = findings.map(finding => {
+    const physicalLocation = { artifactLocation: { uri: finding.file, uriBaseId: 'PROJECTROOT' } };
+    if (finding.startLine) {
+      physicalLocation.region = { startLine: finding.startLine, endLine: finding.endLine };
+    }
+    return {
+      ruleId: finding.rule,
+      ruleIndex: ruleIndexes.get(finding.rule),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: finding.fix ? `${finding.message}\nSuggested fix: ${finding.fix}` : finding.message },
+      locations: [{ physicalLocation }],
+      partialFingerprints: { [FINGERPRINT_KEY]: finding.fingerprint },
+      ...(finding.baselineState && { baselineState: finding.baselineState }),
+      properties: { severity: finding.severity, category: finding.category }
+    };
+  });
+
+  const projectUri = `file://${path.resolve(options.projectPath || process.cwd()).split(path.sep).join('/').replace(/\/?$/, '/')}`;
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'claude-code-templates CodeReview Agent',
+          version: packageJson.version,
+          informationUri: packageJson.homepage,
+          rules
+        }
+      },
+      ...(options.sessionId && { automationDetails: { id: `code-review/${options.sessionId}` } }),
+      originalUriBaseIds: { PROJECTROOT: { uri: projectUri } },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  FINDINGS_INSTRUCTIONS,
+  parseFindingsBlock,
+  validateFinding,
+  extractFindings,
+  dedupeFindings,
+  compareFindings,
+  toSarif
+};
@@ -33,6 +33,20 @@ class AgentsPage {
       conversationId: null
     };
     
+    // Full-text message search state
+    this.messageSearch = {
+      timeout: null,
+      requestId: 0,
+      results: []
+    };
+    
+    // Permission relay audit log view
+    this.permissionAudit = {
+      visible: false,
+      timeout: null,
+      requestId: 0
+    };
+    
     // Loaded conversations cache
     this.loadedConversations = [];
     this.loadedMessages = new Map(); // Cache messages by conversation ID (now stores paginated data)
@@ -58,6 +72,15 @@ class AgentsPage {
       } else if (type === 'console_interaction') {
         console.log('🔄 WebSocket: Console interaction request received', data);
         this.showConsoleInteraction(data);
+      } else if (type === 'console_interaction_resolved') {
+        // Answered in another tab or timed out
+        if (this.currentInteraction && this.currentInteraction.id === data.id) {
+          this.hideConsoleInteraction();
+        }
+      } else if (type === 'permission_decision') {
+        if (this.permissionAudit.visible) {
+          this.loadPermissionAudit();
+        }
       }
     });
   }
@@ -365,18 +388,24 @@ class AgentsPage {
     // Show the panel
     panel.style.display = 'block';
     
-    // Set up the interaction content
+    // Set up the interaction content (tool input comes from Claude, never trust it as HTML)
     if (interactionData.description) {
       description.innerHTML = `
         <div class="tool-action">
-          <strong>${interactionData.tool || 'Action'}:</strong>
-          <div class="tool-details">${interactionData.description}</div>
+          <strong>${this.escapeHtml(interactionData.tool || 'Action')}:</strong>
+          <pre class="tool-details">${this.escapeHtml(interactionData.description)}</pre>
         </div>
       `;
     }
     
     if (interactionData.prompt) {
-      prompt.textContent = interactionData.prompt;
+      const fallback = interactionData.defaultDecision === 'deny' ? 'denied' : 'asked in the terminal';
+      prompt.textContent = interactionData.expiresAt
+        ? `${interactionData.prompt} (${fallback} if unanswered by ${new Date(interactionData.expiresAt).toLocaleTimeString()})`
+        : interactionData.prompt;
+      if (interactionData.policyReason) {
+        prompt.textContent += ` Required by policy: ${interactionData.policyReason}`;
+      }
     }
     
     // Handle different interaction types
@@ -389,7 +418,7 @@ class AgentsPage {
         <label class="interaction-choice">
           <input type="radio" name="console-choice" value="${index}" ${index === 0 ? 'checked' : ''}>
           <span class="choice-number">${index + 1}.</span>
-          <span class="choice-text">${option}</span>
+          <span class="choice-text">${this.escapeHtml(option)}</span>
         </label>
       `).join('');
       
@@ -633,6 +662,60 @@ class AgentsPage {
               </div>
             </div>
           </div>
+          
+          <div class="filters-row message-search-row">
+            <div class="filter-group search-group">
+              <label class="filter-label">Search in messages:</label>
+              <div class="search-input-container">
+                <input type="text" class="filter-input search-input" id="message-search" placeholder='Find text in all messages and tool output ("exact phrase", tool:Bash, role:user, project:name)'>
+                <button class="search-clear" id="clear-message-search" title="Clear message search">×</button>
+              </div>
+            </div>
+          </div>
+          <div class="message-search-results" id="message-search-results" style="display: none;"></div>
+        </div>
+
+        <!-- Permission Audit Section -->
+        <div class="permission-audit-section">
+          <div class="agents-header">
+            <h4>Permission Decisions</h4>
+            <div class="agents-info">
+              <span class="agents-count" id="permission-audit-count"></span>
+              <button class="refresh-agents-btn" id="toggle-permission-audit" title="Show decisions of the permission relay">Show</button>
+            </div>
+          </div>
+          <div class="permission-audit-body" id="permission-audit-body" style="display: none;">
+            <div class="filters-row">
+              <div class="filter-group">
+                <label class="filter-label">Decision:</label>
+                <select class="filter-select" id="audit-decision-filter">
+                  <option value="">All</option>
+                  <option value="allow">Allowed</option>
+                  <option value="deny">Denied</option>
+                  <option value="ask">Asked in terminal</option>
+                </select>
+              </div>
+              <div class="filter-group">
+                <label class="filter-label">Decided by:</label>
+                <select class="filter-select" id="audit-source-filter">
+                  <option value="">Anyone</option>
+                  <option value="policy">Policy</option>
+                  <option value="dashboard">Dashboard</option>
+                  <option value="timeout">Timeout</option>
+                  <option value="no-dashboard">No dashboard open</option>
+                  <option value="hook">Hook stopped waiting</option>
+                  <option value="shutdown">Dashboard closed</option>
+                </select>
+              </div>
+              <div class="filter-group search-group">
+                <label class="filter-label">Filter:</label>
+                <div class="search-input-container">
+                  <input type="text" class="filter-input search-input" id="audit-search" placeholder="Command, path or reason (tool:Bash, project:name)">
+                </div>
+              </div>
+            </div>
+            <div class="message-search-results permission-audit-list" id="permission-audit-list"></div>
+          </div>
         </div>
 
         <!-- Agents Section -->
@@ -744,7 +827,12 @@ class AgentsPage {
                 <div class="selected-conversation-meta" id="selected-conversation-meta"></div>
               </div>
               <div class="messages-actions">
-                <button class="action-btn-small" id="export-conversation" title="Export conversation">
+                <select class="filter-select export-format-select" id="export-format" title="Transcript format">
+                  <option value="md">Markdown</option>
+                  <option value="html">HTML</option>
+                  <option value="json">JSON</option>
+                </select>
+                <button class="action-btn-small" id="export-conversation" title="Export full transcript with tool calls, results and diffs">
                   <span class="btn-icon-small">📁</span>
                   Export
                 </button>
@@ -829,6 +917,25 @@ class AgentsPage {
     const clearSearch = this.container.querySelector('#clear-search');
     clearSearch.addEventListener('click', () => this.clearSearch());
 
+    // Full-text message search
+    const messageSearchInput = this.container.querySelector('#message-search');
+    messageSearchInput.addEventListener('input', (e) => this.scheduleMessageSearch(e.target.value));
+    messageSearchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.clearMessageSearch();
+    });
+
+    const clearMessageSearch = this.container.querySelector('#clear-message-search');
+    clearMessageSearch.addEventListener('click', () => this.clearMessageSearch());
+
+    // Permission audit log
+    this.container.querySelector('#toggle-permission-audit').addEventListener('click', () => this.togglePermissionAudit());
+    this.container.querySelector('#audit-decision-filter').addEventListener('change', () => this.loadPermissionAudit());
+    this.container.querySelector('#audit-source-filter').addEventListener('change', () => this.loadPermissionAudit());
+    this.container.querySelector('#audit-search').addEventListener('input', () => {
+      clearTimeout(this.permissionAudit.timeout);
+      this.permissionAudit.timeout = setTimeout(() => this.loadPermissionAudit(), 300);
+    });
+
     // Error retry
     const retryBtn = this.container.querySelector('#retry-load');
     if (retryBtn) {
@@ -3748,7 +3855,7 @@ class AgentsPage {
     const messageId = message.id ? message.id.slice(-8) : 'unknown';
     
     return `
-      <div class="terminal-message ${isUser ? 'user' : 'assistant'}" data-message-id="${message.id || ''}">
+      <div class="terminal-message ${isUser ? 'user' : 'assistant'}" data-message-id="${message.id || ''}" data-message-uuid="${message.uuid || ''}">
         <div class="message-container">
           <div class="message-prompt">
             <span class="prompt-char">${prompt}</span>
@@ -4397,6 +4504,269 @@ class AgentsPage {
     this.updateFilter('search', '');
   }
 
+  /**
+   * Run a message search shortly after the user stops typing
+   * @param {string} value - Raw search input
+   */
+  scheduleMessageSearch(value) {
+    clearTimeout(this.messageSearch.timeout);
+    this.messageSearch.timeout = setTimeout(() => this.runMessageSearch(value), 300);
+  }
+
+  /**
+   * Split the search input into query text and filters
+   * Supports tool:, role: and project: qualifiers; the time range filter limits the dates searched
+   * @param {string} value - Raw search input
+   * @returns {Object} Query and filters for the search API
+   */
+  parseMessageSearchInput(value) {
+    const filters = {};
+    const query = value.replace(/(^|\s)(tool|role|project):(\S+)/g, (match, space, key, filterValue) => {
+      filters[key] = filterValue;
+      return ' ';
+    }).trim();
+
+    const timeRange = this.getTimeRangeMs(this.filters.timeRange);
+    if (timeRange > 0) {
+      const fromDate = new Date(Date.now() - timeRange);
+      const pad = (number) => String(number).padStart(2, '0');
+      filters.from = `${fromDate.getFullYear()}-${pad(fromDate.getMonth() + 1)}-${pad(fromDate.getDate())}`;
+    }
+
+    return { query, filters };
+  }
+
+  /**
+   * Search all conversations and show the matching messages
+   * @param {string} value - Raw search input
+   */
+  async runMessageSearch(value) {
+    const resultsContainer = this.container.querySelector('#message-search-results');
+    if (!resultsContainer) return;
+
+    const { query, filters } = this.parseMessageSearchInput(value || '');
+    const requestId = ++this.messageSearch.requestId;
+
+    if (!query) {
+      this.messageSearch.results = [];
+      resultsContainer.style.display = 'none';
+      resultsContainer.innerHTML = '';
+      return;
+    }
+
+    resultsContainer.style.display = 'block';
+    resultsContainer.innerHTML = '<div class="message-search-status">Searching...</div>';
+
+    try {
+      const data = await this.dataService.searchMessages(query, { ...filters, limit: 20 });
+      // Ignore responses for queries that have been replaced in the meantime
+      if (requestId !== this.messageSearch.requestId) return;
+      this.renderMessageSearchResults(data);
+    } catch (error) {
+      if (requestId !== this.messageSearch.requestId) return;
+      console.error('Error searching messages:', error);
+      resultsContainer.innerHTML = '<div class="message-search-status error">Search failed</div>';
+    }
+  }
+
+  /**
+   * Render message search results
+   * @param {Object} data - Response of the search API
+   */
+  renderMessageSearchResults(data) {
+    const resultsContainer = this.container.querySelector('#message-search-results');
+    if (!resultsContainer) return;
+
+    this.messageSearch.results = data.results || [];
+
+    if (this.messageSearch.results.length === 0) {
+      resultsContainer.innerHTML = '<div class="message-search-status">No messages found</div>';
+      return;
+    }
+
+    const shown = this.messageSearch.results.length;
+    resultsContainer.innerHTML = `
+      <div class="message-search-status">
+        ${data.total} match${data.total !== 1 ? 'es' : ''}${data.total > shown ? `, showing the best ${shown}` : ''}
+      </div>
+      ${this.messageSearch.results.map((result, index) => `
+        <div class="message-search-result" data-result-index="${index}" title="Open this message">
+          <div class="message-search-meta">
+            <span class="meta-item">📁 ${this.escapeHtml(result.project || 'Unknown Project')}</span>
+            <span class="meta-item">${result.role === 'user' ? '> user' : '# claude'}</span>
+            ${result.timestamp ? `<span class="meta-item">🕒 ${this.formatRelativeTime(new Date(result.timestamp))}</span>` : ''}
+            ${(result.tools || []).map(tool => `<span class="message-search-tool">${this.escapeHtml(tool)}</span>`).join('')}
+          </div>
+          <div class="message-search-snippet">${this.renderSearchSnippet(result)}</div>
+        </div>
+      `).join('')}
+    `;
+
+    resultsContainer.querySelectorAll('.message-search-result').forEach(item => {
+      item.addEventListener('click', () => {
+        const result = this.messageSearch.results[parseInt(item.dataset.resultIndex)];
+        if (result) this.jumpToSearchResult(result);
+      });
+    });
+  }
+
+  /**
+   * Render a search snippet with its matches highlighted
+   * @param {Object} result - Search result with snippet and highlight ranges
+   * @returns {string} HTML
+   */
+  renderSearchSnippet(result) {
+    const snippet = result.snippet || '';
+    let html = '';
+    let position = 0;
+
+    (result.highlights || []).forEach(({ start, end }) => {
+      html += this.escapeHtml(snippet.slice(position, start));
+      html += `<mark>${this.escapeHtml(snippet.slice(start, end))}</mark>`;
+      position = end;
+    });
+
+    return html + this.escapeHtml(snippet.slice(position));
+  }
+
+  /**
+   * Open the conversation of a search result and scroll to the matching message
+   * Older pages are loaded until the message is rendered
+   * @param {Object} result - Search result
+   */
+  async jumpToSearchResult(result) {
+    await this.selectConversation(result.conversationId);
+
+    let messageElement = this.findMessageElement(result);
+    while (!messageElement && this.messagesPagination.hasMore &&
+           this.messagesPagination.conversationId === result.conversationId) {
+      await this.loadMoreMessages(result.conversationId, false);
+      messageElement = this.findMessageElement(result);
+    }
+
+    if (!messageElement) return;
+
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageElement.classList.add('search-match');
+    setTimeout(() => messageElement.classList.remove('search-match'), 3000);
+  }
+
+  /**
+   * Find the rendered element of a message
+   * @param {Object} result - Search result with uuid and messageId
+   * @returns {Element|null} Message element
+   */
+  findMessageElement(result) {
+    const messagesContent = this.container.querySelector('#messages-content');
+    if (!messagesContent) return null;
+
+    if (result.uuid) {
+      const element = messagesContent.querySelector(`[data-message-uuid="${CSS.escape(result.uuid)}"]`);
+      if (element) return element;
+    }
+    return result.messageId
+      ? messagesContent.querySelector(`[data-message-id="${CSS.escape(result.messageId)}"]`)
+      : null;
+  }
+
+  /**
+   * Show or hide the permission audit log
+   */
+  togglePermissionAudit() {
+    const body = this.container.querySelector('#permission-audit-body');
+    const toggle = this.container.querySelector('#toggle-permission-audit');
+    if (!body || !toggle) return;
+
+    this.permissionAudit.visible = !this.permissionAudit.visible;
+    body.style.display = this.permissionAudit.visible ? 'block' : 'none';
+    toggle.textContent = this.permissionAudit.visible ? 'Hide' : 'Show';
+    if (this.permissionAudit.visible) {
+      this.loadPermissionAudit();
+    }
+  }
+
+  /**
+   * Load permission decisions matching the audit filters
+   * The filter text supports tool: and project: qualifiers like the message search
+   */
+  async loadPermissionAudit() {
+    const list = this.container.querySelector('#permission-audit-list');
+    if (!list) return;
+
+    const filters = {
+      decision: this.container.querySelector('#audit-decision-filter').value,
+      source: this.container.querySelector('#audit-source-filter').value,
+      limit: 50
+    };
+    filters.q = this.container.querySelector('#audit-search').value.replace(/(^|\s)(tool|project):(\S+)/g, (match, space, key, value) => {
+      filters[key] = value;
+      return ' ';
+    }).trim();
+
+    const requestId = ++this.permissionAudit.requestId;
+    try {
+      const data = await this.dataService.getPermissionAudit(filters);
+      if (requestId !== this.permissionAudit.requestId) return;
+      this.renderPermissionAudit(data);
+    } catch (error) {
+      if (requestId !== this.permissionAudit.requestId) return;
+      console.error('Error loading permission audit log:', error);
+      list.innerHTML = '<div class="message-search-status error">Could not load the permission audit log</div>';
+    }
+  }
+
+  /**
+   * Render permission decisions
+   * @param {Object} data - Response of the permission audit API
+   */
+  renderPermissionAudit(data) {
+    const list = this.container.querySelector('#permission-audit-list');
+    const count = this.container.querySelector('#permission-audit-count');
+    if (!list) return;
+
+    const { allow, deny, ask } = data.counts;
+    if (count) {
+      count.textContent = `${data.total} decision${data.total !== 1 ? 's' : ''}`;
+    }
+
+    if (data.entries.length === 0) {
+      list.innerHTML = '<div class="message-search-status">No permission decisions yet. Install the relay with --install-permission-relay</div>';
+      return;
+    }
+
+    const labels = { allow: 'allowed', deny: 'denied', ask: 'asked in terminal' };
+    list.innerHTML = `
+      <div class="message-search-status">
+        ${allow} allowed, ${deny} denied, ${ask} asked in terminal${data.total > data.entries.length ? `, showing the latest ${data.entries.length}` : ''}
+      </div>
+      ${data.entries.map(entry => `
+        <div class="message-search-result permission-audit-entry">
+          <div class="message-search-meta">
+            <span class="permission-decision ${this.escapeHtml(entry.decision)}">${this.escapeHtml(labels[entry.decision] || entry.decision)}</span>
+            <span class="message-search-tool">${this.escapeHtml(entry.tool || 'Tool')}</span>
+            <span class="meta-item">by ${this.escapeHtml(entry.source || 'unknown')}${entry.rule ? ` (rule #${this.escapeHtml(String(entry.rule))})` : ''}</span>
+            ${entry.projectDir ? `<span class="meta-item">📁 ${this.escapeHtml(entry.projectDir.split(/[\\/]/).pop())}</span>` : ''}
+            <span class="meta-item" title="${this.escapeHtml(entry.timestamp)}">🕒 ${this.formatRelativeTime(new Date(entry.timestamp))}</span>
+          </div>
+          <div class="message-search-snippet" title="${this.escapeHtml(entry.summary || '')}">${this.escapeHtml((entry.summary || '').split('\n')[0])}</div>
+          ${entry.reason ? `<div class="permission-audit-reason">${this.escapeHtml(entry.reason)}</div>` : ''}
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Clear message search
+   */
+  clearMessageSearch() {
+    const messageSearchInput = this.container.querySelector('#message-search');
+    if (!messageSearchInput) return;
+
+    clearTimeout(this.messageSearch.timeout);
+    messageSearchInput.value = '';
+    this.runMessageSearch('');
+  }
+
   /**
    * Clear all filters
    */
@@ -4593,21 +4963,14 @@ class AgentsPage {
    * @param {string} conversationId - Conversation ID
    */
   exportSingleConversation(conversationId) {
-    const conversations = this.stateService.getStateProperty('conversations') || [];
-    const conversation = conversations.find(conv => conv.id === conversationId);
+    // The server renders the full correlated transcript in the selected format
+    const formatSelect = this.container.querySelector('#export-format');
+    const format = formatSelect ? formatSelect.value : 'md';
     
-    if (conversation) {
-      const dataStr = JSON.stringify(conversation, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(dataBlob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `conversation-${conversationId}-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      
-      URL.revokeObjectURL(url);
-    }
+    const link = document.createElement('a');
+    link.href = `/api/conversations/${encodeURIComponent(conversationId)}/export?format=${format}`;
+    link.download = `conversation-${conversationId}.${format}`;
+    link.click();
   }
 
   /**
@@ -4729,6 +5092,9 @@ class AgentsPage {
       messagesContent.removeEventListener('scroll', this.messagesScrollListener);
     }
     
+    // Cancel a pending message search
+    clearTimeout(this.messageSearch.timeout);
+    
     // Unsubscribe from state changes
     if (this.unsubscribe) {
       this.unsubscribe();
@@ -275,6 +275,16 @@ class DashboardPage {
             </div>
           </div>
 
+          <!-- Activity Feed Section -->
+          <div class="activity-section">
+            <div class="section-title">
+              <h2>Activity</h2>
+            </div>
+            <div id="activity-feed" class="activity-feed">
+              <!-- Budget alerts and other activity will be listed here -->
+            </div>
+          </div>
+
           <!-- Date Range Controls -->
           <div class="chart-controls">
             <div class="chart-controls-left">
@@ -283,6 +293,12 @@ class DashboardPage {
               <span class="date-separator">to</span>
               <input type="date" id="dateTo" class="date-input">
               <button class="filter-btn" id="applyDateFilter">apply</button>
+              <span class="user-filter" id="userFilterControl" style="display: none;">
+                <label class="filter-label" for="userFilter">user:</label>
+                <select id="userFilter" class="user-filter-select">
+                  <option value="">all users</option>
+                </select>
+              </span>
             </div>
           </div>
 
@@ -317,6 +333,15 @@ class DashboardPage {
                 <!-- Tool summary will be loaded here -->
               </div>
             </div>
+
+            <div class="chart-card user-breakdown-card" id="userBreakdownCard" style="display: none;">
+              <div class="chart-title">
+                👥 usage by user
+              </div>
+              <div id="userBreakdown" class="tool-summary">
+                <!-- Per user/host totals from imported bundles will be loaded here -->
+              </div>
+            </div>
           </div>
         </div>
       </div>
@@ -355,7 +380,7 @@ class DashboardPage {
     await this.initializeChartsAsync();
     
     // Initialize Activity Feed
-    this.initializeActivityFeed();
+    await this.initializeActivityFeed();
   }
 
   /**
@@ -714,9 +739,9 @@ class DashboardPage {
   }
 
   /**
-   * Initialize activity feed
+   * Initialize activity feed with budget alerts
    */
-  initializeActivityFeed() {
+  async initializeActivityFeed() {
     const activityFeed = this.container.querySelector('#activity-feed');
     
     // Check if activity feed element exists
@@ -725,39 +750,81 @@ class DashboardPage {
       return;
     }
     
-    // Sample activity data (would be replaced with real data)
-    const activities = [
-      {
-        type: 'session_start',
-        message: 'New Claude Code session started',
-        timestamp: new Date(),
-        icon: '🚀'
-      },
-      {
-        type: 'conversation_update',
-        message: 'Conversation state updated',
-        timestamp: new Date(Date.now() - 5 * 60 * 1000),
-        icon: '💬'
-      },
-      {
-        type: 'system_event',
-        message: 'Analytics server started',
-        timestamp: new Date(Date.now() - 10 * 60 * 1000),
-        icon: '⚡'
-      }
-    ];
+    this.activities = [];
+    
+    try {
+      const budgetData = await this.dataService.getBudgets();
+      this.activities = (budgetData.alerts || [])
+        .map(notification => this.createBudgetActivity({ ...notification.alert, timestamp: notification.timestamp }))
+        .reverse();
+    } catch (error) {
+      console.warn('Could not load budget alerts:', error);
+    }
+    
+    // Add budget alerts as they arrive over WebSocket
+    if (!this.activityListener) {
+      this.activityListener = (type, data) => {
+        if (type === 'budget_alert') {
+          this.activities.unshift(this.createBudgetActivity(data));
+          this.activities = this.activities.slice(0, 20);
+          this.renderActivityFeed();
+        }
+      };
+      this.dataService.addEventListener(this.activityListener);
+    }
     
-    activityFeed.innerHTML = activities.map(activity => `
-      <div class="activity-item">
+    this.renderActivityFeed();
+  }
+
+  /**
+   * Convert a budget alert into an activity feed item
+   * @param {Object} alert - Budget alert
+   * @returns {Object} Activity item
+   */
+  createBudgetActivity(alert) {
+    return {
+      type: 'budget_alert',
+      level: alert.level,
+      message: alert.message,
+      timestamp: new Date(alert.timestamp || Date.now()),
+      icon: alert.level === 'exceeded' ? '🚨' : '💰'
+    };
+  }
+
+  /**
+   * Render activity feed items
+   */
+  renderActivityFeed() {
+    const activityFeed = this.container.querySelector('#activity-feed');
+    if (!activityFeed) return;
+    
+    if (this.activities.length === 0) {
+      activityFeed.innerHTML = '<div class="activity-empty">No recent activity</div>';
+      return;
+    }
+    
+    activityFeed.innerHTML = this.activities.map(activity => `
+      <div class="activity-item ${activity.type} ${activity.level || ''}">
         <div class="activity-icon">${activity.icon}</div>
         <div class="activity-content">
-          <div class="activity-message">${activity.message}</div>
+          <div class="activity-message">${this.escapeHtml(activity.message)}</div>
           <div class="activity-time">${this.formatTimestamp(activity.timestamp)}</div>
         </div>
       </div>
     `).join('');
   }
 
+  /**
+   * Escape text for safe HTML insertion
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
   /**
    * Format timestamp for display
    * @param {Date} timestamp - Timestamp to format
@@ -799,6 +866,12 @@ class DashboardPage {
       applyDateFilter.addEventListener('click', () => this.applyDateFilter());
     }
 
+    // User/host filter (only shown when bundles from other machines are imported)
+    const userFilter = this.container.querySelector('#userFilter');
+    if (userFilter) {
+      userFilter.addEventListener('change', () => this.applyUserFilter());
+    }
+
     // Token popover events
     const totalTokens = this.container.querySelector('#totalTokens');
     if (totalTokens) {
@@ -921,17 +994,26 @@ class DashboardPage {
     const claudeSessions = this.container.querySelector('#claudeSessions');
     const totalTokens = this.container.querySelector('#totalTokens');
 
-    if (totalConversations) totalConversations.textContent = summary.totalConversations?.toLocaleString() || '0';
+    // Store data for chart updates and user filter changes
+    this.allData = allData;
+
+    // Narrow the totals to the selected user/host
+    const userTotals = this.getSelectedUserTotals(summary);
+    const conversationsTotal = userTotals ? userTotals.conversations : summary.totalConversations;
+    const tokensTotal = userTotals ? userTotals.tokens : summary.totalTokens;
+    const filteredConversations = this.filterByUser(allData?.conversations || []);
+
+    if (totalConversations) totalConversations.textContent = conversationsTotal?.toLocaleString() || '0';
     if (claudeSessions) claudeSessions.textContent = summary.claudeSessions?.toLocaleString() || '0';
-    if (totalTokens) totalTokens.textContent = summary.totalTokens?.toLocaleString() || '0';
+    if (totalTokens) totalTokens.textContent = tokensTotal?.toLocaleString() || '0';
 
     // Update conversation secondary metrics
     const conversationsMonth = this.container.querySelector('#conversationsMonth');
     const conversationsWeek = this.container.querySelector('#conversationsWeek');
     const activeConversations = this.container.querySelector('#activeConversations');
 
-    if (conversationsMonth) conversationsMonth.textContent = this.calculateTimeRangeCount(allData?.conversations, thisMonth).toLocaleString();
-    if (conversationsWeek) conversationsWeek.textContent = this.calculateTimeRangeCount(allData?.conversations, thisWeek).toLocaleString();
+    if (conversationsMonth) conversationsMonth.textContent = this.calculateTimeRangeCount(filteredConversations, thisMonth).toLocaleString();
+    if (conversationsWeek) conversationsWeek.textContent = this.calculateTimeRangeCount(filteredConversations, thisWeek).toLocaleString();
     if (activeConversations) activeConversations.textContent = summary.activeConversations?.toLocaleString() || '0';
 
     // Update session secondary metrics
@@ -947,9 +1029,6 @@ class DashboardPage {
     if (detailedTokenUsage) {
       this.updateTokenBreakdown(detailedTokenUsage);
     }
-
-    // Store data for chart updates
-    this.allData = allData;
   }
 
   /**
@@ -1095,10 +1174,105 @@ class DashboardPage {
   updateChartData(data) {
     if (!data || !data.conversations) return;
 
-    this.updateTokenChart(data.conversations);
-    this.updateProjectChart(data.conversations);
-    this.updateToolChart(data.conversations);
-    this.updateToolSummary(data.conversations);
+    const byUser = data.summary?.byUser || [];
+    this.updateUserFilter(byUser);
+    this.updateUserBreakdown(byUser);
+
+    const conversations = this.filterByUser(data.conversations);
+    this.updateTokenChart(conversations);
+    this.updateProjectChart(conversations);
+    this.updateToolChart(conversations);
+    this.updateToolSummary(conversations);
+  }
+
+  /**
+   * Get the selected user/host key
+   * @returns {string} user@host, or an empty string for all users
+   */
+  getSelectedUser() {
+    const userFilter = this.container.querySelector('#userFilter');
+    return userFilter ? userFilter.value : '';
+  }
+
+  /**
+   * Keep only the conversations of the selected user/host
+   * @param {Array} conversations - Conversations
+   * @returns {Array} Filtered conversations
+   */
+  filterByUser(conversations) {
+    const selected = this.getSelectedUser();
+    if (!selected) return conversations;
+
+    return conversations.filter(conv => `${conv.user}@${conv.host}` === selected);
+  }
+
+  /**
+   * Get the summary totals of the selected user/host
+   * @param {Object} summary - Summary data
+   * @returns {Object|null} Totals, or null when all users are shown
+   */
+  getSelectedUserTotals(summary) {
+    const selected = this.getSelectedUser();
+    if (!selected || !summary?.byUser) return null;
+
+    return summary.byUser.find(group => group.key === selected) || null;
+  }
+
+  /**
+   * Fill the user/host filter, hidden unless conversations come from more than one machine
+   * @param {Array} byUser - Totals per user/host from the summary
+   */
+  updateUserFilter(byUser) {
+    const control = this.container.querySelector('#userFilterControl');
+    const userFilter = this.container.querySelector('#userFilter');
+    if (!control || !userFilter) return;
+
+    const selected = userFilter.value;
+    control.style.display = byUser.length > 1 ? '' : 'none';
+    userFilter.innerHTML = `
+      <option value="">all users</option>
+      ${byUser.map(group => `
+        <option value="${this.escapeHtml(group.key)}">${this.escapeHtml(group.key)}${group.imported ? ' (imported)' : ''}</option>
+      `).join('')}
+    `;
+
+    // Keep the selection across refreshes while that user is still present
+    if (byUser.some(group => group.key === selected)) {
+      userFilter.value = selected;
+    }
+  }
+
+  /**
+   * Update the per user/host breakdown panel
+   * @param {Array} byUser - Totals per user/host from the summary
+   */
+  updateUserBreakdown(byUser) {
+    const card = this.container.querySelector('#userBreakdownCard');
+    const breakdown = this.container.querySelector('#userBreakdown');
+    if (!card || !breakdown) return;
+
+    card.style.display = byUser.length > 1 ? '' : 'none';
+    if (byUser.length <= 1) return;
+
+    const selected = this.getSelectedUser();
+    breakdown.innerHTML = byUser.map(group => `
+      <div class="tool-stat${group.key === selected ? ' user-stat-selected' : ''}">
+        <span class="tool-stat-label">${this.escapeHtml(group.key)}${group.imported ? ' 📦' : ''}</span>
+        <span class="tool-stat-value">
+          ${group.conversations.toLocaleString()} conv · ${group.tokens.toLocaleString()} tokens · $${group.cost.toFixed(2)}
+        </span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Apply the user/host filter to the summary cards and charts
+   */
+  applyUserFilter() {
+    if (!this.allData) return;
+
+    this.updateSummaryDisplay(this.allData.summary, this.allData.detailedTokenUsage, this.allData);
+    this.updateChartData(this.allData);
   }
 
   /**
@@ -1521,6 +1695,12 @@ class DashboardPage {
       this.unsubscribe();
     }
     
+    // Stop listening for activity updates
+    if (this.activityListener) {
+      this.dataService.removeEventListener(this.activityListener);
+      this.activityListener = null;
+    }
+    
     this.isInitialized = false;
   }
 }
@@ -161,6 +161,74 @@ class DataService {
     return await this.cachedFetch('/api/session/projects');
   }
 
+  /**
+   * Get cost accounting data
+   * @param {Object} filters - Optional project, from and to (YYYY-MM-DD) filters
+   * @returns {Promise<Object>} Costs per project, day and model
+   */
+  async getCosts(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    ).toString();
+    return await this.cachedFetch(params ? `/api/costs?${params}` : '/api/costs');
+  }
+
+  /**
+   * Full-text search across conversation messages and tool results
+   * @param {string} query - Search query (use "quotes" for exact phrases)
+   * @param {Object} filters - Optional project, from, to, role, tool, limit, offset
+   * @returns {Promise<Object>} Ranked results with highlighted snippets
+   */
+  async searchMessages(query, filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries({ q: query, ...filters }).filter(([, value]) => value)
+    ).toString();
+    return await this.cachedFetch(`/api/search?${params}`, { cacheDuration: 5000 });
+  }
+
+  /**
+   * Get permission relay decisions from the audit log
+   * @param {Object} filters - Optional decision, source, tool, project, q, from, to, limit
+   * @returns {Promise<Object>} Entries (newest first), total and counts per decision
+   */
+  async getPermissionAudit(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    ).toString();
+    return await this.cachedFetch(params ? `/api/permission-audit?${params}` : '/api/permission-audit', { cacheDuration: 5000 });
+  }
+
+  /**
+   * Get budgets, their current status and recent budget alerts
+   * @returns {Promise<Object>} Budget data
+   */
+  async getBudgets() {
+    return await this.cachedFetch('/api/budgets', { cacheDuration: 10000 });
+  }
+
+  /**
+   * Save budget configuration
+   * @param {Array} budgets - Budget definitions
+   * @returns {Promise<Object>} Saved budgets and status
+   */
+  async saveBudgets(budgets) {
+    const response = await fetch('/api/budgets', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ budgets })
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    
+    this.clearCacheEntry('/api/budgets');
+    return result;
+  }
+
   /**
    * Get system health information
    * @returns {Promise<Object>} System health data
@@ -215,6 +283,26 @@ class DataService {
       this.handleNewMessage(data);
     });
     
+    // Listen for budget alerts
+    this.webSocketService.on('budget_alert', (data) => {
+      this.clearCacheEntry('/api/budgets');
+      this.notifyListeners('budget_alert', data);
+    });
+    
+    // Listen for permission requests relayed from Claude Code hooks
+    this.webSocketService.on('console_interaction', (data) => {
+      this.notifyListeners('console_interaction', data);
+    });
+    
+    this.webSocketService.on('console_interaction_resolved', (data) => {
+      this.notifyListeners('console_interaction_resolved', data);
+    });
+    
+    this.webSocketService.on('permission_decision', (data) => {
+      this.clearCacheEntry('/api/permission-audit');
+      this.notifyListeners('permission_decision', data);
+    });
+    
     // Listen for connection status
     this.webSocketService.on('connected', () => {
       this.realTimeEnabled = true;
@@ -126,6 +126,14 @@ class WebSocketService {
         case 'system_status':
           this.handleSystemStatus(data);
           break;
+        case 'budget_alert':
+          this.handleBudgetAlert(data);
+          break;
+        case 'console_interaction':
+        case 'console_interaction_resolved':
+        case 'permission_decision':
+          this.emit(data.type, data.data);
+          break;
         case 'file_change':
           this.handleFileChange(data);
           break;
@@ -223,6 +231,15 @@ class WebSocketService {
     this.emit('system_status', data.data);
   }
 
+  /**
+   * Handle budget alert
+   * @param {Object} data - Message data
+   */
+  handleBudgetAlert(data) {
+    console.log('💰 Budget alert:', data.data.message);
+    this.emit('budget_alert', data.data);
+  }
+
   /**
    * Handle file change notification
    * @param {Object} data - Message data
@@ -10,21 +10,47 @@ const ProcessDetector = require('./analytics/core/ProcessDetector');
 const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
 const FileWatcher = require('./analytics/core/FileWatcher');
 const SessionAnalyzer = require('./analytics/core/SessionAnalyzer');
+const CostCalculator = require('./analytics/core/CostCalculator');
+const BudgetTracker = require('./analytics/core/BudgetTracker');
+const TranscriptExporter = require('./analytics/core/TranscriptExporter');
+const Redactor = require('./analytics/core/Redactor');
 const DataCache = require('./analytics/data/DataCache');
+const ConversationIndex = require('./analytics/data/ConversationIndex');
+const SearchIndex = require('./analytics/data/SearchIndex');
+const ConversationBundle = require('./analytics/data/ConversationBundle');
+const PermissionAuditLog = require('./analytics/data/PermissionAuditLog');
 const WebSocketServer = require('./analytics/notifications/WebSocketServer');
 const NotificationManager = require('./analytics/notifications/NotificationManager');
 const PerformanceMonitor = require('./analytics/utils/PerformanceMonitor');
+const AccessControl = require('./analytics/utils/AccessControl');
 const ConsoleBridge = require('./console-bridge');
 
 class ClaudeAnalytics {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
     this.port = 3333;
+    this.host = options.host || 'localhost';
+    this.accessControl = new AccessControl({
+      auth: options.auth,
+      allowedOrigins: options.allowedOrigins || [],
+      port: this.port
+    });
     this.stateCalculator = new StateCalculator();
     this.processDetector = new ProcessDetector();
     this.fileWatcher = new FileWatcher();
     this.sessionAnalyzer = new SessionAnalyzer();
     this.dataCache = new DataCache();
+    this.conversationIndex = new ConversationIndex();
+    this.searchIndex = new SearchIndex();
+    this.costCalculator = new CostCalculator();
+    this.budgetTracker = new BudgetTracker();
+    this.transcriptExporter = new TranscriptExporter();
+    this.redactor = new Redactor();
+    this.conversationBundle = new ConversationBundle();
+    this.permissionAuditLog = new PermissionAuditLog({ redactor: this.redactor });
+    this.importPaths = options.importPaths || [];
+    this.importedMessages = new Map();
+    this.budgetStatus = [];
     this.performanceMonitor = new PerformanceMonitor({
       enabled: true,
       logInterval: 60000,
@@ -58,14 +84,65 @@ class ClaudeAnalytics {
       throw new Error(`Claude Code directory not found at ${this.claudeDir}`);
     }
 
-    // Initialize conversation analyzer with Claude directory and cache
-    this.conversationAnalyzer = new ConversationAnalyzer(this.claudeDir, this.dataCache);
+    // Open the persistent conversation index so restarts only parse new bytes
+    await this.conversationIndex.initialize();
+
+    // Load pricing table (with local overrides) and budgets for cost accounting
+    await this.costCalculator.loadRates();
+    await this.budgetTracker.load();
+
+    // Load secret/PII redaction rules applied to every message served or exported
+    await this.redactor.load();
+
+    // Initialize conversation analyzer with Claude directory, cache, index and pricing
+    this.conversationAnalyzer = new ConversationAnalyzer(
+      this.claudeDir,
+      this.dataCache,
+      this.conversationIndex,
+      this.costCalculator
+    );
+
+    // Load teammates' conversation bundles so usage can be compared per user/host
+    if (this.importPaths.length > 0) {
+      await this.loadImportedBundles();
+    }
 
     await this.loadInitialData();
     this.setupFileWatchers();
     this.setupWebServer();
   }
 
+  /**
+   * Load conversation bundles passed with --import
+   */
+  async loadImportedBundles() {
+    const { conversations, messages, bundles } = await this.conversationBundle.importBundles(this.importPaths);
+    this.importedMessages = messages;
+    this.conversationAnalyzer.setImportedConversations(conversations);
+    this.conversationBundle.logImport(bundles);
+  }
+
+  /**
+   * Get the parsed messages of a conversation, local or imported
+   * @param {Object} conversation - Conversation object
+   * @returns {Promise<Array>} Messages (empty for metadata-only imports)
+   */
+  async getConversationMessages(conversation) {
+    if (conversation.imported) {
+      return this.importedMessages.get(conversation.id) || [];
+    }
+    return this.conversationAnalyzer.getParsedConversation(conversation.filePath);
+  }
+
+  /**
+   * Get the conversations of this machine
+   * Plan limits and budgets are personal, so imported conversations are left out of them
+   * @returns {Array} Local conversations
+   */
+  getLocalConversations() {
+    return (this.data.conversations || []).filter(conv => !conv.imported);
+  }
+
   async loadInitialData() {
     try {
       // Store previous data for comparison
@@ -79,12 +156,18 @@ class ClaudeAnalytics {
       
       // Update our data structure with analyzed data
       this.data = analyzedData;
+
+      // Keep the full conversation list searchable (the API responses may truncate this.data)
+      this.searchIndex.setConversations(this.data.conversations);
       
       // Get Claude session information
       const claudeSessionInfo = await this.getClaudeSessionInfo();
       
       // Analyze session data for Max plan usage tracking with real Claude session info
-      this.data.sessionData = this.sessionAnalyzer.analyzeSessionData(this.data.conversations, claudeSessionInfo);
+      this.data.sessionData = this.sessionAnalyzer.analyzeSessionData(this.getLocalConversations(), claudeSessionInfo);
+      
+      // Check token and cost budgets
+      this.checkBudgets();
       
       // Send real-time notifications if WebSocket is available
       if (this.notificationManager) {
@@ -101,6 +184,26 @@ class ClaudeAnalytics {
   }
 
 
+  /**
+   * Evaluate budgets and send an alert for every newly crossed threshold
+   * Alerts are held back until notifications are available so none are lost on startup
+   */
+  checkBudgets() {
+    const { status, alerts } = this.budgetTracker.evaluate(this.getLocalConversations(), {
+      currency: this.costCalculator.currency
+    });
+    this.budgetStatus = status;
+
+    if (!this.notificationManager) {
+      return;
+    }
+
+    alerts.forEach(alert => {
+      this.notificationManager.notifyBudgetAlert(alert);
+      this.budgetTracker.markAlerted(alert);
+    });
+  }
+
   async loadActiveProjects() {
     const projects = [];
 
@@ -541,7 +644,7 @@ class ClaudeAnalytics {
         
         // Send WebSocket notification for new message
         if (this.notificationManager) {
-          this.notificationManager.notifyNewMessage(conversationId, latestMessage, {
+          this.notificationManager.notifyNewMessage(conversationId, this.redactor.redactMessage(latestMessage), {
             totalMessages: messages.length,
             timestamp: new Date().toISOString()
           });
@@ -581,20 +684,8 @@ class ClaudeAnalytics {
   }
 
   setupWebServer() {
-    // Add CORS middleware
-    this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-      
-      // Handle preflight requests
-      if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
-        return;
-      }
-      
-      next();
-    });
+    // Require the access token and an allowed origin on every request (CORS only for allowed origins)
+    this.app.use(this.accessControl.createExpressMiddleware());
     
     // Add performance monitoring middleware
     this.app.use(this.performanceMonitor.createExpressMiddleware());
@@ -667,6 +758,146 @@ class ClaudeAnalytics {
       }
     });
 
+    // Cost accounting endpoint (optionally filtered by project, user, host and date range)
+    // Date filtering applies to totals and days; the per-model split covers whole conversations
+    this.app.get('/api/costs', async (req, res) => {
+      try {
+        const { project, user, host, from, to } = req.query;
+        const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+
+        const conversations = (this.data.conversations || [])
+          .filter(conversation => conversation.cost)
+          .filter(conversation => !project || conversation.project === project)
+          .filter(conversation => (!user || conversation.user === user) && (!host || conversation.host === host))
+          .map(conversation => {
+            const byDay = Object.fromEntries(
+              Object.entries(conversation.cost.byDay).filter(([date]) => inRange(date))
+            );
+            const total = from || to
+              ? Object.values(byDay).reduce((sum, cost) => sum + cost, 0)
+              : conversation.cost.total;
+            return {
+              ...conversation,
+              cost: { ...conversation.cost, byDay, total }
+            };
+          })
+          .filter(conversation => !(from || to) || Object.keys(conversation.cost.byDay).length > 0);
+
+        const summary = this.costCalculator.summarizeCosts(conversations);
+        res.json({
+          ...summary,
+          conversations: conversations
+            .map(conversation => ({
+              id: conversation.id,
+              project: conversation.project,
+              user: conversation.user,
+              host: conversation.host,
+              lastModified: conversation.lastModified,
+              models: conversation.modelInfo ? conversation.modelInfo.models : [],
+              cost: conversation.cost.total
+            }))
+            .sort((a, b) => b.cost - a.cost),
+          filters: {
+            project: project || null,
+            user: user || null,
+            host: host || null,
+            from: from || null,
+            to: to || null
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error calculating costs:', error);
+        res.status(500).json({ error: 'Failed to calculate costs' });
+      }
+    });
+
+    // Full-text search across all conversation messages and tool results
+    // The index is brought up to date lazily, re-parsing only conversations that changed
+    this.app.get('/api/search', async (req, res) => {
+      try {
+        const { q, project, user, host, from, to, role, tool, limit, offset } = req.query;
+        if (!q || !q.trim()) {
+          return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+        if (role && !['user', 'assistant'].includes(role)) {
+          return res.status(400).json({ error: 'role must be user or assistant' });
+        }
+        const isDay = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+        if (!isDay(from) || !isDay(to)) {
+          return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+        }
+
+        // Index redacted text so secrets can neither be searched for nor leak through snippets
+        await this.searchIndex.sync(async conversation =>
+          this.redactor.redactMessages(await this.getConversationMessages(conversation))
+        );
+
+        const { results, total } = this.searchIndex.search(q, { project, user, host, from, to, role, tool, limit, offset });
+        res.json({
+          query: q,
+          results,
+          total,
+          filters: {
+            project: project || null,
+            user: user || null,
+            host: host || null,
+            from: from || null,
+            to: to || null,
+            role: role || null,
+            tool: tool || null
+          },
+          index: this.searchIndex.getStats(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error searching conversations:', error);
+        res.status(500).json({ error: 'Failed to search conversations' });
+      }
+    });
+
+    // Budget configuration and status
+    this.app.get('/api/budgets', (req, res) => {
+      res.json({
+        budgets: this.budgetTracker.budgets,
+        status: this.budgetStatus,
+        alerts: this.notificationManager ? this.notificationManager.getHistory('budget_alert', 50) : [],
+        configPath: this.budgetTracker.options.configPath,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.app.put('/api/budgets', express.json(), async (req, res) => {
+      try {
+        const budgets = await this.budgetTracker.save(req.body && req.body.budgets);
+        this.checkBudgets();
+        res.json({
+          success: true,
+          budgets,
+          status: this.budgetStatus,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Permission relay decisions, newest first
+    this.app.get('/api/permission-audit', async (req, res) => {
+      try {
+        const { decision, source, tool, project, q, from, to, limit } = req.query;
+        const result = await this.permissionAuditLog.query({ decision, source, tool, project, q, from, to, limit });
+        res.json({
+          ...result,
+          logPath: this.permissionAuditLog.options.logPath,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error reading permission audit log:', error);
+        res.status(500).json({ error: 'Failed to read permission audit log' });
+      }
+    });
+
     this.app.get('/api/realtime', async (req, res) => {
       const realtimeWithTimestamp = {
         ...this.data.realtimeStats,
@@ -749,12 +980,13 @@ class ClaudeAnalytics {
         }
         
         // Read all messages from the JSONL file
-        const allMessages = await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
+        const allMessages = await this.getConversationMessages(conversation);
         
         // If pagination parameters are provided, use pagination
         if (!isNaN(page) && !isNaN(limit)) {
           // Sort messages by timestamp (newest first for reverse pagination)
-          const sortedMessages = allMessages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+          // Sort a copy so the cached messages keep file order for incremental parsing
+          const sortedMessages = [...allMessages].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
           
           // Calculate pagination
           const totalCount = sortedMessages.length;
@@ -769,7 +1001,7 @@ class ClaudeAnalytics {
           
           res.json({
             conversationId,
-            messages: messagesInDisplayOrder,
+            messages: this.redactor.redactMessages(messagesInDisplayOrder),
             pagination: {
               page,
               limit,
@@ -784,7 +1016,7 @@ class ClaudeAnalytics {
           // Non-paginated response (backward compatibility)
           res.json({
             conversationId,
-            messages: allMessages,
+            messages: this.redactor.redactMessages(allMessages),
             messageCount: allMessages.length,
             timestamp: new Date().toISOString()
           });
@@ -795,6 +1027,38 @@ class ClaudeAnalytics {
       }
     });
 
+    // Full transcript export (md, html or json); pass download=false to view it in the browser
+    this.app.get('/api/conversations/:id/export', async (req, res) => {
+      try {
+        const conversationId = req.params.id;
+        const format = req.query.format || 'md';
+
+        if (!TranscriptExporter.EXPORT_FORMATS.includes(format)) {
+          return res.status(400).json({
+            error: `Unknown export format "${format}". Use one of: ${TranscriptExporter.EXPORT_FORMATS.join(', ')}`
+          });
+        }
+
+        const conversation = this.data.conversations.find(conv => conv.id === conversationId);
+        if (!conversation) {
+          return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const messages = await this.getConversationMessages(conversation);
+        const transcript = this.transcriptExporter.normalize(conversation, this.redactor.redactMessages(messages));
+        const fileName = this.transcriptExporter.getFileName(conversationId, format);
+
+        res.set('Content-Type', this.transcriptExporter.getContentType(format));
+        if (req.query.download !== 'false') {
+          res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        }
+        res.send(this.transcriptExporter.render(transcript, format));
+      } catch (error) {
+        console.error('Error exporting conversation:', error);
+        res.status(500).json({ error: 'Failed to export conversation' });
+      }
+    });
+
     // Session data endpoint for Max plan usage tracking
     this.app.get('/api/session/data', async (req, res) => {
       try {
@@ -803,7 +1067,7 @@ class ClaudeAnalytics {
         
         if (!this.data.sessionData) {
           // Generate session data if not available
-          this.data.sessionData = this.sessionAnalyzer.analyzeSessionData(this.data.conversations, claudeSessionInfo);
+          this.data.sessionData = this.sessionAnalyzer.analyzeSessionData(this.getLocalConversations(), claudeSessionInfo);
         }
 
         const timerData = this.sessionAnalyzer.getSessionTimerData(this.data.sessionData);
@@ -922,7 +1186,7 @@ class ClaudeAnalytics {
             lastModified: conversation.lastModified,
             status: conversation.status
           },
-          messages: messages,
+          messages: this.redactor.redactMessages(messages),
           timestamp: Date.now()
         });
 
@@ -1027,7 +1291,8 @@ class ClaudeAnalytics {
           requests: stats.requests,
           cache: {
             ...stats.cache,
-            dataCache: this.dataCache.getStats()
+            dataCache: this.dataCache.getStats(),
+            conversationIndex: this.conversationIndex.getStats()
           },
           errors: stats.errors,
           counters: stats.counters,
@@ -1143,8 +1408,9 @@ class ClaudeAnalytics {
 
   async startServer() {
     return new Promise(async (resolve) => {
-      this.httpServer = this.app.listen(this.port, async () => {
-        console.log(chalk.green(`🚀 Analytics dashboard started at http://localhost:${this.port}`));
+      this.httpServer = this.app.listen(this.port, this.host, async () => {
+        console.log(chalk.green(`🚀 Analytics dashboard started at ${this.getBaseUrl()} (listening on ${this.host})`));
+        this.accessControl.logAccessInfo(`${this.getBaseUrl()}/`);
         
         // Initialize WebSocket server
         await this.initializeWebSocket();
@@ -1156,13 +1422,23 @@ class ClaudeAnalytics {
     });
   }
 
+  /**
+   * Get the dashboard URL for the bind address
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    const wildcard = ['0.0.0.0', '::'].includes(this.host);
+    const host = wildcard ? 'localhost' : (this.host.includes(':') ? `[${this.host}]` : this.host);
+    return `http://${host}:${this.port}`;
+  }
+
   async openBrowser(openTo = null) {
-    const baseUrl = `http://localhost:${this.port}`;
-    let fullUrl = baseUrl;
+    const baseUrl = this.getBaseUrl();
+    let fullUrl = this.accessControl.getAuthenticatedUrl(`${baseUrl}/`);
     
     // Add fragment/hash for specific page
     if (openTo === 'agents') {
-      fullUrl = `${baseUrl}/#agents`;
+      fullUrl = this.accessControl.getAuthenticatedUrl(`${baseUrl}/#agents`);
       console.log(chalk.blue('🌐 Opening browser to Claude Code Chats...'));
     } else {
       console.log(chalk.blue('🌐 Opening browser to Claude Code Analytics...'));
@@ -1184,7 +1460,8 @@ class ClaudeAnalytics {
       // Initialize WebSocket server with performance monitoring
       this.webSocketServer = new WebSocketServer(this.httpServer, {
         path: '/ws',
-        heartbeatInterval: 30000
+        heartbeatInterval: 30000,
+        authorize: (request) => this.accessControl.authorizeWebSocket(request)
       }, this.performanceMonitor);
       await this.webSocketServer.initialize();
       
@@ -1198,6 +1475,9 @@ class ClaudeAnalytics {
       // Setup notification subscriptions
       this.setupNotificationSubscriptions();
       
+      // Send budget alerts found before notifications were available
+      this.checkBudgets();
+      
       // Initialize Console Bridge for Claude Code interaction
       await this.initializeConsoleBridge();
       
@@ -1217,7 +1497,11 @@ class ClaudeAnalytics {
       // Create console bridge on a different port (3334)
       this.consoleBridge = new ConsoleBridge({
         port: 3334,
-        debug: false // Set to true for detailed debugging
+        debug: false, // Set to true for detailed debugging
+        authorize: (request) => this.accessControl.authorizeWebSocket(request),
+        auditLog: this.permissionAuditLog,
+        // Permission requests wait for an answer only while a dashboard is open
+        hasViewers: () => !!this.webSocketServer && this.webSocketServer.clients.size > 0
       });
       
       // Initialize the bridge
@@ -1225,7 +1509,7 @@ class ClaudeAnalytics {
       
       if (success) {
         console.log(chalk.green('✅ Console Bridge initialized on port 3334'));
-        console.log(chalk.cyan('🔌 Web interface can connect to ws://localhost:3334 for console interactions'));
+        console.log(chalk.cyan('🔌 Permission requests from --install-permission-relay hooks appear in the Agents page'));
         
         // Bridge console interactions to main WebSocket
         this.setupConsoleBridgeIntegration();
@@ -1256,6 +1540,22 @@ class ClaudeAnalytics {
       });
     });
     
+    // Answered elsewhere or timed out: other tabs hide the request
+    this.consoleBridge.on('console_interaction_resolved', (resolvedData) => {
+      this.webSocketServer.broadcast({
+        type: 'console_interaction_resolved',
+        data: resolvedData
+      });
+    });
+    
+    // Decisions, including the ones made by the permission policy, for the audit view
+    this.consoleBridge.on('permission_decision', (entry) => {
+      this.webSocketServer.broadcast({
+        type: 'permission_decision',
+        data: this.permissionAuditLog.redactEntry(entry)
+      });
+    });
+    
     // Listen for responses from main WebSocket and forward to bridge
     this.webSocketServer.on('console_response', (responseData) => {
       console.log(chalk.blue('📱 Forwarding console response to Claude Code'));
@@ -1738,6 +2038,9 @@ class ClaudeAnalytics {
       this.server.close();
     }
 
+    // Close the conversation index
+    this.conversationIndex.close();
+
     // Log cache statistics before stopping
     this.dataCache.logStats();
 
@@ -1755,7 +2058,16 @@ async function runAnalytics(options = {}) {
     console.log(chalk.blue('📊 Starting Claude Code Analytics Dashboard...'));
   }
 
-  const analytics = new ClaudeAnalytics();
+  const analytics = new ClaudeAnalytics({
+    host: options.host,
+    importPaths: options.import
+      ? options.import.split(',').map(entry => entry.trim()).filter(Boolean)
+      : [],
+    auth: options.auth,
+    allowedOrigins: options.allowedOrigins
+      ? options.allowedOrigins.split(',').map(origin => origin.trim()).filter(Boolean)
+      : []
+  });
 
   try {
     await analytics.initialize();
@@ -1766,13 +2078,15 @@ async function runAnalytics(options = {}) {
     await analytics.startServer();
     await analytics.openBrowser(openTo);
 
+    const accessUrl = analytics.accessControl.getAuthenticatedUrl(
+      openTo === 'agents' ? `${analytics.getBaseUrl()}/#agents` : `${analytics.getBaseUrl()}/`
+    );
     if (openTo === 'agents') {
       console.log(chalk.green('✅ Claude Code Chats dashboard is running!'));
-      console.log(chalk.cyan(`📱 Access at: http://localhost:${analytics.port}/#agents`));
     } else {
       console.log(chalk.green('✅ Analytics dashboard is running!'));
-      console.log(chalk.cyan(`📱 Access at: http://localhost:${analytics.port}`));
     }
+    console.log(chalk.cyan(`📱 Access at: ${accessUrl}`));
     console.log(chalk.gray('Press Ctrl+C to stop the server'));
 
     // Handle graceful shutdown
@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'total'];
+const METRICS = ['cost', 'tokens'];
+const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * Get the local calendar day of a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Day key
+ */
+function toDayKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * BudgetTracker - Daily, weekly, monthly and per-project token or cost budgets
+ * Budgets are stored in ~/.claude-code-templates/budgets.json:
+ * { "budgets": [{ "id": "daily-cost", "period": "daily", "metric": "cost", "limit": 20, "project": "optional", "warnAt": 0.8 }] }
+ */
+class BudgetTracker {
+  constructor(options = {}) {
+    this.options = {
+      configPath: path.join(os.homedir(), '.claude-code-templates', 'budgets.json'),
+      ...options
+    };
+
+    this.budgets = [];
+    this.alerted = new Set(); // Threshold crossings already notified in the current window
+  }
+
+  /**
+   * Load budgets from the local config file
+   * @returns {Promise<Array>} Configured budgets
+   */
+  async load() {
+    try {
+      if (!(await fs.pathExists(this.options.configPath))) {
+        this.budgets = [];
+        return this.budgets;
+      }
+
+      const config = await fs.readJson(this.options.configPath);
+      this.budgets = this.validateBudgets(config.budgets || []);
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not load budgets from ${this.options.configPath}:`, error.message));
+      this.budgets = [];
+    }
+
+    return this.budgets;
+  }
+
+  /**
+   * Validate and save budgets to the local config file
+   * @param {Array} budgets - Budget definitions
+   * @returns {Promise<Array>} Saved budgets
+   */
+  async save(budgets) {
+    const validated = this.validateBudgets(budgets);
+
+    await fs.ensureDir(path.dirname(this.options.configPath));
+    await fs.writeJson(this.options.configPath, { budgets: validated }, { spaces: 2 });
+
+    this.budgets = validated;
+    return this.budgets;
+  }
+
+  /**
+   * Validate budget definitions and fill in defaults
+   * @param {Array} budgets - Budget definitions
+   * @returns {Array} Normalized budgets
+   * @throws {Error} When a budget is invalid
+   */
+  validateBudgets(budgets) {
+    if (!Array.isArray(budgets)) {
+      throw new Error('budgets must be an array');
+    }
+
+    const ids = new Set();
+
+    return budgets.map((budget, index) => {
+      if (!budget || typeof budget !== 'object') {
+        throw new Error(`budget #${index + 1} must be an object`);
+      }
+      if (!PERIODS.includes(budget.period)) {
+        throw new Error(`budget #${index + 1}: period must be one of ${PERIODS.join(', ')}`);
+      }
+      if (!METRICS.includes(budget.metric)) {
+        throw new Error(`budget #${index + 1}: metric must be one of ${METRICS.join(', ')}`);
+      }
+      if (typeof budget.limit !== 'number' || !(budget.limit > 0)) {
+        throw new Error(`budget #${index + 1}: limit must be a positive number`);
+      }
+
+      const warnAt = budget.warnAt === undefined ? DEFAULT_WARN_AT : budget.warnAt;
+      if (typeof warnAt !== 'number' || warnAt <= 0 || warnAt > 1) {
+        throw new Error(`budget #${index + 1}: warnAt must be a number between 0 and 1`);
+      }
+
+      const id = budget.id || [budget.period, budget.project, budget.metric].filter(Boolean).join('-');
+      if (ids.has(id)) {
+        throw new Error(`budget #${index + 1}: duplicate id "${id}"`);
+      }
+      ids.add(id);
+
+      return {
+        id,
+        period: budget.period,
+        metric: budget.metric,
+        limit: budget.limit,
+        project: budget.project || null,
+        warnAt
+      };
+    });
+  }
+
+  /**
+   * Get the current window of a budget period
+   * @param {string} period - Budget period
+   * @param {Date} now - Current time
+   * @returns {Object} Window key and first day (null for total budgets)
+   */
+  getWindow(period, now) {
+    if (period === 'daily') {
+      const day = toDayKey(now);
+      return { key: day, start: day };
+    }
+
+    if (period === 'weekly') {
+      // Weeks start on Monday
+      const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+      const start = toDayKey(monday);
+      return { key: `week-${start}`, start };
+    }
+
+    if (period === 'monthly') {
+      const start = toDayKey(new Date(now.getFullYear(), now.getMonth(), 1));
+      return { key: start.slice(0, 7), start };
+    }
+
+    return { key: 'total', start: null };
+  }
+
+  /**
+   * Calculate what a budget has used in its current window
+   * @param {Object} budget - Budget definition
+   * @param {Array} conversations - Conversations with cost data
+   * @param {Object} window - Budget window
+   * @returns {number} Spent cost or tokens
+   */
+  getSpent(budget, conversations, window) {
+    return conversations
+      .filter(conversation => conversation.cost)
+      .filter(conversation => !budget.project || conversation.project === budget.project)
+      .reduce((sum, conversation) => {
+        const perDay = budget.metric === 'cost' ? conversation.cost.byDay : conversation.cost.tokensByDay;
+        return sum + Object.entries(perDay || {})
+          .filter(([day]) => !window.start || day >= window.start)
+          .reduce((daySum, [, value]) => daySum + value, 0);
+      }, 0);
+  }
+
+  /**
+   * Evaluate all budgets against the current conversations
+   * @param {Array} conversations - Conversations with cost data
+   * @param {Object} options - Evaluation options (now, currency)
+   * @returns {Object} Status of every budget and threshold crossings not yet alerted
+   */
+  evaluate(conversations, options = {}) {
+    const now = options.now || new Date();
+    const currency = options.currency || 'USD';
+    const status = [];
+    const alerts = [];
+
+    this.budgets.forEach(budget => {
+      const window = this.getWindow(budget.period, now);
+      const spent = this.getSpent(budget, conversations, window);
+      const ratio = spent / budget.limit;
+
+      status.push({ ...budget, window: window.key, spent, ratio });
+
+      const level = ratio >= 1 ? 'exceeded' : ratio >= budget.warnAt ? 'warning' : null;
+      if (!level) {
+        return;
+      }
+
+      const alertKey = `${budget.id}:${budget.limit}:${window.key}:${level}`;
+      if (this.alerted.has(alertKey)) {
+        return;
+      }
+
+      alerts.push({
+        key: alertKey,
+        budgetId: budget.id,
+        period: budget.period,
+        metric: budget.metric,
+        project: budget.project,
+        limit: budget.limit,
+        spent,
+        ratio,
+        level,
+        window: window.key,
+        message: this.formatMessage(budget, spent, ratio, level, currency)
+      });
+    });
+
+    return { status, alerts };
+  }
+
+  /**
+   * Remember that an alert was sent so it is not repeated in the same window
+   * @param {Object} alert - Alert returned by evaluate()
+   */
+  markAlerted(alert) {
+    this.alerted.add(alert.key);
+  }
+
+  /**
+   * Build a human readable alert message
+   * @param {Object} budget - Budget definition
+   * @param {number} spent - Spent cost or tokens
+   * @param {number} ratio - Spent / limit
+   * @param {string} level - warning or exceeded
+   * @param {string} currency - Currency code for cost budgets
+   * @returns {string} Alert message
+   */
+  formatMessage(budget, spent, ratio, level, currency) {
+    const format = value => budget.metric === 'cost'
+      ? `${value.toFixed(2)} ${currency}`
+      : `${Math.round(value).toLocaleString()} tokens`;
+    const period = budget.period.charAt(0).toUpperCase() + budget.period.slice(1);
+    const name = `${period} ${budget.metric === 'cost' ? 'cost' : 'token'} budget${budget.project ? ` for ${budget.project}` : ''}`;
+
+    return level === 'exceeded'
+      ? `${name} exceeded: ${format(spent)} of ${format(budget.limit)}`
+      : `${name} at ${Math.round(ratio * 100)}%: ${format(spent)} of ${format(budget.limit)}`;
+  }
+}
+
+module.exports = BudgetTracker;
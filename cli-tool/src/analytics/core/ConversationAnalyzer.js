@@ -1,15 +1,66 @@
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const CostCalculator = require('./CostCalculator');
+const ConversationBundle = require('../data/ConversationBundle');
+
+// Status square appearance for each message status type
+const STATUS_SQUARES = {
+  user: { type: 'pending', label: 'User input' },
+  tool: { type: 'tool', label: 'Tool execution' },
+  error: { type: 'error', label: 'Error in response' },
+  success: { type: 'success', label: 'Successful response' },
+  unknown: { type: 'pending', label: 'Unknown status' },
+};
+
+// Hook events Claude Code names in its hook messages
+const HOOK_EVENT_NAMES = 'PreToolUse|PostToolUse|UserPromptSubmit|Notification|Stop|SubagentStop|PreCompact|SessionStart';
+
+// Hook messages in transcripts, as "<Event>[:<Tool>] ..." with the command in brackets
+const HOOK_MESSAGE_PATTERNS = [
+  { outcome: 'success', regex: new RegExp(`^(${HOOK_EVENT_NAMES})(?::(\\S+))? \\[(.+)\\] completed successfully`) },
+  { outcome: 'failure', regex: new RegExp(`^(${HOOK_EVENT_NAMES})(?::(\\S+))? \\[(.+)\\] failed with non-blocking status code:? (\\d+)`) },
+  { outcome: 'blocked', regex: new RegExp(`^(${HOOK_EVENT_NAMES})(?::(\\S+))? hook error: \\[(.+?)\\]:`) },
+  { outcome: 'blocked', regex: new RegExp(`^(${HOOK_EVENT_NAMES})(?::(\\S+))? hook blocking error from command: "(.+?)"`) },
+  { outcome: 'blocked', regex: new RegExp(`^(${HOOK_EVENT_NAMES})(?::(\\S+))? hook feedback:\\s*\\[(.+?)\\]:`) }
+];
+
+/**
+ * Parse a hook message from a transcript entry
+ * @param {string} text - Entry text, possibly with ANSI styling
+ * @returns {Object|null} { event, tool, command, outcome, exitCode } or null if it is not a hook message
+ */
+function parseHookMessage(text) {
+  const plain = text.replace(/\u001b\[[0-9;]*m/g, '').trim();
+
+  for (const { outcome, regex } of HOOK_MESSAGE_PATTERNS) {
+    const match = plain.match(regex);
+    if (match) {
+      return {
+        event: match[1],
+        tool: match[2] || null,
+        command: match[3],
+        outcome,
+        exitCode: outcome === 'success' ? 0 : (outcome === 'blocked' ? 2 : Number(match[4]))
+      };
+    }
+  }
+  return null;
+}
 
 /**
  * ConversationAnalyzer - Handles conversation data loading, parsing, and analysis
  * Extracted from monolithic analytics.js for better maintainability
  */
 class ConversationAnalyzer {
-  constructor(claudeDir, dataCache = null) {
+  constructor(claudeDir, dataCache = null, conversationIndex = null, costCalculator = null) {
     this.claudeDir = claudeDir;
     this.dataCache = dataCache;
+    this.conversationIndex = conversationIndex;
+    this.costCalculator = costCalculator || new CostCalculator();
+    // Local conversations are tagged with this user/host, imported ones keep their bundle's
+    this.origin = ConversationBundle.getLocalOrigin();
+    this.importedConversations = [];
     this.data = {
       conversations: [],
       activeProjects: [],
@@ -43,17 +94,23 @@ class ConversationAnalyzer {
         this.claudeDir, 
         stateCalculator
       );
-      this.data.conversations = enrichmentResult.conversations;
+      this.data.conversations = this.mergeImportedConversations(enrichmentResult.conversations);
       this.data.orphanProcesses = enrichmentResult.orphanProcesses;
 
       // Calculate summary statistics with caching
-      this.data.summary = await this.calculateSummary(conversations, projects);
+      this.data.summary = await this.calculateSummary(this.data.conversations, projects);
+
+      // Aggregate costs per project, day, model and user
+      this.data.costs = this.costCalculator.summarizeCosts(this.data.conversations);
 
       // Update realtime stats
       this.updateRealtimeStats();
 
       console.log(chalk.green('✅ Data analysis complete'));
       console.log(chalk.gray(`Found ${conversations.length} conversations across ${projects.length} projects`));
+      if (this.importedConversations.length > 0) {
+        console.log(chalk.gray(`Including ${this.data.conversations.length - conversations.length} imported conversations`));
+      }
 
       return this.data;
     } catch (error) {
@@ -71,30 +128,13 @@ class ConversationAnalyzer {
     const conversations = [];
 
     try {
-      // Search for .jsonl files recursively in all subdirectories
-      const findJsonlFiles = async (dir) => {
-        const files = [];
-        const items = await fs.readdir(dir);
-
-        for (const item of items) {
-          const itemPath = path.join(dir, item);
-          const stats = await fs.stat(itemPath);
-
-          if (stats.isDirectory()) {
-            // Recursively search subdirectories
-            const subFiles = await findJsonlFiles(itemPath);
-            files.push(...subFiles);
-          } else if (item.endsWith('.jsonl')) {
-            files.push(itemPath);
-          }
-        }
-
-        return files;
-      };
-
-      const jsonlFiles = await findJsonlFiles(this.claudeDir);
+      const jsonlFiles = await this.findJsonlFiles(this.claudeDir);
       // Loading conversation files quietly for better UX
 
+      if (this.isIndexEnabled()) {
+        this.conversationIndex.pruneMissing(jsonlFiles);
+      }
+
       for (const filePath of jsonlFiles) {
         const stats = await this.getFileStats(filePath);
         const filename = path.basename(filePath);
@@ -103,8 +143,10 @@ class ConversationAnalyzer {
           // Extract project name from path
           const projectFromPath = await this.extractProjectFromPath(filePath);
 
-          // Use cached parsed conversation if available
-          const parsedMessages = await this.getParsedConversation(filePath);
+          // Prefer the persistent index so only newly appended bytes are parsed,
+          // otherwise use cached parsed conversation if available
+          const indexed = await this.getIndexedConversation(filePath);
+          const parsedMessages = indexed ? indexed.messages : await this.getParsedConversation(filePath);
 
           // Calculate real token usage and extract model info with caching
           const tokenUsage = await this.getCachedTokenUsage(filePath, parsedMessages);
@@ -113,7 +155,7 @@ class ConversationAnalyzer {
           // Calculate tool usage data with caching
           const toolUsage = await this.getCachedToolUsage(filePath, parsedMessages);
 
-          const projectFromConversation = await this.extractProjectFromConversation(filePath);
+          const projectFromConversation = indexed ? indexed.project : await this.extractProjectFromConversation(filePath);
           const finalProject = projectFromConversation || projectFromPath;
 
           const conversation = {
@@ -124,14 +166,19 @@ class ConversationAnalyzer {
             fileSize: stats.size,
             lastModified: stats.mtime,
             created: stats.birthtime,
-            tokens: tokenUsage.total > 0 ? tokenUsage.total : this.estimateTokens(await this.getFileContent(filePath)),
+            tokens: tokenUsage.total > 0
+              ? tokenUsage.total
+              : (indexed ? Math.ceil(indexed.charCount / 4) : this.estimateTokens(await this.getFileContent(filePath))),
             tokenUsage: tokenUsage,
             modelInfo: modelInfo,
+            cost: this.costCalculator.calculateConversationCost(parsedMessages),
             toolUsage: toolUsage,
             project: finalProject,
             status: stateCalculator.determineConversationStatus(parsedMessages, stats.mtime),
             conversationState: stateCalculator.determineConversationState(parsedMessages, stats.mtime),
             statusSquares: await this.getCachedStatusSquares(filePath, parsedMessages),
+            user: this.origin.user,
+            host: this.origin.host,
             // parsedMessages removed to prevent memory leak - available via cache when needed
           };
 
@@ -148,6 +195,31 @@ class ConversationAnalyzer {
     }
   }
 
+  /**
+   * Find .jsonl conversation files recursively in all subdirectories
+   * @param {string} dir - Directory to search
+   * @returns {Promise<Array<string>>} Conversation file paths
+   */
+  async findJsonlFiles(dir) {
+    const files = [];
+    const items = await fs.readdir(dir);
+
+    for (const item of items) {
+      const itemPath = path.join(dir, item);
+      const stats = await fs.stat(itemPath);
+
+      if (stats.isDirectory()) {
+        // Recursively search subdirectories
+        const subFiles = await this.findJsonlFiles(itemPath);
+        files.push(...subFiles);
+      } else if (item.endsWith('.jsonl')) {
+        files.push(itemPath);
+      }
+    }
+
+    return files;
+  }
+
   /**
    * Load active Claude projects from directory structure
    * @returns {Promise<Array>} Array of project objects
@@ -226,6 +298,108 @@ class ConversationAnalyzer {
     return this.parseAndCorrelateToolMessages(lines);
   }
 
+  /**
+   * Check if the persistent conversation index is available
+   * @returns {boolean} True if the index can be used
+   */
+  isIndexEnabled() {
+    return !!(this.conversationIndex && this.conversationIndex.isEnabled());
+  }
+
+  /**
+   * Get lightweight conversation messages from the persistent index
+   * @param {string} filepath - Path to conversation file
+   * @returns {Promise<Object|null>} Indexed messages, project and character count, or null if unavailable
+   */
+  async getIndexedConversation(filepath) {
+    if (!this.isIndexEnabled()) {
+      return null;
+    }
+
+    try {
+      const record = await this.conversationIndex.syncFile(filepath, item => this.buildIndexEntry(item));
+
+      return {
+        messages: this.messagesFromIndex(this.conversationIndex.getMessages(filepath)),
+        project: record.project_cwd ? path.basename(record.project_cwd) : 'Unknown',
+        charCount: record.char_count
+      };
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not index ${path.basename(filepath)}:`, error.message));
+      return null;
+    }
+  }
+
+  /**
+   * Build the index row for a raw JSONL entry
+   * @param {Object} item - Parsed JSONL line
+   * @returns {Object|null} Message metadata row, or null if the entry is not a message
+   */
+  buildIndexEntry(item) {
+    if (!item.message || (item.type !== 'assistant' && item.type !== 'user')) {
+      return null;
+    }
+
+    const content = item.message.content;
+    const firstBlock = (blockType) => Array.isArray(content)
+      ? content.find(c => c.type === blockType)
+      : (content && content.type === blockType ? content : null);
+
+    const message = {
+      role: item.message.role || (item.type === 'assistant' ? 'assistant' : 'user'),
+      content
+    };
+
+    const toolUseBlock = item.type === 'assistant' && content ? firstBlock('tool_use') : null;
+    const toolResultBlock = item.type === 'user' && content ? firstBlock('tool_result') : null;
+    // Only tool names and counts are indexed, tool inputs can hold secrets
+    const tools = Object.entries(this.extractToolUsage([message]).toolStats)
+      .map(([name, count]) => ({ name, count }));
+
+    return {
+      uuid: item.uuid || null,
+      messageId: item.message.id || null,
+      role: message.role,
+      type: item.type,
+      timestamp: item.timestamp,
+      model: item.message.model || null,
+      usage: item.message.usage || null,
+      tools,
+      toolUseId: toolUseBlock ? toolUseBlock.id : null,
+      toolResultId: toolResultBlock ? toolResultBlock.tool_use_id : null,
+      statusType: this.getMessageStatusType(message),
+      isCompactSummary: item.isCompactSummary || false
+    };
+  }
+
+  /**
+   * Rebuild lightweight parsed messages from index rows
+   * Mirrors parseAndCorrelateToolMessages: tool_result entries matched to a tool_use are dropped
+   * @param {Array} rows - Index rows in file order
+   * @returns {Array} Messages usable for token, model, tool and status calculations
+   */
+  messagesFromIndex(rows) {
+    const toolUseIds = new Set(
+      rows.filter(row => row.type === 'assistant' && row.toolUseId).map(row => row.toolUseId)
+    );
+
+    return rows
+      .filter(row => !(row.type === 'user' && row.toolResultId && toolUseIds.has(row.toolResultId)))
+      .map(row => ({
+        id: row.messageId || row.uuid || null,
+        role: row.role,
+        timestamp: new Date(row.timestamp),
+        content: row.tools.flatMap(tool => Array.from({ length: tool.count }, () => ({ type: 'tool_use', name: tool.name }))),
+        model: row.model,
+        usage: row.usage,
+        toolResults: null,
+        isCompactSummary: row.isCompactSummary,
+        uuid: row.uuid,
+        type: row.type,
+        statusType: row.statusType
+      }));
+  }
+
   /**
    * Parse JSONL lines and correlate tool_use with tool_result
    * @param {Array} lines - JSONL lines
@@ -311,6 +485,100 @@ class ConversationAnalyzer {
     return processedMessages;
   }
 
+  /**
+   * Get the hook runs recorded in a conversation file
+   * @param {string} filepath - Path to conversation file
+   * @returns {Promise<Array>} Hook executions (see extractHookExecutions)
+   */
+  async getHookExecutions(filepath) {
+    const content = await this.getFileContent(filepath);
+    const lines = content.trim().split('\n').filter(line => line.trim());
+
+    return this.extractHookExecutions(lines);
+  }
+
+  /**
+   * Find hook runs in JSONL lines. Claude Code records them as system entries
+   * ("PostToolUse:Edit [cmd] completed successfully") and blocking hooks as the
+   * feedback Claude receives instead of the tool result.
+   * Latency is the time from the tool call (PreToolUse) or tool result (PostToolUse)
+   * to the hook's entry, so it is only known for tool events.
+   * @param {Array} lines - JSONL lines
+   * @returns {Array} Executions with event, tool, command, outcome, exitCode, latencyMs, timestamp and cwd
+   */
+  extractHookExecutions(lines) {
+    const items = [];
+    const toolUses = new Map();
+    const toolResults = new Map();
+
+    // First pass: timestamps of every tool call and tool result
+    for (const line of lines) {
+      try {
+        const item = JSON.parse(line);
+        items.push(item);
+        const content = item.message && Array.isArray(item.message.content) ? item.message.content : [];
+        content.forEach(block => {
+          if (block.type === 'tool_use' && block.id) {
+            toolUses.set(block.id, { name: block.name, time: new Date(item.timestamp) });
+          } else if (block.type === 'tool_result' && block.tool_use_id && !toolResults.has(block.tool_use_id)) {
+            toolResults.set(block.tool_use_id, new Date(item.timestamp));
+          }
+        });
+      } catch (error) {
+        // Skip invalid JSONL lines
+      }
+    }
+
+    // Second pass: hook messages, with the tool call they belong to
+    const executions = [];
+    const addExecution = (text, item, toolUseId, fromToolResult) => {
+      const hook = parseHookMessage(text);
+      if (!hook) {
+        return;
+      }
+
+      const time = new Date(item.timestamp);
+      const toolUse = toolUseId ? toolUses.get(toolUseId) : null;
+      let since = null;
+      if (toolUse && (hook.event === 'PreToolUse' || fromToolResult)) {
+        since = toolUse.time;
+      } else if (toolUseId && hook.event === 'PostToolUse') {
+        since = toolResults.get(toolUseId) || null;
+      }
+      const latencyMs = since && time >= since ? time - since : null;
+
+      executions.push({
+        ...hook,
+        tool: hook.tool || (toolUse ? toolUse.name : null),
+        toolUseId: toolUseId || null,
+        latencyMs,
+        timestamp: time,
+        sessionId: item.sessionId || null,
+        cwd: item.cwd || null
+      });
+    };
+
+    for (const item of items) {
+      if (item.type === 'system' && typeof item.content === 'string') {
+        addExecution(item.content, item, item.toolUseID, false);
+      } else if (item.type === 'user' && item.message) {
+        const content = item.message.content;
+        if (typeof content === 'string') {
+          addExecution(content, item, null, false);
+        } else if (Array.isArray(content)) {
+          content.filter(block => block.type === 'tool_result').forEach(block => {
+            const text = typeof block.content === 'string'
+              ? block.content
+              : (block.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+            addExecution(text, item, block.tool_use_id, true);
+          });
+        }
+      }
+    }
+
+    return executions;
+  }
+
   /**
    * Get cached token usage calculation
    * @param {string} filepath - File path
@@ -365,10 +633,24 @@ class ConversationAnalyzer {
   async getCachedToolUsage(filepath, parsedMessages) {
     if (this.dataCache) {
       return await this.dataCache.getCachedToolUsage(filepath, () => {
-        return this.extractToolUsage(parsedMessages);
+        return this.summarizeToolUsage(this.extractToolUsage(parsedMessages));
       });
     }
-    return this.extractToolUsage(parsedMessages);
+    return this.summarizeToolUsage(this.extractToolUsage(parsedMessages));
+  }
+
+  /**
+   * Drop tool inputs from tool usage for conversation summaries
+   * Summaries are served to the dashboard as they are, and tool inputs hold raw commands and file
+   * contents; messages (with their inputs) are redacted when served
+   * @param {Object} toolUsage - Tool usage from extractToolUsage
+   * @returns {Object} Tool usage with tool names, timestamps and counts
+   */
+  summarizeToolUsage(toolUsage) {
+    return {
+      ...toolUsage,
+      toolTimeline: toolUsage.toolTimeline.map(({ tool, timestamp, type }) => ({ tool, timestamp, type }))
+    };
   }
 
   /**
@@ -593,65 +875,53 @@ class ConversationAnalyzer {
 
     return recentMessages.map((message, index) => {
       const messageNum = sortedMessages.length - recentMessages.length + index + 1;
+      const square = STATUS_SQUARES[message.statusType || this.getMessageStatusType(message)];
 
-      // Determine status based on message content and role
-      if (message.role === 'user') {
-        return {
-          type: 'pending',
-          tooltip: `Message #${messageNum}: User input`,
-        };
-      } else if (message.role === 'assistant') {
-        // Check if the message contains tool usage or errors
-        const content = message.content || '';
+      return {
+        type: square.type,
+        tooltip: `Message #${messageNum}: ${square.label}`,
+      };
+    });
+  }
 
-        if (typeof content === 'string') {
-          if (content.includes('[Tool:') || content.includes('tool_use')) {
-            return {
-              type: 'tool',
-              tooltip: `Message #${messageNum}: Tool execution`,
-            };
-          } else if (content.includes('error') || content.includes('Error') || content.includes('failed')) {
-            return {
-              type: 'error',
-              tooltip: `Message #${messageNum}: Error in response`,
-            };
-          } else {
-            return {
-              type: 'success',
-              tooltip: `Message #${messageNum}: Successful response`,
-            };
-          }
-        } else if (Array.isArray(content)) {
-          // Check for tool_use blocks in array content
-          const hasToolUse = content.some(block => block.type === 'tool_use');
-          const hasError = content.some(block =>
-            block.type === 'text' && (block.text?.includes('error') || block.text?.includes('Error'))
-          );
-
-          if (hasError) {
-            return {
-              type: 'error',
-              tooltip: `Message #${messageNum}: Error in response`,
-            };
-          } else if (hasToolUse) {
-            return {
-              type: 'tool',
-              tooltip: `Message #${messageNum}: Tool execution`,
-            };
-          } else {
-            return {
-              type: 'success',
-              tooltip: `Message #${messageNum}: Successful response`,
-            };
-          }
+  /**
+   * Classify a single message for its status square
+   * @param {Object} message - Message object
+   * @returns {string} Status type: 'user', 'tool', 'error', 'success' or 'unknown'
+   */
+  getMessageStatusType(message) {
+    if (message.role === 'user') {
+      return 'user';
+    }
+
+    if (message.role === 'assistant') {
+      // Check if the message contains tool usage or errors
+      const content = message.content || '';
+
+      if (typeof content === 'string') {
+        if (content.includes('[Tool:') || content.includes('tool_use')) {
+          return 'tool';
+        } else if (content.includes('error') || content.includes('Error') || content.includes('failed')) {
+          return 'error';
+        }
+        return 'success';
+      } else if (Array.isArray(content)) {
+        // Check for tool_use blocks in array content
+        const hasToolUse = content.some(block => block.type === 'tool_use');
+        const hasError = content.some(block =>
+          block.type === 'text' && (block.text?.includes('error') || block.text?.includes('Error'))
+        );
+
+        if (hasError) {
+          return 'error';
+        } else if (hasToolUse) {
+          return 'tool';
         }
+        return 'success';
       }
+    }
 
-      return {
-        type: 'pending',
-        tooltip: `Message #${messageNum}: Unknown status`,
-      };
-    });
+    return 'unknown';
   }
 
   /**
@@ -662,7 +932,7 @@ class ConversationAnalyzer {
    */
   async calculateSummary(conversations, projects) {
     if (this.dataCache) {
-      const dependencies = conversations.map(conv => conv.filePath);
+      const dependencies = conversations.filter(conv => conv.filePath).map(conv => conv.filePath);
       return await this.dataCache.getCachedComputation(
         'summary',
         () => this.computeSummary(conversations, projects),
@@ -687,8 +957,8 @@ class ConversationAnalyzer {
     const avgTokensPerConversation = totalConversations > 0 ? Math.round(totalTokens / totalConversations) : 0;
     const totalFileSize = conversations.reduce((sum, conv) => sum + conv.fileSize, 0);
 
-    // Calculate real Claude sessions (5-hour periods)
-    const claudeSessionsResult = await this.calculateClaudeSessions(conversations);
+    // Calculate real Claude sessions (5-hour periods), imported conversations have no local messages
+    const claudeSessionsResult = await this.calculateClaudeSessions(conversations.filter(conv => !conv.imported));
     const claudeSessions = claudeSessionsResult?.total || 0;
 
     return {
@@ -703,9 +973,45 @@ class ConversationAnalyzer {
       claudeSessions,
       claudeSessionsDetail: claudeSessions > 0 ? `${claudeSessions} session${claudeSessions > 1 ? 's' : ''}` : 'no sessions',
       claudeSessionsFullData: claudeSessionsResult, // Keep full session data for detailed analysis
+      byUser: this.groupByOrigin(conversations),
     };
   }
 
+  /**
+   * Group conversation totals by user and host
+   * @param {Array} conversations - Array of conversation objects
+   * @returns {Array} Totals per user/host, most tokens first
+   */
+  groupByOrigin(conversations) {
+    const groups = new Map();
+
+    conversations.forEach(conv => {
+      const user = conv.user || this.origin.user;
+      const host = conv.host || this.origin.host;
+      const key = ConversationBundle.getOriginKey({ user, host });
+      const group = groups.get(key) || {
+        key,
+        user,
+        host,
+        imported: Boolean(conv.imported),
+        conversations: 0,
+        tokens: 0,
+        cost: 0,
+        lastActivity: null
+      };
+
+      group.conversations++;
+      group.tokens += conv.tokens || 0;
+      group.cost += conv.cost ? conv.cost.total : 0;
+      if (!group.lastActivity || new Date(conv.lastModified) > new Date(group.lastActivity)) {
+        group.lastActivity = conv.lastModified;
+      }
+      groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.tokens - a.tokens);
+  }
+
   /**
    * Calculate Claude usage sessions based on 5-hour periods with caching
    * @param {Array} conversations - Array of conversation objects
@@ -733,6 +1039,19 @@ class ConversationAnalyzer {
     const allMessages = [];
 
     for (const conv of conversations) {
+      // The persistent index already holds every message timestamp
+      if (this.isIndexEnabled()) {
+        this.conversationIndex.getMessages(conv.filePath)
+          .filter(row => row.role === 'user' && row.timestamp)
+          .forEach(row => {
+            allMessages.push({
+              timestamp: new Date(row.timestamp),
+              conversationId: conv.id,
+            });
+          });
+        continue;
+      }
+
       // Use cached file content for better performance
       try {
         const content = await this.getFileContent(conv.filePath);
@@ -936,6 +1255,30 @@ class ConversationAnalyzer {
     this.updateRealtimeStats();
   }
 
+  /**
+   * Set conversations imported from other machines' bundles
+   * @param {Array} conversations - Conversations from ConversationBundle.importBundles
+   */
+  setImportedConversations(conversations) {
+    this.importedConversations = conversations;
+  }
+
+  /**
+   * Add imported conversations to the local ones (a local copy of the same conversation wins)
+   * @param {Array} conversations - Local conversations
+   * @returns {Array} Combined conversations, most recent first
+   */
+  mergeImportedConversations(conversations) {
+    if (this.importedConversations.length === 0) {
+      return conversations;
+    }
+
+    const localIds = new Set(conversations.map(conv => conv.id));
+    return conversations
+      .concat(this.importedConversations.filter(conv => !localIds.has(conv.id)))
+      .sort((a, b) => b.lastModified - a.lastModified);
+  }
+
   /**
    * Update orphan processes data
    * @param {Array} orphanProcesses - Updated orphan processes array
@@ -0,0 +1,253 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+/**
+ * Default rates in USD per million tokens
+ * Keys are matched against the model id reported in the conversation (longest matching key wins)
+ */
+const DEFAULT_RATES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4-1': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4-5': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 }
+};
+
+const TOKENS_PER_RATE_UNIT = 1000000;
+
+/**
+ * CostCalculator - Turns token usage into money using a per-model pricing table
+ * Rates can be overridden locally in ~/.claude-code-templates/pricing.json:
+ * { "currency": "USD", "models": { "claude-sonnet-4": { "input": 3, "output": 15, "cacheWrite": 3.75, "cacheRead": 0.3 } } }
+ */
+class CostCalculator {
+  constructor(options = {}) {
+    this.options = {
+      ratesPath: path.join(os.homedir(), '.claude-code-templates', 'pricing.json'),
+      ...options
+    };
+
+    this.currency = 'USD';
+    this.rates = { ...DEFAULT_RATES };
+    this.overridesLoaded = false;
+  }
+
+  /**
+   * Load local rate overrides on top of the default table
+   * @returns {Promise<boolean>} True if an override file was applied
+   */
+  async loadRates() {
+    this.rates = { ...DEFAULT_RATES };
+    this.overridesLoaded = false;
+
+    try {
+      if (!(await fs.pathExists(this.options.ratesPath))) {
+        return false;
+      }
+
+      const overrides = await fs.readJson(this.options.ratesPath);
+      const models = overrides.models || {};
+
+      Object.entries(models).forEach(([model, rates]) => {
+        this.rates[model] = { ...(this.rates[model] || {}), ...rates };
+      });
+
+      if (overrides.currency) {
+        this.currency = overrides.currency;
+      }
+
+      this.overridesLoaded = true;
+      return true;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not load pricing overrides from ${this.options.ratesPath}:`, error.message));
+      return false;
+    }
+  }
+
+  /**
+   * Find the rates for a model id
+   * @param {string} model - Model id as reported in the conversation
+   * @returns {Object|null} Rates per million tokens, or null if the model is not priced
+   */
+  getRates(model) {
+    if (!model) {
+      return null;
+    }
+
+    if (this.rates[model]) {
+      return this.rates[model];
+    }
+
+    const matchingKey = Object.keys(this.rates)
+      .filter(key => model.includes(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return matchingKey ? this.rates[matchingKey] : null;
+  }
+
+  /**
+   * Calculate the cost of a single usage record
+   * @param {Object} usage - Message usage (input_tokens, output_tokens, cache_*_input_tokens)
+   * @param {string} model - Model id
+   * @returns {Object|null} Cost breakdown, or null if the model is not priced
+   */
+  calculateUsageCost(usage, model) {
+    const rates = this.getRates(model);
+    if (!usage || !rates) {
+      return null;
+    }
+
+    const cost = (tokens, rate) => ((tokens || 0) * (rate || 0)) / TOKENS_PER_RATE_UNIT;
+    const breakdown = {
+      input: cost(usage.input_tokens, rates.input),
+      output: cost(usage.output_tokens, rates.output),
+      cacheWrite: cost(usage.cache_creation_input_tokens, rates.cacheWrite),
+      cacheRead: cost(usage.cache_read_input_tokens, rates.cacheRead)
+    };
+
+    breakdown.total = breakdown.input + breakdown.output + breakdown.cacheWrite + breakdown.cacheRead;
+    return breakdown;
+  }
+
+  /**
+   * Calculate the cost of a conversation, split by model and day
+   * @param {Array} parsedMessages - Parsed messages with usage, model and timestamp
+   * @returns {Object} Conversation cost
+   */
+  calculateConversationCost(parsedMessages) {
+    const result = {
+      currency: this.currency,
+      total: 0,
+      input: 0,
+      output: 0,
+      cacheWrite: 0,
+      cacheRead: 0,
+      byModel: {},
+      byDay: {},
+      tokensByDay: {},
+      unpricedModels: []
+    };
+    const unpriced = new Set();
+
+    parsedMessages.forEach(message => {
+      if (!message.usage) {
+        return;
+      }
+
+      const day = this.getDayKey(message.timestamp);
+      if (day) {
+        const tokens = (message.usage.input_tokens || 0) + (message.usage.output_tokens || 0);
+        result.tokensByDay[day] = (result.tokensByDay[day] || 0) + tokens;
+      }
+
+      const breakdown = this.calculateUsageCost(message.usage, message.model);
+      if (!breakdown) {
+        unpriced.add(message.model || 'Unknown');
+        return;
+      }
+
+      result.total += breakdown.total;
+      result.input += breakdown.input;
+      result.output += breakdown.output;
+      result.cacheWrite += breakdown.cacheWrite;
+      result.cacheRead += breakdown.cacheRead;
+      result.byModel[message.model] = (result.byModel[message.model] || 0) + breakdown.total;
+
+      if (day) {
+        result.byDay[day] = (result.byDay[day] || 0) + breakdown.total;
+      }
+    });
+
+    result.unpricedModels = Array.from(unpriced);
+    return result;
+  }
+
+  /**
+   * Aggregate conversation costs per project, day, model and user
+   * @param {Array} conversations - Conversations with a cost property
+   * @returns {Object} Cost summary
+   */
+  summarizeCosts(conversations) {
+    const byProject = new Map();
+    const byDay = new Map();
+    const byModel = new Map();
+    const byUser = new Map();
+    const unpriced = new Set();
+    let total = 0;
+
+    conversations.forEach(conversation => {
+      const cost = conversation.cost;
+      if (!cost) {
+        return;
+      }
+
+      total += cost.total;
+
+      const projectName = conversation.project || 'Unknown';
+      const project = byProject.get(projectName) || { project: projectName, cost: 0, conversations: 0 };
+      project.cost += cost.total;
+      project.conversations++;
+      byProject.set(projectName, project);
+
+      if (conversation.user) {
+        const userKey = `${conversation.user}@${conversation.host}`;
+        const user = byUser.get(userKey) || { user: conversation.user, host: conversation.host, cost: 0, conversations: 0 };
+        user.cost += cost.total;
+        user.conversations++;
+        byUser.set(userKey, user);
+      }
+
+      Object.entries(cost.byDay).forEach(([day, dayCost]) => {
+        byDay.set(day, (byDay.get(day) || 0) + dayCost);
+      });
+
+      Object.entries(cost.byModel).forEach(([model, modelCost]) => {
+        byModel.set(model, (byModel.get(model) || 0) + modelCost);
+      });
+
+      cost.unpricedModels.forEach(model => unpriced.add(model));
+    });
+
+    return {
+      currency: this.currency,
+      total,
+      byProject: Array.from(byProject.values()).sort((a, b) => b.cost - a.cost),
+      byDay: Array.from(byDay.entries())
+        .map(([date, cost]) => ({ date, cost }))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      byModel: Array.from(byModel.entries())
+        .map(([model, cost]) => ({ model, cost }))
+        .sort((a, b) => b.cost - a.cost),
+      byUser: Array.from(byUser.values()).sort((a, b) => b.cost - a.cost),
+      unpricedModels: Array.from(unpriced),
+      overridesLoaded: this.overridesLoaded
+    };
+  }
+
+  /**
+   * Get the local calendar day of a timestamp
+   * @param {string} timestamp - Message timestamp
+   * @returns {string|null} Day as YYYY-MM-DD
+   */
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    if (!timestamp || isNaN(date.getTime())) {
+      return null;
+    }
+
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+CostCalculator.DEFAULT_RATES = DEFAULT_RATES;
+
+module.exports = CostCalculator;
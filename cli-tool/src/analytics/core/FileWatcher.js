@@ -57,9 +57,9 @@ class FileWatcher {
       // Enhanced file activity detection for typing
       await this.handleFileActivity(conversationId, filePath);
       
-      // Invalidate cache for the changed file
+      // Invalidate cache for the changed file, keeping its parse state so only appended lines are parsed
       if (this.dataCache && filePath) {
-        this.dataCache.invalidateFile(filePath);
+        this.dataCache.invalidateFile(filePath, { preserveParseState: true });
       }
       
       // Notify specific conversation change if callback exists
@@ -214,7 +214,7 @@ class FileWatcher {
     try {
       // Parse the conversation to see if new complete messages were added
       const ConversationAnalyzer = require('./ConversationAnalyzer');
-      const analyzer = new ConversationAnalyzer();
+      const analyzer = new ConversationAnalyzer(this.claudeDir, this.dataCache);
       const messages = await analyzer.getParsedConversation(filePath);
 
       if (messages && messages.length > 0) {
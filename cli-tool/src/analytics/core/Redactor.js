@@ -0,0 +1,230 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+/**
+ * Built-in pattern packs
+ * When a pattern has a named group "secret" only that group is replaced, so keys and labels stay readable
+ */
+const PATTERN_PACKS = {
+  aws: [
+    { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g },
+    { name: 'aws-secret-key', pattern: /(aws_?secret_?access_?key["']?\s*[:=]\s*["']?)(?<secret>[A-Za-z0-9/+=]{40})/gi }
+  ],
+  github: [
+    { name: 'github-token', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}\b/g },
+    { name: 'github-token', pattern: /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g }
+  ],
+  'ai-keys': [
+    { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+    { name: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g }
+  ],
+  jwt: [
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g }
+  ],
+  'private-keys': [
+    { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+  ],
+  email: [
+    { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+  ],
+  env: [
+    // Values of secret-looking variables in .env files and shell exports
+    {
+      name: 'env-secret',
+      pattern: /^(\s*(?:export\s+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|APIKEY|PRIVATE_KEY|ACCESS_KEY|CREDENTIALS)[A-Z0-9_]*\s*=\s*)(?<secret>\S.*)$/gm
+    }
+  ]
+};
+
+const DEFAULT_PACKS = Object.keys(PATTERN_PACKS);
+
+// Structural fields that never hold user content and must stay intact for correlation
+const SKIPPED_KEYS = new Set([
+  'id', 'uuid', 'parentUuid', 'sessionId', 'message_id', 'tool_use_id',
+  'type', 'role', 'model', 'timestamp', 'name'
+]);
+
+/**
+ * Redactor - Removes secrets and PII from conversation messages before they leave the server
+ * Configured in ~/.claude-code-templates/redaction.json:
+ * { "enabled": true, "packs": ["aws", "github"], "custom": [{ "name": "internal-host", "pattern": "\\w+\\.corp\\.example", "flags": "i" }] }
+ * Redacted spots are replaced with a [REDACTED:<rule>] marker
+ */
+class Redactor {
+  constructor(options = {}) {
+    this.options = {
+      configPath: path.join(os.homedir(), '.claude-code-templates', 'redaction.json'),
+      ...options
+    };
+
+    this.enabled = true;
+    this.packs = [...DEFAULT_PACKS];
+    this.rules = this.buildRules(this.packs, []);
+  }
+
+  /**
+   * Load the redaction config, falling back to all built-in packs
+   * @returns {Promise<Object>} Active configuration
+   */
+  async load() {
+    let config = {};
+
+    try {
+      if (await fs.pathExists(this.options.configPath)) {
+        config = await fs.readJson(this.options.configPath);
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not load redaction config from ${this.options.configPath}:`, error.message));
+    }
+
+    this.configure(config);
+    return this.getConfig();
+  }
+
+  /**
+   * Apply a configuration object
+   * @param {Object} config - enabled, packs and custom patterns
+   */
+  configure(config = {}) {
+    this.enabled = config.enabled !== false;
+
+    const packs = Array.isArray(config.packs) ? config.packs : DEFAULT_PACKS;
+    const unknown = packs.filter(pack => !PATTERN_PACKS[pack]);
+    if (unknown.length > 0) {
+      console.warn(chalk.yellow(`⚠️  Unknown redaction packs ignored: ${unknown.join(', ')}`));
+    }
+
+    this.packs = packs.filter(pack => PATTERN_PACKS[pack]);
+    this.rules = this.buildRules(this.packs, Array.isArray(config.custom) ? config.custom : []);
+  }
+
+  /**
+   * Build the list of rules from packs and custom patterns
+   * @param {Array<string>} packs - Enabled pack names
+   * @param {Array<Object>} custom - Custom patterns { name, pattern, flags }
+   * @returns {Array<Object>} Rules with name and global RegExp
+   */
+  buildRules(packs, custom) {
+    const rules = packs.flatMap(pack => PATTERN_PACKS[pack]);
+
+    custom.forEach((entry, index) => {
+      const name = entry && entry.name ? entry.name : `custom-${index + 1}`;
+      try {
+        const flags = Array.from(new Set(`${entry.flags || ''}g`)).join('');
+        rules.push({ name, pattern: new RegExp(entry.pattern, flags) });
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Invalid custom redaction pattern "${name}" ignored:`, error.message));
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Redact a string
+   * @param {string} text - Text
+   * @param {Map} counts - Optional rule name -> count accumulator
+   * @returns {string} Redacted text
+   */
+  redactText(text, counts = null) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    return this.rules.reduce((result, rule) => {
+      rule.pattern.lastIndex = 0;
+      return result.replace(rule.pattern, (...args) => {
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const match = args[0];
+        const marker = `[REDACTED:${rule.name}]`;
+
+        // Skip text that an earlier rule already redacted
+        if (match.includes('[REDACTED:')) {
+          return match;
+        }
+        if (counts) {
+          counts.set(rule.name, (counts.get(rule.name) || 0) + 1);
+        }
+
+        if (groups && groups.secret !== undefined) {
+          const secretStart = match.lastIndexOf(groups.secret);
+          return match.slice(0, secretStart) + marker + match.slice(secretStart + groups.secret.length);
+        }
+        return marker;
+      });
+    }, text);
+  }
+
+  /**
+   * Redact every string in a value without modifying the original
+   * @param {*} value - Value to redact
+   * @param {Map} counts - Optional rule name -> count accumulator
+   * @returns {*} Redacted copy
+   */
+  redactValue(value, counts = null) {
+    if (typeof value === 'string') {
+      return this.redactText(value, counts);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, counts));
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      copy[key] = SKIPPED_KEYS.has(key) ? item : this.redactValue(item, counts);
+    });
+    return copy;
+  }
+
+  /**
+   * Redact a message and record what was redacted in message.redactions
+   * @param {Object} message - Parsed message (content, toolResults, ...)
+   * @returns {Object} Redacted copy
+   */
+  redactMessage(message) {
+    if (!this.enabled || !message) {
+      return message;
+    }
+
+    const counts = new Map();
+    const redacted = this.redactValue(message, counts);
+    if (counts.size > 0) {
+      redacted.redactions = Array.from(counts.entries()).map(([rule, count]) => ({ rule, count }));
+    }
+    return redacted;
+  }
+
+  /**
+   * Redact a list of messages
+   * @param {Array} messages - Parsed messages
+   * @returns {Array} Redacted copies
+   */
+  redactMessages(messages) {
+    if (!this.enabled || !Array.isArray(messages)) {
+      return messages;
+    }
+    return messages.map(message => this.redactMessage(message));
+  }
+
+  /**
+   * Get the active configuration
+   * @returns {Object} enabled, packs and rule names
+   */
+  getConfig() {
+    return {
+      enabled: this.enabled,
+      packs: this.packs,
+      rules: Array.from(new Set(this.rules.map(rule => rule.name))),
+      configPath: this.options.configPath
+    };
+  }
+}
+
+Redactor.PATTERN_PACKS = PATTERN_PACKS;
+
+module.exports = Redactor;
@@ -174,11 +174,11 @@ class SessionAnalyzer {
         return;
       }
 
-      // Generate estimated messages based on token usage and timestamps
-      // This is a fallback when parsedMessages is not available
-      const estimatedMessages = this.generateEstimatedMessages(conversation);
+      // Use real messages when provided, otherwise generate estimated messages
+      // based on token usage and timestamps
+      const messages = conversation.parsedMessages || this.generateEstimatedMessages(conversation);
 
-      estimatedMessages.forEach(message => {
+      messages.forEach(message => {
         allMessages.push({
           timestamp: message.timestamp,
           role: message.role,
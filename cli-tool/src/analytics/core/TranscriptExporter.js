@@ -0,0 +1,435 @@
+const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap text in a Markdown code fence that is longer than any backtick run inside it
+ * @param {string} text - Code
+ * @param {string} language - Fence language
+ * @returns {string} Fenced block
+ */
+function fence(text, language = '') {
+  const longestRun = (String(text).match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const ticks = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${ticks}${language}\n${text}\n${ticks}`;
+}
+
+/**
+ * Extract plain text from tool result content (string or content blocks)
+ * @param {string|Array} content - Tool result content
+ * @returns {string} Text
+ */
+function resultToText(content) {
+  if (content === undefined || content === null) {
+    return '';
+  }
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return JSON.stringify(content, null, 2);
+  }
+  return content.map(block => {
+    if (typeof block === 'string') return block;
+    if (block.type === 'text') return block.text || '';
+    if (block.type === 'image') return '[image]';
+    return JSON.stringify(block);
+  }).join('\n');
+}
+
+/**
+ * TranscriptExporter - Renders a correlated conversation transcript as Markdown, HTML or JSON
+ * Tool calls are paired with their results; Edit/MultiEdit/Write calls carry diffs and TodoWrite calls carry todo lists
+ */
+class TranscriptExporter {
+  /**
+   * Build the normalized transcript that all formats are rendered from
+   * @param {Object} conversation - Conversation metadata (id, project, filePath)
+   * @param {Array} messages - Parsed messages with attached tool results
+   * @returns {Object} Normalized transcript
+   */
+  normalize(conversation, messages) {
+    const timestamps = messages
+      .map(message => new Date(message.timestamp))
+      .filter(date => !isNaN(date.getTime()))
+      .sort((a, b) => a - b);
+    const models = Array.from(new Set(messages.map(message => message.model).filter(Boolean)));
+
+    return {
+      id: conversation.id,
+      project: conversation.project || 'Unknown',
+      startedAt: timestamps.length > 0 ? timestamps[0].toISOString() : null,
+      endedAt: timestamps.length > 0 ? timestamps[timestamps.length - 1].toISOString() : null,
+      messageCount: messages.length,
+      models,
+      exportedAt: new Date().toISOString(),
+      messages: messages.map(message => this.normalizeMessage(message))
+    };
+  }
+
+  /**
+   * Normalize a single message into text, thinking and tool call blocks
+   * @param {Object} message - Parsed message
+   * @returns {Object} Normalized message
+   */
+  normalizeMessage(message) {
+    const results = new Map((message.toolResults || []).map(result => [result.tool_use_id, result]));
+    const content = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : (Array.isArray(message.content) ? message.content : []);
+
+    const blocks = content.map(block => {
+      if (!block || typeof block !== 'object') {
+        return null;
+      }
+      if (block.type === 'text') {
+        return block.text ? { type: 'text', text: block.text } : null;
+      }
+      if (block.type === 'thinking') {
+        return block.thinking ? { type: 'thinking', text: block.thinking } : null;
+      }
+      if (block.type === 'image') {
+        return { type: 'text', text: '[image]' };
+      }
+      if (block.type === 'tool_use') {
+        return this.normalizeToolCall(block, results.get(block.id));
+      }
+      return null;
+    }).filter(Boolean);
+
+    const timestamp = new Date(message.timestamp);
+    return {
+      id: message.id || null,
+      uuid: message.uuid || null,
+      role: message.isCompactSummary ? 'summary' : message.role,
+      timestamp: isNaN(timestamp.getTime()) ? null : timestamp.toISOString(),
+      model: message.model || null,
+      usage: message.usage || null,
+      ...(message.redactions ? { redactions: message.redactions } : {}),
+      blocks
+    };
+  }
+
+  /**
+   * Normalize a tool call with its result, diff and todo list
+   * @param {Object} block - tool_use content block
+   * @param {Object} result - Correlated tool_result (if any)
+   * @returns {Object} Tool call block
+   */
+  normalizeToolCall(block, result) {
+    const input = block.input || {};
+    const toolCall = {
+      type: 'tool_call',
+      id: block.id || null,
+      name: block.name || 'Unknown',
+      input,
+      result: result ? {
+        content: resultToText(result.content),
+        isError: Boolean(result.is_error),
+        stdout: result.stdout || null,
+        stderr: result.stderr || null,
+        interrupted: Boolean(result.interrupted)
+      } : null
+    };
+
+    const diff = this.buildDiff(toolCall.name, input);
+    if (diff) {
+      toolCall.diff = diff;
+    }
+    if (toolCall.name === 'TodoWrite' && Array.isArray(input.todos)) {
+      toolCall.todos = input.todos.map(todo => ({
+        content: todo.content || '',
+        status: todo.status || 'pending'
+      }));
+    }
+
+    return toolCall;
+  }
+
+  /**
+   * Build the diff of a file editing tool call
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @returns {Object|null} Diff with file path and hunks of removed/added lines
+   */
+  buildDiff(name, input) {
+    const lines = text => (typeof text === 'string' && text.length > 0 ? text.split('\n') : []);
+
+    if (name === 'Edit') {
+      return {
+        filePath: input.file_path || null,
+        hunks: [{ removed: lines(input.old_string), added: lines(input.new_string) }]
+      };
+    }
+    if (name === 'MultiEdit' && Array.isArray(input.edits)) {
+      return {
+        filePath: input.file_path || null,
+        hunks: input.edits.map(edit => ({ removed: lines(edit.old_string), added: lines(edit.new_string) }))
+      };
+    }
+    if (name === 'Write') {
+      return {
+        filePath: input.file_path || null,
+        hunks: [{ removed: [], added: lines(input.content) }]
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Render a normalized transcript
+   * @param {Object} transcript - Transcript from normalize()
+   * @param {string} format - md, html or json
+   * @returns {string} Rendered transcript
+   */
+  render(transcript, format) {
+    switch (format) {
+      case 'md':
+        return this.renderMarkdown(transcript);
+      case 'html':
+        return this.renderHtml(transcript);
+      case 'json':
+        return JSON.stringify(transcript, null, 2);
+      default:
+        throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the label shown for a message role
+   * @param {string} role - Normalized role
+   * @returns {string} Label
+   */
+  getRoleLabel(role) {
+    if (role === 'user') return '👤 User';
+    if (role === 'summary') return '📝 Compacted summary';
+    return '🤖 Assistant';
+  }
+
+  /**
+   * Format a diff as unified-style lines
+   * @param {Object} diff - Diff from buildDiff()
+   * @returns {Array<string>} Lines
+   */
+  diffLines(diff) {
+    const header = [`--- a/${diff.filePath || 'file'}`, `+++ b/${diff.filePath || 'file'}`];
+    return diff.hunks.reduce((all, hunk) => [
+      ...all,
+      '@@',
+      ...hunk.removed.map(line => `-${line}`),
+      ...hunk.added.map(line => `+${line}`)
+    ], header);
+  }
+
+  /**
+   * Render a transcript as Markdown
+   * @param {Object} transcript - Normalized transcript
+   * @returns {string} Markdown
+   */
+  renderMarkdown(transcript) {
+    const out = [
+      `# Conversation ${transcript.id}`,
+      '',
+      `- **Project:** ${transcript.project}`,
+      `- **Started:** ${transcript.startedAt || 'Unknown'}`,
+      `- **Last activity:** ${transcript.endedAt || 'Unknown'}`,
+      `- **Messages:** ${transcript.messageCount}`,
+      `- **Models:** ${transcript.models.join(', ') || 'Unknown'}`,
+      ''
+    ];
+
+    transcript.messages.forEach(message => {
+      const meta = [message.timestamp, message.model].filter(Boolean).join(' · ');
+      out.push('---', '', `### ${this.getRoleLabel(message.role)}${meta ? ` · ${meta}` : ''}`, '');
+
+      message.blocks.forEach(block => {
+        if (block.type === 'text') {
+          out.push(block.text, '');
+        } else if (block.type === 'thinking') {
+          out.push('<details><summary>Thinking</summary>', '', block.text, '', '</details>', '');
+        } else if (block.type === 'tool_call') {
+          out.push(...this.renderMarkdownToolCall(block), '');
+        }
+      });
+    });
+
+    return out.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Render a tool call as Markdown
+   * @param {Object} toolCall - Tool call block
+   * @returns {Array<string>} Lines
+   */
+  renderMarkdownToolCall(toolCall) {
+    const out = [`**🔧 ${toolCall.name}**${toolCall.id ? ` \`${toolCall.id}\`` : ''}`, ''];
+
+    if (toolCall.diff) {
+      out.push(fence(this.diffLines(toolCall.diff).join('\n'), 'diff'));
+    } else if (toolCall.todos) {
+      toolCall.todos.forEach(todo => {
+        const suffix = todo.status === 'in_progress' ? ' _(in progress)_' : '';
+        out.push(`- [${todo.status === 'completed' ? 'x' : ' '}] ${todo.content}${suffix}`);
+      });
+    } else {
+      out.push(fence(JSON.stringify(toolCall.input, null, 2), 'json'));
+    }
+
+    if (toolCall.result) {
+      const label = toolCall.result.isError ? 'Result (error)' : 'Result';
+      out.push('', `<details><summary>${label}</summary>`, '', fence(toolCall.result.content || toolCall.result.stdout || ''));
+      if (toolCall.result.stderr) {
+        out.push('', fence(toolCall.result.stderr));
+      }
+      out.push('', '</details>');
+    }
+
+    return out;
+  }
+
+  /**
+   * Render a transcript as a standalone HTML page
+   * @param {Object} transcript - Normalized transcript
+   * @returns {string} HTML
+   */
+  renderHtml(transcript) {
+    const messages = transcript.messages.map(message => {
+      const meta = [message.timestamp, message.model].filter(Boolean).map(escapeHtml).join(' · ');
+      const blocks = message.blocks.map(block => {
+        if (block.type === 'text') {
+          return `<div class="text">${escapeHtml(block.text)}</div>`;
+        }
+        if (block.type === 'thinking') {
+          return `<details class="thinking"><summary>Thinking</summary><div class="text">${escapeHtml(block.text)}</div></details>`;
+        }
+        return this.renderHtmlToolCall(block);
+      }).join('\n');
+
+      return `<section class="message ${escapeHtml(message.role)}" id="${escapeHtml(message.uuid || message.id || '')}">
+<h3>${escapeHtml(this.getRoleLabel(message.role))}${meta ? ` <span class="meta">${meta}</span>` : ''}</h3>
+${blocks}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation ${escapeHtml(transcript.id)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 0 auto; padding: 24px; color: #1f2328; background: #fff; }
+h1 { font-size: 1.4rem; word-break: break-all; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 0.9rem; }
+dt { font-weight: 600; }
+.message { border-top: 1px solid #d0d7de; padding: 12px 0; }
+.message h3 { font-size: 1rem; margin: 0 0 8px; }
+.message.user h3 { color: #0969da; }
+.message.summary h3 { color: #8250df; }
+.meta { font-weight: normal; color: #656d76; font-size: 0.85rem; }
+.text { white-space: pre-wrap; word-break: break-word; margin: 6px 0; }
+.tool { border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; padding: 8px 12px; background: #f6f8fa; }
+.tool-name { font-weight: 600; font-family: monospace; }
+pre { white-space: pre-wrap; word-break: break-word; font-size: 0.8rem; background: #fff; border: 1px solid #d0d7de; border-radius: 4px; padding: 8px; overflow-x: auto; }
+.diff .added { color: #116329; background: #dafbe1; display: block; }
+.diff .removed { color: #82071e; background: #ffebe9; display: block; }
+.diff .hunk { color: #656d76; display: block; }
+.todos { list-style: none; padding-left: 0; }
+.todos .completed { text-decoration: line-through; color: #656d76; }
+.error summary { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>Conversation ${escapeHtml(transcript.id)}</h1>
+<dl>
+<dt>Project</dt><dd>${escapeHtml(transcript.project)}</dd>
+<dt>Started</dt><dd>${escapeHtml(transcript.startedAt || 'Unknown')}</dd>
+<dt>Last activity</dt><dd>${escapeHtml(transcript.endedAt || 'Unknown')}</dd>
+<dt>Messages</dt><dd>${transcript.messageCount}</dd>
+<dt>Models</dt><dd>${escapeHtml(transcript.models.join(', ') || 'Unknown')}</dd>
+</dl>
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a tool call as HTML
+   * @param {Object} toolCall - Tool call block
+   * @returns {string} HTML
+   */
+  renderHtmlToolCall(toolCall) {
+    let body;
+    if (toolCall.diff) {
+      // The first two lines are the ---/+++ file header
+      const lines = this.diffLines(toolCall.diff).map((line, index) => {
+        const type = index < 2 || line === '@@' ? 'hunk' : line.startsWith('+') ? 'added' : 'removed';
+        return `<span class="${type}">${escapeHtml(line)}</span>`;
+      }).join('');
+      body = `<pre class="diff">${lines}</pre>`;
+    } else if (toolCall.todos) {
+      body = `<ul class="todos">${toolCall.todos.map(todo => {
+        const box = todo.status === 'completed' ? '☑' : todo.status === 'in_progress' ? '◐' : '☐';
+        return `<li class="${escapeHtml(todo.status)}">${box} ${escapeHtml(todo.content)}</li>`;
+      }).join('')}</ul>`;
+    } else {
+      body = `<pre>${escapeHtml(JSON.stringify(toolCall.input, null, 2))}</pre>`;
+    }
+
+    let result = '';
+    if (toolCall.result) {
+      const output = toolCall.result.content || toolCall.result.stdout || '';
+      result = `<details class="result${toolCall.result.isError ? ' error' : ''}">
+<summary>${toolCall.result.isError ? 'Result (error)' : 'Result'}</summary>
+<pre>${escapeHtml(output)}</pre>${toolCall.result.stderr ? `\n<pre>${escapeHtml(toolCall.result.stderr)}</pre>` : ''}
+</details>`;
+    }
+
+    return `<div class="tool">
+<div class="tool-name">🔧 ${escapeHtml(toolCall.name)}</div>
+${body}
+${result}
+</div>`;
+  }
+
+  /**
+   * Get the download file name of an export
+   * @param {string} conversationId - Conversation ID
+   * @param {string} format - Export format
+   * @returns {string} File name
+   */
+  getFileName(conversationId, format) {
+    return `conversation-${conversationId}.${format}`;
+  }
+
+  /**
+   * Get the HTTP content type of an export format
+   * @param {string} format - Export format
+   * @returns {string} Content type
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+}
+
+TranscriptExporter.EXPORT_FORMATS = EXPORT_FORMATS;
+
+module.exports = TranscriptExporter;
@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const chalk = require('chalk');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BUNDLE_FORMAT = 'claude-code-templates-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = '.json.gz';
+
+// Conversation fields that still mean something on another machine
+// (file paths, running processes and live state do not). Tool timelines keep only
+// the tool names, their inputs are raw commands and file contents.
+const BUNDLE_FIELDS = [
+  'id',
+  'filename',
+  'project',
+  'messageCount',
+  'fileSize',
+  'lastModified',
+  'created',
+  'tokens',
+  'tokenUsage',
+  'modelInfo',
+  'cost',
+  'toolUsage'
+];
+
+/**
+ * ConversationBundle - Packages one machine's conversations into a compressed archive
+ * and loads archives from teammates so the dashboard can aggregate usage per user/host
+ */
+class ConversationBundle {
+  constructor(options = {}) {
+    this.origin = {
+      ...ConversationBundle.getLocalOrigin(),
+      ...options.origin
+    };
+  }
+
+  /**
+   * Get the user and host of this machine
+   * @returns {Object} Origin with user and host
+   */
+  static getLocalOrigin() {
+    let user;
+    try {
+      user = os.userInfo().username;
+    } catch (error) {
+      // userInfo throws when the uid has no passwd entry (some containers)
+      user = process.env.USER || process.env.USERNAME || 'unknown';
+    }
+    return { user, host: os.hostname() };
+  }
+
+  /**
+   * Get the key identifying a user/host pair
+   * @param {Object} origin - Object with user and host
+   * @returns {string} user@host
+   */
+  static getOriginKey(origin) {
+    return `${origin.user}@${origin.host}`;
+  }
+
+  /**
+   * Copy tool usage without the tool inputs
+   * @param {Object} toolUsage - Tool usage from ConversationAnalyzer
+   * @returns {Object} Tool usage with names, timestamps and counts only
+   */
+  static stripToolInputs(toolUsage) {
+    return {
+      ...toolUsage,
+      toolTimeline: (toolUsage.toolTimeline || []).map(({ tool, timestamp, type }) => ({ tool, timestamp, type }))
+    };
+  }
+
+  /**
+   * Build a bundle from analyzed conversations
+   * @param {Array} conversations - Conversations from ConversationAnalyzer
+   * @param {Map} messagesById - Optional conversation ID → messages; omit for a metadata-only bundle
+   * @returns {Object} Bundle
+   */
+  create(conversations, messagesById = null) {
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      user: this.origin.user,
+      host: this.origin.host,
+      includesMessages: Boolean(messagesById),
+      conversations: conversations.map(conversation => {
+        const entry = {};
+        BUNDLE_FIELDS.forEach(field => {
+          if (conversation[field] !== undefined) {
+            entry[field] = conversation[field];
+          }
+        });
+        if (entry.toolUsage) {
+          entry.toolUsage = ConversationBundle.stripToolInputs(entry.toolUsage);
+        }
+        if (messagesById) {
+          entry.messages = messagesById.get(conversation.id) || [];
+        }
+        return entry;
+      })
+    };
+  }
+
+  /**
+   * Get the default file name of a bundle
+   * @param {Object} bundle - Bundle
+   * @returns {string} File name
+   */
+  getFileName(bundle) {
+    const safe = value => String(value).replace(/[^\w.-]+/g, '-');
+    const day = bundle.createdAt.slice(0, 10);
+    return `claude-usage-${safe(bundle.user)}-${safe(bundle.host)}-${day}${BUNDLE_EXTENSION}`;
+  }
+
+  /**
+   * Write a bundle as gzipped JSON
+   * @param {string} filePath - Destination file
+   * @param {Object} bundle - Bundle
+   */
+  async write(filePath, bundle) {
+    await fs.writeFile(filePath, await gzip(JSON.stringify(bundle)));
+  }
+
+  /**
+   * Read and validate a bundle
+   * @param {string} filePath - Bundle file
+   * @returns {Promise<Object>} Bundle
+   */
+  async read(filePath) {
+    let bundle;
+    try {
+      bundle = JSON.parse((await gunzip(await fs.readFile(filePath))).toString('utf8'));
+    } catch (error) {
+      throw new Error(`${filePath} is not a conversation bundle: ${error.message}`);
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.conversations)) {
+      throw new Error(`${filePath} is not a conversation bundle`);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`${filePath} uses bundle version ${bundle.version}, please update claude-code-templates`);
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Expand bundle files and directories (directories contribute their *.json.gz files)
+   * @param {Array<string>} paths - Files or directories
+   * @returns {Promise<Array<string>>} Bundle files
+   */
+  async resolvePaths(paths) {
+    const files = [];
+
+    for (const entry of paths) {
+      const resolved = path.resolve(entry);
+      if (!(await fs.pathExists(resolved))) {
+        throw new Error(`Bundle not found: ${entry}`);
+      }
+
+      const stats = await fs.stat(resolved);
+      if (stats.isDirectory()) {
+        const items = (await fs.readdir(resolved)).filter(item => item.endsWith(BUNDLE_EXTENSION)).sort();
+        files.push(...items.map(item => path.join(resolved, item)));
+      } else {
+        files.push(resolved);
+      }
+    }
+
+    return [...new Set(files)];
+  }
+
+  /**
+   * Convert a bundle into conversations tagged with its user and host
+   * @param {Object} bundle - Bundle
+   * @returns {Array} Conversations (messages are returned separately by importBundles)
+   */
+  toConversations(bundle) {
+    return bundle.conversations.map(({ messages, ...entry }) => ({
+      ...entry,
+      lastModified: new Date(entry.lastModified),
+      created: new Date(entry.created || entry.lastModified),
+      fileSize: entry.fileSize || 0,
+      tokens: entry.tokens || 0,
+      user: bundle.user,
+      host: bundle.host,
+      imported: true,
+      // Live state cannot be known for another machine
+      status: 'completed',
+      conversationState: 'Inactive',
+      statusSquares: []
+    }));
+  }
+
+  /**
+   * Load several bundles
+   * Conversations already present (locally or in an earlier bundle) are skipped
+   * @param {Array<string>} paths - Bundle files or directories
+   * @param {Set<string>} knownIds - IDs of conversations that should win over imported copies
+   * @returns {Promise<Object>} Conversations, messages by conversation ID and per-bundle info
+   */
+  async importBundles(paths, knownIds = new Set()) {
+    const files = await this.resolvePaths(paths);
+    const seen = new Set(knownIds);
+    const conversations = [];
+    const messages = new Map();
+    const bundles = [];
+
+    for (const file of files) {
+      const bundle = await this.read(file);
+      const imported = this.toConversations(bundle).filter(conversation => {
+        if (seen.has(conversation.id)) {
+          return false;
+        }
+        seen.add(conversation.id);
+        return true;
+      });
+
+      if (bundle.includesMessages) {
+        const importedIds = new Set(imported.map(conversation => conversation.id));
+        bundle.conversations
+          .filter(entry => importedIds.has(entry.id) && !messages.has(entry.id))
+          .forEach(entry => messages.set(entry.id, entry.messages || []));
+      }
+
+      conversations.push(...imported);
+      bundles.push({
+        file,
+        user: bundle.user,
+        host: bundle.host,
+        createdAt: bundle.createdAt,
+        includesMessages: Boolean(bundle.includesMessages),
+        conversations: imported.length,
+        skipped: bundle.conversations.length - imported.length
+      });
+    }
+
+    return { conversations, messages, bundles };
+  }
+
+  /**
+   * Log what was imported
+   * @param {Array} bundles - Per-bundle info from importBundles
+   */
+  logImport(bundles) {
+    bundles.forEach(bundle => {
+      const skipped = bundle.skipped > 0 ? chalk.gray(` (${bundle.skipped} duplicates skipped)`) : '';
+      const bodies = bundle.includesMessages ? '' : chalk.gray(' [metadata only]');
+      console.log(chalk.blue(`📦 Imported ${bundle.conversations} conversations from ${ConversationBundle.getOriginKey(bundle)}${bodies}${skipped}`));
+    });
+  }
+}
+
+ConversationBundle.BUNDLE_FORMAT = BUNDLE_FORMAT;
+ConversationBundle.BUNDLE_EXTENSION = BUNDLE_EXTENSION;
+
+module.exports = ConversationBundle;
@@ -0,0 +1,424 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+const SCHEMA_VERSION = 1;
+const HEAD_FINGERPRINT_BYTES = 1024;
+const PROJECT_SCAN_LINES = 10;
+
+/**
+ * ConversationIndex - Persistent SQLite index of conversation JSONL files
+ * Stores per-message metadata keyed by file path, size, mtime and byte offset so
+ * that a restart of the analytics server only has to parse newly appended bytes
+ */
+class ConversationIndex {
+  constructor(options = {}) {
+    this.options = {
+      dbPath: path.join(os.homedir(), '.claude-code-templates', 'conversation-index.db'),
+      ...options
+    };
+
+    this.db = null;
+    this.enabled = false;
+    this.statements = null;
+
+    // Performance metrics
+    this.metrics = {
+      filesUnchanged: 0,
+      filesAppended: 0,
+      filesReindexed: 0,
+      bytesParsed: 0,
+      linesParsed: 0
+    };
+  }
+
+  /**
+   * Open (or create) the index database
+   * Falls back to a disabled index when better-sqlite3 is not available
+   * @returns {Promise<boolean>} True if the index is usable
+   */
+  async initialize() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️  Conversation index disabled (better-sqlite3 not available), parsing all files on startup'));
+      return false;
+    }
+
+    try {
+      if (this.options.dbPath !== ':memory:') {
+        await fs.ensureDir(path.dirname(this.options.dbPath));
+      }
+
+      this.db = new Database(this.options.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.migrate();
+      this.prepareStatements();
+      this.enabled = true;
+
+      return true;
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️  Could not open conversation index:'), error.message);
+      this.close();
+      return false;
+    }
+  }
+
+  /**
+   * Create tables, dropping them first when the schema version changed
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    if (version !== SCHEMA_VERSION) {
+      this.db.exec(`
+        DROP TABLE IF EXISTS messages;
+        DROP TABLE IF EXISTS files;
+      `);
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS files (
+        file_path TEXT PRIMARY KEY,
+        size INTEGER NOT NULL,
+        mtime_ms INTEGER NOT NULL,
+        byte_offset INTEGER NOT NULL,
+        line_count INTEGER NOT NULL,
+        char_count INTEGER NOT NULL,
+        head_hash TEXT,
+        head_length INTEGER NOT NULL,
+        project_cwd TEXT,
+        indexed_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS messages (
+        file_path TEXT NOT NULL,
+        line_no INTEGER NOT NULL,
+        uuid TEXT,
+        message_id TEXT,
+        role TEXT,
+        type TEXT,
+        timestamp TEXT,
+        model TEXT,
+        usage TEXT,
+        tools TEXT,
+        tool_use_id TEXT,
+        tool_result_id TEXT,
+        status_type TEXT,
+        is_compact_summary INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (file_path, line_no)
+      );
+    `);
+
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
+  /**
+   * Prepare reusable SQL statements
+   */
+  prepareStatements() {
+    this.statements = {
+      getFile: this.db.prepare('SELECT * FROM files WHERE file_path = ?'),
+      upsertFile: this.db.prepare(`
+        INSERT INTO files (file_path, size, mtime_ms, byte_offset, line_count, char_count, head_hash, head_length, project_cwd, indexed_at)
+        VALUES (@filePath, @size, @mtimeMs, @byteOffset, @lineCount, @charCount, @headHash, @headLength, @projectCwd, @indexedAt)
+        ON CONFLICT(file_path) DO UPDATE SET
+          size = excluded.size,
+          mtime_ms = excluded.mtime_ms,
+          byte_offset = excluded.byte_offset,
+          line_count = excluded.line_count,
+          char_count = excluded.char_count,
+          head_hash = excluded.head_hash,
+          head_length = excluded.head_length,
+          project_cwd = excluded.project_cwd,
+          indexed_at = excluded.indexed_at
+      `),
+      deleteFile: this.db.prepare('DELETE FROM files WHERE file_path = ?'),
+      deleteMessages: this.db.prepare('DELETE FROM messages WHERE file_path = ?'),
+      insertMessage: this.db.prepare(`
+        INSERT OR REPLACE INTO messages (file_path, line_no, uuid, message_id, role, type, timestamp, model, usage, tools, tool_use_id, tool_result_id, status_type, is_compact_summary)
+        VALUES (@filePath, @lineNo, @uuid, @messageId, @role, @type, @timestamp, @model, @usage, @tools, @toolUseId, @toolResultId, @statusType, @isCompactSummary)
+      `),
+      getMessages: this.db.prepare('SELECT * FROM messages WHERE file_path = ? ORDER BY line_no'),
+      listFiles: this.db.prepare('SELECT file_path FROM files'),
+      countMessages: this.db.prepare('SELECT COUNT(*) AS count FROM messages')
+    };
+  }
+
+  /**
+   * Check if the index is usable
+   * @returns {boolean} True if the database is open
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Bring the index for a file up to date, parsing only bytes appended since the last run
+   * @param {string} filePath - Path to conversation file
+   * @param {Function} mapEntry - Maps a parsed JSONL item to a message row (or null to skip it)
+   * @returns {Promise<Object>} Up-to-date file record
+   */
+  async syncFile(filePath, mapEntry) {
+    const stats = await fs.stat(filePath);
+    let record = this.statements.getFile.get(filePath);
+
+    if (record && record.size === stats.size && record.mtime_ms === Math.floor(stats.mtimeMs)) {
+      this.metrics.filesUnchanged++;
+      return record;
+    }
+
+    // Conversation files are append-only; anything else means the file was rewritten
+    if (record && (stats.size < record.byte_offset || !(await this.headMatches(filePath, record)))) {
+      this.removeFile(filePath);
+      record = null;
+    }
+
+    const startOffset = record ? record.byte_offset : 0;
+    const chunk = await this.readCompleteLines(filePath, startOffset, stats.size);
+
+    let lineCount = record ? record.line_count : 0;
+    let projectCwd = record ? record.project_cwd : null;
+    const rows = [];
+
+    for (const line of chunk.lines) {
+      if (!line.trim()) continue;
+      const lineNo = lineCount++;
+
+      try {
+        const item = JSON.parse(line);
+
+        if (!projectCwd && lineNo < PROJECT_SCAN_LINES) {
+          projectCwd = item.cwd || (item.message && item.message.cwd) || null;
+        }
+
+        const row = mapEntry(item);
+        if (row) {
+          rows.push({ ...row, filePath, lineNo });
+        }
+      } catch (error) {
+        // Skip invalid JSONL lines
+      }
+    }
+
+    const byteOffset = startOffset + chunk.bytesRead;
+    const head = record && record.head_length >= HEAD_FINGERPRINT_BYTES
+      ? { hash: record.head_hash, length: record.head_length }
+      : await this.fingerprintHead(filePath, byteOffset);
+
+    const nextRecord = {
+      filePath,
+      size: stats.size,
+      mtimeMs: Math.floor(stats.mtimeMs),
+      byteOffset,
+      lineCount,
+      charCount: (record ? record.char_count : 0) + chunk.charCount,
+      headHash: head.hash,
+      headLength: head.length,
+      projectCwd,
+      indexedAt: Date.now()
+    };
+
+    this.db.transaction(() => {
+      rows.forEach(row => this.statements.insertMessage.run(this.serializeRow(row)));
+      this.statements.upsertFile.run(nextRecord);
+    })();
+
+    this.metrics[record ? 'filesAppended' : 'filesReindexed']++;
+    this.metrics.bytesParsed += chunk.bytesRead;
+    this.metrics.linesParsed += lineCount - (record ? record.line_count : 0);
+
+    return this.statements.getFile.get(filePath);
+  }
+
+  /**
+   * Read the complete lines between an offset and the end of the file
+   * A trailing line without newline is left for the next sync (it may still be written)
+   * @param {string} filePath - Path to file
+   * @param {number} start - Byte offset to start from
+   * @param {number} end - File size in bytes
+   * @returns {Promise<Object>} Lines, bytes consumed and character count
+   */
+  async readCompleteLines(filePath, start, end) {
+    const length = end - start;
+    if (length <= 0) {
+      return { lines: [], bytesRead: 0, charCount: 0 };
+    }
+
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(filePath, 'r');
+    let bytesRead;
+    try {
+      ({ bytesRead } = await fs.read(fd, buffer, 0, length, start));
+    } finally {
+      await fs.close(fd);
+    }
+
+    const lastNewline = buffer.lastIndexOf(0x0a, bytesRead - 1);
+    if (lastNewline === -1) {
+      return { lines: [], bytesRead: 0, charCount: 0 };
+    }
+
+    const text = buffer.toString('utf8', 0, lastNewline + 1);
+    return {
+      lines: text.split('\n'),
+      bytesRead: lastNewline + 1,
+      charCount: text.length
+    };
+  }
+
+  /**
+   * Hash the first bytes of a file to detect rewrites
+   * @param {string} filePath - Path to file
+   * @param {number} available - Number of bytes already indexed
+   * @returns {Promise<Object>} Hash and number of hashed bytes
+   */
+  async fingerprintHead(filePath, available) {
+    const length = Math.min(HEAD_FINGERPRINT_BYTES, available);
+    if (length === 0) {
+      return { hash: null, length: 0 };
+    }
+
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(filePath, 'r');
+    try {
+      await fs.read(fd, buffer, 0, length, 0);
+    } finally {
+      await fs.close(fd);
+    }
+
+    return {
+      hash: crypto.createHash('sha1').update(buffer).digest('hex'),
+      length
+    };
+  }
+
+  /**
+   * Check that the start of a file still matches what was indexed
+   * @param {string} filePath - Path to file
+   * @param {Object} record - Indexed file record
+   * @returns {Promise<boolean>} True if the file head is unchanged
+   */
+  async headMatches(filePath, record) {
+    if (!record.head_length) return true;
+
+    try {
+      const head = await this.fingerprintHead(filePath, record.head_length);
+      return head.hash === record.head_hash;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get indexed message rows for a file in file order
+   * @param {string} filePath - Path to conversation file
+   * @returns {Array} Message rows
+   */
+  getMessages(filePath) {
+    return this.statements.getMessages.all(filePath).map(row => ({
+      lineNo: row.line_no,
+      uuid: row.uuid,
+      messageId: row.message_id,
+      role: row.role,
+      type: row.type,
+      timestamp: row.timestamp,
+      model: row.model,
+      usage: row.usage ? JSON.parse(row.usage) : null,
+      tools: row.tools ? JSON.parse(row.tools) : [],
+      toolUseId: row.tool_use_id,
+      toolResultId: row.tool_result_id,
+      statusType: row.status_type,
+      isCompactSummary: row.is_compact_summary === 1
+    }));
+  }
+
+  /**
+   * Convert a message row into SQL parameters
+   * @param {Object} row - Message row
+   * @returns {Object} Statement parameters
+   */
+  serializeRow(row) {
+    return {
+      filePath: row.filePath,
+      lineNo: row.lineNo,
+      uuid: row.uuid || null,
+      messageId: row.messageId || null,
+      role: row.role || null,
+      type: row.type || null,
+      timestamp: row.timestamp || null,
+      model: row.model || null,
+      usage: row.usage ? JSON.stringify(row.usage) : null,
+      tools: row.tools && row.tools.length > 0 ? JSON.stringify(row.tools) : null,
+      toolUseId: row.toolUseId || null,
+      toolResultId: row.toolResultId || null,
+      statusType: row.statusType || null,
+      isCompactSummary: row.isCompactSummary ? 1 : 0
+    };
+  }
+
+  /**
+   * Remove a file and its messages from the index
+   * @param {string} filePath - Path to conversation file
+   */
+  removeFile(filePath) {
+    this.db.transaction(() => {
+      this.statements.deleteMessages.run(filePath);
+      this.statements.deleteFile.run(filePath);
+    })();
+  }
+
+  /**
+   * Drop index entries for files that no longer exist
+   * @param {Array<string>} existingPaths - Paths of conversation files found on disk
+   * @returns {number} Number of removed files
+   */
+  pruneMissing(existingPaths) {
+    const existing = new Set(existingPaths);
+    const stale = this.statements.listFiles.all()
+      .map(row => row.file_path)
+      .filter(filePath => !existing.has(filePath));
+
+    stale.forEach(filePath => this.removeFile(filePath));
+    return stale.length;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Index metrics and sizes
+   */
+  getStats() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+
+    return {
+      enabled: true,
+      dbPath: this.options.dbPath,
+      files: this.statements.listFiles.all().length,
+      messages: this.statements.countMessages.get().count,
+      ...this.metrics
+    };
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch (error) {
+        // Database already closed
+      }
+    }
+    this.db = null;
+    this.statements = null;
+    this.enabled = false;
+  }
+}
+
+module.exports = ConversationIndex;
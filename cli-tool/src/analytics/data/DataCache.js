@@ -31,7 +31,7 @@ class DataCache {
       computationResults: new Map(), // filepath -> { result, timestamp }
       
       // Legacy specific caches for backward compatibility
-      parsedConversations: new Map(), // filepath -> { messages, timestamp }
+      parsedConversations: new Map(), // filepath -> { messages, timestamp, byteOffset, toolUseIndex, lastAccess }
       tokenUsage: new Map(), // filepath -> { usage, timestamp }
       modelInfo: new Map(), // filepath -> { info, timestamp }
       statusSquares: new Map(), // filepath -> { squares, timestamp }
@@ -69,7 +69,8 @@ class DataCache {
       invalidations: 0,
       filesInvalidated: 0,
       computationsInvalidated: 0,
-      evictions: 0
+      evictions: 0,
+      incrementalParses: 0
     };
     
     // Start automatic cleanup interval (more aggressive)
@@ -122,6 +123,7 @@ class DataCache {
 
   /**
    * Get parsed conversation with caching
+   * When the file only grew since it was last parsed, just the appended lines are parsed
    * @param {string} filepath - Path to conversation file
    * @returns {Promise<Array>} Parsed conversation messages
    */
@@ -132,30 +134,111 @@ class DataCache {
     // Check if cached parsed data is still valid
     if (cached && cached.timestamp >= fileStats.mtime.getTime()) {
       this.metrics.hits++;
+      cached.lastAccess = Date.now();
       return cached.messages;
     }
     
+    // Conversation files are append-only: parse only the new tail when possible
+    if (cached && cached.ino === fileStats.ino && fileStats.size >= cached.byteOffset) {
+      try {
+        return await this.parseAppendedLines(filepath, cached, fileStats);
+      } catch (error) {
+        // Fall back to a full parse
+      }
+    }
+    
     // Cache miss - parse conversation with tool correlation
     this.metrics.misses++;
     const content = await this.getFileContent(filepath);
-    const lines = content.trim().split('\n').filter(line => line.trim());
+    const { lines, byteLength } = this.splitConsumableLines(content);
     
-    const messages = this.parseAndCorrelateToolMessages(lines);
+    const toolUseIndex = new Map();
+    const messages = this.parseAndCorrelateToolMessages(lines, toolUseIndex);
     
     this.caches.parsedConversations.set(filepath, {
       messages,
-      timestamp: fileStats.mtime.getTime()
+      timestamp: fileStats.mtime.getTime(),
+      ino: fileStats.ino,
+      byteOffset: byteLength,
+      toolUseIndex,
+      lastAccess: Date.now()
     });
     
     return messages;
   }
 
+  /**
+   * Parse only the lines appended after the last parsed byte offset
+   * Tool results in the new lines are correlated with tool_use messages from earlier chunks
+   * @param {string} filepath - Path to conversation file
+   * @param {Object} cached - Cached parse state for the file
+   * @param {Object} fileStats - Current file stats
+   * @returns {Promise<Array>} All parsed conversation messages
+   */
+  async parseAppendedLines(filepath, cached, fileStats) {
+    const length = fileStats.size - cached.byteOffset;
+    let text = '';
+    
+    if (length > 0) {
+      const buffer = Buffer.alloc(length);
+      const fd = await fs.open(filepath, 'r');
+      try {
+        const { bytesRead } = await fs.read(fd, buffer, 0, length, cached.byteOffset);
+        text = buffer.toString('utf8', 0, bytesRead);
+      } finally {
+        await fs.close(fd);
+      }
+    }
+    
+    const { lines, byteLength } = this.splitConsumableLines(text);
+    const newMessages = this.parseAndCorrelateToolMessages(lines, cached.toolUseIndex);
+    const messages = newMessages.length > 0 ? cached.messages.concat(newMessages) : cached.messages;
+    
+    this.caches.parsedConversations.set(filepath, {
+      ...cached,
+      messages,
+      timestamp: fileStats.mtime.getTime(),
+      byteOffset: cached.byteOffset + byteLength,
+      lastAccess: Date.now()
+    });
+    
+    this.metrics.incrementalParses++;
+    return messages;
+  }
+
+  /**
+   * Split JSONL text into the lines that can be consumed now
+   * A trailing line without newline is only consumed if it is already valid JSON,
+   * otherwise it is still being written and will be parsed with the next chunk
+   * @param {string} text - JSONL text
+   * @returns {Object} Non-empty lines and the number of bytes they cover
+   */
+  splitConsumableLines(text) {
+    const lastNewline = text.lastIndexOf('\n');
+    let consumed = text.slice(0, lastNewline + 1);
+    const lines = consumed.split('\n').filter(line => line.trim());
+    
+    const remainder = text.slice(lastNewline + 1);
+    if (remainder.trim()) {
+      try {
+        JSON.parse(remainder);
+        lines.push(remainder);
+        consumed = text;
+      } catch (error) {
+        // Incomplete line - leave it for the next chunk
+      }
+    }
+    
+    return { lines, byteLength: Buffer.byteLength(consumed, 'utf8') };
+  }
+
   /**
    * Parse JSONL lines and correlate tool_use with tool_result
    * @param {Array} lines - JSONL lines
+   * @param {Map} toolUseIndex - tool_use ID -> parsed message from earlier chunks of the same file (updated in place)
    * @returns {Array} Parsed and correlated messages
    */
-  parseAndCorrelateToolMessages(lines) {
+  parseAndCorrelateToolMessages(lines, toolUseIndex = new Map()) {
     const entries = [];
     const toolUseMap = new Map();
     
@@ -195,7 +278,9 @@ class DataCache {
         
         if (toolResultBlock && toolResultBlock.tool_use_id) {
           // This is a tool_result - attach it to the corresponding tool_use
-          const toolUseEntry = toolUseMap.get(toolResultBlock.tool_use_id);
+          // (from this chunk, or an already parsed message from an earlier chunk)
+          const toolUseEntry = toolUseMap.get(toolResultBlock.tool_use_id) ||
+            toolUseIndex.get(toolResultBlock.tool_use_id);
           if (toolUseEntry) {
             // Enhance tool result with additional metadata
             const enhancedToolResult = {
@@ -223,6 +308,7 @@ class DataCache {
     
     // Third pass: process messages and filter out standalone tool_result entries
     const processedMessages = [];
+    const parsedByItem = new Map();
     
     for (const item of entries) {
       if (item.type === 'user' && item.message.content) {
@@ -266,8 +352,16 @@ class DataCache {
       // Debug: Final message processing completed
       
       processedMessages.push(parsed);
+      parsedByItem.set(item, parsed);
     }
     
+    // Remember parsed tool_use messages so results in later chunks can be attached to them
+    toolUseMap.forEach((item, toolUseId) => {
+      if (parsedByItem.has(item)) {
+        toolUseIndex.set(toolUseId, parsedByItem.get(item));
+      }
+    });
+    
     return processedMessages;
   }
 
@@ -470,13 +564,17 @@ class DataCache {
   /**
    * Smart invalidation based on file changes
    * @param {string} filepath - Path of changed file
+   * @param {Object} options - Invalidation options
+   * @param {boolean} options.preserveParseState - Keep parsed messages and byte offset so only appended lines are parsed next time
    */
-  invalidateFile(filepath) {
+  invalidateFile(filepath, options = {}) {
     this.metrics.filesInvalidated++;
     
     // Remove direct file caches
     this.caches.fileContent.delete(filepath);
-    this.caches.parsedConversations.delete(filepath);
+    if (!options.preserveParseState) {
+      this.caches.parsedConversations.delete(filepath);
+    }
     this.caches.tokenUsage.delete(filepath);
     this.caches.modelInfo.delete(filepath);
     this.caches.statusSquares.delete(filepath);
@@ -544,7 +642,8 @@ class DataCache {
       misses: 0,
       invalidations: 0,
       filesInvalidated: 0,
-      computationsInvalidated: 0
+      computationsInvalidated: 0,
+      incrementalParses: 0
     };
   }
 
@@ -563,9 +662,9 @@ class DataCache {
       }
     }
     
-    // Evict old parsed data
+    // Evict parsed data that has not been used recently
     for (const [filepath, data] of this.caches.parsedConversations.entries()) {
-      if (now - data.timestamp > this.config.parsedDataTTL) {
+      if (now - (data.lastAccess || data.timestamp) > this.config.parsedDataTTL) {
         this.caches.parsedConversations.delete(filepath);
         evicted++;
       }
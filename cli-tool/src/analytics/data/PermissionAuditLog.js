@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_SUMMARY_LENGTH = 2000;
+
+/**
+ * PermissionAuditLog - Append-only log of permission relay decisions
+ * One JSON object per line in ~/.claude-code-templates/permission-audit.jsonl:
+ * { id, timestamp, decision, source, reason, rule, tool, summary, projectDir, cwd, sessionId, durationMs }
+ * source is policy, dashboard, timeout, no-dashboard, hook (the hook stopped waiting) or shutdown
+ * The log keeps the raw tool inputs, entries leaving the server go through the redactor option
+ */
+class PermissionAuditLog {
+  constructor(options = {}) {
+    this.options = {
+      logPath: path.join(os.homedir(), '.claude-code-templates', 'permission-audit.jsonl'),
+      redactor: null,
+      ...options
+    };
+
+    // Appends are chained so lines never interleave
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Append a decision to the log
+   * @param {Object} entry - Decision details
+   * @returns {Promise<Object>} The stored entry
+   */
+  append(entry) {
+    const stored = {
+      timestamp: new Date().toISOString(),
+      ...entry,
+      summary: entry.summary && entry.summary.length > MAX_SUMMARY_LENGTH
+        ? `${entry.summary.substring(0, MAX_SUMMARY_LENGTH)}…`
+        : entry.summary || ''
+    };
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.ensureDir(path.dirname(this.options.logPath));
+      // Tool inputs can contain secrets, only the current user may read the log
+      await fs.appendFile(this.options.logPath, JSON.stringify(stored) + '\n', { mode: 0o600 });
+      return stored;
+    });
+    return this.writing;
+  }
+
+  /**
+   * Read all entries, skipping lines that are not valid JSON
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async readAll() {
+    if (!(await fs.pathExists(this.options.logPath))) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.options.logPath, 'utf8');
+    return content.split('\n').filter(line => line.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Redact the free text of an entry (the tool call summary and the reason) for serving
+   * @param {Object} entry - Stored entry
+   * @returns {Object} Redacted copy, or the entry itself without a redactor
+   */
+  redactEntry(entry) {
+    const redactor = this.options.redactor;
+    if (!redactor || !entry) {
+      return entry;
+    }
+    return {
+      ...entry,
+      summary: redactor.redactText(entry.summary),
+      reason: redactor.redactText(entry.reason)
+    };
+  }
+
+  /**
+   * Query the log, newest first
+   * Entries are redacted before filtering, so the text search cannot probe for redacted secrets
+   * @param {Object} filters - decision, source, tool, project, q (text in summary and reason), from, to, limit
+   * @returns {Promise<Object>} { entries, total, counts } where counts are per decision over all matches
+   */
+  async query(filters = {}) {
+    const lower = value => String(value || '').toLowerCase();
+    const text = lower(filters.q);
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    const matches = (await this.readAll()).map(entry => this.redactEntry(entry)).filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!filters.decision || entry.decision === filters.decision) &&
+        (!filters.source || entry.source === filters.source) &&
+        (!filters.tool || lower(entry.tool) === lower(filters.tool)) &&
+        (!filters.project || lower(entry.projectDir).includes(lower(filters.project))) &&
+        (!text || lower(entry.summary).includes(text) || lower(entry.reason).includes(text)) &&
+        (from === null || time >= from) &&
+        (to === null || time <= to);
+    }).reverse();
+
+    const counts = { allow: 0, deny: 0, ask: 0 };
+    matches.forEach(entry => {
+      if (counts[entry.decision] !== undefined) counts[entry.decision]++;
+    });
+
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    return { entries: matches.slice(0, limit), total: matches.length, counts };
+  }
+}
+
+module.exports = PermissionAuditLog;
@@ -0,0 +1,406 @@
+const MAX_DOCUMENT_CHARS = 20000;
+const SNIPPET_RADIUS = 80;
+const MIN_TERM_LENGTH = 2;
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(TOKEN_PATTERN) || [])
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Extract plain text from message content (string or content blocks)
+ * @param {string|Array} content - Message or tool result content
+ * @returns {string} Text
+ */
+function contentToText(content) {
+  if (!content) {
+    return '';
+  }
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return typeof content === 'object' ? JSON.stringify(content) : String(content);
+  }
+
+  return content.map(block => {
+    if (!block || typeof block !== 'object') {
+      return typeof block === 'string' ? block : '';
+    }
+    if (block.type === 'text') {
+      return block.text || '';
+    }
+    if (block.type === 'tool_use') {
+      return `${block.name || ''} ${block.input ? JSON.stringify(block.input) : ''}`;
+    }
+    if (block.type === 'tool_result') {
+      return contentToText(block.content);
+    }
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * SearchIndex - In-memory inverted index over parsed conversation messages
+ * Each message (with its attached tool results) is a document; conversations are
+ * re-indexed only when their file changed since the last sync
+ */
+class SearchIndex {
+  constructor(options = {}) {
+    this.options = {
+      maxDocumentChars: MAX_DOCUMENT_CHARS,
+      ...options
+    };
+
+    this.documents = new Map(); // docId -> document
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.conversationDocs = new Map(); // conversationId -> { version, docIds }
+    this.conversations = []; // Conversations known to the dashboard (id, filePath, project, lastModified, origin)
+    this.nextDocId = 1;
+  }
+
+  /**
+   * Set the conversations that should be searchable
+   * Conversations no longer in the list are dropped on the next sync
+   * @param {Array} conversations - Conversations with id, filePath, project, lastModified and user/host
+   */
+  setConversations(conversations) {
+    this.conversations = (conversations || []).map(conversation => ({
+      id: conversation.id,
+      filePath: conversation.filePath,
+      project: conversation.project,
+      lastModified: conversation.lastModified,
+      user: conversation.user,
+      host: conversation.host,
+      imported: Boolean(conversation.imported)
+    }));
+  }
+
+  /**
+   * Bring the index up to date with the known conversations
+   * @param {Function} loadMessages - async (conversation) => parsed messages
+   * @returns {Promise<Object>} Number of conversations indexed and removed
+   */
+  async sync(loadMessages) {
+    const known = new Set(this.conversations.map(conversation => conversation.id));
+    let removed = 0;
+    let indexed = 0;
+
+    Array.from(this.conversationDocs.keys()).forEach(conversationId => {
+      if (!known.has(conversationId)) {
+        this.removeConversation(conversationId);
+        removed++;
+      }
+    });
+
+    for (const conversation of this.conversations) {
+      const version = new Date(conversation.lastModified).getTime() || 0;
+      const entry = this.conversationDocs.get(conversation.id);
+      if (entry && entry.version === version) {
+        continue;
+      }
+
+      try {
+        const messages = await loadMessages(conversation);
+        this.indexConversation(conversation, messages || [], version);
+        indexed++;
+      } catch (error) {
+        // Unreadable files are retried on the next sync
+        this.removeConversation(conversation.id);
+      }
+    }
+
+    return { indexed, removed };
+  }
+
+  /**
+   * (Re)index all messages of a conversation
+   * @param {Object} conversation - Conversation with id and project
+   * @param {Array} messages - Parsed messages in file order
+   * @param {number} version - File version (lastModified in ms)
+   */
+  indexConversation(conversation, messages, version = 0) {
+    this.removeConversation(conversation.id);
+
+    const docIds = [];
+    messages.forEach((message, messageIndex) => {
+      const text = this.getMessageText(message).slice(0, this.options.maxDocumentChars);
+      const terms = tokenize(text);
+      if (terms.length === 0) {
+        return;
+      }
+
+      const docId = this.nextDocId++;
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+      frequencies.forEach((count, term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(docId, count);
+      });
+
+      const timestamp = new Date(message.timestamp).getTime();
+      this.documents.set(docId, {
+        conversationId: conversation.id,
+        project: conversation.project || 'Unknown',
+        user: conversation.user || null,
+        host: conversation.host || null,
+        messageId: message.id || null,
+        uuid: message.uuid || null,
+        messageIndex,
+        role: message.role,
+        timestamp: isNaN(timestamp) ? null : timestamp,
+        tools: this.getMessageTools(message),
+        terms: Array.from(frequencies.keys()),
+        length: terms.length,
+        text
+      });
+      docIds.push(docId);
+    });
+
+    this.conversationDocs.set(conversation.id, { version, docIds });
+  }
+
+  /**
+   * Remove a conversation and its postings from the index
+   * @param {string} conversationId - Conversation ID
+   */
+  removeConversation(conversationId) {
+    const entry = this.conversationDocs.get(conversationId);
+    if (!entry) {
+      return;
+    }
+
+    entry.docIds.forEach(docId => {
+      const doc = this.documents.get(docId);
+      if (!doc) {
+        return;
+      }
+      doc.terms.forEach(term => {
+        const posting = this.postings.get(term);
+        if (!posting) {
+          return;
+        }
+        posting.delete(docId);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      });
+      this.documents.delete(docId);
+    });
+
+    this.conversationDocs.delete(conversationId);
+  }
+
+  /**
+   * Get the searchable text of a message: its body plus attached tool results
+   * @param {Object} message - Parsed message
+   * @returns {string} Text
+   */
+  getMessageText(message) {
+    const parts = [contentToText(message.content)];
+
+    (message.toolResults || []).forEach(result => {
+      const resultText = contentToText(result.content);
+      parts.push(resultText);
+      // stdout usually repeats the result content, only add output that is not already there
+      [result.stdout, result.stderr]
+        .filter(output => typeof output === 'string' && output && !resultText.includes(output))
+        .forEach(output => parts.push(output));
+    });
+
+    return parts.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Get the names of the tools a message used
+   * @param {Object} message - Parsed message
+   * @returns {Array<string>} Tool names
+   */
+  getMessageTools(message) {
+    if (!Array.isArray(message.content)) {
+      return [];
+    }
+    return Array.from(new Set(message.content
+      .filter(block => block && block.type === 'tool_use' && block.name)
+      .map(block => block.name)));
+  }
+
+  /**
+   * Parse a query into quoted phrases and single terms
+   * @param {string} query - Search query, e.g. `"connection refused" retry`
+   * @returns {Object} Phrases (lowercase) and terms
+   */
+  parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+      const normalized = phrase.trim().toLowerCase();
+      if (normalized) {
+        phrases.push(normalized);
+      }
+      return ' ';
+    });
+
+    const terms = Array.from(new Set([
+      ...phrases.flatMap(phrase => tokenize(phrase)),
+      ...tokenize(rest)
+    ]));
+
+    return { phrases, terms };
+  }
+
+  /**
+   * Find all documents containing a term, treating the term as a prefix
+   * @param {string} term - Search term
+   * @returns {Map<number, number>} docId -> summed term frequency
+   */
+  matchTerm(term) {
+    const matches = new Map();
+    this.postings.forEach((posting, indexedTerm) => {
+      if (!indexedTerm.startsWith(term)) {
+        return;
+      }
+      posting.forEach((count, docId) => matches.set(docId, (matches.get(docId) || 0) + count));
+    });
+    return matches;
+  }
+
+  /**
+   * Search messages
+   * All terms must match (as word prefixes) and quoted phrases must appear verbatim
+   * @param {string} query - Search query
+   * @param {Object} filters - project, user, host, from/to (YYYY-MM-DD, local), role, tool, limit, offset
+   * @returns {Object} Ranked results with snippets and the total number of matches
+   */
+  search(query, filters = {}) {
+    const { phrases, terms } = this.parseQuery(query);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    if (terms.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    // Intersect the smallest match sets first
+    const termMatches = terms.map(term => this.matchTerm(term)).sort((a, b) => a.size - b.size);
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+    const tool = filters.tool ? filters.tool.toLowerCase() : null;
+    const totalDocs = this.documents.size;
+
+    const matches = [];
+    termMatches[0].forEach((count, docId) => {
+      if (!termMatches.every(match => match.has(docId))) {
+        return;
+      }
+
+      const doc = this.documents.get(docId);
+      if (filters.project && doc.project !== filters.project) return;
+      if (filters.user && doc.user !== filters.user) return;
+      if (filters.host && doc.host !== filters.host) return;
+      if (filters.role && doc.role !== filters.role) return;
+      if (tool && !doc.tools.some(name => name.toLowerCase() === tool)) return;
+      if ((from !== null || to !== null) && doc.timestamp === null) return;
+      if (from !== null && doc.timestamp < from) return;
+      if (to !== null && doc.timestamp > to) return;
+
+      const lowerText = doc.text.toLowerCase();
+      if (!phrases.every(phrase => lowerText.includes(phrase))) {
+        return;
+      }
+
+      // TF-IDF style score, boosted when the phrases or the whole query appear verbatim
+      let score = termMatches.reduce((sum, match) => {
+        const idf = Math.log(1 + totalDocs / match.size);
+        return sum + (match.get(docId) / doc.length) * idf;
+      }, 0);
+      if (phrases.length > 0 || lowerText.includes(String(query).toLowerCase().trim())) {
+        score *= 2;
+      }
+
+      matches.push({ docId, doc, score, lowerText });
+    });
+
+    matches.sort((a, b) => b.score - a.score || (b.doc.timestamp || 0) - (a.doc.timestamp || 0));
+
+    const results = matches.slice(offset, offset + limit).map(({ doc, score, lowerText }) => ({
+      conversationId: doc.conversationId,
+      project: doc.project,
+      user: doc.user,
+      host: doc.host,
+      messageId: doc.messageId,
+      uuid: doc.uuid,
+      messageIndex: doc.messageIndex,
+      role: doc.role,
+      timestamp: doc.timestamp ? new Date(doc.timestamp).toISOString() : null,
+      tools: doc.tools,
+      score,
+      ...this.buildSnippet(doc.text, lowerText, phrases, terms)
+    }));
+
+    return { results, total: matches.length };
+  }
+
+  /**
+   * Build a snippet around the first match with highlight ranges
+   * @param {string} text - Document text
+   * @param {string} lowerText - Lowercase document text
+   * @param {Array<string>} phrases - Lowercase phrases
+   * @param {Array<string>} terms - Lowercase terms
+   * @returns {Object} snippet text and highlights [{ start, end }] relative to the snippet
+   */
+  buildSnippet(text, lowerText, phrases, terms) {
+    const needles = [...phrases, ...terms].sort((a, b) => b.length - a.length);
+    const firstMatch = needles
+      .map(needle => lowerText.indexOf(needle))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0] || 0;
+
+    const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const window = text.slice(start, end).replace(/\s+/g, ' ');
+    const snippet = `${prefix}${window}${suffix}`;
+
+    // Collect non-overlapping ranges, longest needles first
+    const lowerSnippet = snippet.toLowerCase();
+    const ranges = [];
+    needles.forEach(needle => {
+      let index = lowerSnippet.indexOf(needle);
+      while (index >= 0) {
+        const range = { start: index, end: index + needle.length };
+        if (!ranges.some(other => range.start < other.end && other.start < range.end)) {
+          ranges.push(range);
+        }
+        index = lowerSnippet.indexOf(needle, index + needle.length);
+      }
+    });
+
+    return { snippet, highlights: ranges.sort((a, b) => a.start - b.start) };
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Counts of conversations, messages and terms
+   */
+  getStats() {
+    return {
+      conversations: this.conversationDocs.size,
+      messages: this.documents.size,
+      terms: this.postings.size
+    };
+  }
+}
+
+SearchIndex.tokenize = tokenize;
+
+module.exports = SearchIndex;
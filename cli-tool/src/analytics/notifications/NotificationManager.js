@@ -172,6 +172,40 @@ class NotificationManager {
     console.log(chalk[level === 'error' ? 'red' : level === 'warning' ? 'yellow' : 'blue'](`${emoji} System status: ${status.message || JSON.stringify(status)}`));
   }
 
+  /**
+   * Send budget alert notification
+   * @param {Object} alert - Budget alert (budgetId, period, metric, limit, spent, level, message)
+   */
+  notifyBudgetAlert(alert) {
+    const notification = {
+      type: 'budget_alert',
+      alert,
+      timestamp: new Date().toISOString(),
+      id: this.generateNotificationId()
+    };
+
+    // Don't throttle budget alerts - each one is only sent once per budget window
+    this.addToHistory(notification);
+
+    // Send via WebSocket
+    if (this.webSocketServer) {
+      this.webSocketServer.broadcast({
+        type: 'budget_alert',
+        data: {
+          ...alert,
+          notificationId: notification.id,
+          timestamp: notification.timestamp
+        }
+      }, 'system_updates');
+    }
+
+    // Send to local subscribers
+    this.notifySubscribers('budget_alert', notification);
+
+    const color = alert.level === 'exceeded' ? 'red' : 'yellow';
+    console.log(chalk[color](`💰 Budget alert: ${alert.message}`));
+  }
+
   /**
    * Send file change notification
    * @param {string} filePath - Path of changed file
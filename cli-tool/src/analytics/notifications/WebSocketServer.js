@@ -73,6 +73,13 @@ class WebSocketServer {
    * @param {Object} request - HTTP request object
    */
   handleConnection(ws, request) {
+    // Reject connections without a valid access token or from a disallowed origin
+    if (this.options.authorize && !this.options.authorize(request)) {
+      console.warn(chalk.yellow(`🚫 Rejected unauthorized WebSocket connection from ${request.socket.remoteAddress}`));
+      ws.close(1008, 'Unauthorized');
+      return;
+    }
+
     const clientId = this.generateClientId();
     const clientInfo = {
       id: clientId,
@@ -163,6 +170,10 @@ class WebSocketServer {
         case 'refresh_request':
           this.handleRefreshRequest(clientId);
           break;
+        case 'console_response':
+          // Permission decisions from the Agents page, handled by the console bridge
+          this.emit('console_response', data.data);
+          break;
         default:
           console.warn(chalk.yellow(`Unknown message type from ${clientId}: ${data.type}`));
       }
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+/**
+ * AccessControl - Token authentication and origin checks for the analytics web server
+ * A random token is generated at startup; it is accepted as ?token=, as a Bearer header or
+ * as a cookie that is set the first time the dashboard is opened with the tokenized URL
+ */
+class AccessControl {
+  constructor(options = {}) {
+    this.options = {
+      auth: true,
+      allowedOrigins: [],
+      port: 3333,
+      ...options
+    };
+
+    this.enabled = this.options.auth !== false;
+    this.token = this.options.token || crypto.randomBytes(24).toString('hex');
+    this.allowedOrigins = this.options.allowedOrigins.map(origin => origin.replace(/\/+$/, ''));
+    // Cookies are shared across ports, so the name includes the port
+    this.cookieName = `cct_token_${this.options.port}`;
+  }
+
+  /**
+   * Add the access token to a dashboard URL
+   * @param {string} url - Dashboard URL (may contain a #fragment)
+   * @returns {string} URL with token
+   */
+  getAuthenticatedUrl(url) {
+    if (!this.enabled) {
+      return url;
+    }
+
+    const [base, fragment] = url.split('#');
+    const separator = base.includes('?') ? '&' : '?';
+    return `${base}${separator}token=${this.token}${fragment !== undefined ? `#${fragment}` : ''}`;
+  }
+
+  /**
+   * Read the token presented by a request (query, Authorization header or cookie)
+   * @param {Object} req - HTTP request
+   * @returns {Object} Token and where it came from
+   */
+  getRequestToken(req) {
+    const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (queryToken) {
+      return { token: queryToken, source: 'query' };
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return { token: authorization.slice(7).trim(), source: 'header' };
+    }
+
+    const cookie = (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([name]) => name === this.cookieName);
+    if (cookie) {
+      return { token: decodeURIComponent(cookie.slice(1).join('=')), source: 'cookie' };
+    }
+
+    return { token: null, source: null };
+  }
+
+  /**
+   * Compare a token against the server token in constant time
+   * @param {string} token - Presented token
+   * @returns {boolean} True if valid
+   */
+  isTokenValid(token) {
+    if (!token) {
+      return false;
+    }
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(String(token));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Check if a request is authenticated
+   * @param {Object} req - HTTP request
+   * @returns {boolean} True if auth is disabled or the token is valid
+   */
+  isAuthorized(req) {
+    return !this.enabled || this.isTokenValid(this.getRequestToken(req).token);
+  }
+
+  /**
+   * Check the Origin header of a request
+   * Requests without an Origin (curl, scripts) and same-origin requests are always allowed
+   * @param {Object} req - HTTP request
+   * @returns {boolean} True if the origin is allowed
+   */
+  isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    if (origin === `http://${req.headers.host}` || origin === `https://${req.headers.host}`) {
+      return true;
+    }
+    return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Check a WebSocket upgrade request
+   * @param {Object} request - HTTP upgrade request
+   * @returns {boolean} True if the connection may be accepted
+   */
+  authorizeWebSocket(request) {
+    return this.isOriginAllowed(request) && this.isAuthorized(request);
+  }
+
+  /**
+   * Create Express middleware enforcing origin and token checks
+   * @returns {Function} Express middleware
+   */
+  createExpressMiddleware() {
+    return (req, res, next) => {
+      if (!this.isOriginAllowed(req)) {
+        res.status(403).json({ error: 'Origin not allowed' });
+        return;
+      }
+
+      // CORS for explicitly allowed cross-origin dashboards
+      const origin = req.headers.origin;
+      if (origin && (this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin))) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Vary', 'Origin');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      }
+
+      // Handle preflight requests
+      if (req.method === 'OPTIONS') {
+        res.sendStatus(200);
+        return;
+      }
+
+      if (!this.enabled) {
+        next();
+        return;
+      }
+
+      const { token, source } = this.getRequestToken(req);
+      if (!this.isTokenValid(token)) {
+        this.sendUnauthorized(req, res);
+        return;
+      }
+
+      if (source === 'query') {
+        // Remember the token in a cookie so the dashboard, its API calls and the WebSocket work without it
+        res.cookie(this.cookieName, this.token, { httpOnly: true, sameSite: 'strict', path: '/' });
+
+        // Drop the token from the address bar for page loads
+        if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+          const url = new URL(req.originalUrl, 'http://localhost');
+          url.searchParams.delete('token');
+          res.redirect(302, `${url.pathname}${url.search}`);
+          return;
+        }
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Reject an unauthenticated request
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  sendUnauthorized(req, res) {
+    if (req.path.startsWith('/api/')) {
+      res.status(401).json({ error: 'Unauthorized: missing or invalid access token' });
+      return;
+    }
+
+    res.status(401).type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Claude Code Analytics</title></head>
+<body style="font-family: sans-serif; padding: 40px;">
+<h2>🔒 Access token required</h2>
+<p>Open the dashboard with the URL printed in the terminal where the analytics server was started.</p>
+</body></html>`);
+  }
+
+  /**
+   * Log how to access the dashboard
+   * @param {string} url - Dashboard URL
+   */
+  logAccessInfo(url) {
+    if (this.enabled) {
+      console.log(chalk.cyan(`🔑 Access token required, open: ${this.getAuthenticatedUrl(url)}`));
+    } else {
+      console.log(chalk.yellow('⚠️  Access token disabled (--no-auth), anyone who can reach the server can read your conversations'));
+    }
+  }
+}
+
+module.exports = AccessControl;
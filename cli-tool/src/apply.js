@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const yaml = require('js-yaml');
+const { getTemplateConfig, getTemplatesConfig } = require('./templates');
+const { getCommandsForLanguageAndFramework } = require('./command-scanner');
+const { getHooksForLanguage, getMCPsForLanguage } = require('./hook-scanner');
+const { getAgentsForLanguageAndFramework, installAgents } = require('./agents');
+const { copyTemplateFiles, collectTemplateFiles } = require('./file-operations');
+const { createInstallManifest } = require('./install-manifest');
+
+/**
+ * Exit codes of `cct apply`, stable for scripts:
+ * 0 applied (or nothing to change), 1 install failed, 2 config file unreadable or invalid,
+ * 3 config names a language, framework, command, hook, MCP server or agent that does not exist
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  INVALID_CONFIG: 2,
+  UNKNOWN_NAME: 3
+};
+
+const nameList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// JSON Schema (draft-07) of the apply config, printed by `cct apply --schema` for editors
+const APPLY_CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'claude-code-templates apply config',
+  type: 'object',
+  required: ['language'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', enum: [1], description: 'Config format version' },
+    language: { type: 'string', minLength: 1, description: 'Language template, e.g. javascript-typescript' },
+    framework: { type: 'string', minLength: 1, description: 'Framework of the language, or none (default)' },
+    commands: { ...nameList, description: 'Command names (default: the commands setup checks by default)' },
+    hooks: { ...nameList, description: 'Hook ids (default: the hooks setup checks by default, [] for none)' },
+    mcps: { ...nameList, description: 'MCP server ids (default: the servers setup checks by default, [] for none)' },
+    agents: { ...nameList, description: 'Agent names (default: none)' },
+    onExisting: { type: 'string', enum: ['backup', 'merge', 'cancel'], description: 'What to do with an existing configuration (default: backup)' }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the apply config uses
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (type, enum, minLength, items, properties, required, additionalProperties)
+ * @param {string} at - Path of the value, for error messages
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateSchema(value, schema, at = 'config') {
+  const actual = typeOf(value);
+  const expected = schema.type;
+  if (expected && actual !== expected && !(expected === 'number' && actual === 'integer')) {
+    return [`${at} must be ${expected === 'array' || expected === 'object' || expected === 'integer' ? 'an' : 'a'} ${expected}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minLength && value.length < schema.minLength) {
+    errors.push(`${at} must not be empty`);
+  }
+  if (schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+  }
+  if (schema.properties) {
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => errors.push(`${key} is required`));
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        errors.push(...validateSchema(value[key], schema.properties[key], at === 'config' ? key : `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at === 'config' ? key : `${at}.${key}`} is not a known setting`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Read an apply config from YAML or JSON
+ * @param {string} configPath - Config file (.yaml, .yml or .json)
+ * @returns {Promise<Object>} Parsed config
+ */
+async function loadApplyConfig(configPath) {
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${configPath}: ${error.message}`);
+  }
+
+  try {
+    // YAML is a superset of JSON, but JSON files get JSON's clearer error messages
+    return path.extname(configPath) === '.json' ? JSON.parse(content) : yaml.safeLoad(content, { filename: configPath });
+  } catch (error) {
+    throw new Error(`Cannot parse ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Check the names in a valid config against the templates and work out the defaults
+ * @param {Object} config - Config that passed validateSchema
+ * @returns {Object} { selections, errors }
+ */
+function resolveApplyConfig(config) {
+  const errors = [];
+  const templatesConfig = getTemplatesConfig();
+  const language = templatesConfig[config.language];
+  if (!language || language.comingSoon) {
+    const available = Object.keys(templatesConfig).filter(key => !templatesConfig[key].comingSoon);
+    return { selections: null, errors: [`language "${config.language}" is not available (${available.join(', ')})`] };
+  }
+
+  const framework = config.framework || 'none';
+  if (framework !== 'none' && !(language.frameworks && language.frameworks[framework])) {
+    errors.push(`framework "${framework}" is not available for ${config.language} (${Object.keys(language.frameworks || {}).join(', ') || 'none'})`);
+  }
+
+  // The names the config lists, or the defaults when it leaves the list out
+  const pick = (setting, known, defaults) => {
+    if (config[setting] === undefined) {
+      return defaults;
+    }
+    config[setting].filter(name => !known.includes(name)).forEach(name => {
+      errors.push(`${setting}: "${name}" is not available for ${config.language}${framework !== 'none' ? `/${framework}` : ''}`);
+    });
+    return config[setting];
+  };
+  const checked = entries => entries.filter(entry => entry.checked);
+
+  const commands = getCommandsForLanguageAndFramework(config.language, framework);
+  const hooks = getHooksForLanguage(config.language);
+  const mcps = getMCPsForLanguage(config.language);
+  const agents = getAgentsForLanguageAndFramework(config.language, framework);
+
+  const selections = {
+    language: config.language,
+    framework,
+    commands: pick('commands', commands.map(command => command.name), checked(commands).map(command => command.name)),
+    hooks: pick('hooks', hooks.map(hook => hook.id), checked(hooks).map(hook => hook.id)),
+    mcps: pick('mcps', mcps.map(mcp => mcp.id), checked(mcps).map(mcp => mcp.id)),
+    agents: pick('agents', agents.map(agent => agent.name), []),
+    onExisting: config.onExisting || 'backup'
+  };
+
+  return { selections, errors };
+}
+
+/**
+ * Run a function with console.log sent to stderr, so stdout only carries the JSON result
+ */
+async function withLogsOnStderr(fn) {
+  const log = console.log;
+  console.log = (...args) => console.error(...args);
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Install what a validated config selects
+ * @param {Object} selections - Result of resolveApplyConfig
+ * @param {string} targetDir - Project directory
+ * @param {Object} options - CLI options (dryRun)
+ * @returns {Promise<Object>} Status and installed files
+ */
+async function applySelections(selections, targetDir, options) {
+  const templateConfig = getTemplateConfig(selections);
+  templateConfig.selectedHooks = selections.hooks;
+  templateConfig.selectedMCPs = selections.mcps;
+
+  const files = Array.from((await collectTemplateFiles(templateConfig)).keys())
+    .concat(selections.agents.map(agent => `.claude/agents/${agent}.md`));
+
+  if (options.dryRun) {
+    return { status: 'dry-run', files };
+  }
+
+  const copied = await copyTemplateFiles(templateConfig, targetDir, { yes: true, onExisting: selections.onExisting });
+  if (copied === false) {
+    return { status: 'skipped', files: [] };
+  }
+
+  try {
+    await createInstallManifest(targetDir, templateConfig);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not record the install manifest, --upgrade will not work for this project: ${error.message}`));
+  }
+
+  if (selections.agents.length > 0) {
+    await installAgents(selections.agents, targetDir);
+  }
+
+  return { status: 'applied', files };
+}
+
+/**
+ * Run `cct apply`: validate the config, install what it selects and report the result
+ * @param {Object} options - Command options (config, directory, dryRun, format, schema)
+ * @returns {Promise<Object>} Result, also printed (as JSON with --format json)
+ */
+async function runApply(options = {}) {
+  if (options.schema) {
+    console.log(JSON.stringify(APPLY_CONFIG_SCHEMA, null, 2));
+    return { status: 'schema', exitCode: EXIT_CODES.OK };
+  }
+
+  const json = options.format === 'json';
+  const targetDir = path.resolve(options.directory || process.cwd());
+  const result = { status: null, exitCode: EXIT_CODES.OK, config: options.config || null, targetDir, selections: null, files: [], errors: [] };
+
+  const run = async () => {
+    if (!options.config) {
+      return { status: 'invalid', exitCode: EXIT_CODES.INVALID_CONFIG, errors: ['--config <file> is required'] };
+    }
+
+    let config;
+    try {
+      config = await loadApplyConfig(options.config);
+    } catch (error) {
+      return { status: 'invalid', exitCode: EXIT_CODES.INVALID_CONFIG, errors: [error.message] };
+    }
+
+    const schemaErrors = validateSchema(config, APPLY_CONFIG_SCHEMA);
+    if (schemaErrors.length > 0) {
+      return { status: 'invalid', exitCode: EXIT_CODES.INVALID_CONFIG, errors: schemaErrors };
+    }
+
+    const { selections, errors } = resolveApplyConfig(config);
+    if (errors.length > 0) {
+      return { status: 'invalid', exitCode: EXIT_CODES.UNKNOWN_NAME, selections, errors };
+    }
+
+    try {
+      return { exitCode: EXIT_CODES.OK, selections, ...(await applySelections(selections, targetDir, options)) };
+    } catch (error) {
+      return { status: 'failed', exitCode: EXIT_CODES.FAILED, selections, errors: [error.message] };
+    }
+  };
+
+  Object.assign(result, json ? await withLogsOnStderr(run) : await run());
+  process.exitCode = result.exitCode;
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.errors.length > 0) {
+    console.log(chalk.red(`❌ ${result.config || 'apply'}: ${result.status === 'failed' ? 'install failed' : 'invalid config'}`));
+    result.errors.forEach(error => console.log(chalk.red(`   • ${error}`)));
+  } else if (result.status === 'dry-run') {
+    console.log(chalk.yellow(`🔍 Dry run - ${result.selections.language}/${result.selections.framework} would install:`));
+    result.files.forEach(file => console.log(chalk.gray(`  - ${file}`)));
+  } else if (result.status === 'skipped') {
+    console.log(chalk.blue('⏭️  Existing configuration kept (onExisting: cancel)'));
+  } else {
+    console.log(chalk.green(`✅ Applied ${result.config} to ${targetDir} (${result.files.length} file(s))`));
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXIT_CODES,
+  APPLY_CONFIG_SCHEMA,
+  validateSchema,
+  loadApplyConfig,
+  resolveApplyConfig,
+  runApply
+};
@@ -0,0 +1,561 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { detectProject } = require('./utils');
+const { getTemplateConfig, getTemplatesConfig } = require('./templates');
+const { detectPackage, detectJsPackageManager, getTomlSection, readTomlArray, readTomlString, upsertWorkspaceSection } = require('./workspaces');
+const { createBackups } = require('./file-operations');
+const { diffLines, formatDiff } = require('./json-merge');
+const { snapshotFiles, recordInstall } = require('./install-journal');
+
+const SECTION_START = '<!-- project-facts:start -->';
+const SECTION_END = '<!-- project-facts:end -->';
+
+const COMMAND_CATEGORIES = [
+  { key: 'build', title: 'Build', pattern: /^(build|compile|bundle|dist|package)\b/ },
+  { key: 'test', title: 'Test', pattern: /^(test|tests|spec|e2e|coverage|cypress|playwright)\b/ },
+  { key: 'lint', title: 'Lint & Type Check', pattern: /^(lint|typecheck|type-check|types|check|tsc|clippy|vet|mypy)\b/ },
+  { key: 'format', title: 'Format', pattern: /^(format|fmt|prettier)\b/ },
+  { key: 'dev', title: 'Run', pattern: /^(dev|start|serve|watch|run|preview)\b/ },
+  { key: 'other', title: 'Other', pattern: /./ }
+];
+
+const DIRECTORY_DESCRIPTIONS = {
+  src: 'Source code',
+  lib: 'Library code',
+  app: 'Application code',
+  apps: 'Applications',
+  packages: 'Workspace packages',
+  crates: 'Rust crates',
+  cmd: 'Command entry points',
+  internal: 'Private packages',
+  pkg: 'Public packages',
+  bin: 'Executables',
+  test: 'Tests',
+  tests: 'Tests',
+  __tests__: 'Tests',
+  spec: 'Tests',
+  docs: 'Documentation',
+  scripts: 'Development scripts',
+  public: 'Static assets',
+  static: 'Static assets',
+  assets: 'Assets',
+  config: 'Configuration',
+  migrations: 'Database migrations',
+  examples: 'Examples',
+  templates: 'Templates',
+  '.github': 'CI workflows and GitHub configuration'
+};
+
+// Never listed in the project structure
+const IGNORED_DIRS = ['node_modules', 'target', 'dist', 'build', 'coverage', 'vendor', 'venv', '__pycache__'];
+
+async function readText(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse JSON that may contain comments (.eslintrc, tsconfig.json)
+ */
+function parseLooseJson(content) {
+  if (!content) return null;
+  try {
+    const withoutComments = content.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+    return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the "key: value" lines of a flat YAML file (.prettierrc.yaml)
+ */
+function parseFlatYaml(content) {
+  const result = {};
+  content.split('\n').forEach(line => {
+    const match = line.match(/^([\w-]+)\s*:\s*["']?([^"'#]*?)["']?\s*(#.*)?$/);
+    if (match && match[2] !== '') {
+      const value = match[2];
+      result[match[1]] = value === 'true' ? true : value === 'false' ? false : /^\d+$/.test(value) ? Number(value) : value;
+    }
+  });
+  return result;
+}
+
+function readTomlKeys(section) {
+  return section ? Array.from(section.matchAll(/^\s*["']?([\w.-]+)["']?\s*=/gm), match => match[1]) : [];
+}
+
+function readTomlNumber(content, section, key) {
+  const body = getTomlSection(content, section);
+  const match = body && body.match(new RegExp(`^\\s*${key}\\s*=\\s*(\\d+)`, 'm'));
+  return match ? Number(match[1]) : null;
+}
+
+function getCategory(name) {
+  return COMMAND_CATEGORIES.find(category => category.pattern.test(name.toLowerCase())).key;
+}
+
+/**
+ * Commands from package.json scripts, run through the project's package manager
+ */
+function getPackageScripts(packageJson, packageManager) {
+  const scripts = (packageJson && packageJson.scripts) || {};
+  const names = Object.keys(scripts);
+
+  return names
+    // preinstall, postbuild, ... run on their own
+    .filter(name => !/^(pre|post)/.test(name) || !names.includes(name.replace(/^(pre|post)/, '')))
+    .filter(name => !['prepare', 'prepublishOnly', 'install', 'postinstall'].includes(name))
+    .map(name => {
+      let command = `${packageManager} run ${name}`;
+      if (packageManager === 'npm' && ['test', 'start'].includes(name)) command = `npm ${name}`;
+      else if (packageManager === 'yarn' || packageManager === 'pnpm') command = `${packageManager} ${name}`;
+
+      return { category: getCategory(name), command, description: scripts[name], source: 'package.json' };
+    });
+}
+
+/**
+ * Targets of a Makefile, with their "## description" comments when the Makefile has them
+ */
+function getMakeTargets(makefile, fileName) {
+  const commands = [];
+  const seen = new Set();
+  let comment = null;
+
+  makefile.split('\n').forEach(line => {
+    const commentMatch = line.match(/^##\s*(.+)$/);
+    if (commentMatch) {
+      comment = commentMatch[1].trim();
+      return;
+    }
+
+    const target = line.match(/^([A-Za-z0-9][\w.-]*)\s*:(?!=)([^#]*?)(?:##\s*(.+))?$/);
+    if (target && !seen.has(target[1])) {
+      seen.add(target[1]);
+      commands.push({
+        category: getCategory(target[1]),
+        command: `make ${target[1]}`,
+        description: target[3] ? target[3].trim() : comment,
+        source: fileName
+      });
+    }
+    if (!/^\s*$/.test(line)) {
+      comment = null;
+    }
+  });
+
+  return commands;
+}
+
+/**
+ * Task runners and tools configured in pyproject.toml
+ */
+function getPyprojectCommands(pyproject, packageManager, hasPytest) {
+  const run = { poetry: 'poetry run ', uv: 'uv run ', pipenv: 'pipenv run ' }[packageManager] || '';
+  const commands = [];
+  const add = (name, command, description) => commands.push({ category: getCategory(name), command, description, source: 'pyproject.toml' });
+
+  readTomlKeys(getTomlSection(pyproject, 'tool.poe.tasks')).forEach(task => add(task, `${run}poe ${task}`, null));
+  readTomlKeys(getTomlSection(pyproject, 'tool.pdm.scripts')).forEach(script => add(script, `pdm run ${script}`, null));
+  readTomlKeys(getTomlSection(pyproject, 'project.scripts'))
+    .concat(readTomlKeys(getTomlSection(pyproject, 'tool.poetry.scripts')))
+    .forEach(script => add('run', `${run}${script}`, 'Console entry point'));
+
+  if (hasPytest) add('test', `${run}pytest`, null);
+  if (pyproject.includes('[tool.ruff')) {
+    add('lint', `${run}ruff check .`, null);
+    add('format', `${run}ruff format .`, null);
+  }
+  if (pyproject.includes('[tool.mypy]')) add('lint', `${run}mypy .`, null);
+  if (pyproject.includes('[tool.black]')) add('format', `${run}black .`, null);
+
+  return commands;
+}
+
+/**
+ * Standard commands of toolchains that need no script (Cargo, Go)
+ */
+function getToolchainCommands(configFiles) {
+  const commands = [];
+  if (configFiles.includes('Cargo.toml')) {
+    commands.push(
+      { category: 'build', command: 'cargo build', description: null, source: 'Cargo.toml' },
+      { category: 'test', command: 'cargo test', description: null, source: 'Cargo.toml' },
+      { category: 'lint', command: 'cargo clippy', description: null, source: 'Cargo.toml' },
+      { category: 'format', command: 'cargo fmt', description: null, source: 'Cargo.toml' }
+    );
+  }
+  if (configFiles.includes('go.mod') || configFiles.includes('go.work')) {
+    const source = configFiles.includes('go.mod') ? 'go.mod' : 'go.work';
+    commands.push(
+      { category: 'build', command: 'go build ./...', description: null, source },
+      { category: 'test', command: 'go test ./...', description: null, source },
+      { category: 'lint', command: 'go vet ./...', description: null, source },
+      { category: 'format', command: 'gofmt -w .', description: null, source }
+    );
+  }
+  return commands;
+}
+
+/**
+ * Top-level directories, with their subdirectories for the source directories
+ */
+async function describeLayout(targetDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(targetDir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const layout = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!entry.isDirectory() || IGNORED_DIRS.includes(entry.name) || (entry.name.startsWith('.') && entry.name !== '.github')) {
+      continue;
+    }
+
+    let children = [];
+    if (['src', 'lib', 'app', 'apps', 'packages', 'crates', 'cmd', 'internal', 'pkg'].includes(entry.name)) {
+      const childEntries = await fs.readdir(path.join(targetDir, entry.name), { withFileTypes: true });
+      children = childEntries
+        .filter(child => child.isDirectory() && !child.name.startsWith('.') && !IGNORED_DIRS.includes(child.name))
+        .map(child => child.name)
+        .sort();
+    }
+
+    layout.push({ path: `${entry.name}/`, description: DIRECTORY_DESCRIPTIONS[entry.name] || null, children });
+  }
+  return layout;
+}
+
+function describePrettier(config) {
+  const rules = [];
+  if (config.useTabs) rules.push('tabs for indentation');
+  else if (config.tabWidth) rules.push(`${config.tabWidth}-space indentation`);
+  if (config.semi === false) rules.push('no semicolons');
+  else if (config.semi === true) rules.push('semicolons');
+  if (config.singleQuote !== undefined) rules.push(config.singleQuote ? 'single quotes' : 'double quotes');
+  if (config.trailingComma) rules.push(`trailing commas: ${config.trailingComma}`);
+  if (config.printWidth) rules.push(`max line length ${config.printWidth}`);
+  return rules;
+}
+
+function describeEslint(config) {
+  const rules = [];
+  const extendsList = [].concat(config.extends || []);
+  if (extendsList.length > 0) rules.push(`extends ${extendsList.join(', ')}`);
+
+  const severity = value => [].concat(value)[0];
+  const options = value => [].concat(value).slice(1).filter(option => typeof option !== 'object').join(' ');
+  const configured = Object.entries(config.rules || {}).filter(([, value]) => !['off', 0].includes(severity(value)));
+  configured.slice(0, 8).forEach(([rule, value]) => {
+    rules.push(options(value) ? `${rule}: ${options(value)}` : rule);
+  });
+  if (configured.length > 8) rules.push(`${configured.length - 8} more rules`);
+  return rules;
+}
+
+/**
+ * Ruff settings from ruff.toml (prefix null) or pyproject.toml (prefix "tool.ruff")
+ */
+function describeRuff(content, prefix) {
+  const section = name => (prefix ? `${prefix}.${name}` : name);
+  const rules = [];
+  const lineLength = readTomlNumber(content, prefix, 'line-length');
+  const target = readTomlString(content, prefix, 'target-version');
+  const select = readTomlArray(content, section('lint'), 'select').concat(readTomlArray(content, prefix, 'select'));
+  const quoteStyle = readTomlString(content, section('format'), 'quote-style');
+
+  if (lineLength) rules.push(`max line length ${lineLength}`);
+  if (target) rules.push(`target ${target}`);
+  if (select.length > 0) rules.push(`rules ${select.join(', ')}`);
+  if (quoteStyle) rules.push(`${quoteStyle} quotes`);
+  return rules;
+}
+
+/**
+ * Style conventions taken from the formatter, linter and compiler configs in the repository
+ */
+async function readConventions(targetDir, packageJson, pyproject) {
+  const conventions = [];
+  const add = (tool, file, rules) => conventions.push({ tool, file, rules });
+  const find = async files => {
+    for (const file of files) {
+      if (await fs.pathExists(path.join(targetDir, file))) return file;
+    }
+    return null;
+  };
+
+  const prettierFile = await find(['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.js', '.prettierrc.cjs', 'prettier.config.js', 'prettier.config.mjs']);
+  if (prettierFile) {
+    const content = await readText(path.join(targetDir, prettierFile));
+    const config = /\.(js|cjs|mjs)$/.test(prettierFile) ? null : parseLooseJson(content) || parseFlatYaml(content);
+    add('Prettier', prettierFile, config ? describePrettier(config) : []);
+  } else if (packageJson && packageJson.prettier && typeof packageJson.prettier === 'object') {
+    add('Prettier', 'package.json', describePrettier(packageJson.prettier));
+  }
+
+  const eslintFile = await find(['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts', '.eslintrc.json', '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.yml', '.eslintrc.yaml']);
+  if (eslintFile) {
+    // JavaScript configs are never executed, only their file name is reported
+    const config = /\.(json|eslintrc)$/.test(eslintFile) ? parseLooseJson(await readText(path.join(targetDir, eslintFile))) : null;
+    add('ESLint', eslintFile, config ? describeEslint(config) : []);
+  } else if (packageJson && packageJson.eslintConfig) {
+    add('ESLint', 'package.json', describeEslint(packageJson.eslintConfig));
+  }
+
+  const ruffFile = await find(['ruff.toml', '.ruff.toml']);
+  if (ruffFile) {
+    add('Ruff', ruffFile, describeRuff((await readText(path.join(targetDir, ruffFile))) || '', null));
+  } else if (pyproject && pyproject.includes('[tool.ruff')) {
+    add('Ruff', 'pyproject.toml', describeRuff(pyproject, 'tool.ruff'));
+  }
+
+  const tsconfig = parseLooseJson(await readText(path.join(targetDir, 'tsconfig.json')));
+  if (tsconfig) {
+    const compilerOptions = tsconfig.compilerOptions || {};
+    const rules = [];
+    if (compilerOptions.strict) rules.push('strict mode');
+    if (compilerOptions.target) rules.push(`target ${compilerOptions.target}`);
+    if (compilerOptions.module) rules.push(`${compilerOptions.module} modules`);
+    add('TypeScript', 'tsconfig.json', rules);
+  }
+
+  const editorconfig = await readText(path.join(targetDir, '.editorconfig'));
+  if (editorconfig) {
+    const style = editorconfig.match(/^indent_style\s*=\s*(\w+)/m);
+    const size = editorconfig.match(/^indent_size\s*=\s*(\d+)/m);
+    const rules = [];
+    if (style && style[1] === 'tab') rules.push('tabs for indentation');
+    else if (size) rules.push(`${size[1]}-space indentation`);
+    add('EditorConfig', '.editorconfig', rules);
+  }
+
+  return conventions;
+}
+
+/**
+ * Collect the facts a CLAUDE.md is generated from, without leaving the machine
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Object>} Project name, stack, commands, layout and conventions
+ */
+async function collectRepositoryFacts(targetDir) {
+  const projectInfo = await detectProject(targetDir);
+  const { configFiles } = projectInfo.projectFiles;
+  const root = await detectPackage(targetDir, '.');
+
+  let packageJson = null;
+  try {
+    packageJson = configFiles.includes('package.json') ? await fs.readJson(path.join(targetDir, 'package.json')) : null;
+  } catch (error) {
+    // Unparseable package.json, detectProject already warned
+  }
+  const pyproject = (await readText(path.join(targetDir, 'pyproject.toml'))) || '';
+
+  const commands = [];
+  if (packageJson) {
+    commands.push(...getPackageScripts(packageJson, await detectJsPackageManager([targetDir], packageJson)));
+  }
+  for (const makefile of ['Makefile', 'makefile', 'GNUmakefile']) {
+    const content = await readText(path.join(targetDir, makefile));
+    if (content) {
+      commands.push(...getMakeTargets(content, makefile));
+      break;
+    }
+  }
+  if (pyproject) {
+    const python = root.language === 'python' ? root : await detectPackage(targetDir, '.', 'python');
+    commands.push(...getPyprojectCommands(pyproject, python.packageManager, python.testRunner === 'pytest'));
+  }
+  commands.push(...getToolchainCommands(configFiles));
+
+  const name = (packageJson && packageJson.name) ||
+    readTomlString(pyproject, 'project', 'name') ||
+    readTomlString(pyproject, 'tool.poetry', 'name') ||
+    (root.name !== '.' ? root.name : null) ||
+    path.basename(path.resolve(targetDir));
+  const description = (packageJson && packageJson.description) ||
+    readTomlString(pyproject, 'project', 'description') ||
+    readTomlString(pyproject, 'tool.poetry', 'description');
+
+  return {
+    name,
+    description: description || null,
+    language: projectInfo.detectedLanguage,
+    languages: projectInfo.allLanguages,
+    frameworks: Array.from(new Set(projectInfo.allFrameworks)),
+    packageManager: root.packageManager,
+    testRunner: root.testRunner,
+    commands,
+    layout: await describeLayout(targetDir),
+    conventions: await readConventions(targetDir, packageJson, pyproject),
+    workspace: projectInfo.workspace
+  };
+}
+
+/**
+ * Render the project facts as a marker-delimited CLAUDE.md section
+ * @param {Object} facts - Result of collectRepositoryFacts
+ * @returns {string} Markdown section
+ */
+function renderFactsSection(facts) {
+  const templatesConfig = getTemplatesConfig();
+  const languageName = language => (templatesConfig[language] ? templatesConfig[language].name : language);
+  const lines = [SECTION_START, '## Project Overview', ''];
+
+  lines.push(facts.description ? `**${facts.name}** - ${facts.description}` : `**${facts.name}**`, '');
+  if (facts.languages.length > 0) lines.push(`- Languages: ${facts.languages.map(languageName).join(', ')}`);
+  if (facts.frameworks.length > 0) lines.push(`- Frameworks: ${facts.frameworks.join(', ')}`);
+  if (facts.packageManager) lines.push(`- Package manager: ${facts.packageManager}`);
+  if (facts.testRunner) lines.push(`- Test runner: ${facts.testRunner}`);
+
+  if (facts.commands.length > 0) {
+    lines.push('', '## Commands');
+    COMMAND_CATEGORIES.forEach(category => {
+      const commands = facts.commands.filter(command => command.category === category.key);
+      if (commands.length === 0) return;
+      lines.push('', `### ${category.title}`);
+      commands.forEach(command => {
+        const description = command.description && command.description.length > 80
+          ? `${command.description.slice(0, 77)}...`
+          : command.description;
+        lines.push(description ? `- \`${command.command}\` - ${description}` : `- \`${command.command}\``);
+      });
+    });
+  }
+
+  if (facts.layout.length > 0) {
+    lines.push('', '## Project Structure', '');
+    facts.layout.forEach(entry => {
+      const children = entry.children.length > 0 ? ` (${entry.children.slice(0, 8).join(', ')}${entry.children.length > 8 ? ', ...' : ''})` : '';
+      lines.push(`- \`${entry.path}\`${entry.description ? ` - ${entry.description}` : ''}${children}`);
+    });
+  }
+
+  if (facts.conventions.length > 0) {
+    lines.push('', '## Code Style', '');
+    facts.conventions.forEach(convention => {
+      const rules = convention.rules.length > 0 ? `: ${convention.rules.join(', ')}` : '';
+      lines.push(`- ${convention.tool} (\`${convention.file}\`)${rules}`);
+    });
+    lines.push('', 'Follow these configs; run the lint and format commands above before committing.');
+  }
+
+  lines.push(SECTION_END);
+  return lines.join('\n');
+}
+
+/**
+ * Static guidance of the language template, without its title
+ */
+async function readTemplateGuidance(language) {
+  if (!language) return null;
+  const templateConfig = getTemplateConfig({ language: getTemplatesConfig()[language] ? language : 'common', framework: 'none' });
+  const file = templateConfig.files.find(entry => entry.destination === 'CLAUDE.md');
+  if (!file) return null;
+
+  const content = await readText(path.join(file.root || path.join(__dirname, '../templates'), file.source));
+  return content ? content.replace(/^#[^\n]*\n+/, '').trim() : null;
+}
+
+/**
+ * Generate a CLAUDE.md, or refresh the generated section of an existing one
+ * @param {Object} facts - Result of collectRepositoryFacts
+ * @param {string|null} existing - Current CLAUDE.md content
+ * @param {string|null} guidance - Language template content appended to new files
+ * @returns {string} CLAUDE.md content
+ */
+function generateClaudeMd(facts, existing, guidance) {
+  const section = renderFactsSection(facts);
+  let content;
+
+  if (existing && existing.includes(SECTION_START) && existing.includes(SECTION_END)) {
+    const start = existing.indexOf(SECTION_START);
+    content = existing.slice(0, start) + section + existing.slice(existing.indexOf(SECTION_END) + SECTION_END.length);
+  } else if (existing) {
+    // Keep the user's file, the facts go right under its title
+    const title = existing.match(/^#[^\n]*\n+/);
+    content = title
+      ? `${title[0]}${section}\n\n${existing.slice(title[0].length)}`
+      : `${section}\n\n${existing}`;
+  } else {
+    content = [
+      '# CLAUDE.md',
+      '',
+      'This file provides guidance to Claude Code (claude.ai/code) when working with code in this repository.',
+      '',
+      section,
+      guidance ? `\n${guidance}` : null
+    ].filter(part => part !== null).join('\n') + '\n';
+  }
+
+  return facts.workspace && facts.workspace.isMonorepo ? upsertWorkspaceSection(content, facts.workspace) : content;
+}
+
+/**
+ * Run the generator: preview the CLAUDE.md (or the diff against the current one), then write it
+ * @param {Object} options - CLI options (directory, dryRun, yes)
+ */
+async function runClaudeMdGenerator(options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const claudeFile = path.join(targetDir, 'CLAUDE.md');
+
+  const facts = await collectRepositoryFacts(targetDir);
+  const existing = await readText(claudeFile);
+  const content = generateClaudeMd(facts, existing, existing ? null : await readTemplateGuidance(facts.language));
+
+  if (existing === content) {
+    console.log(chalk.green('✅ CLAUDE.md is up to date with the repository'));
+    return;
+  }
+
+  // Preview before writing anything
+  if (existing) {
+    console.log(chalk.cyan('\n📝 Changes to CLAUDE.md:'));
+    console.log(formatDiff(diffLines(existing.split('\n'), content.split('\n'))));
+  } else {
+    console.log(chalk.cyan('\n📝 Generated CLAUDE.md:\n'));
+    console.log(chalk.gray(content));
+  }
+  console.log(chalk.gray(`\n   ${facts.commands.length} command(s), ${facts.layout.length} director${facts.layout.length === 1 ? 'y' : 'ies'}, ${facts.conventions.length} style config(s)`));
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('\n🔍 Dry run - CLAUDE.md was not written'));
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `${existing ? 'Update' : 'Write'} CLAUDE.md?`,
+      default: true
+    }]);
+
+    if (!confirm) {
+      console.log(chalk.blue('⏭️  CLAUDE.md was not written'));
+      return;
+    }
+  }
+
+  const backups = existing ? await createBackups(['CLAUDE.md'], targetDir) : [];
+  const snapshot = await snapshotFiles(targetDir, ['CLAUDE.md']);
+  await fs.writeFile(claudeFile, content);
+  await recordInstall(snapshot, { type: 'claude-md', action: existing ? 'backup' : 'proceed', backups });
+
+  console.log(chalk.green(`✅ ${existing ? 'Updated' : 'Created'} CLAUDE.md`));
+}
+
+module.exports = {
+  collectRepositoryFacts,
+  renderFactsSection,
+  generateClaudeMd,
+  runClaudeMdGenerator
+};
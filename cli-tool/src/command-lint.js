@@ -0,0 +1,578 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const yaml = require('js-yaml');
+const { parseCommandMetadata } = require('./command-scanner');
+const { estimateTokens } = require('./command-stats');
+
+// Rule configuration, read from the project like .eslintrc
+const CONFIG_PATH = '.claude/command-lint.json';
+
+const SEVERITIES = ['off', 'warn', 'error'];
+const LINT_FORMATS = ['table', 'json', 'github'];
+
+// Frontmatter fields Claude Code reads from a slash command
+const KNOWN_FIELDS = ['allowed-tools', 'argument-hint', 'description', 'model', 'disable-model-invocation'];
+
+const KNOWN_TOOLS = [
+  'Bash', 'BashOutput', 'Edit', 'ExitPlanMode', 'Glob', 'Grep', 'KillShell', 'LS', 'MultiEdit', 'NotebookEdit',
+  'NotebookRead', 'Read', 'SlashCommand', 'Task', 'TodoWrite', 'WebFetch', 'WebSearch', 'Write'
+];
+
+/**
+ * Split a command file into its frontmatter and body
+ * @param {string} content - Command markdown
+ * @returns {Object} { frontmatter, error, errorLine, fieldLines, body, bodyLine }
+ */
+function parseCommandFile(content) {
+  const lines = content.split('\n');
+  const result = { frontmatter: {}, hasFrontmatter: false, error: null, errorLine: 1, fieldLines: {}, body: content, bodyLine: 1 };
+
+  if (lines[0].trim() !== '---') {
+    return result;
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    return { ...result, hasFrontmatter: true, error: 'frontmatter is not closed with ---' };
+  }
+
+  result.hasFrontmatter = true;
+  result.body = lines.slice(end + 1).join('\n');
+  result.bodyLine = end + 2;
+  lines.slice(1, end).forEach((line, index) => {
+    const match = line.match(/^([^\s:#][^:]*):/);
+    if (match) {
+      result.fieldLines[match[1].trim()] = index + 2;
+    }
+  });
+
+  try {
+    const parsed = yaml.safeLoad(lines.slice(1, end).join('\n'));
+    if (parsed !== undefined && parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+      return { ...result, error: 'frontmatter must be a list of "field: value" lines' };
+    }
+    result.frontmatter = parsed || {};
+  } catch (error) {
+    result.error = `invalid frontmatter: ${error.reason || error.message}`;
+    result.errorLine = error.mark ? error.mark.line + 2 : 1;
+  }
+
+  return result;
+}
+
+/**
+ * Set (or rename) a frontmatter field, leaving the rest of the file as it is
+ * @param {string} content - Command markdown
+ * @param {string} field - Field to set
+ * @param {*} value - New value
+ * @param {string} from - Existing field to replace (default: field itself)
+ * @returns {string} Updated markdown
+ */
+function setFrontmatterField(content, field, value, from = field) {
+  // Leave strings unquoted when YAML reads them back the same, like hand-written frontmatter
+  const plain = typeof value === 'string' && !value.includes('\n') ? `${field}: ${value}` : null;
+  let entry;
+  try {
+    entry = plain && yaml.safeLoad(plain)[field] === value ? [plain] : null;
+  } catch (error) {
+    entry = null;
+  }
+  entry = entry || yaml.safeDump({ [field]: value }, { lineWidth: -1 }).trimEnd().split('\n');
+  const lines = content.split('\n');
+
+  if (lines[0].trim() !== '---') {
+    return ['---', ...entry, '---', ...lines].join('\n');
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  const start = lines.findIndex((line, index) => index > 0 && index < end && line.startsWith(`${from}:`));
+  if (start === -1) {
+    lines.splice(end, 0, ...entry);
+    return lines.join('\n');
+  }
+
+  // A value can continue on indented lines or as a "- item" list
+  let next = start + 1;
+  while (next < end && /^(\s|- )/.test(lines[next])) {
+    next++;
+  }
+  lines.splice(start, next - start, ...entry);
+  return lines.join('\n');
+}
+
+/**
+ * Add a frontmatter field unless the file has it by then (an earlier fix may have renamed it into place)
+ * @param {string} content - Command markdown
+ * @param {string} field - Field to add
+ * @param {*} value - Value
+ * @returns {string} Updated markdown
+ */
+function addFrontmatterField(content, field, value) {
+  const { frontmatter, error } = parseCommandFile(content);
+  return error || frontmatter[field] !== undefined ? content : setFrontmatterField(content, field, value);
+}
+
+// Blank out fenced code blocks (keeping line numbers), where "@path" and "!`cmd`" are only examples
+function stripFences(text) {
+  return text.replace(/```[\s\S]*?```/g, block => block.replace(/[^\n]/g, ' '));
+}
+
+function lineOf(command, pattern) {
+  const index = command.parsed.body.split('\n').findIndex(line => pattern.test(line));
+  return index === -1 ? command.parsed.bodyLine : command.parsed.bodyLine + index;
+}
+
+function splitAllowedTools(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return String(value).split(/,(?![^(]*\))/).map(tool => tool.trim()).filter(Boolean);
+}
+
+function getArgumentUsage(body) {
+  const positional = (body.match(/\$[1-9]\b/g) || []).map(arg => Number(arg.substring(1)));
+  return { all: /\$ARGUMENTS\b/.test(body), positional: positional.length > 0 ? Math.max(...positional) : 0 };
+}
+
+/**
+ * Lint rules. check(command, context, options) returns problems as
+ * { message, line, fix } where fix(content) rewrites the file (safe rules only)
+ */
+const RULES = {
+  'frontmatter-syntax': {
+    severity: 'error',
+    description: 'Frontmatter must be valid YAML between --- lines',
+    check: command => (command.parsed.error ? [{ message: command.parsed.error, line: command.parsed.errorLine }] : [])
+  },
+
+  'frontmatter-fields': {
+    severity: 'warn',
+    description: `Frontmatter fields must be ones Claude Code reads (${KNOWN_FIELDS.join(', ')})`,
+    check: command => Object.keys(command.parsed.frontmatter).filter(field => !KNOWN_FIELDS.includes(field)).map(field => {
+      const normalized = field.replace(/([a-z])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+      const known = KNOWN_FIELDS.includes(normalized) && command.parsed.frontmatter[normalized] === undefined ? normalized : null;
+      return {
+        message: `Unknown frontmatter field "${field}"${known ? ` (did you mean "${known}"?)` : ''}`,
+        line: command.parsed.fieldLines[field],
+        fix: known ? content => setFrontmatterField(content, known, command.parsed.frontmatter[field], field) : null
+      };
+    })
+  },
+
+  'description-required': {
+    severity: 'warn',
+    description: 'Commands need a description, shown in the /help list',
+    check: command => {
+      const { description } = command.parsed.frontmatter;
+      if (typeof description === 'string' && description.trim()) {
+        return [];
+      }
+      const metadata = parseCommandMetadata(command.parsed.body.trim(), command.name);
+      const fallback = (metadata.description || metadata.title || '').replace(/!?`[^`]*`/g, '').replace(/\s+/g, ' ').trim();
+      return [{
+        message: 'Missing description in the frontmatter',
+        line: command.parsed.fieldLines.description || 1,
+        fix: fallback ? content => addFrontmatterField(content, 'description', fallback.length > 120 ? `${fallback.substring(0, 117)}...` : fallback) : null
+      }];
+    }
+  },
+
+  'allowed-tools': {
+    severity: 'error',
+    description: 'allowed-tools must list known tools, as Tool or Tool(pattern)',
+    check: command => {
+      const value = command.parsed.frontmatter['allowed-tools'];
+      if (value === undefined || value === null) {
+        return [];
+      }
+
+      const line = command.parsed.fieldLines['allowed-tools'];
+      const tools = splitAllowedTools(value);
+      const problems = [];
+      const fixed = tools.map(tool => {
+        const match = tool.match(/^([A-Za-z_][\w-]*)(\(.*\))?$/);
+        if (!match) {
+          problems.push({ message: `Malformed allowed-tools entry "${tool}", use Tool or Tool(pattern)`, line });
+          return tool;
+        }
+        if (match[1].startsWith('mcp__') || KNOWN_TOOLS.includes(match[1])) {
+          return tool;
+        }
+        const known = KNOWN_TOOLS.find(name => name.toLowerCase() === match[1].toLowerCase());
+        problems.push({ message: `Unknown tool "${match[1]}" in allowed-tools${known ? ` (did you mean "${known}"?)` : ''}`, line, casing: !!known });
+        return known ? `${known}${match[2] || ''}` : tool;
+      });
+
+      // Only wrong casing has an unambiguous fix
+      const fixedValue = Array.isArray(value) ? fixed : fixed.join(', ');
+      return problems.map(problem => ({
+        message: problem.message,
+        line: problem.line,
+        fix: problem.casing ? content => setFrontmatterField(content, 'allowed-tools', fixedValue) : null
+      }));
+    }
+  },
+
+  'bash-permission': {
+    severity: 'error',
+    description: 'Commands that run !`bash` need Bash in allowed-tools',
+    check: command => {
+      if (!/!`[^`\n]+`/.test(stripFences(command.parsed.body))) {
+        return [];
+      }
+      const tools = splitAllowedTools(command.parsed.frontmatter['allowed-tools'] || []);
+      if (tools.some(tool => /^Bash(\(|$)/.test(tool))) {
+        return [];
+      }
+      return [{ message: 'Runs !`bash` commands but allowed-tools does not include Bash(...)', line: lineOf(command, /!`[^`]+`/) }];
+    }
+  },
+
+  'argument-hint': {
+    severity: 'warn',
+    description: 'Commands that take $ARGUMENTS or $1..$9 should describe them with argument-hint',
+    check: command => {
+      const usage = getArgumentUsage(command.parsed.body);
+      if ((!usage.all && usage.positional === 0) || command.parsed.frontmatter['argument-hint'] !== undefined) {
+        return [];
+      }
+      const hint = usage.positional > 0
+        ? Array.from({ length: usage.positional }, (_, index) => `[arg${index + 1}]`).join(' ')
+        : '[arguments]';
+      return [{
+        message: `Uses ${usage.all ? '$ARGUMENTS' : '$1..$' + usage.positional} but has no argument-hint`,
+        line: lineOf(command, /\$(ARGUMENTS|[1-9])\b/),
+        fix: content => addFrontmatterField(content, 'argument-hint', hint)
+      }];
+    }
+  },
+
+  'arguments-unused': {
+    severity: 'warn',
+    description: 'Commands with an argument-hint should use $ARGUMENTS or $1..$9',
+    check: command => {
+      const usage = getArgumentUsage(command.parsed.body);
+      if (command.parsed.frontmatter['argument-hint'] === undefined || usage.all || usage.positional > 0) {
+        return [];
+      }
+      return [{ message: 'Has an argument-hint but never uses $ARGUMENTS or $1..$9, so arguments are only appended', line: command.parsed.fieldLines['argument-hint'] }];
+    }
+  },
+
+  'file-references': {
+    severity: 'error',
+    description: '@file references in project commands must point to existing files',
+    check: (command, context) => {
+      if (command.scope !== 'project') {
+        return [];
+      }
+      const problems = [];
+      stripFences(command.parsed.body).split('\n').forEach((line, index) => {
+        // Inline code is an example too
+        for (const match of line.replace(/`[^`]*`/g, code => ' '.repeat(code.length)).matchAll(/(^|\s)@([\w.~\/-]*[\w\/-])/g)) {
+          const reference = match[2];
+          const resolved = reference.startsWith('~/') ? path.join(context.homeDir, reference.substring(2)) : path.resolve(context.targetDir, reference);
+          if (!fs.existsSync(resolved)) {
+            problems.push({ message: `Referenced file @${reference} does not exist`, line: command.parsed.bodyLine + index });
+          }
+        }
+      });
+      return problems;
+    }
+  },
+
+  'duplicate-name': {
+    severity: 'error',
+    description: 'A command name must not exist in both the project and personal scopes',
+    check: (command, context) => {
+      const other = context.commands.find(candidate => candidate.name === command.name && candidate.scope !== command.scope);
+      return other ? [{ message: `/${command.name} is also defined in ${other.scope} scope (${other.displayPath}), Claude Code does not support the conflict`, line: 1 }] : [];
+    }
+  },
+
+  'max-length': {
+    severity: 'warn',
+    description: 'Prompts over maxTokens (default 2000) cost context on every run',
+    options: { maxTokens: 2000 },
+    check: (command, context, options) => {
+      const tokens = estimateTokens(command.content);
+      return tokens > options.maxTokens
+        ? [{ message: `Prompt is about ${tokens} tokens (max ${options.maxTokens}), split it or move reference material into @files`, line: 1 }]
+        : [];
+    }
+  }
+};
+
+/**
+ * Read the rule configuration and merge it with the rule defaults
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Object>} Severity and options per rule
+ */
+async function loadLintConfig(targetDir) {
+  const configPath = path.join(targetDir, CONFIG_PATH);
+  let config = {};
+  if (await fs.pathExists(configPath)) {
+    try {
+      config = await fs.readJson(configPath);
+    } catch (error) {
+      throw new Error(`Cannot parse ${CONFIG_PATH}: ${error.message}`);
+    }
+  }
+
+  const rules = {};
+  Object.entries(RULES).forEach(([ruleId, rule]) => {
+    rules[ruleId] = { severity: rule.severity, options: { ...(rule.options || {}) } };
+  });
+
+  Object.entries(config.rules || {}).forEach(([ruleId, setting]) => {
+    if (!RULES[ruleId]) {
+      throw new Error(`Unknown rule "${ruleId}" in ${CONFIG_PATH}. Rules: ${Object.keys(RULES).join(', ')}`);
+    }
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Rule "${ruleId}" in ${CONFIG_PATH} must be one of ${SEVERITIES.join(', ')}, got "${severity}"`);
+    }
+    rules[ruleId] = { severity, options: { ...rules[ruleId].options, ...(options || {}) } };
+  });
+
+  return rules;
+}
+
+/**
+ * Find the command files of the project and personal scopes
+ * @param {string} targetDir - Project directory
+ * @param {string} homeDir - Home directory (personal commands live in ~/.claude/commands)
+ * @returns {Promise<Array>} Commands with name, scope, filePath, displayPath and content
+ */
+async function findCommandFiles(targetDir, homeDir = os.homedir()) {
+  const scopes = [
+    { scope: 'project', dir: path.join(targetDir, '.claude', 'commands'), display: file => path.relative(targetDir, file) },
+    { scope: 'personal', dir: path.join(homeDir, '.claude', 'commands'), display: file => path.join('~', path.relative(homeDir, file)) }
+  ];
+
+  const walk = async dir => {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(entryPath)));
+      } else if (entry.name.endsWith('.md')) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  };
+
+  const commands = [];
+  for (const { scope, dir, display } of scopes) {
+    // The same directory when linting from the home directory
+    if (!(await fs.pathExists(dir)) || (scope === 'personal' && path.resolve(dir) === path.resolve(scopes[0].dir))) {
+      continue;
+    }
+    for (const filePath of (await walk(dir)).sort()) {
+      commands.push({
+        name: path.basename(filePath, '.md'),
+        scope,
+        filePath,
+        displayPath: display(filePath),
+        content: await fs.readFile(filePath, 'utf8')
+      });
+    }
+  }
+  return commands;
+}
+
+/**
+ * Run the enabled rules over a set of commands
+ * @param {Array} commands - Result of findCommandFiles
+ * @param {Object} rules - Result of loadLintConfig
+ * @param {Object} context - targetDir and homeDir
+ * @returns {Array} One result per command: { command, problems: [{ ruleId, severity, line, message, fixable, fix }] }
+ */
+function lintCommands(commands, rules, context) {
+  commands.forEach(command => {
+    command.parsed = parseCommandFile(command.content);
+  });
+
+  return commands.map(command => {
+    const problems = [];
+    Object.entries(RULES).forEach(([ruleId, rule]) => {
+      const { severity, options } = rules[ruleId];
+      // Other rules cannot trust a frontmatter that did not parse
+      if (severity === 'off' || (command.parsed.error && ruleId !== 'frontmatter-syntax' && ruleId !== 'max-length')) {
+        return;
+      }
+      rule.check(command, { ...context, commands }, options).forEach(problem => {
+        problems.push({ ruleId, severity, line: problem.line || 1, message: problem.message, fixable: !!problem.fix, fix: problem.fix || null });
+      });
+    });
+    return { command, problems: problems.sort((a, b) => a.line - b.line) };
+  });
+}
+
+/**
+ * Apply the fixes of the fixable problems to a command's content
+ * @param {Object} result - One lintCommands result
+ * @returns {string} Fixed content
+ */
+function applyFixes(result) {
+  return result.problems.filter(problem => problem.fix).reduce((content, problem) => problem.fix(content), result.command.content);
+}
+
+function countProblems(results) {
+  const problems = results.flatMap(result => result.problems);
+  return {
+    errorCount: problems.filter(problem => problem.severity === 'error').length,
+    warningCount: problems.filter(problem => problem.severity === 'warn').length,
+    fixableCount: problems.filter(problem => problem.fixable).length
+  };
+}
+
+/**
+ * Escape a GitHub Actions workflow command message
+ * @param {string} value - Message
+ * @returns {string} Escaped message
+ */
+function escapeAnnotationData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Escape a GitHub Actions workflow command property (file=, title=), where , and : also end the value
+ * @param {string} value - Property value
+ * @returns {string} Escaped value
+ */
+function escapeAnnotationProperty(value) {
+  return escapeAnnotationData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Format lint results for the terminal, as JSON or as GitHub Actions annotations
+ * @param {Array} results - lintCommands results
+ * @param {string} format - table, json or github
+ * @param {Object} targetDir - Project directory (paths in the output are relative to it)
+ * @returns {string} Formatted output
+ */
+function formatLintResults(results, format, targetDir) {
+  const counts = countProblems(results);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      ...counts,
+      results: results.map(({ command, problems }) => ({
+        name: command.name,
+        scope: command.scope,
+        filePath: command.filePath,
+        problems: problems.map(({ fix, ...problem }) => problem)
+      }))
+    }, null, 2);
+  }
+
+  if (format === 'github') {
+    return results.flatMap(({ command, problems }) => problems.map(problem => {
+      const relative = path.relative(targetDir, command.filePath);
+      const file = relative.startsWith('..') ? command.filePath : relative;
+      return `::${problem.severity === 'error' ? 'error' : 'warning'} file=${escapeAnnotationProperty(file)},line=${problem.line},title=${escapeAnnotationProperty(problem.ruleId)}::${escapeAnnotationData(problem.message)}`;
+    })).join('\n');
+  }
+
+  const lines = [];
+  results.filter(result => result.problems.length > 0).forEach(({ command, problems }) => {
+    lines.push('', chalk.underline(command.displayPath));
+    problems.forEach(problem => {
+      const severity = problem.severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+      lines.push(`  ${chalk.gray(String(problem.line).padStart(4))}  ${severity}  ${problem.message}  ${chalk.gray(problem.ruleId)}`);
+    });
+  });
+
+  const total = counts.errorCount + counts.warningCount;
+  if (total === 0) {
+    lines.push(chalk.green(`✅ ${results.length} command${results.length === 1 ? '' : 's'} checked, no problems`));
+  } else {
+    const color = counts.errorCount > 0 ? chalk.red : chalk.yellow;
+    lines.push('', color(`✖ ${total} problem${total === 1 ? '' : 's'} (${counts.errorCount} error${counts.errorCount === 1 ? '' : 's'}, ${counts.warningCount} warning${counts.warningCount === 1 ? '' : 's'})`));
+    if (counts.fixableCount > 0) {
+      lines.push(chalk.gray(`  ${counts.fixableCount} fixable with --fix`));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Lint the project's and personal slash commands; exits with code 1 when there are errors
+ * --fix only rewrites project commands, personal ones in ~/.claude/commands also need --fix-personal
+ * @param {Object} options - CLI options (directory, fix, fixPersonal, format)
+ * @returns {Promise<Array>} Lint results (after fixes with --fix)
+ */
+async function runCommandLint(options = {}) {
+  const format = options.format || 'table';
+  if (!LINT_FORMATS.includes(format)) {
+    throw new Error(`Unknown lint format "${format}". Use one of: ${LINT_FORMATS.join(', ')}`);
+  }
+
+  const targetDir = path.resolve(options.directory || process.cwd());
+  const context = { targetDir, homeDir: options.homeDir || os.homedir() };
+  const rules = await loadLintConfig(targetDir);
+  let commands = await findCommandFiles(targetDir, context.homeDir);
+  let results = lintCommands(commands, rules, context);
+
+  if (options.fix) {
+    let fixedFiles = 0;
+    const skipped = [];
+    for (const result of results) {
+      const fixed = applyFixes(result);
+      if (fixed === result.command.content) {
+        continue;
+      }
+      if (result.command.scope !== 'project' && !options.fixPersonal) {
+        skipped.push(result.command.displayPath);
+        continue;
+      }
+      await fs.writeFile(result.command.filePath, fixed);
+      fixedFiles++;
+      if (format === 'table' && result.command.scope !== 'project') {
+        console.log(chalk.yellow(`🔧 Fixed personal command ${result.command.displayPath}`));
+      }
+    }
+    if (format === 'table' && skipped.length > 0) {
+      console.log(chalk.yellow(`⚠️  Not fixing ${skipped.length} personal command${skipped.length === 1 ? '' : 's'} outside the project (add --fix-personal):`));
+      skipped.forEach(displayPath => console.log(chalk.gray(`  - ${displayPath}`)));
+    }
+    if (fixedFiles > 0) {
+      if (format === 'table') {
+        console.log(chalk.green(`🔧 Fixed ${fixedFiles} command file${fixedFiles === 1 ? '' : 's'}`));
+      }
+      commands = await findCommandFiles(targetDir, context.homeDir);
+      results = lintCommands(commands, rules, context);
+    }
+  }
+
+  if (format === 'table' && commands.length === 0) {
+    console.log(chalk.yellow('⚠️  No commands found in .claude/commands or ~/.claude/commands'));
+  }
+
+  const output = formatLintResults(results, format, targetDir);
+  if (output) {
+    console.log(output);
+  }
+
+  if (countProblems(results).errorCount > 0) {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+module.exports = {
+  RULES,
+  LINT_FORMATS,
+  parseCommandFile,
+  setFrontmatterField,
+  loadLintConfig,
+  findCommandFiles,
+  lintCommands,
+  applyFixes,
+  formatLintResults,
+  runCommandLint
+};
@@ -1,44 +1,47 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { getTemplateRoots } = require('./template-packs');
 
 /**
  * Scans and returns available commands for a given language
+ * Bundled templates are scanned first, then template packs, so bundled commands win on name clashes
  * @param {string} language - The language template to scan
  * @returns {Array} Array of available commands with metadata
  */
 function getAvailableCommands(language) {
-  const templatesDir = path.join(__dirname, '../templates');
-  const languageDir = path.join(templatesDir, language);
-  
-  // Check if language directory exists
-  if (!fs.existsSync(languageDir)) {
-    return [];
-  }
-  
   const commands = [];
   
-  // Scan main .claude/commands directory
-  const mainCommandsDir = path.join(languageDir, '.claude', 'commands');
-  if (fs.existsSync(mainCommandsDir)) {
-    const mainCommands = scanCommandsInDirectory(mainCommandsDir, 'core');
-    commands.push(...mainCommands);
-  }
-  
-  // Scan framework-specific commands in examples
-  const frameworksDir = path.join(languageDir, 'examples');
-  if (fs.existsSync(frameworksDir)) {
-    const frameworkDirs = fs.readdirSync(frameworksDir).filter(dir => {
-      return fs.statSync(path.join(frameworksDir, dir)).isDirectory();
-    });
+  getTemplateRoots().forEach(templatesDir => {
+    const languageDir = path.join(templatesDir, language);
     
-    frameworkDirs.forEach(framework => {
-      const frameworkCommandsDir = path.join(frameworksDir, framework, '.claude', 'commands');
-      if (fs.existsSync(frameworkCommandsDir)) {
-        const frameworkCommands = scanCommandsInDirectory(frameworkCommandsDir, framework);
-        commands.push(...frameworkCommands);
-      }
-    });
-  }
+    // Check if language directory exists
+    if (!fs.existsSync(languageDir)) {
+      return;
+    }
+    
+    // Scan main .claude/commands directory
+    const mainCommandsDir = path.join(languageDir, '.claude', 'commands');
+    if (fs.existsSync(mainCommandsDir)) {
+      const mainCommands = scanCommandsInDirectory(mainCommandsDir, 'core');
+      commands.push(...mainCommands);
+    }
+    
+    // Scan framework-specific commands in examples
+    const frameworksDir = path.join(languageDir, 'examples');
+    if (fs.existsSync(frameworksDir)) {
+      const frameworkDirs = fs.readdirSync(frameworksDir).filter(dir => {
+        return fs.statSync(path.join(frameworksDir, dir)).isDirectory();
+      });
+      
+      frameworkDirs.forEach(framework => {
+        const frameworkCommandsDir = path.join(frameworksDir, framework, '.claude', 'commands');
+        if (fs.existsSync(frameworkCommandsDir)) {
+          const frameworkCommands = scanCommandsInDirectory(frameworkCommandsDir, framework);
+          commands.push(...frameworkCommands);
+        }
+      });
+    }
+  });
   
   // Remove duplicates based on command name
   const uniqueCommands = commands.reduce((acc, command) => {
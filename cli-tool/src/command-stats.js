@@ -344,6 +344,7 @@ async function runCommandStats(options = {}) {
 }
 
 module.exports = {
+  estimateTokens,
   analyzeCommands,
   displayCommandStats,
   promptCommandOptimization,
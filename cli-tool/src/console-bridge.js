@@ -1,12 +1,25 @@
 const chalk = require('chalk');
-const { spawn, exec } = require('child_process');
+const http = require('http');
+const net = require('net');
+const fs = require('fs-extra');
+const path = require('path');
 const WebSocket = require('ws');
 const EventEmitter = require('events');
-const fs = require('fs');
+const { getSocketPath } = require('./permission-relay-hook');
+const { loadPermissionPolicy, evaluatePolicy } = require('./permission-policy');
+const PermissionAuditLog = require('./analytics/data/PermissionAuditLog');
+
+// Request bodies are hook events; a Write of a large file is the biggest
+const MAX_REQUEST_BYTES = 5 * 1024 * 1024;
+
+// Choices shown in the Agents page, in order; cancel leaves the prompt to the terminal
+const PERMISSION_OPTIONS = ['Yes', 'No, and tell Claude to do something else'];
 
 /**
- * ConsoleBridge - Bridges Claude Code console interactions with WebSocket
- * Intercepts stdin/stdout to enable web-based interactions
+ * ConsoleBridge - Relays Claude Code permission requests to the web interface
+ * The PreToolUse hook installed by --install-permission-relay posts each tool call to a
+ * local socket and blocks until the dashboard user approves or denies it, or it times out.
+ * The project's permission policy is applied first and every decision goes to the audit log
  */
 class ConsoleBridge extends EventEmitter {
   constructor(options = {}) {
@@ -14,30 +27,20 @@ class ConsoleBridge extends EventEmitter {
     this.options = {
       port: options.port || 3334,
       debug: options.debug || false,
+      socketPath: options.socketPath || getSocketPath(),
+      // Seconds to wait when the hook does not say
+      timeout: options.timeout || 55,
       ...options
     };
-    
+
     this.wss = null;
+    this.relayServer = null;
     this.clients = new Set();
     this.currentInteraction = null;
-    this.interactionQueue = [];
-    this.isProcessingInteraction = false;
-    
-    // Pattern recognition for Claude Code prompts
-    this.promptPatterns = [
-      /Do you want to proceed\?/,
-      /\s*❯\s*1\.\s*Yes/,
-      /\s*2\.\s*Yes,\s*and\s*(add|don't ask)/,
-      /\s*3\.\s*No,\s*and\s*tell\s*Claude/,
-      /Choose an option \(1-\d+\):/,
-      /Enter your choice:/,
-      /Please provide input:/
-    ];
-    
-    // Track multi-line prompt building
-    this.promptBuffer = [];
-    this.isCapturingPrompt = false;
-    this.promptTimeout = null;
+    // Pending permission requests by interaction id, answered one at a time in arrival order
+    this.pending = new Map();
+    this.nextId = 1;
+    this.auditLog = this.options.auditLog || new PermissionAuditLog();
   }
 
   /**
@@ -45,17 +48,19 @@ class ConsoleBridge extends EventEmitter {
    */
   async initialize() {
     console.log(chalk.blue('🌉 Initializing Console Bridge...'));
-    
+
     try {
       await this.setupWebSocketServer();
-      this.setupProcessMonitoring();
-      
+      await this.setupRelayServer();
+
       console.log(chalk.green('✅ Console Bridge initialized successfully'));
       console.log(chalk.cyan(`🔌 WebSocket server running on port ${this.options.port}`));
-      
+      console.log(chalk.cyan(`🔐 Permission relay listening on ${this.options.socketPath}`));
+
       return true;
     } catch (error) {
-      console.error(chalk.red('❌ Failed to initialize Console Bridge:'), error);
+      console.error(chalk.red('❌ Failed to initialize Console Bridge:'), error.message);
+      await this.shutdown();
       return false;
     }
   }
@@ -65,15 +70,17 @@ class ConsoleBridge extends EventEmitter {
    */
   async setupWebSocketServer() {
     return new Promise((resolve, reject) => {
-      this.wss = new WebSocket.Server({ 
+      this.wss = new WebSocket.Server({
         port: this.options.port,
-        host: 'localhost'
+        host: 'localhost',
+        // Same access checks as the dashboard so other local users cannot answer prompts
+        ...(this.options.authorize && { verifyClient: (info) => this.options.authorize(info.req) })
       });
 
       this.wss.on('connection', (ws) => {
         console.log(chalk.blue('🔌 Web interface connected to Console Bridge'));
         this.clients.add(ws);
-        
+
         // Send current interaction if any
         if (this.currentInteraction) {
           ws.send(JSON.stringify({
@@ -108,456 +115,327 @@ class ConsoleBridge extends EventEmitter {
   }
 
   /**
-   * Setup monitoring of Claude Code processes
+   * Listen on the local socket the permission relay hook posts to.
+   * The socket is only accessible to the current user (mode 0600), which is the access control.
    */
-  setupProcessMonitoring() {
-    // Monitor for new Claude Code processes
-    setInterval(() => {
-      this.scanForClaudeProcesses();
-    }, 5000);
-
-    // Initial scan
-    this.scanForClaudeProcesses();
-  }
-
-  /**
-   * Scan for running Claude Code processes
-   */
-  async scanForClaudeProcesses() {
-    try {
-      const { exec } = require('child_process');
-      
-      exec('ps aux | grep -E "claude[^-]|Claude" | grep -v grep', (error, stdout) => {
-        if (error) return;
-        
-        const processes = stdout.split('\n')
-          .filter(line => line.trim())
-          .map(line => {
-            const parts = line.trim().split(/\s+/);
-            return {
-              pid: parts[1],
-              command: parts.slice(10).join(' '),
-              user: parts[0]
-            };
-          })
-          .filter(proc => 
-            proc.command.includes('claude') && 
-            !proc.command.includes('claude-code-templates') &&
-            !proc.command.includes('grep')
-          );
-
-        if (processes.length > 0) {
-          this.debug('Found Claude processes:', processes);
-          
-          // Attempt to attach to the most likely Claude Code process
-          const claudeProcess = processes.find(p => 
-            p.command.includes('claude') && 
-            !p.command.includes('Helper') &&
-            !p.command.includes('.app')
-          );
-          
-          if (claudeProcess && claudeProcess.pid !== this.attachedPid) {
-            this.attemptProcessAttachment(claudeProcess.pid);
-          }
+  async setupRelayServer() {
+    const { socketPath } = this.options;
+    const posix = process.platform !== 'win32';
+
+    if (posix) {
+      // A directory we create is private too, an existing one (e.g. a custom --socket in /tmp) is left as is
+      await fs.ensureDir(path.dirname(socketPath), 0o700);
+      if (await fs.pathExists(socketPath)) {
+        if (await this.isSocketInUse(socketPath)) {
+          throw new Error(`another dashboard is already relaying permissions on ${socketPath}`);
         }
-      });
-    } catch (error) {
-      this.debug('Error scanning for Claude processes:', error);
+        // Left behind by a dashboard that did not shut down cleanly
+        await fs.remove(socketPath);
+      }
     }
-  }
 
-  /**
-   * Attempt to attach to a Claude Code process
-   */
-  async attemptProcessAttachment(pid) {
-    try {
-      this.debug(`Attempting to attach to Claude process ${pid}`);
-      
-      // Get terminal device for this process
-      const terminalInfo = await this.getProcessTerminal(pid);
-      if (!terminalInfo) {
-        console.warn(chalk.yellow(`⚠️ Could not determine terminal for process ${pid}`));
-        return;
+    const server = http.createServer((request, response) => this.handleRelayRequest(request, response));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      // The socket file is created inside listen(), the umask makes it 0600 from the start
+      // instead of connectable by others until the chmod below
+      const umask = posix ? process.umask(0o177) : null;
+      try {
+        server.listen(socketPath, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      } finally {
+        if (posix) process.umask(umask);
       }
-      
-      this.attachedPid = pid;
-      this.terminalDevice = terminalInfo.tty;
-      
-      console.log(chalk.green(`✅ Attached to Claude Code process ${pid} on ${terminalInfo.tty}`));
-      
-      // Start monitoring terminal output
-      await this.startTerminalMonitoring(terminalInfo.tty);
-      
-      // For development, also simulate some prompts
-      this.simulatePromptDetection();
-      
-    } catch (error) {
-      console.error(chalk.red(`❌ Failed to attach to process ${pid}:`), error);
+    });
+    // Only set once listening, so shutdown never removes a socket another dashboard owns
+    this.relayServer = server;
+
+    if (posix) {
+      await fs.chmod(socketPath, 0o600);
     }
   }
 
   /**
-   * Get terminal device information for a process
-   * @param {string} pid - Process ID
-   * @returns {Promise<Object|null>} Terminal information
+   * Check whether a socket file has a live server behind it
+   * @param {string} socketPath - Socket path
+   * @returns {Promise<boolean>} True if something accepts connections
    */
-  async getProcessTerminal(pid) {
-    return new Promise((resolve) => {
-      exec(`lsof -p ${pid} | grep -E "(tty|pts)" | head -1`, (error, stdout) => {
-        if (error || !stdout.trim()) {
-          resolve(null);
-          return;
-        }
-        
-        const parts = stdout.trim().split(/\s+/);
-        const ttyPath = parts[parts.length - 1]; // Last part is the device path
-        
-        if (ttyPath.startsWith('/dev/')) {
-          resolve({
-            tty: ttyPath,
-            pid: pid
-          });
-        } else {
-          resolve(null);
-        }
+  isSocketInUse(socketPath) {
+    return new Promise(resolve => {
+      const socket = net.connect(socketPath);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
       });
+      socket.once('error', () => resolve(false));
     });
   }
 
   /**
-   * Start monitoring terminal output for prompts
-   * @param {string} ttyPath - Path to terminal device
+   * Handle an HTTP request from the permission relay hook
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
    */
-  async startTerminalMonitoring(ttyPath) {
-    try {
-      console.log(chalk.blue(`📡 Starting terminal monitoring for ${ttyPath}`));
-      
-      // Use script command to capture terminal output
-      // This creates a typescript of the terminal session
-      const logFile = `/tmp/claude-terminal-${this.attachedPid}.log`;
-      
-      // Monitor using tail -f approach on the terminal device (if readable)
-      this.startTerminalPolling(ttyPath, logFile);
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error starting terminal monitoring:'), error);
-    }
-  }
+  handleRelayRequest(request, response) {
+    const reply = (status, body) => {
+      if (!response.headersSent && !response.destroyed) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+      }
+    };
 
-  /**
-   * Poll terminal for new output
-   * @param {string} ttyPath - Terminal device path
-   * @param {string} logFile - Log file path
-   */
-  startTerminalPolling(ttyPath, logFile) {
-    // Try to read directly from terminal device (may need permissions)
-    if (this.terminalPollingInterval) {
-      clearInterval(this.terminalPollingInterval);
+    if (request.method === 'GET' && request.url === '/health') {
+      reply(200, { ok: true, pending: this.pending.size, viewers: this.hasViewers() });
+      return;
     }
-    
-    let lastPosition = 0;
-    let outputBuffer = '';
-    
-    this.terminalPollingInterval = setInterval(async () => {
-      try {
-        // Try to read the screen content using a more accessible approach
-        // Use script to capture current terminal state
-        exec(`script -q /dev/null tail -n 50 ${ttyPath}`, { timeout: 1000 }, (error, stdout, stderr) => {
-          if (!error && stdout) {
-            // Look for prompt patterns in the output
-            this.analyzeTerminalOutput(stdout);
-          }
-        });
-        
-        // Alternative: monitor process output through ps
-        this.monitorProcessStatus();
-        
-      } catch (error) {
-        this.debug('Terminal polling error:', error.message);
+    if (request.method !== 'POST' || request.url !== '/permission') {
+      reply(404, { error: 'Not found' });
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_REQUEST_BYTES) {
+        tooLarge = true;
+        request.destroy();
       }
-    }, 2000); // Check every 2 seconds
-  }
+    });
+    request.on('end', async () => {
+      if (tooLarge) return;
 
-  /**
-   * Monitor the Claude Code process status for changes
-   */
-  monitorProcessStatus() {
-    if (!this.attachedPid) return;
-    
-    exec(`ps -p ${this.attachedPid} -o state,time,command`, (error, stdout) => {
-      if (error) {
-        // Process might have ended
-        console.log(chalk.yellow('🔄 Monitored Claude Code process ended'));
-        this.attachedPid = null;
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        reply(400, { error: 'Invalid JSON' });
         return;
       }
-      
-      const lines = stdout.trim().split('\n');
-      if (lines.length > 1) {
-        const processLine = lines[1];
-        const state = processLine.split(/\s+/)[0];
-        
-        // Check if process is waiting for input (state: T, S+)
-        if (state.includes('T') || state.includes('S+')) {
-          this.debug('Process appears to be waiting for input');
-          // This might indicate a prompt is active
-        }
+
+      const payload = message.payload || {};
+      // Older copies of the hook script do not send the project directory
+      const projectDir = message.projectDir || payload.cwd || null;
+      const startedAt = Date.now();
+
+      // Only tool calls the policy does not allow or deny reach the web interface
+      const policyResult = await this.applyPolicy(payload, projectDir);
+      let result = policyResult;
+      if (!policyResult || policyResult.decision === 'ask') {
+        const answer = this.requestPermission(payload, {
+          timeout: message.timeout,
+          defaultDecision: message.defaultDecision,
+          policy: policyResult
+        });
+        // The hook gave up (its own timeout, or Claude Code cancelled the tool call)
+        response.on('close', () => {
+          if (!response.writableEnded) {
+            this.resolveInteraction(answer.id, { decision: 'ask', reason: 'The hook stopped waiting', source: 'hook' });
+          }
+        });
+        result = await answer.promise;
       }
+
+      await this.recordDecision(payload, projectDir, result, policyResult, Date.now() - startedAt);
+      reply(200, { decision: result.decision, reason: result.reason });
     });
   }
 
   /**
-   * Analyze terminal output for prompts
-   * @param {string} output - Terminal output to analyze
+   * Apply the permission policy of the project the tool call comes from
+   * @param {Object} payload - PreToolUse hook event
+   * @param {string|null} projectDir - Project directory
+   * @returns {Promise<Object|null>} { decision, rule, reason, source } or null when no rule matches
    */
-  analyzeTerminalOutput(output) {
-    const lines = output.split('\n');
-    const recentLines = lines.slice(-10); // Last 10 lines
-    const fullText = recentLines.join('\n');
-    
-    // Check for Claude Code prompt patterns
-    for (const pattern of this.promptPatterns) {
-      if (pattern.test(fullText)) {
-        console.log(chalk.yellow('🎯 Potential prompt detected in terminal output!'));
-        console.log(chalk.gray('Lines:', recentLines.slice(-5).join(' | ')));
-        
-        // Try to extract and parse the prompt
-        this.handleDetectedPrompt(fullText);
-        break;
-      }
+  async applyPolicy(payload, projectDir) {
+    if (!projectDir) {
+      return null;
     }
-  }
 
-  /**
-   * Simulate prompt detection (placeholder for actual implementation)
-   * In reality, this would intercept actual Claude Code output
-   */
-  simulatePromptDetection() {
-    // This is a simulation - in reality we'd parse actual output
-    setTimeout(() => {
-      if (Math.random() > 0.7) { // Simulate occasional prompts
-        this.handleDetectedPrompt(`Read file
-
-  Search(pattern: "(?:Yes|No|yes|no)(?:,\\s*and\\s*don't\\s*ask\\s*again)?", path: 
-  "../../../../../../../.claude/projects/-Users-danipower-Proyectos-Github-claude-code-templates", include: "*.jsonl")
-
-Do you want to proceed?
-❯ 1. Yes
-  2. Yes, and add /Users/danipower/.claude/projects/-Users-danipower-Proyectos-Github-claude-code-templates as a working directory for this session
-  3. No, and tell Claude what to do differently (esc)`);
-      }
-      
-      // Continue simulation
-      setTimeout(() => this.simulatePromptDetection(), 10000 + Math.random() * 20000);
-    }, 5000);
+    try {
+      const rules = await loadPermissionPolicy(projectDir);
+      const result = rules && await evaluatePolicy(rules, payload, projectDir);
+      return result ? { ...result, source: 'policy' } : null;
+    } catch (error) {
+      // A broken policy approves nothing, the web interface decides instead
+      console.warn(chalk.yellow(`⚠️  Ignoring the permission policy of ${projectDir}: ${error.message}`));
+      return null;
+    }
   }
 
   /**
-   * Handle detected prompt from Claude Code
+   * Write a decision to the audit log and tell the dashboard about it
+   * @param {Object} payload - PreToolUse hook event
+   * @param {string|null} projectDir - Project directory
+   * @param {Object} result - { decision, reason, source }
+   * @param {Object|null} policyResult - Matching policy rule, if any
+   * @param {number} durationMs - Time until the decision
    */
-  handleDetectedPrompt(promptText) {
-    //console.log(chalk.yellow('🤖 Claude Code prompt detected:'));
-    //console.log(chalk.gray(promptText));
-    
-    const interaction = this.parsePrompt(promptText);
-    
-    if (interaction) {
-      this.currentInteraction = {
-        ...interaction,
-        id: 'claude-prompt-' + Date.now(),
-        timestamp: new Date().toISOString()
-      };
-      
-      // Send to web interface
-      this.broadcastToClients({
-        type: 'console_interaction',
-        data: this.currentInteraction
+  async recordDecision(payload, projectDir, result, policyResult, durationMs) {
+    try {
+      const entry = await this.auditLog.append({
+        decision: result.decision,
+        source: result.source,
+        reason: result.reason,
+        rule: policyResult ? policyResult.rule : null,
+        tool: payload.tool_name || null,
+        summary: this.describeToolCall({ tool_input: payload.tool_input }),
+        projectDir,
+        cwd: payload.cwd || null,
+        sessionId: payload.session_id || null,
+        durationMs
       });
-      
-      //console.log(chalk.blue('📡 Sent prompt to web interface'));
+      this.emit('permission_decision', entry);
+    } catch (error) {
+      console.warn(chalk.yellow('⚠️  Could not write the permission audit log:'), error.message);
     }
   }
 
   /**
-   * Parse Claude Code prompt text into structured interaction
+   * Whether anyone is watching the dashboard, otherwise there is nobody to ask
+   * @returns {boolean} True if a web interface is connected
    */
-  parsePrompt(promptText) {
-    const lines = promptText.split('\n').map(line => line.trim());
-    
-    // Look for the main prompt question
-    const promptLine = lines.find(line => 
-      line.includes('Do you want to proceed?') ||
-      line.includes('Choose an option') ||
-      line.includes('Enter your choice') ||
-      line.includes('Please provide input')
-    );
-    
-    if (!promptLine) return null;
-    
-    // Look for numbered options
-    const optionLines = lines.filter(line => 
-      /^\s*❯?\s*\d+\.\s*/.test(line) || 
-      /^\s*\d+\.\s*/.test(line)
-    );
-    
-    if (optionLines.length > 0) {
-      // Choice-based prompt
-      const options = optionLines.map(line => 
-        line.replace(/^\s*❯?\s*\d+\.\s*/, '').trim()
-      );
-      
-      // Extract tool description (usually the first few lines)
-      const descriptionLines = lines.slice(0, lines.indexOf(lines.find(l => l.includes('Do you want'))) || 3);
-      const description = descriptionLines.join('\n').trim();
-      
-      return {
-        type: 'choice',
-        tool: this.extractToolName(description),
-        description,
-        prompt: promptLine,
-        options
-      };
-    } else {
-      // Text input prompt
-      return {
-        type: 'text',
-        tool: 'Console Input',
-        description: lines.slice(0, -1).join('\n').trim(),
-        prompt: promptLine
-      };
-    }
+  hasViewers() {
+    return this.options.hasViewers ? this.options.hasViewers() || this.clients.size > 0 : this.clients.size > 0;
   }
 
   /**
-   * Extract tool name from description
+   * Queue a permission request for the web interface
+   * @param {Object} payload - PreToolUse hook event
+   * @param {Object} options - timeout (seconds), defaultDecision (ask or deny) and the policy result, if any
+   * @returns {Object} { id, promise } where promise resolves to { decision, reason, source }
    */
-  extractToolName(description) {
-    const toolMatch = description.match(/^([A-Za-z]+)(\(|$)/);
-    return toolMatch ? toolMatch[1] : 'Tool';
+  requestPermission(payload, options = {}) {
+    const timeout = Number(options.timeout) > 0 ? Number(options.timeout) : this.options.timeout;
+    const defaultDecision = options.defaultDecision === 'deny' ? 'deny' : 'ask';
+
+    if (!this.hasViewers()) {
+      return { id: null, promise: Promise.resolve({ decision: defaultDecision, reason: 'No dashboard is open to approve the tool call', source: 'no-dashboard' }) };
+    }
+
+    const id = `permission-${Date.now()}-${this.nextId++}`;
+    const interaction = {
+      id,
+      type: 'choice',
+      source: 'permission-relay',
+      tool: payload.tool_name || 'Tool',
+      description: this.describeToolCall(payload),
+      prompt: `Allow ${payload.tool_name || 'this tool'} to run?`,
+      // Set when a policy rule requires asking
+      policyReason: options.policy ? options.policy.reason : null,
+      options: PERMISSION_OPTIONS,
+      cwd: payload.cwd || null,
+      sessionId: payload.session_id || null,
+      defaultDecision,
+      timestamp: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeout * 1000).toISOString()
+    };
+
+    const promise = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.resolveInteraction(id, { decision: defaultDecision, reason: `No answer in the dashboard within ${timeout}s`, source: 'timeout' });
+      }, timeout * 1000);
+      this.pending.set(id, { interaction, resolve, timer });
+    });
+
+    this.debug('Permission request', id, interaction.tool);
+    if (!this.currentInteraction) {
+      this.showNextInteraction();
+    }
+    return { id, promise };
   }
 
   /**
-   * Handle message from web interface
+   * Summarize a tool call for the web interface
+   * @param {Object} payload - PreToolUse hook event
+   * @returns {string} Plain text description (the page escapes it)
    */
-  handleWebMessage(data) {
-    if (data.type === 'console_response' && this.currentInteraction) {
-      console.log(chalk.green('📱 Received response from web interface:'), data.data);
-      
-      // In a real implementation, this would send the response to Claude Code
-      this.sendResponseToClaudeCode(data.data);
-      
-      this.currentInteraction = null;
+  describeToolCall(payload) {
+    const input = payload.tool_input || {};
+    const lines = [];
+    if (input.command) lines.push(input.command);
+    if (input.file_path || input.notebook_path) lines.push(input.file_path || input.notebook_path);
+    if (input.url) lines.push(input.url);
+    if (input.description) lines.push(input.description);
+    if (lines.length === 0) {
+      const json = JSON.stringify(input, null, 2);
+      lines.push(json.length > 2000 ? `${json.substring(0, 2000)}…` : json);
     }
+    if (payload.cwd) lines.push(`in ${payload.cwd}`);
+    return lines.join('\n');
   }
 
   /**
-   * Send response back to Claude Code process
-   * This attempts to write directly to the terminal device
+   * Show the oldest pending request in the web interface
    */
-  sendResponseToClaudeCode(response) {
-    console.log(chalk.blue('🔄 Sending response to Claude Code...'));
-    
-    if (!this.attachedPid || !this.terminalDevice) {
-      console.warn(chalk.yellow('⚠️ No attached process - falling back to simulation'));
-      this.simulateResponse(response);
+  showNextInteraction() {
+    const next = this.pending.values().next().value;
+    this.currentInteraction = next ? next.interaction : null;
+    if (!this.currentInteraction) {
       return;
     }
-    
-    if (response.type === 'choice') {
-      // Send the choice number (1-indexed)
-      const choiceNumber = response.value + 1;
-      console.log(chalk.green(`✅ Choice selected: ${choiceNumber} - ${response.text}`));
-      
-      this.writeToTerminal(choiceNumber.toString() + '\n');
-      
-    } else if (response.type === 'text') {
-      console.log(chalk.green(`✅ Text input: "${response.value}"`));
-      
-      this.writeToTerminal(response.value + '\n');
-      
-    } else if (response.type === 'cancel') {
-      console.log(chalk.yellow('🚫 User cancelled interaction'));
-      
-      // Send ESC key or Ctrl+C
-      this.writeToTerminal('\x1b'); // ESC key
-    }
+
+    const message = { type: 'console_interaction', data: this.currentInteraction };
+    this.emit('console_interaction', this.currentInteraction);
+    this.broadcastToClients(message);
   }
 
   /**
-   * Write text to the terminal device
-   * @param {string} text - Text to write
+   * Answer a pending request and move on to the next one
+   * @param {string} id - Interaction id
+   * @param {Object} result - { decision, reason, source }
    */
-  writeToTerminal(text) {
-    if (!this.terminalDevice) {
-      console.warn(chalk.yellow('⚠️ No terminal device available'));
-      return;
+  resolveInteraction(id, result) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      return false;
     }
-    
-    try {
-      // Try different approaches to send input to the terminal
-      
-      // Method 1: Use expect script to send input
-      const expectScript = `
-        spawn -open [open ${this.terminalDevice} w]
-        send "${text.replace(/"/g, '\\"')}"
-        close
-      `;
-      
-      exec(`expect -c '${expectScript}'`, (error, stdout, stderr) => {
-        if (error) {
-          console.log(chalk.yellow('⚠️ Expect method failed, trying alternative...'));
-          this.tryAlternativeInput(text);
-        } else {
-          console.log(chalk.green('✅ Input sent via expect'));
-        }
-      });
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error writing to terminal:'), error);
-      this.tryAlternativeInput(text);
+
+    clearTimeout(entry.timer);
+    this.pending.delete(id);
+    entry.resolve(result);
+    this.debug('Permission decision', id, result.decision);
+
+    // Other dashboard tabs still show the request
+    const resolved = { id, decision: result.decision };
+    this.emit('console_interaction_resolved', resolved);
+    this.broadcastToClients({ type: 'console_interaction_resolved', data: resolved });
+
+    if (this.currentInteraction && this.currentInteraction.id === id) {
+      this.currentInteraction = null;
+      this.showNextInteraction();
     }
+    return true;
   }
 
   /**
-   * Try alternative method to send input
-   * @param {string} text - Text to send
+   * Handle message from web interface
    */
-  tryAlternativeInput(text) {
-    // Method 2: Try using osascript (AppleScript on macOS) to send keystrokes
-    if (process.platform === 'darwin') {
-      const script = `
-        tell application "Terminal"
-          do script "${text.replace(/"/g, '\\"').replace(/\n/g, '\\n')}" in front window
-        end tell
-      `;
-      
-      exec(`osascript -e '${script}'`, (error) => {
-        if (error) {
-          console.log(chalk.yellow('⚠️ AppleScript method failed, falling back to simulation'));
-          this.simulateResponse({ type: 'choice', value: parseInt(text) - 1, text: text.trim() });
-        } else {
-          console.log(chalk.green('✅ Input sent via AppleScript'));
-        }
-      });
-    } else {
-      // On Linux, try using xdotool or similar
-      console.log(chalk.yellow('⚠️ Non-macOS platform - input simulation not implemented'));
-      this.simulateResponse({ type: 'choice', value: parseInt(text) - 1, text: text.trim() });
+  handleWebMessage(data) {
+    if (data.type !== 'console_response' || !data.data) {
+      return;
     }
-  }
 
-  /**
-   * Simulate response (fallback when real interaction fails)
-   * @param {Object} response - Response object
-   */
-  simulateResponse(response) {
-    if (response.type === 'choice') {
-      const choiceNumber = response.value + 1;
-      console.log(chalk.gray(`[Simulated] Sending "${choiceNumber}" to Claude Code stdin`));
-    } else if (response.type === 'text') {
-      console.log(chalk.gray(`[Simulated] Sending "${response.value}" to Claude Code stdin`));
-    } else if (response.type === 'cancel') {
-      console.log(chalk.gray('[Simulated] Sending ESC to Claude Code stdin'));
+    const { interactionId, response } = data.data;
+    const id = interactionId || (this.currentInteraction && this.currentInteraction.id);
+    if (!response || !this.pending.has(id)) {
+      this.debug('Response for unknown or expired interaction', id);
+      return;
+    }
+
+    console.log(chalk.green('📱 Received permission decision from web interface'));
+    if (response.type === 'choice' && response.value === 0) {
+      this.resolveInteraction(id, { decision: 'allow', reason: 'Approved in the claude-code-templates dashboard', source: 'dashboard' });
+    } else if (response.type === 'choice' || response.type === 'text') {
+      const reason = response.type === 'text' && response.value ? response.value : 'Denied in the claude-code-templates dashboard';
+      this.resolveInteraction(id, { decision: 'deny', reason, source: 'dashboard' });
+    } else {
+      // Cancel: ask in the terminal instead
+      this.resolveInteraction(id, { decision: 'ask', reason: 'Left to the terminal prompt', source: 'dashboard' });
     }
   }
 
@@ -566,7 +444,7 @@ Do you want to proceed?
    */
   broadcastToClients(message) {
     const messageStr = JSON.stringify(message);
-    
+
     this.clients.forEach(client => {
       if (client.readyState === WebSocket.OPEN) {
         client.send(messageStr);
@@ -588,23 +466,31 @@ Do you want to proceed?
    */
   async shutdown() {
     console.log(chalk.yellow('🛑 Shutting down Console Bridge...'));
-    
-    // Stop terminal monitoring
-    if (this.terminalPollingInterval) {
-      clearInterval(this.terminalPollingInterval);
-      this.terminalPollingInterval = null;
+
+    // Waiting hooks fall back to the terminal prompt
+    Array.from(this.pending.keys()).forEach(id => {
+      this.resolveInteraction(id, { decision: 'ask', reason: 'The dashboard was closed', source: 'shutdown' });
+    });
+
+    if (this.relayServer) {
+      const closed = new Promise(resolve => this.relayServer.close(() => resolve()));
+      this.relayServer.closeAllConnections();
+      await closed;
+      this.relayServer = null;
+      if (process.platform !== 'win32') {
+        await fs.remove(this.options.socketPath);
+      }
     }
-    
+
     if (this.wss) {
       this.wss.close();
+      this.wss = null;
     }
-    
+
     this.clients.clear();
-    this.attachedPid = null;
-    this.terminalDevice = null;
-    
+
     console.log(chalk.green('✅ Console Bridge shutdown complete'));
   }
 }
 
-module.exports = ConsoleBridge;
\ No newline at end of file
+module.exports = ConsoleBridge;
@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const StateCalculator = require('./analytics/core/StateCalculator');
+const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
+const CostCalculator = require('./analytics/core/CostCalculator');
+const Redactor = require('./analytics/core/Redactor');
+const DataCache = require('./analytics/data/DataCache');
+const ConversationIndex = require('./analytics/data/ConversationIndex');
+const ConversationBundle = require('./analytics/data/ConversationBundle');
+
+/**
+ * Package this machine's conversations into a bundle for a teammate's dashboard (--import)
+ * @param {Object} options - CLI options (output, user, metadataOnly)
+ * @returns {Promise<Object>} Bundle
+ */
+async function runBundleExport(options = {}) {
+  const claudeDir = options.claudeDir || path.join(os.homedir(), '.claude');
+  if (!(await fs.pathExists(claudeDir))) {
+    throw new Error(`Claude Code directory not found at ${claudeDir}`);
+  }
+
+  const bundler = new ConversationBundle({ origin: options.user ? { user: options.user } : {} });
+  const dataCache = new DataCache();
+  const conversationIndex = new ConversationIndex();
+  const costCalculator = new CostCalculator();
+
+  try {
+    await conversationIndex.initialize();
+    await costCalculator.loadRates();
+
+    const analyzer = new ConversationAnalyzer(claudeDir, dataCache, conversationIndex, costCalculator);
+    const conversations = await analyzer.loadConversations(new StateCalculator());
+
+    let messagesById = null;
+    if (!options.metadataOnly) {
+      // Message bodies leave the machine, so they get the same redaction as the dashboard
+      const redactor = new Redactor();
+      await redactor.load();
+
+      messagesById = new Map();
+      for (const conversation of conversations) {
+        const messages = await analyzer.getParsedConversation(conversation.filePath);
+        messagesById.set(conversation.id, redactor.redactMessages(messages));
+      }
+    }
+
+    const bundle = bundler.create(conversations, messagesById);
+    const output = options.output || bundler.getFileName(bundle);
+    await bundler.write(output, bundle);
+
+    const contents = messagesById ? 'with message bodies' : 'metadata only';
+    console.log(chalk.green(`✅ Bundled ${conversations.length} conversations (${contents}) to ${output}`));
+    console.log(chalk.gray(`Tagged as ${ConversationBundle.getOriginKey(bundle)}, load it with --analytics --import ${output}`));
+    return bundle;
+  } finally {
+    conversationIndex.close();
+    dataCache.destroy();
+  }
+}
+
+module.exports = { runBundleExport };
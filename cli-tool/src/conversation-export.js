@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
+const TranscriptExporter = require('./analytics/core/TranscriptExporter');
+const Redactor = require('./analytics/core/Redactor');
+const DataCache = require('./analytics/data/DataCache');
+
+const { EXPORT_FORMATS } = TranscriptExporter;
+
+/**
+ * Find the JSONL file of a conversation by ID or unique ID prefix
+ * @param {string} claudeDir - Claude directory to search
+ * @param {string} conversationId - Conversation ID or prefix
+ * @returns {Promise<string>} File path
+ */
+async function findConversationFile(claudeDir, conversationId) {
+  const matches = [];
+
+  const search = async (dir) => {
+    const items = await fs.readdir(dir);
+    for (const item of items) {
+      const itemPath = path.join(dir, item);
+      const stats = await fs.stat(itemPath);
+      if (stats.isDirectory()) {
+        await search(itemPath);
+      } else if (item.endsWith('.jsonl') && item.startsWith(conversationId)) {
+        matches.push(itemPath);
+      }
+    }
+  };
+
+  await search(claudeDir);
+
+  const exact = matches.find(filePath => path.basename(filePath, '.jsonl') === conversationId);
+  if (exact) {
+    return exact;
+  }
+  if (matches.length === 0) {
+    throw new Error(`No conversation found with ID "${conversationId}"`);
+  }
+  if (matches.length > 1) {
+    const ids = matches.map(filePath => path.basename(filePath, '.jsonl'));
+    throw new Error(`Conversation ID "${conversationId}" is ambiguous, matches: ${ids.join(', ')}`);
+  }
+  return matches[0];
+}
+
+/**
+ * Export a conversation transcript from the CLI
+ * @param {Object} options - CLI options (export, format, output)
+ * @returns {Promise<Object>} Normalized transcript
+ */
+async function runConversationExport(options = {}) {
+  const format = options.format || 'md';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const claudeDir = options.claudeDir || path.join(os.homedir(), '.claude');
+  if (!(await fs.pathExists(claudeDir))) {
+    throw new Error(`Claude Code directory not found at ${claudeDir}`);
+  }
+
+  const filePath = await findConversationFile(claudeDir, options.export);
+  const dataCache = new DataCache();
+
+  try {
+    const analyzer = new ConversationAnalyzer(claudeDir, dataCache);
+    const messages = await analyzer.getParsedConversation(filePath);
+    const project = (await analyzer.extractProjectFromPath(filePath)) ||
+      (await analyzer.extractProjectFromConversation(filePath));
+
+    // Exports get the same secret/PII redaction as the dashboard
+    const redactor = new Redactor();
+    await redactor.load();
+
+    const exporter = new TranscriptExporter();
+    const transcript = exporter.normalize(
+      { id: path.basename(filePath, '.jsonl'), project },
+      redactor.redactMessages(messages)
+    );
+    const output = exporter.render(transcript, format);
+
+    if (options.output) {
+      await fs.writeFile(options.output, output);
+      console.log(chalk.green(`✅ Conversation exported to ${options.output}`));
+      return transcript;
+    }
+
+    process.stdout.write(output);
+    return transcript;
+  } finally {
+    dataCache.destroy();
+  }
+}
+
+module.exports = { runConversationExport, findConversationFile };
@@ -3,6 +3,12 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const { getHooksForLanguage, filterHooksBySelection, getMCPsForLanguage, filterMCPsBySelection } = require('./hook-scanner');
+const { mergeSettings, mergeMCPConfig, diffJson, formatDiff, formatConflicts } = require('./json-merge');
+const { snapshotFiles, recordInstall } = require('./install-journal');
+const { upsertWorkspaceSection } = require('./workspaces');
+
+// Base commands moved to framework directories
+const MOVED_COMMANDS = ['react-component.md', 'route.md', 'api-endpoint.md'];
 
 async function checkExistingFiles(targetDir, templateConfig) {
   const existingFiles = [];
@@ -46,7 +52,7 @@ async function promptUserForOverwrite(existingFiles, targetDir) {
       short: 'Backup and overwrite'
     },
     {
-      name: '🔀 Merge configurations - Combine existing with new templates', 
+      name: '🔀 Merge configurations - Merge settings.json and .mcp.json key by key, keep other existing files', 
       value: 'merge',
       short: 'Merge'
     },
@@ -70,19 +76,24 @@ async function promptUserForOverwrite(existingFiles, targetDir) {
 
 async function createBackups(existingFiles, targetDir) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const backups = [];
   
   for (const file of existingFiles) {
     const sourcePath = path.join(targetDir, file);
-    const backupPath = path.join(targetDir, `${file.replace('/', '')}.backup-${timestamp}`);
+    const backup = `${file.replace('/', '')}.backup-${timestamp}`;
+    const backupPath = path.join(targetDir, backup);
     
     try {
       await fs.copy(sourcePath, backupPath);
+      backups.push({ file, backup });
       console.log(chalk.green(`📋 Backed up ${file} → ${path.basename(backupPath)}`));
     } catch (error) {
       console.error(chalk.red(`✗ Failed to backup ${file}:`), error.message);
       throw error;
     }
   }
+  
+  return backups;
 }
 
 async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
@@ -100,21 +111,31 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
       return false; // Indicate cancellation
     }
   } else if (existingFiles.length > 0) {
-    // In --yes mode, default to backup behavior
-    userAction = 'backup';
+    // In --yes mode, default to backup behavior (apply configs choose with onExisting)
+    userAction = options.onExisting || 'backup';
+    
+    if (userAction === 'cancel') {
+      console.log(chalk.blue('✓ Setup cancelled. Your existing configuration remains unchanged.'));
+      return false;
+    }
   }
   
   // Create backups if requested
+  let backups = [];
   if (userAction === 'backup' && existingFiles.length > 0) {
-    await createBackups(existingFiles, targetDir);
+    backups = await createBackups(existingFiles, targetDir);
   }
   
+  // Remember what the files looked like so --rollback can undo this install
+  const snapshot = await snapshotFiles(targetDir, Array.from((await collectTemplateFiles(templateConfig)).keys()));
+  
   // Determine overwrite behavior based on user choice
   const shouldOverwrite = userAction !== 'merge';
   
   // Copy base files and framework-specific files
   for (const file of templateConfig.files) {
-    const sourcePath = path.join(templateDir, file.source);
+    // Files from template packs carry the pack directory as their root
+    const sourcePath = path.join(file.root || templateDir, file.source);
     const destPath = path.join(targetDir, file.destination);
     
     try {
@@ -139,13 +160,16 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         }
         
         console.log(chalk.green(`✓ Copied framework commands ${file.source} → ${file.destination}`));
-      } else if (file.source.includes('.claude') && !file.source.includes('examples/')) {
+      } else if (file.source.includes('.claude') && !file.source.includes('examples/') && !file.source.endsWith('settings.json')) {
         // This is base .claude directory - copy it but handle commands specially
+        // (settings.json has its own entry below so hooks can be filtered and merged)
         await fs.copy(sourcePath, destPath, { 
           overwrite: shouldOverwrite,
           filter: (src) => {
             // Skip the commands directory itself - we'll handle it separately
-            return !src.endsWith('.claude/commands');
+            // settings.json is written from its own entry with only the selected hooks
+            return !src.endsWith('.claude/commands') &&
+              !(templateConfig.selectedHooks && src === path.join(sourcePath, 'settings.json'));
           }
         });
         
@@ -158,10 +182,8 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
           
           // Copy base commands, but exclude framework-specific ones that were moved
           const baseCommands = await fs.readdir(baseCommandsPath);
-          const excludeCommands = ['react-component.md', 'route.md', 'api-endpoint.md']; // Commands moved to framework dirs
-          
           for (const baseCommand of baseCommands) {
-            if (!excludeCommands.includes(baseCommand)) {
+            if (!MOVED_COMMANDS.includes(baseCommand)) {
               const srcFile = path.join(baseCommandsPath, baseCommand);
               const destFile = path.join(destCommandsPath, baseCommand);
               
@@ -180,8 +202,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
       } else if (file.source.includes('settings.json') && templateConfig.selectedHooks) {
         // In merge mode, merge settings instead of overwriting
         if (userAction === 'merge') {
-          await mergeSettingsFile(sourcePath, destPath, templateConfig);
-          console.log(chalk.green(`✓ Merged ${file.source} → ${file.destination} (with selected hooks)`));
+          await mergeSettingsFile(sourcePath, destPath, templateConfig, options);
         } else {
           await processSettingsFile(sourcePath, destPath, templateConfig);
           console.log(chalk.green(`✓ Copied ${file.source} → ${file.destination} (with selected hooks)`));
@@ -189,8 +210,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
       } else if (file.source.includes('.mcp.json') && templateConfig.selectedMCPs) {
         // In merge mode, merge MCP config instead of overwriting
         if (userAction === 'merge') {
-          await mergeMCPFile(sourcePath, destPath, templateConfig);
-          console.log(chalk.green(`✓ Merged ${file.source} → ${file.destination} (with selected MCPs)`));
+          await mergeMCPFile(sourcePath, destPath, templateConfig, options);
         } else {
           await processMCPFile(sourcePath, destPath, templateConfig);
           console.log(chalk.green(`✓ Copied ${file.source} → ${file.destination} (with selected MCPs)`));
@@ -218,6 +238,16 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
     }
   }
   
+  // Root config of a monorepo: list every workspace package in CLAUDE.md
+  // (a CLAUDE.md kept by merge mode is left alone, like every other existing file)
+  const claudeFile = path.join(targetDir, 'CLAUDE.md');
+  if (templateConfig.workspace && (userAction !== 'merge' || !snapshot.files.get('CLAUDE.md')) && await fs.pathExists(claudeFile)) {
+    await fs.writeFile(claudeFile, upsertWorkspaceSection(await fs.readFile(claudeFile, 'utf8'), templateConfig.workspace));
+    console.log(chalk.green(`✓ Listed ${templateConfig.workspace.packages.length} workspace packages in CLAUDE.md`));
+  }
+  
+  await recordInstall(snapshot, { type: 'templates', action: userAction, backups });
+  
   return true; // Indicate successful completion
   
   // Copy selected commands individually
@@ -252,6 +282,64 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
   }
 }
 
+// Collect the files a full (non-merge) install writes, as relative destination → content,
+// following the same rules as copyTemplateFiles (later entries replace earlier ones)
+async function collectTemplateFiles(templateConfig) {
+  const templateDir = path.join(__dirname, '../templates');
+  const files = new Map();
+  
+  const addPath = async (sourcePath, destination, filter = () => true) => {
+    if (!filter(sourcePath) || !(await fs.pathExists(sourcePath))) {
+      return;
+    }
+    
+    const stats = await fs.stat(sourcePath);
+    if (stats.isDirectory()) {
+      for (const item of await fs.readdir(sourcePath)) {
+        await addPath(path.join(sourcePath, item), path.posix.join(destination, item), filter);
+      }
+    } else {
+      files.set(destination, await fs.readFile(sourcePath));
+    }
+  };
+  
+  for (const file of templateConfig.files) {
+    const sourcePath = path.join(file.root || templateDir, file.source);
+    
+    if (file.source.includes('.claude/commands') && file.source.includes('examples/')) {
+      await addPath(sourcePath, file.destination);
+    } else if (file.source.includes('.claude') && !file.source.includes('examples/') && !file.source.endsWith('settings.json')) {
+      await addPath(sourcePath, file.destination, (src) => {
+        return !src.endsWith('.claude/commands') &&
+          !(templateConfig.selectedHooks && src === path.join(sourcePath, 'settings.json'));
+      });
+      
+      const baseCommandsPath = path.join(sourcePath, 'commands');
+      if (await fs.pathExists(baseCommandsPath)) {
+        for (const baseCommand of await fs.readdir(baseCommandsPath)) {
+          if (!MOVED_COMMANDS.includes(baseCommand)) {
+            await addPath(path.join(baseCommandsPath, baseCommand), path.posix.join(file.destination, 'commands', baseCommand));
+          }
+        }
+      }
+    } else if (file.source.includes('settings.json') && templateConfig.selectedHooks) {
+      const settings = await buildSettingsFromTemplate(sourcePath, templateConfig);
+      files.set(file.destination, Buffer.from(JSON.stringify(settings, null, 2)));
+    } else if (file.source.includes('.mcp.json') && templateConfig.selectedMCPs) {
+      const mcpData = await buildMCPDataFromTemplate(sourcePath, templateConfig);
+      files.set(file.destination, Buffer.from(JSON.stringify(mcpData, null, 2)));
+    } else {
+      await addPath(sourcePath, file.destination, (src) => !src.includes('.claude/commands'));
+    }
+  }
+  
+  if (templateConfig.workspace && files.has('CLAUDE.md')) {
+    files.set('CLAUDE.md', Buffer.from(upsertWorkspaceSection(files.get('CLAUDE.md').toString('utf8'), templateConfig.workspace)));
+  }
+  
+  return files;
+}
+
 async function runPostInstallationValidation(targetDir, templateConfig) {
   const inquirer = require('inquirer');
   const { spawn } = require('child_process');
@@ -319,31 +407,50 @@ function createValidationPrompt(templateConfig) {
   return `Validate Claude Code Templates installation for this ${language}${framework !== 'none' ? ` ${framework}` : ''} project. 1) Check project structure (package.json, src/, etc.) 2) Review CLAUDE.md, .claude/settings.json, .claude/commands/ 3) Compare with actual project dependencies 4) Suggest specific improvements. Make configuration match this project's actual setup.`;
 }
 
+async function buildSettingsFromTemplate(sourcePath, templateConfig) {
+  // Read the original settings file
+  const originalSettings = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+  
+  // If hooks are selected, filter them
+  if (templateConfig.selectedHooks && templateConfig.selectedHooks.length > 0) {
+    const availableHooks = getHooksForLanguage(templateConfig.language);
+    return filterHooksBySelection(
+      originalSettings,
+      templateConfig.selectedHooks,
+      availableHooks
+    );
+  }
+  
+  // No hooks selected, use original without hooks
+  const settingsWithoutHooks = { ...originalSettings };
+  delete settingsWithoutHooks.hooks;
+  return settingsWithoutHooks;
+}
+
+async function buildMCPDataFromTemplate(sourcePath, templateConfig) {
+  // Read the original MCP file
+  const originalMCPData = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+  
+  // If MCPs are selected, filter them
+  if (templateConfig.selectedMCPs && templateConfig.selectedMCPs.length > 0) {
+    const availableMCPs = getMCPsForLanguage(templateConfig.language);
+    return filterMCPsBySelection(
+      originalMCPData,
+      templateConfig.selectedMCPs,
+      availableMCPs
+    );
+  }
+  
+  // No MCPs selected, empty MCP config
+  return { mcpServers: {} };
+}
+
 async function processSettingsFile(sourcePath, destPath, templateConfig) {
   try {
-    // Read the original settings file
-    const originalSettings = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+    const settings = await buildSettingsFromTemplate(sourcePath, templateConfig);
     
-    // If hooks are selected, filter them
-    if (templateConfig.selectedHooks && templateConfig.selectedHooks.length > 0) {
-      const availableHooks = getHooksForLanguage(templateConfig.language);
-      const filteredSettings = filterHooksBySelection(
-        originalSettings,
-        templateConfig.selectedHooks,
-        availableHooks
-      );
-      
-      // Write the filtered settings
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, JSON.stringify(filteredSettings, null, 2));
-    } else {
-      // No hooks selected, copy original without hooks
-      const settingsWithoutHooks = { ...originalSettings };
-      delete settingsWithoutHooks.hooks;
-      
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, JSON.stringify(settingsWithoutHooks, null, 2));
-    }
+    await fs.ensureDir(path.dirname(destPath));
+    await fs.writeFile(destPath, JSON.stringify(settings, null, 2));
   } catch (error) {
     console.error(chalk.red(`Failed to process settings file: ${error.message}`));
     // Fallback to copying original file
@@ -353,28 +460,10 @@ async function processSettingsFile(sourcePath, destPath, templateConfig) {
 
 async function processMCPFile(sourcePath, destPath, templateConfig) {
   try {
-    // Read the original MCP file
-    const originalMCPData = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+    const mcpData = await buildMCPDataFromTemplate(sourcePath, templateConfig);
     
-    // If MCPs are selected, filter them
-    if (templateConfig.selectedMCPs && templateConfig.selectedMCPs.length > 0) {
-      const availableMCPs = getMCPsForLanguage(templateConfig.language);
-      const filteredMCPData = filterMCPsBySelection(
-        originalMCPData,
-        templateConfig.selectedMCPs,
-        availableMCPs
-      );
-      
-      // Write the filtered MCP data
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, JSON.stringify(filteredMCPData, null, 2));
-    } else {
-      // No MCPs selected, create empty MCP file
-      const emptyMCPData = { mcpServers: {} };
-      
-      await fs.ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, JSON.stringify(emptyMCPData, null, 2));
-    }
+    await fs.ensureDir(path.dirname(destPath));
+    await fs.writeFile(destPath, JSON.stringify(mcpData, null, 2));
   } catch (error) {
     console.error(chalk.red(`Failed to process MCP file: ${error.message}`));
     // Fallback to copying original file
@@ -382,6 +471,73 @@ async function processMCPFile(sourcePath, destPath, templateConfig) {
   }
 }
 
+async function mergeSettingsFile(sourcePath, destPath, templateConfig, options = {}) {
+  const incoming = await buildSettingsFromTemplate(sourcePath, templateConfig);
+  await writeMergedJsonFile(destPath, incoming, mergeSettings, options);
+}
+
+async function mergeMCPFile(sourcePath, destPath, templateConfig, options = {}) {
+  const incoming = await buildMCPDataFromTemplate(sourcePath, templateConfig);
+  await writeMergedJsonFile(destPath, incoming, mergeMCPConfig, options);
+}
+
+async function writeMergedJsonFile(destPath, incoming, merge, options = {}) {
+  const fileName = path.basename(destPath);
+  
+  if (!(await fs.pathExists(destPath))) {
+    await fs.ensureDir(path.dirname(destPath));
+    await fs.writeFile(destPath, JSON.stringify(incoming, null, 2));
+    console.log(chalk.green(`✓ Created ${fileName}`));
+    return;
+  }
+  
+  let current;
+  try {
+    current = JSON.parse(await fs.readFile(destPath, 'utf8'));
+  } catch (error) {
+    // Never overwrite a file we cannot parse, the user would lose it
+    console.log(chalk.yellow(`⚠️  Skipped ${fileName}: existing file is not valid JSON (${error.message})`));
+    return;
+  }
+  
+  const { merged, conflicts } = merge(current, incoming);
+  const diff = diffJson(current, merged);
+  
+  if (!diff.some(line => line.type !== ' ')) {
+    console.log(chalk.blue(`⏭️  ${fileName} already contains the template configuration`));
+    if (conflicts.length > 0) {
+      console.log(chalk.yellow(`⚠️  Kept your values for ${conflicts.length} conflicting key(s) in ${fileName}:`));
+      console.log(formatConflicts(conflicts));
+    }
+    return;
+  }
+  
+  // Preview before writing anything
+  console.log(chalk.cyan(`\n📝 Changes to ${fileName}:`));
+  console.log(formatDiff(diff));
+  if (conflicts.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${conflicts.length} conflicting key(s), your values are kept:`));
+    console.log(formatConflicts(conflicts));
+  }
+  
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Write the merged ${fileName}?`,
+      default: true
+    }]);
+    
+    if (!confirm) {
+      console.log(chalk.blue(`⏭️  Kept ${fileName} unchanged`));
+      return;
+    }
+  }
+  
+  await fs.writeFile(destPath, JSON.stringify(merged, null, 2));
+  console.log(chalk.green(`✓ Merged template configuration into ${fileName}`));
+}
+
 async function ensureDirectoryExists(dirPath) {
   try {
     await fs.ensureDir(dirPath);
@@ -405,9 +561,13 @@ async function checkWritePermissions(targetDir) {
 
 module.exports = {
   copyTemplateFiles,
+  createBackups,
   ensureDirectoryExists,
   checkWritePermissions,
   processSettingsFile,
   processMCPFile,
+  mergeSettingsFile,
+  mergeMCPFile,
+  collectTemplateFiles,
   runPostInstallationValidation
 };
\ No newline at end of file
@@ -0,0 +1,418 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { spawn } = require('child_process');
+const { mergeSettings, diffJson, formatDiff } = require('./json-merge');
+const { snapshotFiles, recordInstall } = require('./install-journal');
+
+const SETTINGS_PATH = '.claude/settings.json';
+
+// Claude Code's own default, a hook running longer is cancelled
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+const HOOK_EVENTS = {
+  PreToolUse: { description: 'Before a tool runs (exit 2 blocks the tool call)', toolEvent: true },
+  PostToolUse: { description: 'After a tool succeeds (exit 2 shows stderr to Claude)', toolEvent: true },
+  UserPromptSubmit: { description: 'When a prompt is submitted (exit 2 blocks the prompt)', toolEvent: false },
+  Notification: { description: 'When Claude Code sends a notification', toolEvent: false },
+  Stop: { description: 'When Claude finishes responding (exit 2 makes it continue)', toolEvent: false },
+  SubagentStop: { description: 'When a subagent finishes (exit 2 makes it continue)', toolEvent: false },
+  PreCompact: { description: 'Before the conversation is compacted', toolEvent: false },
+  SessionStart: { description: 'When a session starts or resumes (stdout is added to the context)', toolEvent: false }
+};
+
+// Tool inputs used for the test run, shaped like the ones Claude Code sends
+const SAMPLE_TOOL_INPUTS = {
+  Bash: () => ({ command: 'npm test', description: 'Run the test suite' }),
+  Edit: cwd => ({ file_path: path.join(cwd, 'src/index.js'), old_string: 'const a = 1;', new_string: 'const a = 2;' }),
+  MultiEdit: cwd => ({ file_path: path.join(cwd, 'src/index.js'), edits: [{ old_string: 'const a = 1;', new_string: 'const a = 2;' }] }),
+  Write: cwd => ({ file_path: path.join(cwd, 'src/example.js'), content: 'console.log("hello");\n' }),
+  Read: cwd => ({ file_path: path.join(cwd, 'README.md') }),
+  Glob: () => ({ pattern: '**/*.js' }),
+  Grep: () => ({ pattern: 'TODO', path: '.' }),
+  WebFetch: () => ({ url: 'https://example.com', prompt: 'Summarize the page' }),
+  WebSearch: () => ({ query: 'claude code hooks' }),
+  Task: () => ({ description: 'Review changes', prompt: 'Review the staged changes' })
+};
+
+// Files a test run's throwaway directory starts with, the ones the sample tool inputs name
+const SANDBOX_FILES = {
+  'src/index.js': 'const a = 1;\n',
+  'src/example.js': 'console.log("hello");\n',
+  'README.md': '# Example\n'
+};
+
+/**
+ * Find the sample tools a matcher applies to ("Edit|Write", "Bash", "*" or empty for all)
+ * @param {string} matcher - Hook matcher
+ * @returns {Array<string>} Tool names
+ */
+function getMatchingTools(matcher) {
+  const tools = Object.keys(SAMPLE_TOOL_INPUTS);
+  if (!matcher || matcher === '*') {
+    return tools;
+  }
+  const regex = new RegExp(`^(?:${matcher})$`);
+  return tools.filter(tool => regex.test(tool));
+}
+
+/**
+ * Build the JSON payload Claude Code would send a hook on stdin
+ * @param {string} event - Hook event name
+ * @param {Object} options - cwd and, for tool events, toolName
+ * @returns {Object} Synthetic event payload
+ */
+function buildSamplePayload(event, { cwd = process.cwd(), toolName = 'Bash' } = {}) {
+  const payload = {
+    session_id: '00000000-0000-4000-8000-000000000000',
+    transcript_path: path.join(cwd, '.claude', 'sample-transcript.jsonl'),
+    cwd,
+    hook_event_name: event
+  };
+
+  switch (event) {
+    case 'PreToolUse':
+      return { ...payload, tool_name: toolName, tool_input: SAMPLE_TOOL_INPUTS[toolName](cwd) };
+    case 'PostToolUse':
+      return {
+        ...payload,
+        tool_name: toolName,
+        tool_input: SAMPLE_TOOL_INPUTS[toolName](cwd),
+        tool_response: toolName === 'Bash' ? { stdout: 'All tests passed', stderr: '', interrupted: false } : { success: true }
+      };
+    case 'UserPromptSubmit':
+      return { ...payload, prompt: 'Add input validation to the signup form' };
+    case 'Notification':
+      return { ...payload, message: 'Claude needs your permission to use Bash' };
+    case 'Stop':
+    case 'SubagentStop':
+      return { ...payload, stop_hook_active: false };
+    case 'PreCompact':
+      return { ...payload, trigger: 'manual', custom_instructions: '' };
+    case 'SessionStart':
+      return { ...payload, source: 'startup' };
+    default:
+      return payload;
+  }
+}
+
+/**
+ * Give a test run a throwaway project directory, so formatters and scripts cannot touch the real one
+ * The project's .claude/hooks scripts are copied in, commands using $CLAUDE_PROJECT_DIR/.claude/hooks still run
+ * @param {string|null} projectDir - Project whose hook scripts to copy
+ * @param {Function} fn - async (sandboxDir) => result
+ * @returns {Promise<*>} What fn returned
+ */
+async function withHookSandbox(projectDir, fn) {
+  const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-hook-test-'));
+  try {
+    await Promise.all(Object.entries(SANDBOX_FILES).map(([file, content]) => fs.outputFile(path.join(sandbox, file), content)));
+    const hooksDir = projectDir && path.join(projectDir, '.claude', 'hooks');
+    if (hooksDir && await fs.pathExists(hooksDir)) {
+      await fs.copy(hooksDir, path.join(sandbox, '.claude', 'hooks'));
+    }
+    return await fn(sandbox);
+  } finally {
+    await fs.remove(sandbox);
+  }
+}
+
+/**
+ * Run a hook command the way Claude Code does: through the shell, with the event JSON on stdin
+ * @param {string} command - Hook command
+ * @param {Object} payload - Event payload
+ * @param {Object} options - cwd and timeout (seconds)
+ * @returns {Promise<Object>} exitCode, stdout, stderr, durationMs and timedOut
+ */
+function runHookCommand(command, payload, { cwd = process.cwd(), timeout = DEFAULT_TIMEOUT_SECONDS } = {}) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    // Own process group, so a timeout also stops whatever the shell started
+    const child = spawn('sh', ['-c', command], {
+      cwd,
+      env: { ...process.env, CLAUDE_PROJECT_DIR: cwd },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    }, timeout * 1000);
+
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+    // A hook that never reads stdin closes it early, that is not an error
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, stdout, stderr: stderr || error.message, durationMs: Date.now() - startedAt, timedOut });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ exitCode: timedOut ? null : code, stdout, stderr, durationMs: Date.now() - startedAt, timedOut });
+    });
+  });
+}
+
+/**
+ * Explain what Claude Code would do with a hook result
+ * @param {string} event - Hook event name
+ * @param {Object} result - Result of runHookCommand
+ * @returns {string} Explanation
+ */
+function describeHookResult(event, result) {
+  if (result.timedOut) {
+    return 'Timed out: Claude Code would cancel the hook and carry on';
+  }
+
+  let output = null;
+  try {
+    output = result.stdout.trim().startsWith('{') ? JSON.parse(result.stdout) : null;
+  } catch (error) {
+    // Plain text output
+  }
+  if (result.exitCode === 0 && output && (output.decision || output.continue === false)) {
+    return `Success with JSON output: ${output.continue === false ? 'stops Claude' : `decision "${output.decision}"`}${output.reason ? ` (${output.reason})` : ''}`;
+  }
+
+  if (result.exitCode === 0) {
+    return ['UserPromptSubmit', 'SessionStart'].includes(event)
+      ? 'Success: stdout is added to Claude\'s context'
+      : 'Success: stdout is shown in transcript mode (Ctrl-R)';
+  }
+
+  if (result.exitCode === 2) {
+    const blocking = {
+      PreToolUse: 'the tool call is blocked and stderr is sent to Claude',
+      PostToolUse: 'stderr is sent to Claude (the tool already ran)',
+      UserPromptSubmit: 'the prompt is blocked and erased, stderr is shown to the user',
+      Stop: 'Claude is told to keep going, with stderr as the reason',
+      SubagentStop: 'the subagent is told to keep going, with stderr as the reason'
+    };
+    return `Blocking error: ${blocking[event] || 'stderr is shown to the user'}`;
+  }
+
+  return `Non-blocking error (exit ${result.exitCode}): stderr is shown to the user and Claude carries on`;
+}
+
+/**
+ * Add a hook to settings, next to the hooks already configured for the same event and matcher
+ * @param {Object} settings - Current settings (may be empty)
+ * @param {string} event - Hook event name
+ * @param {string} matcher - Matcher for tool events, empty otherwise
+ * @param {Object} hook - Hook ({ type: 'command', command, timeout })
+ * @returns {Object} Updated settings
+ */
+function addHookToSettings(settings, event, matcher, hook) {
+  const group = HOOK_EVENTS[event] && HOOK_EVENTS[event].toolEvent ? { matcher, hooks: [hook] } : { hooks: [hook] };
+  return mergeSettings(settings, { hooks: { [event]: [group] } }).merged;
+}
+
+/**
+ * Print the result of a test run
+ */
+function printHookResult(event, result) {
+  const status = result.exitCode === 0 ? chalk.green : result.exitCode === 2 ? chalk.yellow : chalk.red;
+  console.log(chalk.cyan('\n🧪 Test run'));
+  console.log(`   Exit code: ${status(result.timedOut ? 'timed out' : result.exitCode)} ${chalk.gray(`(${result.durationMs} ms)`)}`);
+  console.log(`   stdout:    ${result.stdout.trim() ? chalk.white(result.stdout.trim().split('\n').join('\n              ')) : chalk.gray('(empty)')}`);
+  console.log(`   stderr:    ${result.stderr.trim() ? chalk.white(result.stderr.trim().split('\n').join('\n              ')) : chalk.gray('(empty)')}`);
+  console.log(status(`   → ${describeHookResult(event, result)}`));
+}
+
+/**
+ * Write a hook into .claude/settings.json after showing the diff
+ * @param {string} targetDir - Project directory
+ * @param {string} event - Hook event
+ * @param {string} matcher - Tool matcher
+ * @param {Object} hook - Hook entry ({ type, command, timeout })
+ * @param {Object} options - files (script contents by project-relative path, written with the hook) and yes
+ * @returns {Promise<boolean>} Whether the settings were written
+ */
+async function saveHook(targetDir, event, matcher, hook, { files = {}, yes = false } = {}) {
+  const settingsFile = path.join(targetDir, SETTINGS_PATH);
+  let current = {};
+  if (await fs.pathExists(settingsFile)) {
+    try {
+      current = JSON.parse(await fs.readFile(settingsFile, 'utf8'));
+    } catch (error) {
+      // Never overwrite a file we cannot parse, the user would lose it
+      console.log(chalk.red(`❌ ${SETTINGS_PATH} is not valid JSON (${error.message}), fix it and try again`));
+      return false;
+    }
+  }
+
+  const updated = addHookToSettings(current, event, matcher, hook);
+  const diff = diffJson(current, updated);
+  const changedFiles = [];
+  for (const [destination, content] of Object.entries(files)) {
+    const filePath = path.join(targetDir, destination);
+    if (!(await fs.pathExists(filePath)) || (await fs.readFile(filePath, 'utf8')) !== content) {
+      changedFiles.push(destination);
+    }
+  }
+  if (!diff.some(line => line.type !== ' ') && changedFiles.length === 0) {
+    console.log(chalk.blue(`⏭️  ${SETTINGS_PATH} already has this hook`));
+    return false;
+  }
+
+  console.log(chalk.cyan(`\n📝 Changes to ${SETTINGS_PATH}:`));
+  console.log(formatDiff(diff));
+  changedFiles.forEach(destination => console.log(chalk.cyan(`📝 Writes ${destination}`)));
+
+  if (!yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Write the hook to ${SETTINGS_PATH}?`,
+      default: true
+    }]);
+    if (!confirm) {
+      return false;
+    }
+  }
+
+  // Journaled as a merge so --rollback removes just this hook (and the scripts it created)
+  const snapshot = await snapshotFiles(targetDir, [SETTINGS_PATH, ...changedFiles]);
+  for (const destination of changedFiles) {
+    await fs.outputFile(path.join(targetDir, destination), files[destination], { mode: 0o755 });
+  }
+  await fs.ensureDir(path.dirname(settingsFile));
+  await fs.writeFile(settingsFile, JSON.stringify(updated, null, 2));
+  await recordInstall(snapshot, { type: 'hook', action: 'merge' });
+  return true;
+}
+
+/**
+ * Run the interactive hook builder: event, matcher and command, a test run against a sample
+ * event, then (only when the user is happy with the result) the write to .claude/settings.json
+ * @param {Object} options - CLI options (directory)
+ */
+async function runHookBuilder(options = {}) {
+  const targetDir = options.directory || process.cwd();
+
+  console.log(chalk.blue('🪝 Claude Code Hook Builder'));
+  console.log(chalk.gray(`Target directory: ${targetDir}\n`));
+
+  const { event } = await inquirer.prompt([{
+    type: 'list',
+    name: 'event',
+    message: 'When should the hook run?',
+    choices: Object.entries(HOOK_EVENTS).map(([value, { description }]) => ({ value, name: `${value} - ${chalk.gray(description)}` })),
+    pageSize: 10
+  }]);
+
+  let matcher = '';
+  if (HOOK_EVENTS[event].toolEvent) {
+    ({ matcher } = await inquirer.prompt([{
+      type: 'input',
+      name: 'matcher',
+      message: 'Tool matcher (tool name or regex, e.g. Bash, Edit|Write, * for every tool):',
+      default: 'Bash',
+      validate: value => {
+        try {
+          new RegExp(value === '*' ? '.*' : value);
+          return true;
+        } catch (error) {
+          return `Invalid regex: ${error.message}`;
+        }
+      }
+    }]));
+  }
+
+  let command = '';
+  let timeout = DEFAULT_TIMEOUT_SECONDS;
+  let toolName = null;
+  let action = 'edit';
+
+  while (action !== 'save' && action !== 'cancel') {
+    if (action === 'edit') {
+      ({ command, timeout } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'command',
+          message: 'Command (receives the event JSON on stdin):',
+          default: command || undefined,
+          validate: value => (value.trim() ? true : 'Enter a command')
+        },
+        {
+          type: 'number',
+          name: 'timeout',
+          message: 'Timeout in seconds:',
+          default: timeout
+        }
+      ]));
+      timeout = Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_SECONDS;
+    }
+
+    if (HOOK_EVENTS[event].toolEvent) {
+      const tools = getMatchingTools(matcher);
+      if (tools.length === 0) {
+        console.log(chalk.yellow(`⚠️  "${matcher}" matches none of the sample tools (${Object.keys(SAMPLE_TOOL_INPUTS).join(', ')}), testing with Bash`));
+      }
+      toolName = tools.length > 1
+        ? (await inquirer.prompt([{ type: 'list', name: 'toolName', message: 'Test with a sample event from which tool?', choices: tools, default: toolName || tools[0] }])).toolName
+        : tools[0] || 'Bash';
+    }
+
+    printHookResult(event, await withHookSandbox(targetDir, sandbox => {
+      const payload = buildSamplePayload(event, { cwd: sandbox, toolName });
+      console.log(chalk.gray(`\nTest run in a throwaway copy (${sandbox}), the project is not touched`));
+      console.log(chalk.gray('Sample event on stdin:'));
+      console.log(chalk.gray(JSON.stringify(payload, null, 2)));
+      return runHookCommand(command, payload, { cwd: sandbox, timeout });
+    }));
+
+    ({ action } = await inquirer.prompt([{
+      type: 'list',
+      name: 'action',
+      message: 'What next?',
+      choices: [
+        { value: 'save', name: `Save to ${SETTINGS_PATH}` },
+        { value: 'retest', name: 'Run the test again' },
+        { value: 'edit', name: 'Edit the command' },
+        { value: 'cancel', name: 'Cancel without saving' }
+      ]
+    }]));
+  }
+
+  if (action === 'cancel') {
+    console.log(chalk.blue('✓ Hook discarded, settings unchanged'));
+    return;
+  }
+
+  const hook = { type: 'command', command };
+  if (timeout !== DEFAULT_TIMEOUT_SECONDS) {
+    hook.timeout = timeout;
+  }
+
+  if (await saveHook(targetDir, event, matcher, hook)) {
+    console.log(chalk.green(`✅ Added ${event}${matcher ? ` (${matcher})` : ''} hook to ${SETTINGS_PATH}`));
+  } else {
+    console.log(chalk.blue(`✓ ${SETTINGS_PATH} unchanged`));
+  }
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  getMatchingTools,
+  buildSamplePayload,
+  withHookSandbox,
+  runHookCommand,
+  describeHookResult,
+  addHookToSettings,
+  saveHook,
+  runHookBuilder
+};
@@ -0,0 +1,299 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
+const { HOOK_EVENTS, getMatchingTools, buildSamplePayload, withHookSandbox, runHookCommand } = require('./hook-builder');
+
+// Settings files whose hooks Claude Code runs in a project, in the order it reads them
+const SETTINGS_FILES = [
+  { source: 'user', file: () => path.join(os.homedir(), '.claude', 'settings.json') },
+  { source: 'project', file: targetDir => path.join(targetDir, '.claude', 'settings.json') },
+  { source: 'local', file: targetDir => path.join(targetDir, '.claude', 'settings.local.json') }
+];
+
+// A hook averaging longer than this is flagged, every run of it holds up the session
+const SLOW_HOOK_MS = 1000;
+
+const hookKey = (event, command) => `${event}\u0000${command}`;
+
+/**
+ * List the command hooks configured for a project
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Array>} Hooks with event, matcher, command, timeout and source (user, project or local)
+ */
+async function loadConfiguredHooks(targetDir) {
+  const hooks = [];
+
+  for (const { source, file } of SETTINGS_FILES) {
+    const settingsPath = file(targetDir);
+    if (!(await fs.pathExists(settingsPath))) {
+      continue;
+    }
+
+    let settings;
+    try {
+      settings = await fs.readJson(settingsPath);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Skipping ${settingsPath}: ${error.message}`));
+      continue;
+    }
+
+    Object.entries(settings.hooks || {}).forEach(([event, groups]) => {
+      (Array.isArray(groups) ? groups : []).forEach(group => {
+        (group.hooks || []).filter(hook => hook.type === 'command' && hook.command).forEach(hook => {
+          hooks.push({ event, matcher: group.matcher || '', command: hook.command, timeout: hook.timeout, source });
+        });
+      });
+    });
+  }
+
+  return hooks;
+}
+
+/**
+ * Find the hook runs in the conversation history of a project
+ * @param {string} claudeDir - Claude Code directory (~/.claude)
+ * @param {string} targetDir - Project directory, runs from other projects are left out
+ * @returns {Promise<Array>} Hook executions from ConversationAnalyzer
+ */
+async function collectHookExecutions(claudeDir, targetDir) {
+  const projectsDir = path.join(claudeDir, 'projects');
+  if (!(await fs.pathExists(projectsDir))) {
+    return [];
+  }
+
+  const analyzer = new ConversationAnalyzer(claudeDir);
+  const root = path.resolve(targetDir);
+  const inProject = cwd => cwd && (path.resolve(cwd) === root || path.resolve(cwd).startsWith(root + path.sep));
+
+  const executions = [];
+  for (const filePath of await analyzer.findJsonlFiles(projectsDir)) {
+    try {
+      const runs = await analyzer.getHookExecutions(filePath);
+      executions.push(...runs.filter(run => inProject(run.cwd)));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read ${path.basename(filePath)}: ${error.message}`));
+    }
+  }
+  return executions;
+}
+
+/**
+ * Run each configured hook once on a sample event, in a throwaway directory
+ * so formatters and scripts cannot touch the project
+ * @param {Array} hooks - Configured hooks
+ * @returns {Promise<Map>} Result of runHookCommand by hook key
+ */
+async function timeHookDryRuns(hooks) {
+  const timings = new Map();
+
+  for (const hook of hooks) {
+    const key = hookKey(hook.event, hook.command);
+    if (timings.has(key)) {
+      continue;
+    }
+
+    timings.set(key, await withHookSandbox(null, sandbox => {
+      const toolName = HOOK_EVENTS[hook.event] && HOOK_EVENTS[hook.event].toolEvent
+        ? getMatchingTools(hook.matcher)[0] || 'Bash'
+        : undefined;
+      const payload = buildSamplePayload(hook.event, { cwd: sandbox, toolName });
+      return runHookCommand(hook.command, payload, { cwd: sandbox, timeout: hook.timeout });
+    }));
+  }
+
+  return timings;
+}
+
+/**
+ * Aggregate hook runs into a profile per hook (event and command)
+ * @param {Array} executions - Hook executions from conversation history
+ * @param {Array} configured - Configured hooks (listed even without recorded runs)
+ * @param {Map} timings - Dry-run results by hook key
+ * @param {Object} options - slowThresholdMs
+ * @returns {Array} Profiles, slowest first
+ */
+function profileHooks(executions, configured = [], timings = new Map(), { slowThresholdMs = SLOW_HOOK_MS } = {}) {
+  const profiles = new Map();
+  const profileFor = (event, command) => {
+    const key = hookKey(event, command);
+    if (!profiles.has(key)) {
+      profiles.set(key, {
+        event,
+        command,
+        matcher: null,
+        source: null,
+        tools: new Set(),
+        runs: 0,
+        failures: 0,
+        blocks: 0,
+        latencies: []
+      });
+    }
+    return profiles.get(key);
+  };
+
+  configured.forEach(hook => {
+    const profile = profileFor(hook.event, hook.command);
+    profile.matcher = hook.matcher;
+    profile.source = hook.source;
+  });
+
+  executions.forEach(run => {
+    const profile = profileFor(run.event, run.command);
+    profile.runs++;
+    if (run.outcome === 'failure') profile.failures++;
+    if (run.outcome === 'blocked') profile.blocks++;
+    if (run.tool) profile.tools.add(run.tool);
+    if (run.latencyMs !== null && run.latencyMs !== undefined) profile.latencies.push(run.latencyMs);
+  });
+
+  return Array.from(profiles.entries()).map(([key, profile]) => {
+    const { latencies, tools, ...rest } = profile;
+    const timing = timings.get(key) || null;
+    const avgLatencyMs = latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null;
+
+    const reasons = [];
+    if (avgLatencyMs !== null && avgLatencyMs > slowThresholdMs) {
+      reasons.push(`averages ${formatDuration(avgLatencyMs)}${tools.size > 0 ? ` on every ${Array.from(tools).join('/')}` : ''}`);
+    }
+    if (timing && timing.timedOut) {
+      reasons.push('timed out in the dry run');
+    } else if (timing && timing.durationMs > slowThresholdMs) {
+      reasons.push(`took ${formatDuration(timing.durationMs)} in the dry run`);
+    }
+
+    return {
+      ...rest,
+      tools: Array.from(tools).sort(),
+      avgLatencyMs,
+      maxLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null,
+      totalLatencyMs: latencies.reduce((sum, ms) => sum + ms, 0),
+      failureRate: rest.runs > 0 ? rest.failures / rest.runs : null,
+      blockRate: rest.runs > 0 ? rest.blocks / rest.runs : null,
+      dryRun: timing ? { durationMs: timing.durationMs, exitCode: timing.exitCode, timedOut: timing.timedOut } : null,
+      slow: reasons.length > 0,
+      slowReasons: reasons
+    };
+  }).sort((a, b) => (b.avgLatencyMs || 0) - (a.avgLatencyMs || 0) || b.runs - a.runs);
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function formatRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Print the hook profile as a table with the slow hooks underneath
+ * @param {Array} profiles - Result of profileHooks
+ */
+function displayHookProfile(profiles) {
+  console.log(chalk.bold('\n📊 Hook Profile'));
+  console.log(chalk.gray('═'.repeat(110)));
+  console.log(chalk.bold(
+    'Hook'.padEnd(46) + 'Runs'.padStart(6) + 'Avg'.padStart(9) + 'Max'.padStart(9) +
+    'Failed'.padStart(8) + 'Blocked'.padStart(9) + 'Dry run'.padStart(10) + '  Total'
+  ));
+  console.log(chalk.gray('─'.repeat(110)));
+
+  profiles.forEach(profile => {
+    const label = `${profile.event}${profile.matcher ? `:${profile.matcher}` : ''} ${profile.command}`;
+    const row = (label.length > 44 ? label.substring(0, 43) + '…' : label).padEnd(46) +
+      String(profile.runs).padStart(6) +
+      formatDuration(profile.avgLatencyMs).padStart(9) +
+      formatDuration(profile.maxLatencyMs).padStart(9) +
+      formatRate(profile.failureRate).padStart(8) +
+      `${profile.blocks}`.padStart(9) +
+      (profile.dryRun ? (profile.dryRun.timedOut ? 'timeout' : formatDuration(profile.dryRun.durationMs)) : '-').padStart(10) +
+      `  ${formatDuration(profile.totalLatencyMs)}`;
+    console.log(profile.slow ? chalk.red(row) : row);
+  });
+
+  const slow = profiles.filter(profile => profile.slow);
+  if (slow.length > 0) {
+    console.log(chalk.red(`\n🐢 ${slow.length} slow hook${slow.length === 1 ? '' : 's'}:`));
+    slow.forEach(profile => {
+      console.log(chalk.red(`  • ${profile.event} ${profile.command}: ${profile.slowReasons.join(', ')}`));
+    });
+    console.log(chalk.gray('💡 Narrow the matcher, run the tool on the edited file only, or move the work to a Stop hook'));
+  }
+
+  console.log(chalk.gray('\nAvg/Max: time from the tool call (PreToolUse) or tool result (PostToolUse) to the hook finishing.'));
+  console.log(chalk.gray('Blocked: tool calls or prompts the hook stopped with exit code 2.'));
+}
+
+/**
+ * Run the hook profiler: hook runs from conversation history, optionally timed dry runs
+ * @param {Object} options - CLI options (directory, timeHooks, yes, format)
+ * @returns {Promise<Array>} Hook profiles
+ */
+async function runHookProfiler(options = {}) {
+  const targetDir = path.resolve(options.directory || process.cwd());
+  const claudeDir = options.claudeDir || path.join(os.homedir(), '.claude');
+  const json = options.format === 'json';
+  if (options.format && !json && options.format !== 'table') {
+    throw new Error(`Unknown hook profile format "${options.format}". Use one of: table, json`);
+  }
+
+  if (!json) {
+    console.log(chalk.blue('🔍 Profiling hooks from conversation history...'));
+    console.log(chalk.gray(`Project: ${targetDir}`));
+  }
+
+  const configured = await loadConfiguredHooks(targetDir);
+  const executions = await collectHookExecutions(claudeDir, targetDir);
+
+  let timings = new Map();
+  if (options.timeHooks && configured.length > 0) {
+    let confirmed = options.yes;
+    if (!confirmed) {
+      console.log(chalk.yellow(`\n⚠️  The dry run executes ${configured.length} hook command(s) in a temporary directory:`));
+      configured.forEach(hook => console.log(chalk.gray(`  - ${hook.event} ${hook.command}`)));
+      ({ confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Run them now?',
+        default: true
+      }]));
+    }
+    if (confirmed) {
+      timings = await timeHookDryRuns(configured);
+    }
+  }
+
+  const profiles = profileHooks(executions, configured, timings);
+
+  if (json) {
+    console.log(JSON.stringify({ project: targetDir, runs: executions.length, hooks: profiles }, null, 2));
+    return profiles;
+  }
+
+  if (profiles.length === 0) {
+    console.log(chalk.yellow('\n⚠️  No hooks configured and no hook runs found in the conversation history of this project.'));
+    return profiles;
+  }
+
+  if (executions.length === 0) {
+    console.log(chalk.yellow('\n⚠️  No hook runs found in the conversation history of this project yet.'));
+  }
+
+  displayHookProfile(profiles);
+  return profiles;
+}
+
+module.exports = {
+  SLOW_HOOK_MS,
+  loadConfiguredHooks,
+  collectHookExecutions,
+  timeHookDryRuns,
+  profileHooks,
+  runHookProfiler
+};
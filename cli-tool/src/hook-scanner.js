@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { getLanguageDir } = require('./template-packs');
 
 /**
  * Extracts and describes hooks from a settings.json file
@@ -287,7 +288,7 @@ function getHookDescription(hook, matcher, type) {
  * @returns {Array} Array of available hooks for the language
  */
 function getHooksForLanguage(language) {
-  const templateDir = path.join(__dirname, '../templates', language);
+  const templateDir = getLanguageDir(language);
   const settingsPath = path.join(templateDir, '.claude', 'settings.json');
   
   return getHooksFromSettings(settingsPath);
@@ -419,7 +420,7 @@ function getDefaultMCPSelection(serverId) {
  * @returns {Array} Array of available MCPs for the language
  */
 function getMCPsForLanguage(language) {
-  const templateDir = path.join(__dirname, '../templates', language);
+  const templateDir = getLanguageDir(language);
   const mcpPath = path.join(templateDir, '.mcp.json');
   
   return getMCPsFromFile(mcpPath);
@@ -4,16 +4,29 @@ const fs = require('fs-extra');
 const path = require('path');
 const ora = require('ora');
 const { detectProject } = require('./utils');
-const { getTemplateConfig, TEMPLATES_CONFIG } = require('./templates');
+const { getTemplateConfig, getTemplatesConfig, TEMPLATES_CONFIG } = require('./templates');
 const { createPrompts, interactivePrompts } = require('./prompts');
 const { copyTemplateFiles, runPostInstallationValidation } = require('./file-operations');
 const { getHooksForLanguage, getMCPsForLanguage } = require('./hook-scanner');
 const { installAgents } = require('./agents');
 const { runCommandStats } = require('./command-stats');
+const { runCommandLint } = require('./command-lint');
 const { runHookStats } = require('./hook-stats');
 const { runMCPStats } = require('./mcp-stats');
 const { runAnalytics } = require('./analytics');
+const { runReport } = require('./report');
+const { runConversationExport } = require('./conversation-export');
+const { runBundleExport } = require('./conversation-bundle');
 const { runHealthCheck } = require('./health-check');
+const { runUpgrade } = require('./upgrade');
+const { runRollback } = require('./rollback');
+const { runPackValidation } = require('./template-packs');
+const { printWorkspace, runDetect } = require('./workspaces');
+const { runClaudeMdGenerator } = require('./claude-md-generator');
+const { runHookBuilder } = require('./hook-builder');
+const { installPermissionRelay } = require('./permission-relay');
+const { runHookProfiler } = require('./hook-profiler');
+const { createInstallManifest } = require('./install-manifest');
 const { AIAgentManager } = require('./ai-agents');
 const { MCPServerManager } = require('./mcp-discovery');
 
@@ -115,6 +128,20 @@ async function runMCPDiscovery(options = {}) {
   }
 }
 
+/**
+ * AIAgentManager options from the CLI flags
+ * --agent-endpoint (or CCT_AGENT_ENDPOINT) sends prompts to a Messages API endpoint,
+ * --agent-cassette replays recorded responses and records them with --record
+ */
+function agentManagerOptions(options) {
+  return {
+    demo: options.demo,
+    endpoint: options.agentEndpoint || process.env.CCT_AGENT_ENDPOINT || undefined,
+    cassette: options.agentCassette,
+    record: options.record
+  };
+}
+
 async function runAIAgents(options = {}) {
   const targetDir = options.directory || process.cwd();
   
@@ -122,12 +149,12 @@ async function runAIAgents(options = {}) {
   console.log(chalk.gray('Powered by Claude Code SDK for advanced project analysis\n'));
   
   // Initialize AI Agent Manager
-  const agentManager = new AIAgentManager(targetDir);
+  const agentManager = new AIAgentManager(targetDir, agentManagerOptions(options));
   const initialized = await agentManager.initializeAgents();
   
   if (!initialized) {
     console.log(chalk.red('❌ Failed to initialize AI agents. Please check your Claude Code setup.'));
-    console.log(chalk.yellow('💡 Run: claude auth status'));
+    console.log(chalk.yellow('💡 Run: claude auth status, or try the agents with --demo'));
     return;
   }
   
@@ -236,6 +263,7 @@ async function runCodeReviewFlow(agentManager, options) {
 
   console.log(chalk.green('\n✅ Code Review completed!'));
   console.log(chalk.blue(`📋 Report saved: ${results.reportPath}`));
+  console.log(chalk.blue(`🧾 Findings: ${results.findingsPath} (SARIF: ${results.sarifPath})`));
 }
 
 async function runOptimizationFlow(agentManager, options) {
@@ -423,6 +451,86 @@ async function configureAgentSettings(agentManager) {
   }
 }
 
+const WORKSPACE_MODES = ['root', 'packages', 'none'];
+
+async function chooseWorkspaceMode(workspace, options) {
+  if (!workspace.isMonorepo) {
+    return 'none';
+  }
+  
+  if (options.workspace && !WORKSPACE_MODES.includes(options.workspace)) {
+    throw new Error(`Unknown --workspace mode "${options.workspace}" (use ${WORKSPACE_MODES.join(', ')})`);
+  }
+  
+  printWorkspace(workspace);
+  
+  if (options.workspace) {
+    return options.workspace;
+  }
+  
+  if (options.yes) {
+    return 'root';
+  }
+  
+  const { workspaceMode } = await inquirer.prompt([{
+    type: 'list',
+    name: 'workspaceMode',
+    message: 'How should Claude Code be configured for this monorepo?',
+    choices: [
+      { value: 'root', name: 'One root configuration whose CLAUDE.md lists every package' },
+      { value: 'packages', name: 'A separate .claude/ configuration in each package (with defaults for its stack)' },
+      { value: 'none', name: 'Root configuration only, ignore the packages' }
+    ],
+    default: 'root',
+    prefix: chalk.cyan('📦')
+  }]);
+  
+  return workspaceMode;
+}
+
+async function setupWorkspacePackages(workspace, targetDir, options) {
+  const templatesConfig = getTemplatesConfig();
+  let configured = 0;
+  
+  for (const pkg of workspace.packages) {
+    const packageDir = path.join(targetDir, pkg.path);
+    const language = templatesConfig[pkg.language] && !templatesConfig[pkg.language].comingSoon ? pkg.language : 'common';
+    const frameworks = templatesConfig[language].frameworks || {};
+    const framework = frameworks[pkg.framework] ? pkg.framework : 'none';
+    
+    console.log(chalk.cyan(`\n📦 ${pkg.name} (${pkg.path}) → ${language}${framework !== 'none' ? `/${framework}` : ''}`));
+    
+    // Same defaults as --yes: every hook and MCP server checked by default for the stack
+    const templateConfig = getTemplateConfig({ language, framework });
+    templateConfig.selectedHooks = getHooksForLanguage(language).filter(hook => hook.checked).map(hook => hook.id);
+    templateConfig.selectedMCPs = getMCPsForLanguage(language).filter(mcp => mcp.checked).map(mcp => mcp.id);
+    
+    if (options.dryRun) {
+      templateConfig.files.forEach(file => {
+        console.log(chalk.gray(`  - ${file.source} → ${path.join(pkg.path, file.destination)}`));
+      });
+      continue;
+    }
+    
+    const result = await copyTemplateFiles(templateConfig, packageDir, options);
+    if (result === false) {
+      continue;
+    }
+    configured++;
+    
+    try {
+      await createInstallManifest(packageDir, templateConfig);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not record the install manifest for ${pkg.path}: ${error.message}`));
+    }
+  }
+  
+  if (!options.dryRun) {
+    console.log(chalk.green(`\n✅ Configured ${configured} of ${workspace.packages.length} workspace packages`));
+    console.log(chalk.gray('💡 Use --directory <package> with --upgrade or --rollback to manage a package later'));
+  }
+}
+
 async function createClaudeConfig(options = {}) {
   const targetDir = options.directory || process.cwd();
   
@@ -432,24 +540,96 @@ async function createClaudeConfig(options = {}) {
     return;
   }
   
+  // Handle slash command linting (exit code 1 on errors, for CI)
+  if (options.lintCommands) {
+    await runCommandLint(options);
+    return;
+  }
+  
   // Handle hook stats analysis (both singular and plural)
   if (options.hookStats || options.hooksStats) {
     await runHookStats(options);
     return;
   }
   
+  // Handle hook runtime profiling from conversation history
+  if (options.hookProfile) {
+    await runHookProfiler(options);
+    return;
+  }
+  
   // Handle MCP stats analysis (both singular and plural)
   if (options.mcpStats || options.mcpsStats) {
     await runMCPStats(options);
     return;
   }
   
-  // Handle analytics dashboard
-  if (options.analytics) {
+  // Handle analytics dashboard (--import alone also starts it)
+  if (options.analytics || (options.import && !(options.chats || options.agents))) {
     await runAnalytics(options);
     return;
   }
   
+  // Handle headless usage report
+  if (options.report) {
+    await runReport(options);
+    return;
+  }
+  
+  // Handle conversation transcript export
+  if (options.export) {
+    await runConversationExport(options);
+    return;
+  }
+  
+  // Handle conversation bundle for team aggregation
+  if (options.bundle) {
+    await runBundleExport(options);
+    return;
+  }
+  
+  // Handle template upgrade of an already configured project
+  if (options.upgrade) {
+    await runUpgrade(options);
+    return;
+  }
+  
+  // Handle project detection report
+  if (options.detect) {
+    await runDetect(options);
+    return;
+  }
+  
+  // Handle interactive hook authoring
+  if (options.createHook) {
+    await runHookBuilder(options);
+    return;
+  }
+  
+  // Handle the dashboard permission relay hook
+  if (options.installPermissionRelay) {
+    await installPermissionRelay(options);
+    return;
+  }
+  
+  // Handle CLAUDE.md generation from repository facts
+  if (options.generateClaudeMd) {
+    await runClaudeMdGenerator(options);
+    return;
+  }
+  
+  // Handle template pack validation for pack authors
+  if (options.validatePack) {
+    runPackValidation(options.validatePack);
+    return;
+  }
+  
+  // Handle rollback of everything setup installed
+  if (options.rollback || options.uninstall) {
+    await runRollback(options);
+    return;
+  }
+  
   // Handle chats/agents dashboard
   if (options.chats || options.agents) {
     await runAnalytics({ ...options, openTo: 'agents' });
@@ -470,7 +650,7 @@ async function createClaudeConfig(options = {}) {
   
   // Handle specific AI agent options
   if (options.agentReview) {
-    const agentManager = new AIAgentManager(targetDir);
+    const agentManager = new AIAgentManager(targetDir, agentManagerOptions(options));
     const initialized = await agentManager.initializeAgents();
     if (initialized) {
       await agentManager.runCodeReview({ projectReview: true, securityAnalysis: true });
@@ -480,7 +660,7 @@ async function createClaudeConfig(options = {}) {
   }
   
   if (options.agentOptimize) {
-    const agentManager = new AIAgentManager(targetDir);
+    const agentManager = new AIAgentManager(targetDir, agentManagerOptions(options));
     const initialized = await agentManager.initializeAgents();
     if (initialized) {
       await agentManager.runCodeOptimization({ projectAnalysis: true, strategy: true });
@@ -490,7 +670,7 @@ async function createClaudeConfig(options = {}) {
   }
   
   if (options.agentDocs) {
-    const agentManager = new AIAgentManager(targetDir);
+    const agentManager = new AIAgentManager(targetDir, agentManagerOptions(options));
     const initialized = await agentManager.initializeAgents();
     if (initialized) {
       await agentManager.runDocumentationGeneration({ readme: true, architecture: true, writeFiles: true });
@@ -500,7 +680,7 @@ async function createClaudeConfig(options = {}) {
   }
   
   if (options.agentComprehensive) {
-    const agentManager = new AIAgentManager(targetDir);
+    const agentManager = new AIAgentManager(targetDir, agentManagerOptions(options));
     const initialized = await agentManager.initializeAgents();
     if (initialized) {
       await agentManager.runComprehensiveAnalysis({ writeFiles: true });
@@ -523,7 +703,7 @@ async function createClaudeConfig(options = {}) {
   }
   
   // Add initial choice prompt (only if no specific options are provided and not continuing from health check or menu)
-  if (!shouldRunSetup && !options.setupFromMenu && !options.yes && !options.language && !options.framework && !options.dryRun) {
+  if (!shouldRunSetup && !options.setupFromMenu && !options.yes && !options.language && !options.framework && !options.dryRun && !options.workspace) {
     return await showMainMenu();
   } else {
     console.log(chalk.blue('🚀 Setting up Claude Code configuration...'));
@@ -536,6 +716,12 @@ async function createClaudeConfig(options = {}) {
   const projectInfo = await detectProject(targetDir);
   spinner.succeed('Project detection complete');
   
+  const workspaceMode = await chooseWorkspaceMode(projectInfo.workspace, options);
+  if (workspaceMode === 'packages') {
+    await setupWorkspacePackages(projectInfo.workspace, targetDir, options);
+    return;
+  }
+  
   let config;
   if (options.yes) {
     // Use defaults
@@ -592,6 +778,11 @@ async function createClaudeConfig(options = {}) {
     templateConfig.language = config.language; // Ensure language is available for MCP filtering
   }
   
+  // List the workspace packages in the root CLAUDE.md
+  if (workspaceMode === 'root') {
+    templateConfig.workspace = projectInfo.workspace;
+  }
+  
   // Install selected agents
   if (config.agents && config.agents.length > 0) {
     console.log(chalk.blue('🤖 Installing Claude Code agents...'));
@@ -620,6 +811,12 @@ async function createClaudeConfig(options = {}) {
     throw error;
   }
   
+  try {
+    await createInstallManifest(targetDir, templateConfig);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not record the install manifest, --upgrade will not work for this project: ${error.message}`));
+  }
+  
   // Show success message
   console.log(chalk.green('✅ Claude Code configuration setup complete!'));
   console.log(chalk.cyan('📚 Next steps:'));
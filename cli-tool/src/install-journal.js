@@ -0,0 +1,166 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_PATH = '.claude/.cct-journal.json';
+
+/**
+ * Hash file content
+ * @param {Buffer|string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the install journal of a project
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Object>} Journal (empty if the project has none)
+ */
+async function readJournal(targetDir) {
+  const journalPath = path.join(targetDir, JOURNAL_PATH);
+  if (!(await fs.pathExists(journalPath))) {
+    return { journalVersion: JOURNAL_VERSION, installs: [] };
+  }
+
+  const journal = await fs.readJson(journalPath);
+  if (journal.journalVersion > JOURNAL_VERSION) {
+    throw new Error(`${JOURNAL_PATH} was written by a newer claude-code-templates, please update`);
+  }
+  return journal;
+}
+
+/**
+ * Write the install journal of a project
+ * @param {string} targetDir - Project directory
+ * @param {Object} journal - Install journal
+ */
+async function writeJournal(targetDir, journal) {
+  const journalPath = path.join(targetDir, JOURNAL_PATH);
+  await fs.ensureDir(path.dirname(journalPath));
+  await fs.writeFile(journalPath, JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Remember the files an install is about to write, before it writes them
+ * @param {string} targetDir - Project directory
+ * @param {Array<string>} destinations - File paths relative to the project
+ * @returns {Promise<Object>} Snapshot for recordInstall
+ */
+async function snapshotFiles(targetDir, destinations) {
+  const files = new Map();
+  const directories = new Set();
+
+  for (const destination of destinations) {
+    const filePath = path.join(targetDir, destination);
+    files.set(destination, (await fs.pathExists(filePath)) ? await fs.readFile(filePath) : null);
+
+    // Directories the install will create, removed again by a rollback when left empty
+    let dir = path.posix.dirname(destination);
+    while (dir !== '.' && !directories.has(dir) && !(await fs.pathExists(path.join(targetDir, dir)))) {
+      directories.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  return { targetDir, files, directories: Array.from(directories) };
+}
+
+/**
+ * Find the backup copy createBackups made of a file
+ * @param {string} destination - File path relative to the project
+ * @param {Array<Object>} backups - Backups from createBackups ({ file, backup })
+ * @returns {string|null} Backup path relative to the project
+ */
+function getBackupPath(destination, backups) {
+  const match = backups.find(({ file }) => destination === file || (file.endsWith('/') && destination.startsWith(file)));
+  if (!match) {
+    return null;
+  }
+  return destination === match.file
+    ? match.backup
+    : path.posix.join(match.backup, destination.slice(match.file.length));
+}
+
+/**
+ * Compare a snapshot with the files on disk and append what changed to the journal
+ * @param {Object} snapshot - Snapshot from snapshotFiles
+ * @param {Object} details - Install type ('templates' or 'agents'), user action and backups made
+ * @returns {Promise<Object|null>} Journal entry, or null if nothing changed
+ */
+async function recordInstall(snapshot, { type, action = 'proceed', backups = [] } = {}) {
+  const { targetDir } = snapshot;
+  const files = [];
+
+  for (const [destination, before] of snapshot.files) {
+    const filePath = path.join(targetDir, destination);
+    if (!(await fs.pathExists(filePath))) {
+      continue;
+    }
+
+    const after = await fs.readFile(filePath);
+    if (!before) {
+      files.push({ path: destination, change: 'created', hash: hashContent(after) });
+      continue;
+    }
+    if (before.equals(after)) {
+      continue;
+    }
+
+    if (action === 'merge') {
+      try {
+        // Only settings.json and .mcp.json change in merge mode, keep both versions to undo it
+        files.push({
+          path: destination,
+          change: 'merged',
+          before: JSON.parse(before.toString('utf8')),
+          installed: JSON.parse(after.toString('utf8'))
+        });
+        continue;
+      } catch (error) {
+        // Not JSON, recorded as a replaced file below
+      }
+    }
+
+    files.push({
+      path: destination,
+      change: 'replaced',
+      hash: hashContent(after),
+      backup: getBackupPath(destination, backups)
+    });
+  }
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  const directories = [];
+  for (const dir of snapshot.directories) {
+    if (await fs.pathExists(path.join(targetDir, dir))) {
+      directories.push(dir);
+    }
+  }
+
+  // The journal itself may be what creates .claude (e.g. merging only .mcp.json)
+  const journalDir = path.posix.dirname(JOURNAL_PATH);
+  if (!directories.includes(journalDir) && !(await fs.pathExists(path.join(targetDir, journalDir)))) {
+    directories.push(journalDir);
+  }
+
+  const entry = { installedAt: new Date().toISOString(), type, action, files, directories };
+  const journal = await readJournal(targetDir);
+  journal.installs.push(entry);
+  await writeJournal(targetDir, journal);
+  return entry;
+}
+
+module.exports = {
+  JOURNAL_PATH,
+  hashContent,
+  readJournal,
+  writeJournal,
+  snapshotFiles,
+  recordInstall
+};
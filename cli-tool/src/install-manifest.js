@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const packageJson = require('../package.json');
+const { collectTemplateFiles } = require('./file-operations');
+const { hashContent } = require('./install-journal');
+const { getTemplateConfig } = require('./templates');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_PATH = '.claude/.cct-manifest.json';
+
+// JSON files whose installed content is kept so upgrades can three-way merge them
+const MERGEABLE_FILES = ['.claude/settings.json', '.mcp.json'];
+
+/**
+ * Build the manifest entries for a set of template files
+ * @param {Map<string, Buffer>} files - Files from collectTemplateFiles
+ * @returns {Object} Hashes per file and the installed content of mergeable JSON files
+ */
+function describeFiles(files) {
+  const entries = {};
+  const base = {};
+
+  files.forEach((content, destination) => {
+    entries[destination] = { hash: hashContent(content) };
+    if (MERGEABLE_FILES.includes(destination)) {
+      try {
+        base[destination] = JSON.parse(content.toString('utf8'));
+      } catch (error) {
+        // Not valid JSON, upgrades treat it like any other file
+      }
+    }
+  });
+
+  return { files: entries, base };
+}
+
+/**
+ * Recreate the template configuration a manifest was installed with
+ * @param {Object} manifest - Install manifest
+ * @returns {Object} Template configuration for collectTemplateFiles
+ */
+function getManifestTemplateConfig(manifest) {
+  const templateConfig = getTemplateConfig({ language: manifest.language, framework: manifest.framework });
+
+  if (manifest.hooks) {
+    templateConfig.selectedHooks = manifest.hooks;
+  }
+  if (manifest.mcps) {
+    templateConfig.selectedMCPs = manifest.mcps;
+  }
+  if (manifest.workspace) {
+    templateConfig.workspace = manifest.workspace;
+  }
+  return templateConfig;
+}
+
+/**
+ * Read the install manifest of a project
+ * @param {string} targetDir - Project directory
+ * @returns {Promise<Object|null>} Manifest, or null if the project has none
+ */
+async function readManifest(targetDir) {
+  const manifestPath = path.join(targetDir, MANIFEST_PATH);
+  if (!(await fs.pathExists(manifestPath))) {
+    return null;
+  }
+
+  const manifest = await fs.readJson(manifestPath);
+  if (manifest.manifestVersion > MANIFEST_VERSION) {
+    throw new Error(`${MANIFEST_PATH} was written by a newer claude-code-templates, please update`);
+  }
+  return manifest;
+}
+
+/**
+ * Write the install manifest of a project
+ * @param {string} targetDir - Project directory
+ * @param {Object} manifest - Install manifest
+ */
+async function writeManifest(targetDir, manifest) {
+  const manifestPath = path.join(targetDir, MANIFEST_PATH);
+  await fs.ensureDir(path.dirname(manifestPath));
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Record the template version, selections and file hashes of an install
+ * @param {string} targetDir - Project directory
+ * @param {Object} templateConfig - Template configuration that was installed
+ * @returns {Promise<Object>} Manifest
+ */
+async function createInstallManifest(targetDir, templateConfig) {
+  const files = await collectTemplateFiles(templateConfig);
+  const now = new Date().toISOString();
+
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    templateVersion: packageJson.version,
+    installedAt: now,
+    updatedAt: now,
+    language: templateConfig.language,
+    framework: templateConfig.framework || 'none',
+    hooks: templateConfig.selectedHooks || null,
+    mcps: templateConfig.selectedMCPs || null,
+    workspace: templateConfig.workspace || null,
+    ...describeFiles(files)
+  };
+
+  await writeManifest(targetDir, manifest);
+  console.log(chalk.gray(`📄 Recorded installed template files in ${MANIFEST_PATH} (used by --upgrade)`));
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  MERGEABLE_FILES,
+  hashContent,
+  describeFiles,
+  getManifestTemplateConfig,
+  readManifest,
+  writeManifest,
+  createInstallManifest
+};
@@ -0,0 +1,425 @@
+const chalk = require('chalk');
+
+/**
+ * JSON-aware merge of Claude Code configuration files (.claude/settings.json, .mcp.json)
+ *
+ * Merges are three-way when the previously installed template (base) is known:
+ * a value the user never changed is updated, a value only the user changed is kept,
+ * and a value both changed is a conflict. Without a base every differing value is a
+ * conflict. Conflicts always keep the user's value and are reported to the caller.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function formatPath(pathParts) {
+  return pathParts.reduce((result, part) => {
+    if (part.startsWith('[')) {
+      return `${result}${part}`;
+    }
+    return result ? `${result}.${part}` : part;
+  }, '');
+}
+
+/**
+ * Resolve a value both sides define differently
+ * @param {*} current - User's value
+ * @param {*} incoming - Template value
+ * @param {*} base - Previously installed template value (undefined if unknown)
+ * @param {Array<string>} pathParts - Location of the value
+ * @param {Object} report - Collects conflicts
+ * @returns {*} Resolved value
+ */
+function resolveValue(current, incoming, base, pathParts, report) {
+  if (base !== undefined && isEqual(current, base)) {
+    return incoming; // Only the template changed
+  }
+  if (base !== undefined && isEqual(incoming, base)) {
+    return current; // Only the user changed
+  }
+
+  report.conflicts.push({ path: formatPath(pathParts), current, incoming });
+  return current;
+}
+
+/**
+ * Union two arrays, keeping the user's order and items
+ * Items the user removed since the base was installed are not added back
+ */
+function mergeArrays(current, incoming, base) {
+  const result = [...current];
+  incoming.forEach(item => {
+    const present = result.some(existing => isEqual(existing, item));
+    const removedByUser = Array.isArray(base) && base.some(existing => isEqual(existing, item));
+    if (!present && !removedByUser) {
+      result.push(item);
+    }
+  });
+  return result;
+}
+
+/**
+ * Merge arrays of objects identified by a key (hook groups by matcher, hooks by command)
+ * Items with the same key are merged recursively, new keys are appended
+ */
+function mergeKeyedArrays(current, incoming, base, keyOf, pathParts, report, mergeItem) {
+  const result = [...current];
+  const baseItems = Array.isArray(base) ? base : [];
+
+  incoming.forEach(item => {
+    const key = keyOf(item);
+    const index = result.findIndex(existing => keyOf(existing) === key);
+    const baseItem = baseItems.find(existing => keyOf(existing) === key);
+
+    if (index === -1) {
+      // Not re-added when the user deleted it after the last install
+      if (!baseItem) {
+        result.push(item);
+      }
+      return;
+    }
+
+    result[index] = mergeItem(result[index], item, baseItem, [...pathParts, `[${key}]`], report);
+  });
+
+  return result;
+}
+
+/**
+ * Deep merge a template value into the user's value
+ * @param {*} current - User's value
+ * @param {*} incoming - Template value
+ * @param {*} base - Previously installed template value (undefined if unknown)
+ * @param {Array<string>} pathParts - Location of the value
+ * @param {Object} report - Collects conflicts
+ * @returns {*} Merged value
+ */
+function mergeJson(current, incoming, base, pathParts = [], report = { conflicts: [] }) {
+  if (incoming === undefined) {
+    return current;
+  }
+  if (current === undefined) {
+    // The user deleted a template value: keep it deleted unless the template changed it
+    return base !== undefined && isEqual(incoming, base) ? undefined : incoming;
+  }
+  if (isEqual(current, incoming)) {
+    return current;
+  }
+
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const result = { ...current };
+    Object.keys(incoming).forEach(key => {
+      const merged = mergeJson(current[key], incoming[key], baseObject[key], [...pathParts, key], report);
+      if (merged === undefined) {
+        delete result[key];
+      } else {
+        result[key] = merged;
+      }
+    });
+    return result;
+  }
+
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    return mergeArrays(current, incoming, base);
+  }
+
+  return resolveValue(current, incoming, base, pathParts, report);
+}
+
+/**
+ * Keep the user's key order so the written file only differs where it changed
+ */
+function restoreKeyOrder(merged, current) {
+  const result = {};
+  Object.keys(current || {}).forEach(key => {
+    if (key in merged) {
+      result[key] = merged[key];
+    }
+  });
+  Object.keys(merged).forEach(key => {
+    if (!(key in result)) {
+      result[key] = merged[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Merge one hook group; the hooks of groups with the same matcher are unioned by command
+ */
+function mergeHookGroup(current, incoming, base, pathParts, report) {
+  const { hooks: currentHooks = [], ...currentRest } = current;
+  const { hooks: incomingHooks = [], ...incomingRest } = incoming;
+  const { hooks: baseHooks, ...baseRest } = base || {};
+
+  const merged = mergeJson(currentRest, incomingRest, base ? baseRest : undefined, pathParts, report);
+  merged.hooks = mergeKeyedArrays(
+    currentHooks,
+    incomingHooks,
+    baseHooks,
+    hook => hook.command || JSON.stringify(hook),
+    pathParts,
+    report,
+    mergeJson
+  );
+  return merged;
+}
+
+/**
+ * Merge template settings into an existing .claude/settings.json
+ * Hook groups are unioned by matcher, permissions and other arrays by value,
+ * objects (env, ...) key by key
+ * @param {Object} current - Existing settings
+ * @param {Object} incoming - Template settings
+ * @param {Object} base - Settings installed last time, if known
+ * @returns {Object} Merged settings and conflicts
+ */
+function mergeSettings(current, incoming, base = undefined) {
+  const report = { conflicts: [] };
+  const { hooks: currentHooks, ...currentRest } = current || {};
+  const { hooks: incomingHooks, ...incomingRest } = incoming || {};
+  const { hooks: baseHooks, ...baseRest } = base || {};
+
+  const merged = mergeJson(currentRest, incomingRest, base ? baseRest : undefined, [], report);
+
+  if (currentHooks || incomingHooks) {
+    const hooks = { ...(currentHooks || {}) };
+    Object.entries(incomingHooks || {}).forEach(([event, groups]) => {
+      hooks[event] = mergeKeyedArrays(
+        hooks[event] || [],
+        groups,
+        baseHooks ? baseHooks[event] : undefined,
+        group => group.matcher || '*',
+        ['hooks', event],
+        report,
+        mergeHookGroup
+      );
+    });
+    merged.hooks = hooks;
+  }
+
+  return { merged: restoreKeyOrder(merged, current), conflicts: report.conflicts };
+}
+
+/**
+ * Merge template MCP servers into an existing .mcp.json
+ * Servers are added by name; a server defined differently on both sides is a conflict
+ * (its fields are never mixed, a half-merged command line would not start)
+ * @param {Object} current - Existing MCP config
+ * @param {Object} incoming - Template MCP config
+ * @param {Object} base - MCP config installed last time, if known
+ * @returns {Object} Merged config and conflicts
+ */
+function mergeMCPConfig(current, incoming, base = undefined) {
+  const report = { conflicts: [] };
+  const { mcpServers: currentServers = {}, ...currentRest } = current || {};
+  const { mcpServers: incomingServers = {}, ...incomingRest } = incoming || {};
+  const { mcpServers: baseServers = {}, ...baseRest } = base || {};
+
+  const merged = mergeJson(currentRest, incomingRest, base ? baseRest : undefined, [], report);
+  const servers = { ...currentServers };
+
+  Object.entries(incomingServers).forEach(([name, server]) => {
+    const baseServer = base ? baseServers[name] : undefined;
+    if (!(name in servers)) {
+      if (baseServer === undefined) {
+        servers[name] = server;
+      }
+      return;
+    }
+    if (!isEqual(servers[name], server)) {
+      servers[name] = resolveValue(servers[name], server, baseServer, ['mcpServers', name], report);
+    }
+  });
+
+  merged.mcpServers = servers;
+  return { merged: restoreKeyOrder(merged, current), conflicts: report.conflicts };
+}
+
+/**
+ * Identify an array item across versions of a file: hooks by command, hook groups by matcher
+ */
+function getItemKey(item) {
+  if (!isPlainObject(item)) {
+    return JSON.stringify(item);
+  }
+  if ('command' in item) {
+    return `[${item.command}]`;
+  }
+  if ('hooks' in item) {
+    return `[${item.matcher || '*'}]`;
+  }
+  return JSON.stringify(item);
+}
+
+/**
+ * Undo a merge: remove what it added (keys, array items, hooks, MCP servers) from the current file
+ * Merges never change values that already existed, so only additions are removed; an addition
+ * the user has changed since is kept and reported
+ * @param {*} current - Value now
+ * @param {*} before - Value before the merge (undefined if the merge added it)
+ * @param {*} installed - Value the merge wrote
+ * @param {Array<string>} pathParts - Location of the value
+ * @param {Object} report - Collects kept additions
+ * @returns {*} Value without the merged additions (undefined when it should be deleted)
+ */
+function revertMerge(current, before, installed, pathParts = [], report = { kept: [] }) {
+  if (before === undefined) {
+    if (isEqual(current, installed)) {
+      return undefined;
+    }
+    report.kept.push(formatPath(pathParts));
+    return current;
+  }
+
+  if (isPlainObject(current) && isPlainObject(installed) && isPlainObject(before)) {
+    const result = { ...current };
+    Object.keys(installed).forEach(key => {
+      if (!(key in result)) {
+        return;
+      }
+      const reverted = revertMerge(result[key], before[key], installed[key], [...pathParts, key], report);
+      if (reverted === undefined) {
+        delete result[key];
+      } else {
+        result[key] = reverted;
+      }
+    });
+    return result;
+  }
+
+  if (Array.isArray(current) && Array.isArray(installed) && Array.isArray(before)) {
+    const result = [];
+    current.forEach(item => {
+      const key = getItemKey(item);
+      const installedItem = installed.find(other => getItemKey(other) === key);
+      const beforeItem = before.find(other => getItemKey(other) === key);
+      const reverted = installedItem === undefined
+        ? item
+        : revertMerge(item, beforeItem, installedItem, [...pathParts, key.startsWith('[') ? key : `[${key}]`], report);
+      if (reverted !== undefined) {
+        result.push(reverted);
+      }
+    });
+    return result;
+  }
+
+  return current;
+}
+
+/**
+ * Line diff of two JSON documents (longest common subsequence)
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @returns {Array<Object>} Lines with type ' ', '+' or '-'
+ */
+function diffJson(before, after) {
+  return diffLines(
+    before === undefined ? [] : JSON.stringify(before, null, 2).split('\n'),
+    JSON.stringify(after, null, 2).split('\n')
+  );
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Lines with type ' ', '+' or '-'
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: '-', line: a[i++] });
+    } else {
+      lines.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: '-', line: a[i++] });
+  while (j < b.length) lines.push({ type: '+', line: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Format a diff for the terminal, collapsing unchanged runs
+ * @param {Array<Object>} lines - Lines from diffJson or diffLines
+ * @param {number} context - Unchanged lines shown around each change
+ * @returns {string} Colored diff
+ */
+function formatDiff(lines, context = 3) {
+  const changed = lines.map((line, index) => (line.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  const visible = new Set();
+  changed.forEach(index => {
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      visible.add(k);
+    }
+  });
+
+  const output = [];
+  let skipped = false;
+  lines.forEach((line, index) => {
+    if (!visible.has(index)) {
+      skipped = true;
+      return;
+    }
+    if (skipped) {
+      output.push(chalk.gray('   ...'));
+      skipped = false;
+    }
+    if (line.type === '+') {
+      output.push(chalk.green(`+  ${line.line}`));
+    } else if (line.type === '-') {
+      output.push(chalk.red(`-  ${line.line}`));
+    } else {
+      output.push(chalk.gray(`   ${line.line}`));
+    }
+  });
+  if (skipped) {
+    output.push(chalk.gray('   ...'));
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Format merge conflicts for the terminal
+ * @param {Array<Object>} conflicts - Conflicts from mergeSettings/mergeMCPConfig
+ * @returns {string} Conflict report
+ */
+function formatConflicts(conflicts) {
+  return conflicts.map(conflict => [
+    chalk.yellow(`   • ${conflict.path}`),
+    chalk.gray(`       kept:     ${JSON.stringify(conflict.current)}`),
+    chalk.gray(`       template: ${JSON.stringify(conflict.incoming)}`)
+  ].join('\n')).join('\n');
+}
+
+module.exports = {
+  mergeJson,
+  mergeSettings,
+  mergeMCPConfig,
+  revertMerge,
+  diffJson,
+  diffLines,
+  formatDiff,
+  formatConflicts
+};
@@ -0,0 +1,220 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+// Team policy, checked into the project next to the settings
+const POLICY_PATH = '.claude/permission-policy.json';
+
+// Like Claude Code's permission rules, deny wins over ask and ask over allow
+const DECISIONS = ['deny', 'ask', 'allow'];
+const PATH_SCOPES = ['inside', 'outside'];
+const RULE_FIELDS = ['decision', 'tool', 'command', 'path', 'reason'];
+
+// Search tools without a path argument work in the current directory
+const CWD_TOOLS = ['Glob', 'Grep', 'LS'];
+
+// Glob patterns that can reach outside the search directory count as paths too
+const PATTERN_FIELDS = { Glob: ['pattern'], Grep: ['pattern', 'glob'] };
+
+/**
+ * Compile a regex from the policy file
+ * @param {string} source - Regex source
+ * @param {string} label - Rule label for the error message
+ * @param {boolean} anchored - Match the whole value, like hook matchers
+ * @returns {RegExp} Compiled regex
+ */
+function compilePattern(source, label, anchored) {
+  if (typeof source !== 'string' || !source) {
+    throw new Error(`${label} must be a non-empty regex string`);
+  }
+  try {
+    return new RegExp(anchored ? `^(?:${source})$` : source);
+  } catch (error) {
+    throw new Error(`${label} is not a valid regex: ${error.message}`);
+  }
+}
+
+/**
+ * Validate policy rules and compile their patterns
+ * @param {Object} policy - Parsed policy file: { rules: [...] }
+ * @returns {Array} Rules with index, decision, tool, command, path and reason
+ * @throws {Error} When a rule is invalid
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || !Array.isArray(policy.rules)) {
+    throw new Error(`${POLICY_PATH} must contain a "rules" array`);
+  }
+
+  return policy.rules.map((rule, index) => {
+    const label = `rule #${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown field "${unknown[0]}". Fields: ${RULE_FIELDS.join(', ')}`);
+    }
+    if (!DECISIONS.includes(rule.decision)) {
+      throw new Error(`${label}: decision must be one of ${DECISIONS.join(', ')}, got "${rule.decision}"`);
+    }
+    if (rule.path !== undefined && !PATH_SCOPES.includes(rule.path)) {
+      throw new Error(`${label}: path must be one of ${PATH_SCOPES.join(', ')}, got "${rule.path}"`);
+    }
+
+    return {
+      index: index + 1,
+      decision: rule.decision,
+      tool: rule.tool === undefined ? null : compilePattern(rule.tool, `${label}: tool`, true),
+      command: rule.command === undefined ? null : compilePattern(rule.command, `${label}: command`, false),
+      path: rule.path || null,
+      reason: rule.reason || null
+    };
+  });
+}
+
+/**
+ * Load the permission policy of a project
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Array|null>} Validated rules, or null when the project has no policy
+ */
+async function loadPermissionPolicy(projectDir) {
+  const policyPath = path.join(projectDir, POLICY_PATH);
+  if (!(await fs.pathExists(policyPath))) {
+    return null;
+  }
+
+  let policy;
+  try {
+    policy = await fs.readJson(policyPath);
+  } catch (error) {
+    throw new Error(`Cannot parse ${POLICY_PATH}: ${error.message}`);
+  }
+  return validatePolicy(policy);
+}
+
+/**
+ * Get the paths a tool call reads or writes, resolved against its working directory
+ * An absolute, ~ or ..-containing Glob/Grep pattern is one of them, e.g. Glob /etc/** searches /etc
+ * @param {Object} payload - PreToolUse hook event
+ * @returns {Array<string>} Absolute paths (empty for tools without paths, like Bash)
+ */
+function getToolPaths(payload) {
+  const input = payload.tool_input || {};
+  const cwd = payload.cwd || process.cwd();
+  const target = input.file_path || input.notebook_path || input.path ||
+    (CWD_TOOLS.includes(payload.tool_name) ? cwd : null);
+  const paths = target ? [path.resolve(cwd, target)] : [];
+
+  (PATTERN_FIELDS[payload.tool_name] || []).forEach(field => {
+    const pattern = input[field];
+    if (typeof pattern !== 'string') {
+      return;
+    }
+    if (/^~(?=[\\/]|$)/.test(pattern)) {
+      paths.push(path.join(os.homedir(), pattern.slice(1)));
+    } else if (path.isAbsolute(pattern) || pattern.split(/[\\/]/).includes('..')) {
+      paths.push(path.resolve(paths[0] || cwd, pattern));
+    }
+  });
+  return paths;
+}
+
+/**
+ * Resolve symlinks in a path, so a link inside the project to a file outside it counts as outside
+ * Paths that do not exist yet (e.g. a file to write) are resolved through their nearest existing parent
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string>} Real path
+ */
+async function resolveRealPath(filePath) {
+  let existing = filePath;
+  const rest = [];
+  while (!(await fs.pathExists(existing))) {
+    const parent = path.dirname(existing);
+    if (parent === existing) {
+      return filePath;
+    }
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(await fs.realpath(existing), ...rest);
+}
+
+/**
+ * Check whether a path is the project directory or below it
+ * @param {string} filePath - Absolute path
+ * @param {string} projectDir - Project directory
+ * @returns {boolean} True if inside the project
+ */
+function isInsideProject(filePath, projectDir) {
+  const relative = path.relative(path.resolve(projectDir), filePath);
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+}
+
+/**
+ * Check whether a rule applies to a tool call
+ * @param {Object} rule - Validated rule
+ * @param {Object} payload - PreToolUse hook event
+ * @param {string} projectDir - Real path of the project directory
+ * @returns {Promise<boolean>} True if every condition of the rule matches
+ */
+async function ruleMatches(rule, payload, projectDir) {
+  if (rule.tool && !rule.tool.test(payload.tool_name || '')) {
+    return false;
+  }
+  if (rule.command) {
+    const command = (payload.tool_input || {}).command;
+    if (typeof command !== 'string' || !rule.command.test(command)) {
+      return false;
+    }
+  }
+  if (rule.path) {
+    const paths = await Promise.all(getToolPaths(payload).map(resolveRealPath));
+    if (paths.length === 0) {
+      return false;
+    }
+    const inside = paths.every(filePath => isInsideProject(filePath, projectDir));
+    if ((rule.path === 'inside') !== inside) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Evaluate the policy for a tool call
+ * @param {Array} rules - Validated rules
+ * @param {Object} payload - PreToolUse hook event
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object|null>} { decision, rule, reason } of the strongest matching rule, or null when none matches
+ */
+async function evaluatePolicy(rules, payload, projectDir) {
+  const realProjectDir = await resolveRealPath(path.resolve(projectDir));
+  const matching = [];
+  for (const rule of rules || []) {
+    if (await ruleMatches(rule, payload, realProjectDir)) {
+      matching.push(rule);
+    }
+  }
+
+  for (const decision of DECISIONS) {
+    const rule = matching.find(candidate => candidate.decision === decision);
+    if (rule) {
+      return {
+        decision,
+        rule: rule.index,
+        reason: rule.reason || `Permission policy rule #${rule.index} (${POLICY_PATH})`
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  POLICY_PATH,
+  validatePolicy,
+  loadPermissionPolicy,
+  getToolPaths,
+  resolveRealPath,
+  isInsideProject,
+  evaluatePolicy
+};
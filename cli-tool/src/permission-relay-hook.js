@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * PreToolUse hook that relays permission requests to the claude-code-templates dashboard.
+ * Installed into .claude/hooks/ by `--install-permission-relay`; uses only Node built-ins
+ * because it runs from the project, outside this package.
+ *
+ * Reads the hook event on stdin, asks the dashboard's console bridge over a local socket
+ * and waits for the answer given in the Agents page:
+ *   allow - the tool runs without a terminal prompt
+ *   deny  - the tool call is blocked and Claude is told why
+ *   ask   - no decision, Claude Code's own permission flow decides (the terminal prompt)
+ * The default decision is used when the dashboard is not running or nobody answers in time.
+ * Rules in the project's .claude/permission-policy.json are applied by the dashboard first.
+ *
+ * Usage: node permission-relay.js [--timeout <seconds>] [--default ask|deny] [--socket <path>]
+ */
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function getSocketPath() {
+  if (process.env.CCT_PERMISSION_RELAY_SOCKET) {
+    return process.env.CCT_PERMISSION_RELAY_SOCKET;
+  }
+  return process.platform === 'win32'
+    ? '\\\\.\\pipe\\claude-code-templates-permission-relay'
+    : path.join(os.homedir(), '.claude-code-templates', 'permission-relay.sock');
+}
+
+function parseArgs(argv) {
+  const options = { timeout: 55, defaultDecision: 'ask', socketPath: getSocketPath() };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--timeout') options.timeout = Number(argv[++i]) || options.timeout;
+    else if (argv[i] === '--default') options.defaultDecision = argv[++i] === 'deny' ? 'deny' : 'ask';
+    else if (argv[i] === '--socket') options.socketPath = argv[++i];
+  }
+  return options;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => resolve(input));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Ask the console bridge for a decision
+ * @returns {Promise<Object|null>} { decision, reason }, or null when the bridge did not answer
+ */
+function requestDecision(payload, options) {
+  return new Promise(resolve => {
+    const body = JSON.stringify({
+      payload,
+      // The permission policy is read from the project, which may not be the hook's cwd
+      projectDir: process.env.CLAUDE_PROJECT_DIR || null,
+      timeout: options.timeout,
+      defaultDecision: options.defaultDecision
+    });
+    const request = http.request({
+      socketPath: options.socketPath,
+      path: '/permission',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        clearTimeout(timer);
+        try {
+          resolve(response.statusCode === 200 ? JSON.parse(data) : null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    });
+
+    // The bridge gives up at the same time, a small margin covers the round trip
+    const timer = setTimeout(() => {
+      request.destroy();
+      resolve(null);
+    }, options.timeout * 1000 + 2000);
+
+    request.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Turn a decision into the hook's stdout (nothing for "ask", so Claude Code decides as usual)
+ */
+function formatDecision(result, options) {
+  const { decision, reason } = result || {
+    decision: options.defaultDecision,
+    reason: 'No answer from the claude-code-templates dashboard'
+  };
+  if (decision !== 'allow' && decision !== 'deny') {
+    return '';
+  }
+  return JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: decision,
+      permissionDecisionReason: reason || (decision === 'allow' ? 'Approved in the dashboard' : 'Denied in the dashboard')
+    }
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let payload;
+  try {
+    payload = JSON.parse(await readStdin());
+  } catch (error) {
+    // Not a hook event, leave the decision to Claude Code
+    return;
+  }
+
+  const output = formatDecision(await requestDecision(payload, options), options);
+  if (output) {
+    process.stdout.write(output + '\n');
+  }
+}
+
+if (require.main === module) {
+  main().then(() => process.exit(0), () => process.exit(0));
+}
+
+module.exports = { getSocketPath, parseArgs, requestDecision, formatDecision };
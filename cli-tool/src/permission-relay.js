@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { saveHook } = require('./hook-builder');
+const { getSocketPath } = require('./permission-relay-hook');
+const { POLICY_PATH, loadPermissionPolicy } = require('./permission-policy');
+
+// Where the hook script is copied in the project, so it keeps working without this package
+const HOOK_SCRIPT_PATH = '.claude/hooks/permission-relay.js';
+
+// Tools that change files, run commands or reach the network; read-only tools are not relayed
+const DEFAULT_MATCHER = 'Bash|Edit|MultiEdit|Write|NotebookEdit|WebFetch';
+
+// Claude Code's tools, to find the ones a policy rule names
+const CLAUDE_CODE_TOOLS = [
+  'Bash', 'Edit', 'MultiEdit', 'Write', 'NotebookEdit', 'Read', 'NotebookRead',
+  'Glob', 'Grep', 'LS', 'WebFetch', 'WebSearch', 'Task', 'TodoWrite'
+];
+
+const DEFAULT_TIMEOUT_SECONDS = 55;
+const DEFAULT_DECISIONS = ['ask', 'deny'];
+
+/**
+ * Build the PreToolUse hook entry that runs the relay script
+ * @param {Object} settings - timeout (seconds) and defaultDecision (ask or deny)
+ * @returns {Object} Hook entry for .claude/settings.json
+ */
+function buildRelayHook({ timeout = DEFAULT_TIMEOUT_SECONDS, defaultDecision = 'ask' } = {}) {
+  return {
+    type: 'command',
+    command: `node "$CLAUDE_PROJECT_DIR/${HOOK_SCRIPT_PATH}" --timeout ${timeout} --default ${defaultDecision}`,
+    // Claude Code must not cancel the hook before the relay's own timeout decides
+    timeout: timeout + 5
+  };
+}
+
+/**
+ * Find the tools that policy rules decide but the relay matcher does not send to the relay
+ * Rules without a tool pattern apply to whatever is relayed and are not counted
+ * @param {string} matcher - Hook matcher
+ * @param {Array|null} rules - Validated policy rules
+ * @returns {Array<string>} Tool names
+ */
+function findUnrelayedPolicyTools(matcher, rules) {
+  const relayed = new RegExp(`^(?:${matcher})$`);
+  return CLAUDE_CODE_TOOLS.filter(tool => !relayed.test(tool) &&
+    (rules || []).some(rule => rule.tool && rule.tool.test(tool)));
+}
+
+/**
+ * Install the permission relay hook in a project
+ * @param {Object} options - CLI options (directory, yes)
+ * @returns {Promise<boolean>} Whether the hook was installed
+ */
+async function installPermissionRelay(options = {}) {
+  const targetDir = options.directory || process.cwd();
+
+  console.log(chalk.blue('🔐 Dashboard Permission Relay'));
+  console.log(chalk.gray('Tool calls matching the hook wait for Yes/No in the Agents page of the dashboard (--chats).'));
+  console.log(chalk.gray('When the dashboard is closed or nobody answers in time, the default decision applies.\n'));
+
+  let rules = null;
+  try {
+    rules = await loadPermissionPolicy(targetDir);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  ${error.message}, the default matcher is used`));
+  }
+
+  // Tools the policy has rules for must reach the relay, or the rules never apply
+  const policyTools = findUnrelayedPolicyTools(DEFAULT_MATCHER, rules);
+  const matcher = [DEFAULT_MATCHER, ...policyTools].join('|');
+  if (policyTools.length > 0) {
+    console.log(chalk.gray(`Relaying ${policyTools.join(', ')} as well, ${POLICY_PATH} has rules for them.\n`));
+  }
+
+  let settings = { matcher, timeout: DEFAULT_TIMEOUT_SECONDS, defaultDecision: 'ask' };
+  if (!options.yes) {
+    settings = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'matcher',
+        message: 'Tools to relay (tool name or regex):',
+        default: matcher,
+        validate: value => {
+          try {
+            new RegExp(value);
+            return true;
+          } catch (error) {
+            return `Invalid regex: ${error.message}`;
+          }
+        }
+      },
+      {
+        type: 'number',
+        name: 'timeout',
+        message: 'Seconds to wait for an answer in the dashboard:',
+        default: DEFAULT_TIMEOUT_SECONDS,
+        validate: value => (Number.isInteger(value) && value > 0 && value <= 600) || 'Enter whole seconds between 1 and 600'
+      },
+      {
+        type: 'list',
+        name: 'defaultDecision',
+        message: 'Without an answer:',
+        choices: [
+          { name: 'Ask in the terminal as usual', value: 'ask' },
+          { name: 'Deny the tool call', value: 'deny' }
+        ]
+      }
+    ]);
+  }
+
+  if (!DEFAULT_DECISIONS.includes(settings.defaultDecision)) {
+    throw new Error(`Unknown default decision "${settings.defaultDecision}". Use one of: ${DEFAULT_DECISIONS.join(', ')}`);
+  }
+
+  const unrelayed = findUnrelayedPolicyTools(settings.matcher, rules);
+  if (unrelayed.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${POLICY_PATH} has rules for ${unrelayed.join(', ')}, which the matcher does not relay: those rules will not apply`));
+  }
+
+  const script = await fs.readFile(path.join(__dirname, 'permission-relay-hook.js'), 'utf8');
+  const saved = await saveHook(targetDir, 'PreToolUse', settings.matcher, buildRelayHook(settings), {
+    files: { [HOOK_SCRIPT_PATH]: script },
+    yes: options.yes
+  });
+
+  if (saved) {
+    console.log(chalk.green('\n✅ Permission relay installed'));
+    console.log(chalk.gray(`💡 Start the dashboard with --chats; it listens on ${getSocketPath()}`));
+    console.log(chalk.gray('💡 --rollback removes the hook again'));
+  }
+  return saved;
+}
+
+module.exports = {
+  HOOK_SCRIPT_PATH,
+  DEFAULT_MATCHER,
+  buildRelayHook,
+  findUnrelayedPolicyTools,
+  installPermissionRelay
+};
@@ -0,0 +1,410 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const StateCalculator = require('./analytics/core/StateCalculator');
+const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
+const SessionAnalyzer = require('./analytics/core/SessionAnalyzer');
+const CostCalculator = require('./analytics/core/CostCalculator');
+const DataCache = require('./analytics/data/DataCache');
+const ConversationIndex = require('./analytics/data/ConversationIndex');
+
+const REPORT_FORMATS = ['table', 'json', 'csv', 'md'];
+const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Round a cost to 4 decimal places for output
+ * @param {number} value - Cost
+ * @returns {number} Rounded cost
+ */
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as local time
+ * @param {string} value - Date string
+ * @param {string} flag - Flag name used in error messages
+ * @returns {Date} Start of the given day
+ */
+function parseDay(value, flag) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+
+  if (!date || date.getMonth() !== Number(match[2]) - 1) {
+    throw new Error(`Invalid ${flag} date "${value}", expected YYYY-MM-DD`);
+  }
+
+  return date;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD day
+ * @param {Date} date - Date
+ * @returns {string} Day string
+ */
+function formatDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * UsageReport - Headless usage report for a date range
+ * Reuses the analytics modules without starting the web server
+ */
+class UsageReport {
+  constructor(options = {}) {
+    this.options = {
+      claudeDir: path.join(os.homedir(), '.claude'),
+      top: 10,
+      ...options
+    };
+
+    this.range = this.resolveRange(this.options.from, this.options.to);
+  }
+
+  /**
+   * Resolve the report date range (defaults to the last 7 days)
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Object} Range with start and end dates
+   */
+  resolveRange(from, to) {
+    const endDay = to ? parseDay(to, '--to') : parseDay(formatDay(new Date()), '--to');
+    const startDay = from
+      ? parseDay(from, '--from')
+      : new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate() - (DEFAULT_RANGE_DAYS - 1));
+
+    if (startDay > endDay) {
+      throw new Error('--from date must not be after --to date');
+    }
+
+    return {
+      start: startDay,
+      end: new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate() + 1) // exclusive
+    };
+  }
+
+  /**
+   * Check if a message timestamp falls inside the report range
+   * @param {Object} message - Parsed message
+   * @returns {boolean} True if in range
+   */
+  isInRange(message) {
+    const time = new Date(message.timestamp);
+    return time >= this.range.start && time < this.range.end;
+  }
+
+  /**
+   * Load conversations and build the report data
+   * @returns {Promise<Object>} Report data
+   */
+  async generate() {
+    if (!(await fs.pathExists(this.options.claudeDir))) {
+      throw new Error(`Claude Code directory not found at ${this.options.claudeDir}`);
+    }
+
+    const dataCache = new DataCache();
+    const conversationIndex = new ConversationIndex(this.options.indexPath ? { dbPath: this.options.indexPath } : {});
+    const costCalculator = new CostCalculator();
+
+    try {
+      await conversationIndex.initialize();
+      await costCalculator.loadRates();
+
+      const analyzer = new ConversationAnalyzer(this.options.claudeDir, dataCache, conversationIndex, costCalculator);
+      const conversations = await analyzer.loadConversations(new StateCalculator());
+
+      return await this.buildReport(conversations, analyzer, costCalculator);
+    } finally {
+      conversationIndex.close();
+      dataCache.destroy();
+    }
+  }
+
+  /**
+   * Aggregate the in-range messages of every conversation
+   * @param {Array} conversations - Conversations from ConversationAnalyzer
+   * @param {Object} analyzer - ConversationAnalyzer instance
+   * @param {Object} costCalculator - CostCalculator instance
+   * @returns {Promise<Object>} Report data
+   */
+  async buildReport(conversations, analyzer, costCalculator) {
+    const totals = {
+      conversations: 0,
+      messages: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 0,
+      totalTokens: 0,
+      toolCalls: 0,
+      cost: 0,
+      currency: costCalculator.currency
+    };
+    const projects = new Map();
+    const tools = new Map();
+    const days = new Map();
+    const sessionInput = [];
+
+    for (const conversation of conversations) {
+      const indexed = await analyzer.getIndexedConversation(conversation.filePath);
+      const messages = (indexed ? indexed.messages : await analyzer.getParsedConversation(conversation.filePath))
+        .filter(message => this.isInRange(message));
+
+      if (messages.length === 0) {
+        continue;
+      }
+
+      const tokenUsage = analyzer.calculateRealTokenUsage(messages);
+      const toolUsage = analyzer.extractToolUsage(messages);
+      const cost = costCalculator.calculateConversationCost(messages);
+
+      totals.conversations++;
+      totals.messages += messages.length;
+      totals.inputTokens += tokenUsage.inputTokens;
+      totals.outputTokens += tokenUsage.outputTokens;
+      totals.cacheCreationTokens += tokenUsage.cacheCreationTokens;
+      totals.cacheReadTokens += tokenUsage.cacheReadTokens;
+      totals.totalTokens += tokenUsage.total;
+      totals.toolCalls += toolUsage.totalToolCalls;
+      totals.cost += cost.total;
+
+      const projectName = conversation.project || 'Unknown';
+      const project = projects.get(projectName) || { project: projectName, conversations: 0, messages: 0, tokens: 0, cost: 0 };
+      project.conversations++;
+      project.messages += messages.length;
+      project.tokens += tokenUsage.total;
+      project.cost += cost.total;
+      projects.set(projectName, project);
+
+      Object.entries(toolUsage.toolStats).forEach(([tool, calls]) => {
+        tools.set(tool, (tools.get(tool) || 0) + calls);
+      });
+
+      Object.entries(cost.tokensByDay).forEach(([date, tokens]) => {
+        const day = days.get(date) || { date, tokens: 0, cost: 0 };
+        day.tokens += tokens;
+        day.cost += cost.byDay[date] || 0;
+        days.set(date, day);
+      });
+
+      sessionInput.push({ id: conversation.id, messageCount: messages.length, parsedMessages: messages });
+    }
+
+    const sessions = new SessionAnalyzer().extractSessions(sessionInput)
+      .filter(session => session.startTime >= this.range.start && session.startTime < this.range.end)
+      .map(session => ({
+        id: session.id,
+        start: session.startTime.toISOString(),
+        end: session.endTime.toISOString(),
+        messages: session.messageCount,
+        conversations: session.conversationCount,
+        tokens: session.tokenUsage.input + session.tokenUsage.output
+      }))
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      range: {
+        from: formatDay(this.range.start),
+        to: formatDay(new Date(this.range.end.getTime() - 1))
+      },
+      totals: { ...totals, cost: roundCost(totals.cost) },
+      projects: Array.from(projects.values())
+        .sort((a, b) => b.tokens - a.tokens)
+        .slice(0, this.options.top)
+        .map(project => ({ ...project, cost: roundCost(project.cost) })),
+      tools: Array.from(tools.entries())
+        .map(([tool, calls]) => ({ tool, calls }))
+        .sort((a, b) => b.calls - a.calls)
+        .slice(0, this.options.top),
+      days: Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({ ...day, cost: roundCost(day.cost) })),
+      sessions
+    };
+  }
+
+  /**
+   * Render report data in the requested format
+   * @param {Object} report - Report data
+   * @param {string} format - table, json, csv or md
+   * @returns {string} Rendered report
+   */
+  render(report, format = 'table') {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(report, null, 2);
+      case 'csv':
+        return this.renderCsv(report);
+      case 'md':
+        return this.renderMarkdown(report);
+      case 'table':
+        return this.renderTable(report);
+      default:
+        throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Build the rows shared by the table and markdown formats
+   * @param {Object} report - Report data
+   * @returns {Array} Sections with title, headers and rows
+   */
+  getSections(report) {
+    const cost = value => `${value.toFixed(2)} ${report.totals.currency}`;
+    const number = value => value.toLocaleString('en-US');
+    const { totals } = report;
+
+    return [
+      {
+        title: 'Totals',
+        headers: ['Metric', 'Value'],
+        rows: [
+          ['Conversations', number(totals.conversations)],
+          ['Messages', number(totals.messages)],
+          ['Input tokens', number(totals.inputTokens)],
+          ['Output tokens', number(totals.outputTokens)],
+          ['Cache write tokens', number(totals.cacheCreationTokens)],
+          ['Cache read tokens', number(totals.cacheReadTokens)],
+          ['Total tokens', number(totals.totalTokens)],
+          ['Tool calls', number(totals.toolCalls)],
+          ['Cost', cost(totals.cost)]
+        ]
+      },
+      {
+        title: 'Top projects',
+        headers: ['Project', 'Conversations', 'Messages', 'Tokens', 'Cost'],
+        rows: report.projects.map(p => [p.project, number(p.conversations), number(p.messages), number(p.tokens), cost(p.cost)])
+      },
+      {
+        title: 'Tool usage',
+        headers: ['Tool', 'Calls'],
+        rows: report.tools.map(t => [t.tool, number(t.calls)])
+      },
+      {
+        title: 'Daily usage',
+        headers: ['Date', 'Tokens', 'Cost'],
+        rows: report.days.map(d => [d.date, number(d.tokens), cost(d.cost)])
+      },
+      {
+        title: 'Sessions',
+        headers: ['Start', 'End', 'Messages', 'Conversations', 'Tokens'],
+        rows: report.sessions.map(s => [s.start, s.end, number(s.messages), number(s.conversations), number(s.tokens)])
+      }
+    ];
+  }
+
+  /**
+   * Render report as aligned terminal tables
+   * @param {Object} report - Report data
+   * @returns {string} Table output
+   */
+  renderTable(report) {
+    const lines = [
+      chalk.bold.blue(`📊 Claude Code usage report ${report.range.from} → ${report.range.to}`),
+      ''
+    ];
+
+    this.getSections(report).forEach(section => {
+      lines.push(chalk.bold(section.title));
+
+      if (section.rows.length === 0) {
+        lines.push(chalk.gray('  No data'), '');
+        return;
+      }
+
+      const widths = section.headers.map((header, i) =>
+        Math.max(header.length, ...section.rows.map(row => String(row[i]).length))
+      );
+      const formatRow = row => '  ' + row.map((cell, i) =>
+        i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i])
+      ).join('  ');
+
+      lines.push(chalk.gray(formatRow(section.headers)));
+      section.rows.forEach(row => lines.push(formatRow(row)));
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render report as Markdown
+   * @param {Object} report - Report data
+   * @returns {string} Markdown output
+   */
+  renderMarkdown(report) {
+    const escape = value => String(value).replace(/\|/g, '\\|');
+    const lines = [`# Claude Code usage report`, '', `**Range:** ${report.range.from} → ${report.range.to}`, ''];
+
+    this.getSections(report).forEach(section => {
+      lines.push(`## ${section.title}`, '');
+
+      if (section.rows.length === 0) {
+        lines.push('_No data_', '');
+        return;
+      }
+
+      lines.push(`| ${section.headers.join(' | ')} |`);
+      lines.push(`| ${section.headers.map((header, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`);
+      section.rows.forEach(row => lines.push(`| ${row.map(escape).join(' | ')} |`));
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render report as long-format CSV (section,name,metric,value)
+   * @param {Object} report - Report data
+   * @returns {string} CSV output
+   */
+  renderCsv(report) {
+    const escape = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['section', 'name', 'metric', 'value']];
+    const add = (section, name, values) => {
+      Object.entries(values).forEach(([metric, value]) => rows.push([section, name, metric, value]));
+    };
+
+    const { currency, ...totals } = report.totals;
+    add('range', 'all', { from: report.range.from, to: report.range.to, currency });
+    add('totals', 'all', totals);
+    report.projects.forEach(({ project, ...values }) => add('project', project, values));
+    report.tools.forEach(({ tool, calls }) => add('tool', tool, { calls }));
+    report.days.forEach(({ date, ...values }) => add('day', date, values));
+    report.sessions.forEach(({ id, ...values }) => add('session', id, values));
+
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+  }
+}
+
+/**
+ * Run the headless usage report command
+ * @param {Object} options - CLI options (from, to, format, output)
+ */
+async function runReport(options = {}) {
+  const format = options.format || 'table';
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const report = new UsageReport({ from: options.from, to: options.to });
+  const data = await report.generate();
+  const output = report.render(data, format);
+
+  if (options.output) {
+    await fs.writeFile(options.output, output + '\n');
+    console.log(chalk.green(`✅ Report written to ${options.output}`));
+    return data;
+  }
+
+  process.stdout.write(output + '\n');
+  return data;
+}
+
+module.exports = { runReport, UsageReport, REPORT_FORMATS };
@@ -0,0 +1,196 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const inquirer = require('inquirer');
+const { revertMerge } = require('./json-merge');
+const { JOURNAL_PATH, hashContent, readJournal } = require('./install-journal');
+const { MANIFEST_PATH } = require('./install-manifest');
+
+// How each step is reported, in display order
+const ACTION_LABELS = {
+  remove: { icon: '🗑️ ', label: 'added by setup (will remove)' },
+  restore: { icon: '↩️ ', label: 'replaced by setup (will restore from backup)' },
+  unmerge: { icon: '🔀', label: 'merged by setup (will remove the merged entries)' },
+  keep: { icon: '✏️ ', label: 'kept' }
+};
+
+/**
+ * Work out how to undo every recorded install, newest first
+ * Later steps see the files as the earlier steps leave them, so a file replaced by a
+ * second install is first restored and then removed if the first install created it
+ * @param {string} targetDir - Project directory
+ * @param {Object} journal - Install journal
+ * @returns {Promise<Object>} Steps per file and directories to remove when left empty
+ */
+async function planRollback(targetDir, journal) {
+  const state = new Map();
+  const readState = async relativePath => {
+    if (!state.has(relativePath)) {
+      const filePath = path.join(targetDir, relativePath);
+      state.set(relativePath, (await fs.pathExists(filePath)) ? await fs.readFile(filePath) : null);
+    }
+    return state.get(relativePath);
+  };
+
+  const steps = [];
+  const directories = new Set();
+
+  for (const install of [...journal.installs].reverse()) {
+    install.directories.forEach(dir => directories.add(dir));
+
+    for (const file of install.files) {
+      const local = await readState(file.path);
+      if (!local) {
+        continue; // Already gone, nothing to undo
+      }
+
+      const step = { path: file.path, action: 'keep', reason: null, content: null, kept: [] };
+
+      if (file.change === 'created') {
+        if (hashContent(local) === file.hash) {
+          step.action = 'remove';
+        } else {
+          step.reason = 'changed since setup';
+        }
+      } else if (file.change === 'replaced') {
+        const backupPath = file.backup && path.join(targetDir, file.backup);
+        if (hashContent(local) !== file.hash) {
+          step.reason = 'changed since setup';
+        } else if (!backupPath || !(await fs.pathExists(backupPath))) {
+          step.reason = 'no backup to restore';
+        } else {
+          step.action = 'restore';
+          step.content = await fs.readFile(backupPath);
+        }
+      } else if (file.change === 'merged') {
+        let current;
+        try {
+          current = JSON.parse(local.toString('utf8'));
+        } catch (error) {
+          step.reason = 'not valid JSON anymore';
+        }
+
+        if (current !== undefined) {
+          const report = { kept: [] };
+          const reverted = revertMerge(current, file.before, file.installed, [], report);
+          step.kept = report.kept;
+          if (JSON.stringify(reverted) === JSON.stringify(current)) {
+            step.reason = 'merged entries already removed or changed';
+          } else {
+            step.action = 'unmerge';
+            step.content = Buffer.from(JSON.stringify(reverted, null, 2));
+          }
+        }
+      }
+
+      if (step.action === 'remove') {
+        state.set(file.path, null);
+      } else if (step.content) {
+        state.set(file.path, step.content);
+      }
+      steps.push(step);
+    }
+  }
+
+  // Deepest first so parents are empty by the time they are checked
+  const sortedDirectories = Array.from(directories).sort((a, b) => b.split('/').length - a.split('/').length);
+  return { steps, directories: sortedDirectories };
+}
+
+/**
+ * Print the rollback plan grouped by action
+ * @param {Object} plan - Plan from planRollback
+ */
+function printRollbackPlan(plan) {
+  Object.entries(ACTION_LABELS).forEach(([action, { icon, label }]) => {
+    const steps = plan.steps.filter(step => step.action === action);
+    if (steps.length === 0) {
+      return;
+    }
+
+    console.log(chalk.white(`\n${icon} ${label}:`));
+    steps.forEach(step => {
+      console.log(chalk.gray(`   • ${step.path}${step.reason ? ` (${step.reason})` : ''}`));
+      step.kept.forEach(keyPath => console.log(chalk.yellow(`       keeps ${keyPath} (changed since setup)`)));
+    });
+  });
+}
+
+/**
+ * Apply a rollback plan, then remove the journal, the manifest and directories setup created
+ * @param {string} targetDir - Project directory
+ * @param {Object} plan - Plan from planRollback
+ */
+async function applyRollback(targetDir, plan) {
+  for (const step of plan.steps) {
+    const filePath = path.join(targetDir, step.path);
+
+    if (step.action === 'remove') {
+      await fs.remove(filePath);
+      console.log(chalk.green(`✓ Removed ${step.path}`));
+    } else if (step.action === 'restore' || step.action === 'unmerge') {
+      await fs.writeFile(filePath, step.content);
+      console.log(chalk.green(`✓ ${step.action === 'restore' ? 'Restored' : 'Removed merged entries from'} ${step.path}`));
+    }
+  }
+
+  await fs.remove(path.join(targetDir, JOURNAL_PATH));
+  await fs.remove(path.join(targetDir, MANIFEST_PATH));
+
+  for (const dir of plan.directories) {
+    const dirPath = path.join(targetDir, dir);
+    if ((await fs.pathExists(dirPath)) && (await fs.readdir(dirPath)).length === 0) {
+      await fs.remove(dirPath);
+    }
+  }
+}
+
+/**
+ * Run the rollback command: undo everything setup and agent installs recorded in the journal
+ * @param {Object} options - CLI options (directory, dryRun, yes)
+ * @returns {Promise<Object|null>} Plan and whether it was applied, or null if nothing was recorded
+ */
+async function runRollback(options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const journal = await readJournal(targetDir);
+
+  if (journal.installs.length === 0) {
+    console.log(chalk.yellow(`⚠️  Nothing to roll back: no installs recorded in ${JOURNAL_PATH}`));
+    return null;
+  }
+
+  const plan = await planRollback(targetDir, journal);
+  console.log(chalk.blue(`\n🔍 Rolling back ${journal.installs.length} install(s) since ${journal.installs[0].installedAt}`));
+  printRollbackPlan(plan);
+
+  const changes = plan.steps.filter(step => step.action !== 'keep').length;
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\n🔍 Dry run - ${changes} file(s) would be changed`));
+    return { plan, applied: false };
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Roll back ${changes} file(s)?`,
+      default: false
+    }]);
+
+    if (!confirm) {
+      console.log(chalk.blue('✓ Rollback cancelled. No files were changed.'));
+      return { plan, applied: false };
+    }
+  }
+
+  await applyRollback(targetDir, plan);
+  console.log(chalk.green(`\n✅ Rolled back ${changes} file(s)`));
+
+  if (plan.steps.some(step => step.action === 'keep' || step.kept.length > 0)) {
+    console.log(chalk.yellow('💡 Files and entries changed since setup were kept, remove them by hand if you no longer need them'));
+  }
+
+  return { plan, applied: true };
+}
+
+module.exports = { runRollback, planRollback, applyRollback };
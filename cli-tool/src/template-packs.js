@@ -0,0 +1,411 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { execFileSync } = require('child_process');
+
+/**
+ * Third-party template packs
+ *
+ * A pack is a directory (or a .tgz/.tar.gz/.tar of one) laid out like the bundled
+ * templates/ directory, with a cct-pack.json manifest at its root:
+ *
+ *   {
+ *     "name": "acme-templates",
+ *     "version": "1.0.0",
+ *     "languages": {
+ *       "java": {
+ *         "name": "Java",
+ *         "description": "Acme Java stack",
+ *         "files": [{ "source": "java/CLAUDE.md", "destination": "CLAUDE.md" }],
+ *         "frameworks": {
+ *           "spring": {
+ *             "name": "Spring Boot",
+ *             "additionalFiles": [{ "source": "java/examples/spring-app/.claude/commands", "destination": ".claude/commands" }]
+ *           }
+ *         }
+ *       },
+ *       "python": { "frameworks": { "acme-service": { "name": "Acme Service" } } }
+ *     }
+ *   }
+ *
+ * A language with "files" adds a new language; one without only adds frameworks to an
+ * existing language. Commands (<language>/.claude/commands, <language>/examples/<framework>/.claude/commands)
+ * and agents (<language>/examples/<framework>/agents) are picked up from the same layout.
+ *
+ * Packs are declared in ~/.claude-code-templates/template-packs.json:
+ *
+ *   { "packs": ["~/acme/claude-templates", "/opt/packs/acme-templates-1.0.0.tgz"] }
+ */
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const PACK_MANIFEST = 'cct-pack.json';
+const CONFIG_DIR = path.join(os.homedir(), '.claude-code-templates');
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+let loadedPacks = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isInside(relativePath) {
+  return !path.isAbsolute(relativePath) && !path.normalize(relativePath).split(path.sep).includes('..');
+}
+
+/**
+ * Resolve a path from the packs config (~ and paths relative to the config file)
+ */
+function resolveConfigPath(packPath, configPath) {
+  if (packPath.startsWith('~/')) {
+    return path.join(os.homedir(), packPath.slice(2));
+  }
+  return path.resolve(path.dirname(configPath), packPath);
+}
+
+/**
+ * Read the pack locations declared in the user config
+ * @param {string} configPath - Path to template-packs.json
+ * @returns {Array<string>} Absolute pack paths
+ */
+function readPacksConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+
+  try {
+    const config = fs.readJsonSync(configPath);
+    if (!Array.isArray(config.packs)) {
+      throw new Error('"packs" must be an array of paths');
+    }
+    return config.packs.map(packPath => resolveConfigPath(packPath, configPath));
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠️  Ignoring ${configPath}: ${error.message}`));
+    return [];
+  }
+}
+
+/**
+ * Extract a pack tarball into the cache, once per tarball content
+ * @param {string} tarball - Path to the .tgz/.tar.gz/.tar file
+ * @param {string} cacheDir - Directory extracted packs are kept in
+ * @returns {string} Extracted directory
+ */
+function extractTarball(tarball, cacheDir) {
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(tarball)).digest('hex').slice(0, 12);
+  const targetDir = path.join(cacheDir, `${path.basename(tarball).replace(TARBALL_PATTERN, '')}-${hash}`);
+
+  if (!fs.existsSync(targetDir)) {
+    const extractDir = `${targetDir}.tmp-${process.pid}`;
+    fs.ensureDirSync(extractDir);
+    try {
+      execFileSync('tar', ['-xf', tarball, '-C', extractDir], { stdio: 'pipe' });
+      fs.moveSync(extractDir, targetDir);
+    } catch (error) {
+      fs.removeSync(extractDir);
+      throw new Error(`could not extract ${tarball}: ${error.stderr ? error.stderr.toString().trim() : error.message}`);
+    }
+  }
+
+  return targetDir;
+}
+
+/**
+ * Find the manifest directory, allowing one wrapping directory (npm pack's package/)
+ */
+function findPackRoot(dir) {
+  if (fs.existsSync(path.join(dir, PACK_MANIFEST))) {
+    return dir;
+  }
+
+  const entries = fs.readdirSync(dir).filter(entry => fs.statSync(path.join(dir, entry)).isDirectory());
+  if (entries.length === 1 && fs.existsSync(path.join(dir, entries[0], PACK_MANIFEST))) {
+    return path.join(dir, entries[0]);
+  }
+  return dir;
+}
+
+function validateFiles(files, root, location, errors) {
+  if (!Array.isArray(files)) {
+    errors.push(`${location} must be an array`);
+    return;
+  }
+
+  files.forEach((file, index) => {
+    const fileLocation = `${location}[${index}]`;
+    if (!isPlainObject(file) || typeof file.source !== 'string' || typeof file.destination !== 'string') {
+      errors.push(`${fileLocation} must have a "source" and a "destination" string`);
+      return;
+    }
+    if (!isInside(file.source)) {
+      errors.push(`${fileLocation}.source must be a path inside the pack`);
+    } else if (!fs.existsSync(path.join(root, file.source))) {
+      errors.push(`${fileLocation}.source ${file.source} does not exist`);
+    }
+    if (!isInside(file.destination)) {
+      errors.push(`${fileLocation}.destination must be a path inside the project`);
+    }
+  });
+}
+
+/**
+ * Validate a pack manifest
+ * @param {Object} manifest - Parsed cct-pack.json
+ * @param {string} root - Pack directory, used to check that sources exist
+ * @returns {Array<string>} Errors (empty if the manifest is valid)
+ */
+function validatePackManifest(manifest, root) {
+  const errors = [];
+
+  if (!isPlainObject(manifest)) {
+    return ['manifest must be a JSON object'];
+  }
+  if (typeof manifest.name !== 'string' || !NAME_PATTERN.test(manifest.name)) {
+    errors.push('name must be lowercase letters, digits, ".", "_" or "-"');
+  }
+  if (manifest.version !== undefined && typeof manifest.version !== 'string') {
+    errors.push('version must be a string');
+  }
+  if (!isPlainObject(manifest.languages) || Object.keys(manifest.languages).length === 0) {
+    errors.push('languages must be an object with at least one language');
+    return errors;
+  }
+
+  Object.entries(manifest.languages).forEach(([languageKey, language]) => {
+    const location = `languages.${languageKey}`;
+    if (!NAME_PATTERN.test(languageKey)) {
+      errors.push(`${location}: key must be lowercase letters, digits, ".", "_" or "-"`);
+    }
+    if (!isPlainObject(language)) {
+      errors.push(`${location} must be an object`);
+      return;
+    }
+
+    if (language.files !== undefined) {
+      if (typeof language.name !== 'string' || !language.name) {
+        errors.push(`${location}.name is required for a new language`);
+      }
+      validateFiles(language.files, root, `${location}.files`, errors);
+    } else if (!isPlainObject(language.frameworks)) {
+      errors.push(`${location} needs "files" (new language) or "frameworks" (extends an existing language)`);
+    }
+
+    if (language.frameworks !== undefined) {
+      if (!isPlainObject(language.frameworks)) {
+        errors.push(`${location}.frameworks must be an object`);
+        return;
+      }
+      Object.entries(language.frameworks).forEach(([frameworkKey, framework]) => {
+        const frameworkLocation = `${location}.frameworks.${frameworkKey}`;
+        if (!NAME_PATTERN.test(frameworkKey)) {
+          errors.push(`${frameworkLocation}: key must be lowercase letters, digits, ".", "_" or "-"`);
+        }
+        if (!isPlainObject(framework) || typeof framework.name !== 'string' || !framework.name) {
+          errors.push(`${frameworkLocation}.name is required`);
+          return;
+        }
+        if (framework.additionalFiles !== undefined) {
+          validateFiles(framework.additionalFiles, root, `${frameworkLocation}.additionalFiles`, errors);
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load and validate one pack
+ * @param {string} packPath - Pack directory or tarball
+ * @param {Object} options - cacheDir for extracted tarballs
+ * @returns {Object} Pack (name, version, root, languages)
+ */
+function loadTemplatePack(packPath, options = {}) {
+  const cacheDir = options.cacheDir || path.join(CONFIG_DIR, 'packs');
+
+  if (!fs.existsSync(packPath)) {
+    throw new Error(`${packPath} does not exist`);
+  }
+
+  const dir = fs.statSync(packPath).isFile() && TARBALL_PATTERN.test(packPath)
+    ? extractTarball(packPath, cacheDir)
+    : packPath;
+  const root = findPackRoot(dir);
+  const manifestPath = path.join(root, PACK_MANIFEST);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${packPath} has no ${PACK_MANIFEST}`);
+  }
+
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestPath);
+  } catch (error) {
+    throw new Error(`${manifestPath} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validatePackManifest(manifest, root);
+  if (errors.length > 0) {
+    const error = new Error(`${manifestPath} is invalid:\n  - ${errors.join('\n  - ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return {
+    name: manifest.name,
+    version: manifest.version || null,
+    description: manifest.description || '',
+    root,
+    languages: manifest.languages
+  };
+}
+
+/**
+ * Load every pack declared in the user config, skipping (with a warning) packs that fail
+ * @param {Object} options - configPath and cacheDir overrides
+ * @returns {Array<Object>} Loaded packs
+ */
+function loadTemplatePacks(options = {}) {
+  const configPath = options.configPath || path.join(CONFIG_DIR, 'template-packs.json');
+  const packs = [];
+
+  readPacksConfig(configPath).forEach(packPath => {
+    try {
+      const pack = loadTemplatePack(packPath, options);
+      if (packs.some(loaded => loaded.name === pack.name)) {
+        throw new Error(`a pack named ${pack.name} is already loaded`);
+      }
+      packs.push(pack);
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Skipping template pack ${packPath}: ${error.message}`));
+    }
+  });
+
+  return packs;
+}
+
+/**
+ * Packs from the user config, loaded once per process
+ * @returns {Array<Object>} Loaded packs
+ */
+function getTemplatePacks() {
+  if (!loadedPacks) {
+    loadedPacks = loadTemplatePacks();
+  }
+  return loadedPacks;
+}
+
+function withRoot(files, root) {
+  return (files || []).map(file => ({ ...file, root }));
+}
+
+/**
+ * Add the languages and frameworks of packs to a templates configuration
+ * Packs never replace built-in (or earlier pack) languages and frameworks; clashes are skipped
+ * @param {Object} baseConfig - Built-in TEMPLATES_CONFIG
+ * @param {Array<Object>} packs - Loaded packs
+ * @returns {Object} Combined configuration (baseConfig is not modified)
+ */
+function applyTemplatePacks(baseConfig, packs) {
+  const config = { ...baseConfig };
+
+  packs.forEach(pack => {
+    Object.entries(pack.languages).forEach(([languageKey, language]) => {
+      const isNewLanguage = language.files !== undefined;
+
+      if (isNewLanguage && config[languageKey]) {
+        console.warn(chalk.yellow(`⚠️  Template pack ${pack.name}: language ${languageKey} already exists, skipped`));
+        return;
+      }
+      if (!isNewLanguage && !config[languageKey]) {
+        console.warn(chalk.yellow(`⚠️  Template pack ${pack.name}: cannot add frameworks to unknown language ${languageKey}`));
+        return;
+      }
+
+      const target = isNewLanguage
+        ? {
+          name: language.name,
+          description: language.description || `From template pack ${pack.name}`,
+          files: withRoot(language.files, pack.root),
+          frameworks: {},
+          pack: pack.name,
+          root: pack.root
+        }
+        : { ...config[languageKey], frameworks: { ...(config[languageKey].frameworks || {}) } };
+
+      Object.entries(language.frameworks || {}).forEach(([frameworkKey, framework]) => {
+        if (target.frameworks[frameworkKey]) {
+          console.warn(chalk.yellow(`⚠️  Template pack ${pack.name}: framework ${languageKey}/${frameworkKey} already exists, skipped`));
+          return;
+        }
+        target.frameworks[frameworkKey] = {
+          name: framework.name,
+          additionalFiles: withRoot(framework.additionalFiles, pack.root),
+          pack: pack.name
+        };
+      });
+
+      config[languageKey] = target;
+    });
+  });
+
+  return config;
+}
+
+/**
+ * Directories laid out like templates/: the bundled one first, then each pack
+ * @returns {Array<string>} Template roots
+ */
+function getTemplateRoots() {
+  return [BUILTIN_TEMPLATES_DIR, ...getTemplatePacks().map(pack => pack.root)];
+}
+
+/**
+ * Directory holding a language's .claude/settings.json and .mcp.json
+ * @param {string} language - Language key
+ * @returns {string} Language directory
+ */
+function getLanguageDir(language) {
+  const pack = getTemplatePacks().find(loaded => loaded.languages[language] && loaded.languages[language].files);
+  if (pack && !fs.existsSync(path.join(BUILTIN_TEMPLATES_DIR, language))) {
+    return path.join(pack.root, language);
+  }
+  return path.join(BUILTIN_TEMPLATES_DIR, language);
+}
+
+/**
+ * Validate a pack for its authors and print the result
+ * @param {string} packPath - Pack directory or tarball
+ * @returns {boolean} Whether the pack is valid
+ */
+function runPackValidation(packPath) {
+  try {
+    const pack = loadTemplatePack(path.resolve(packPath), { cacheDir: path.join(os.tmpdir(), 'cct-pack-validation') });
+    console.log(chalk.green(`✅ ${pack.name}${pack.version ? `@${pack.version}` : ''} is a valid template pack`));
+
+    Object.entries(pack.languages).forEach(([languageKey, language]) => {
+      const frameworks = Object.keys(language.frameworks || {});
+      const action = language.files ? 'adds language' : 'extends';
+      console.log(chalk.gray(`   • ${action} ${languageKey}${frameworks.length > 0 ? ` (frameworks: ${frameworks.join(', ')})` : ''}`));
+    });
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+module.exports = {
+  PACK_MANIFEST,
+  validatePackManifest,
+  loadTemplatePack,
+  loadTemplatePacks,
+  getTemplatePacks,
+  applyTemplatePacks,
+  getTemplateRoots,
+  getLanguageDir,
+  runPackValidation
+};
@@ -1,5 +1,7 @@
 const path = require('path');
+const chalk = require('chalk');
 const { getCommandsForLanguageAndFramework } = require('./command-scanner');
+const { getTemplatePacks, applyTemplatePacks } = require('./template-packs');
 
 const TEMPLATES_CONFIG = {
   'common': {
@@ -165,28 +167,43 @@ const TEMPLATES_CONFIG = {
   }
 };
 
+let templatesConfig = null;
+
+// Built-in templates plus the languages and frameworks of the user's template packs
+function getTemplatesConfig() {
+  if (!templatesConfig) {
+    templatesConfig = applyTemplatePacks(TEMPLATES_CONFIG, getTemplatePacks());
+  }
+  return templatesConfig;
+}
+
+function withPackName(entry) {
+  return entry.pack ? `${entry.name} ${chalk.gray(`(${entry.pack})`)}` : entry.name;
+}
+
 function getAvailableLanguages() {
-  return Object.keys(TEMPLATES_CONFIG).map(key => ({
+  const config = getTemplatesConfig();
+  return Object.keys(config).map(key => ({
     value: key,
-    name: TEMPLATES_CONFIG[key].name,
-    description: TEMPLATES_CONFIG[key].description,
-    disabled: TEMPLATES_CONFIG[key].comingSoon ? 'Coming Soon' : false
+    name: withPackName(config[key]),
+    description: config[key].description,
+    disabled: config[key].comingSoon ? 'Coming Soon' : false
   }));
 }
 
 function getFrameworksForLanguage(language) {
-  const config = TEMPLATES_CONFIG[language];
+  const config = getTemplatesConfig()[language];
   if (!config || !config.frameworks) return [];
   
   return Object.keys(config.frameworks).map(key => ({
     value: key,
-    name: config.frameworks[key].name
+    name: withPackName(config.frameworks[key])
   }));
 }
 
 function getTemplateConfig(selections) {
   const { language, framework, commands = [] } = selections;
-  const baseConfig = TEMPLATES_CONFIG[language];
+  const baseConfig = getTemplatesConfig()[language];
   
   if (!baseConfig) {
     throw new Error(`Unknown language template: ${language}`);
@@ -220,6 +237,7 @@ function getTemplateConfig(selections) {
 
 module.exports = {
   TEMPLATES_CONFIG,
+  getTemplatesConfig,
   getAvailableLanguages,
   getFrameworksForLanguage,
   getTemplateConfig
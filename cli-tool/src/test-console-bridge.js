@@ -8,7 +8,7 @@ const chalk = require('chalk');
  */
 async function testConsoleBridge() {
   console.log(chalk.blue('🧪 Testing Console Bridge Integration'));
-  console.log(chalk.gray('This will monitor running Claude Code processes and enable web-based interaction'));
+  console.log(chalk.gray('This will relay permission requests from the PreToolUse hook to web clients'));
   console.log('');
   
   // Create console bridge instance
@@ -29,13 +29,13 @@ async function testConsoleBridge() {
     console.log('');
     console.log(chalk.green('✅ Console Bridge is running!'));
     console.log(chalk.cyan('📡 WebSocket server: ws://localhost:3334'));
-    console.log(chalk.cyan('🌐 Web interface should connect to this WebSocket'));
+    console.log(chalk.cyan(`🔐 Permission relay socket: ${bridge.options.socketPath}`));
     console.log('');
     console.log(chalk.yellow('💡 Instructions:'));
-    console.log('  1. Open your analytics dashboard (npm run analytics:start)');
-    console.log('  2. Navigate to the Agents page');
-    console.log('  3. The console interaction panel should appear when Claude Code prompts are detected');
-    console.log('  4. Run Claude Code in another terminal to test interaction');
+    console.log('  1. Install the hook in a project: npx claude-code-templates --install-permission-relay');
+    console.log('  2. Connect a WebSocket client to ws://localhost:3334 (requests wait only while one is connected)');
+    console.log('  3. Run Claude Code in that project and let it edit a file or run a command');
+    console.log('  4. Answer the console_interaction message with a console_response');
     console.log('');
     console.log(chalk.gray('Press Ctrl+C to stop the bridge'));
     
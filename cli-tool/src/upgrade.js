@@ -0,0 +1,257 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const inquirer = require('inquirer');
+const packageJson = require('../package.json');
+const { collectTemplateFiles } = require('./file-operations');
+const { mergeSettings, mergeMCPConfig } = require('./json-merge');
+const {
+  MANIFEST_PATH,
+  hashContent,
+  describeFiles,
+  getManifestTemplateConfig,
+  readManifest,
+  writeManifest
+} = require('./install-manifest');
+
+// How each status is reported, in display order; safe statuses are applied by the upgrade
+const STATUS_LABELS = {
+  'changed-upstream': { icon: '⬆️ ', label: 'changed upstream (will update)', safe: true },
+  'added-upstream': { icon: '➕', label: 'added upstream (will add)', safe: true },
+  'mergeable': { icon: '🔀', label: 'changed on both sides, merges cleanly (will merge)', safe: true },
+  'modified-locally': { icon: '✏️ ', label: 'modified locally (kept)' },
+  'deleted-locally': { icon: '🗑️ ', label: 'deleted locally (kept deleted)' },
+  'removed-upstream': { icon: '➖', label: 'no longer in the templates (left in place)' },
+  'conflict': { icon: '⚠️ ', label: 'conflicts (kept, review manually)' }
+};
+
+const JSON_MERGERS = {
+  '.claude/settings.json': mergeSettings,
+  '.mcp.json': mergeMCPConfig
+};
+
+/**
+ * Read a project file
+ * @param {string} targetDir - Project directory
+ * @param {string} relativePath - File path relative to the project
+ * @returns {Promise<Buffer|null>} Content, or null if missing
+ */
+async function readProjectFile(targetDir, relativePath) {
+  const filePath = path.join(targetDir, relativePath);
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+  return fs.readFile(filePath);
+}
+
+/**
+ * Try a three-way merge of a JSON file changed both locally and upstream
+ * @param {string} relativePath - File path relative to the project
+ * @param {Buffer} local - Project content
+ * @param {Buffer} template - Current template content
+ * @param {Object} base - Content installed last time
+ * @returns {Object|null} Merged content and conflicts, or null if the file cannot be merged
+ */
+function mergeJsonFile(relativePath, local, template, base) {
+  const merge = JSON_MERGERS[relativePath];
+  if (!merge || base === undefined) {
+    return null;
+  }
+
+  try {
+    const { merged, conflicts } = merge(
+      JSON.parse(local.toString('utf8')),
+      JSON.parse(template.toString('utf8')),
+      base
+    );
+    return { content: Buffer.from(JSON.stringify(merged, null, 2)), conflicts };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare project files with the originally installed and the current templates
+ * @param {string} targetDir - Project directory
+ * @param {Object} manifest - Install manifest
+ * @param {Map<string, Buffer>} templateFiles - Current template files
+ * @returns {Promise<Array<Object>>} One entry per file with its status
+ */
+async function planUpgrade(targetDir, manifest, templateFiles) {
+  const paths = new Set([...Object.keys(manifest.files), ...templateFiles.keys()]);
+  const plan = [];
+
+  for (const relativePath of Array.from(paths).sort()) {
+    const original = manifest.files[relativePath];
+    const template = templateFiles.get(relativePath);
+    const local = await readProjectFile(targetDir, relativePath);
+    const localHash = local ? hashContent(local) : null;
+    const templateHash = template ? hashContent(template) : null;
+    const entry = { path: relativePath, status: 'unchanged', content: template || null, conflicts: [] };
+
+    if (!template) {
+      entry.status = 'removed-upstream';
+    } else if (!original) {
+      if (!local) {
+        entry.status = 'added-upstream';
+      } else if (localHash !== templateHash) {
+        entry.status = 'conflict';
+      }
+    } else if (!local) {
+      entry.status = 'deleted-locally';
+    } else if (localHash === templateHash) {
+      entry.status = 'unchanged';
+    } else if (templateHash === original.hash) {
+      entry.status = 'modified-locally';
+    } else if (localHash === original.hash) {
+      entry.status = 'changed-upstream';
+    } else {
+      const merged = mergeJsonFile(relativePath, local, template, manifest.base && manifest.base[relativePath]);
+      if (merged && merged.conflicts.length === 0) {
+        entry.status = 'mergeable';
+        entry.content = merged.content;
+      } else {
+        entry.status = 'conflict';
+        entry.conflicts = merged ? merged.conflicts : [];
+      }
+    }
+
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+/**
+ * Print the upgrade plan grouped by status
+ * @param {Array<Object>} plan - Plan from planUpgrade
+ * @param {Object} manifest - Install manifest
+ */
+function printUpgradePlan(plan, manifest) {
+  console.log(chalk.blue(`\n🔍 Templates installed with v${manifest.templateVersion}, current version v${packageJson.version}`));
+
+  Object.entries(STATUS_LABELS).forEach(([status, { icon, label }]) => {
+    const entries = plan.filter(entry => entry.status === status);
+    if (entries.length === 0) {
+      return;
+    }
+
+    console.log(chalk.white(`\n${icon} ${label}:`));
+    entries.forEach(entry => {
+      console.log(chalk.gray(`   • ${entry.path}`));
+      entry.conflicts.forEach(conflict => console.log(chalk.yellow(`       ${conflict.path}`)));
+    });
+  });
+
+  const upToDate = plan.filter(entry => entry.status === 'unchanged').length;
+  console.log(chalk.green(`\n✓ ${upToDate} file${upToDate === 1 ? '' : 's'} up to date`));
+}
+
+/**
+ * Write the safe updates of a plan and record them in the manifest
+ * Files that were kept (local edits, deletions, conflicts) keep their old manifest entry
+ * so the next upgrade still reports them
+ * @param {string} targetDir - Project directory
+ * @param {Object} manifest - Install manifest
+ * @param {Array<Object>} plan - Plan from planUpgrade
+ * @param {Map<string, Buffer>} templateFiles - Current template files
+ * @returns {Promise<Object>} Updated manifest
+ */
+async function applyUpgrade(targetDir, manifest, plan, templateFiles) {
+  const current = describeFiles(templateFiles);
+  const files = {};
+  const base = {};
+
+  for (const entry of plan) {
+    const safe = STATUS_LABELS[entry.status] && STATUS_LABELS[entry.status].safe;
+
+    if (safe) {
+      const filePath = path.join(targetDir, entry.path);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, entry.content);
+      console.log(chalk.green(`✓ ${entry.status === 'mergeable' ? 'Merged' : 'Updated'} ${entry.path}`));
+    }
+
+    if (entry.status === 'removed-upstream') {
+      continue;
+    }
+
+    const takeTemplate = safe || entry.status === 'unchanged';
+    const source = takeTemplate ? current : manifest;
+    if (source.files[entry.path]) {
+      files[entry.path] = source.files[entry.path];
+    }
+    if (source.base && source.base[entry.path] !== undefined) {
+      base[entry.path] = source.base[entry.path];
+    }
+  }
+
+  const updated = {
+    ...manifest,
+    templateVersion: packageJson.version,
+    updatedAt: new Date().toISOString(),
+    files,
+    base
+  };
+  await writeManifest(targetDir, updated);
+  return updated;
+}
+
+/**
+ * Run the upgrade command: report template drift and apply the safe updates
+ * @param {Object} options - CLI options (directory, dryRun, yes)
+ * @returns {Promise<Object>} Plan and whether it was applied
+ */
+async function runUpgrade(options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const manifest = await readManifest(targetDir);
+
+  if (!manifest) {
+    throw new Error(
+      `No ${MANIFEST_PATH} found in ${targetDir}. ` +
+      'Projects set up before install manifests existed need to be set up again once (choose "Merge" to keep your files).'
+    );
+  }
+
+  const templateFiles = await collectTemplateFiles(getManifestTemplateConfig(manifest));
+  const plan = await planUpgrade(targetDir, manifest, templateFiles);
+  printUpgradePlan(plan, manifest);
+
+  const safeEntries = plan.filter(entry => STATUS_LABELS[entry.status] && STATUS_LABELS[entry.status].safe);
+  if (options.dryRun) {
+    console.log(chalk.yellow(`\n🔍 Dry run - ${safeEntries.length} update(s) would be applied`));
+    return { plan, applied: false };
+  }
+
+  if (safeEntries.length === 0) {
+    console.log(chalk.green('\n✅ Nothing to update'));
+    // Still record the current version so unchanged files are compared against it next time
+    await applyUpgrade(targetDir, manifest, plan, templateFiles);
+    return { plan, applied: false };
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: `Apply ${safeEntries.length} safe update(s)?`,
+      default: true
+    }]);
+
+    if (!confirm) {
+      console.log(chalk.blue('✓ Upgrade cancelled. No files were changed.'));
+      return { plan, applied: false };
+    }
+  }
+
+  await applyUpgrade(targetDir, manifest, plan, templateFiles);
+  console.log(chalk.green(`\n✅ Applied ${safeEntries.length} update(s)`));
+
+  if (plan.some(entry => entry.status === 'conflict')) {
+    console.log(chalk.yellow('💡 Conflicting files were left unchanged, compare them with the templates and edit them by hand'));
+  }
+
+  return { plan, applied: true };
+}
+
+module.exports = { runUpgrade, planUpgrade, applyUpgrade };
@@ -114,16 +114,22 @@ async function detectProject(targetDir) {
   // Check for Go files
   const goFiles = await findFilesByExtension(targetDir, ['.go']);
   const goModPath = path.join(targetDir, 'go.mod');
-  if (goFiles.length > 0 || await fs.pathExists(goModPath)) {
+  const goWorkPath = path.join(targetDir, 'go.work');
+  if (goFiles.length > 0 || await fs.pathExists(goModPath) || await fs.pathExists(goWorkPath)) {
     detectedLanguages.push('go');
   }
   
+  // Monorepos: every workspace package with its own language, framework and tooling
+  // (required here because workspaces.js uses the file search helpers below)
+  const { detectWorkspaces } = require('./workspaces');
+  
   return {
     detectedLanguage: detectedLanguages[0] || null,
     detectedFramework: detectedFrameworks[0] || null,
     allLanguages: detectedLanguages,
     allFrameworks: detectedFrameworks,
-    projectFiles: await getProjectSummary(targetDir)
+    projectFiles: await getProjectSummary(targetDir),
+    workspace: await detectWorkspaces(targetDir)
   };
 }
 
@@ -198,7 +204,8 @@ async function getProjectSummary(targetDir) {
     'package.json', 'tsconfig.json', 'webpack.config.js', 'vite.config.js',
     'requirements.txt', 'setup.py', 'pyproject.toml', 'Pipfile',
     'Gemfile', 'Gemfile.lock', 'Rakefile', 'config.ru',
-    'Cargo.toml', 'go.mod', '.gitignore', 'README.md'
+    'Cargo.toml', 'go.mod', 'go.work', 'pnpm-workspace.yaml', 'nx.json', 'turbo.json', 'lerna.json',
+    '.gitignore', 'README.md'
   ];
   
   for (const configFile of configFiles) {
@@ -0,0 +1,533 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { findFilesByExtension, detectProject } = require('./utils');
+
+// Directories never treated as workspace packages
+const IGNORED_DIRS = ['node_modules', 'target', 'dist', 'build', 'vendor', 'venv', '__pycache__'];
+
+// Deepest level searched for "**" patterns, project.json and go.mod files
+const MAX_SEARCH_DEPTH = 4;
+
+const MANIFESTS = {
+  'package.json': 'javascript-typescript',
+  'Cargo.toml': 'rust',
+  'go.mod': 'go',
+  'pyproject.toml': 'python',
+  'setup.py': 'python',
+  'requirements.txt': 'python',
+  'Gemfile': 'ruby'
+};
+
+async function readText(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readJson(filePath) {
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a string array from a TOML section (e.g. [workspace] members = ["crates/*"])
+ * (the few keys setup needs, not a full TOML parser)
+ */
+function readTomlArray(content, section, key) {
+  const body = getTomlSection(content, section);
+  const match = body && body.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+  if (!match) {
+    return [];
+  }
+  return Array.from(match[1].matchAll(/["']([^"']+)["']/g), item => item[1]);
+}
+
+function readTomlString(content, section, key) {
+  const body = getTomlSection(content, section);
+  const match = body && body.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']+)["']`, 'm'));
+  return match ? match[1] : null;
+}
+
+// A null section reads the keys before the first table (e.g. ruff.toml)
+function getTomlSection(content, section) {
+  if (section === null) {
+    return content.split(/^\s*\[/m)[0];
+  }
+  const lines = content.split('\n');
+  const start = lines.findIndex(line => line.trim() === `[${section}]`);
+  if (start === -1) {
+    return null;
+  }
+  const end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n');
+}
+
+/**
+ * Read the package globs of pnpm-workspace.yaml (only the "packages:" list is needed)
+ */
+function readPnpmWorkspace(content) {
+  const packages = [];
+  let inPackages = false;
+
+  content.split('\n').forEach(line => {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      return;
+    }
+    if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    }
+    const item = inPackages && line.match(/^\s*-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/);
+    if (item) {
+      packages.push(item[1]);
+    }
+  });
+
+  return packages;
+}
+
+/**
+ * Read the module directories of a go.work file
+ */
+function readGoWork(content) {
+  const block = content.match(/^use\s*\(([\s\S]*?)\)/m);
+  const lines = block ? block[1].split('\n') : Array.from(content.matchAll(/^use\s+(\S+)/gm), match => match[1]);
+  return lines.map(line => line.replace(/\/\/.*$/, '').trim()).filter(Boolean);
+}
+
+async function listSubdirectories(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRS.includes(entry.name))
+      .map(entry => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Expand workspace globs ("packages/*", "apps/**", "!packages/legacy") to directories
+ * @param {string} rootDir - Repository root
+ * @param {Array<string>} patterns - Globs relative to the root
+ * @returns {Promise<Array<string>>} Matching directories relative to the root
+ */
+async function expandWorkspaceGlobs(rootDir, patterns) {
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const rawPattern of patterns) {
+    const negated = rawPattern.startsWith('!');
+    const pattern = rawPattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+    let matches = [''];
+
+    for (const segment of pattern.split('/')) {
+      const next = [];
+      for (const match of matches) {
+        if (segment === '**') {
+          const queue = [{ dir: match, depth: 0 }];
+          while (queue.length > 0) {
+            const { dir, depth } = queue.shift();
+            next.push(dir);
+            if (depth < MAX_SEARCH_DEPTH) {
+              (await listSubdirectories(path.join(rootDir, dir))).forEach(child => {
+                queue.push({ dir: path.posix.join(dir, child), depth: depth + 1 });
+              });
+            }
+          }
+        } else if (segment.includes('*')) {
+          const regex = new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+          (await listSubdirectories(path.join(rootDir, match)))
+            .filter(child => regex.test(child))
+            .forEach(child => next.push(path.posix.join(match, child)));
+        } else if (await fs.pathExists(path.join(rootDir, match, segment))) {
+          next.push(path.posix.join(match, segment));
+        }
+      }
+      matches = next;
+    }
+
+    matches.filter(Boolean).forEach(match => (negated ? excluded : included).add(match));
+  }
+
+  return Array.from(included).filter(dir => !excluded.has(dir)).sort();
+}
+
+/**
+ * Find directories containing a file, e.g. every go.mod or Nx project.json
+ */
+async function findDirectoriesWith(rootDir, fileName, depth = MAX_SEARCH_DEPTH) {
+  const found = [];
+
+  async function search(dir, currentDepth) {
+    if (currentDepth > 0 && await fs.pathExists(path.join(rootDir, dir, fileName))) {
+      found.push(dir);
+    }
+    if (currentDepth < depth) {
+      for (const child of await listSubdirectories(path.join(rootDir, dir))) {
+        await search(path.posix.join(dir, child), currentDepth + 1);
+      }
+    }
+  }
+
+  await search('', 0);
+  return found.sort();
+}
+
+function detectJsFramework(dependencies) {
+  if (dependencies.react || dependencies.next || dependencies['@types/react']) return 'react';
+  if (dependencies.vue || dependencies.nuxt || dependencies['@vue/cli']) return 'vue';
+  if (dependencies['@angular/core']) return 'angular';
+  if (dependencies.express || dependencies.fastify || dependencies.koa || dependencies['@nestjs/core']) return 'node';
+  return null;
+}
+
+function detectJsTestRunner(dependencies, scripts) {
+  const testScript = (scripts && scripts.test) || '';
+  const runners = ['vitest', 'jest', 'mocha', 'ava', 'jasmine'];
+  const fromScript = runners.find(runner => testScript.includes(runner));
+  if (fromScript) return fromScript;
+  const fromDependencies = runners.find(runner => dependencies[runner]);
+  if (fromDependencies) return fromDependencies;
+  if (dependencies['@playwright/test']) return 'playwright';
+  if (dependencies.cypress) return 'cypress';
+  return null;
+}
+
+/**
+ * Work out the JavaScript package manager from packageManager fields and lockfiles
+ * @param {Array<string>} dirs - Package directory first, then the repository root
+ */
+async function detectJsPackageManager(dirs, packageJson) {
+  const declared = packageJson && typeof packageJson.packageManager === 'string' && packageJson.packageManager.split('@')[0];
+  if (declared) return declared;
+
+  const lockfiles = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['bun.lockb', 'bun'],
+    ['bun.lock', 'bun'],
+    ['package-lock.json', 'npm']
+  ];
+  for (const dir of dirs) {
+    for (const [lockfile, manager] of lockfiles) {
+      if (await fs.pathExists(path.join(dir, lockfile))) return manager;
+    }
+    const rootPackageJson = await readJson(path.join(dir, 'package.json'));
+    if (rootPackageJson && typeof rootPackageJson.packageManager === 'string') {
+      return rootPackageJson.packageManager.split('@')[0];
+    }
+  }
+  return 'npm';
+}
+
+async function detectJavaScriptPackage(dir, rootDir) {
+  const packageJson = (await readJson(path.join(dir, 'package.json'))) || {};
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies, ...packageJson.peerDependencies };
+
+  return {
+    name: packageJson.name || null,
+    framework: detectJsFramework(dependencies),
+    testRunner: detectJsTestRunner(dependencies, packageJson.scripts),
+    packageManager: await detectJsPackageManager([dir, rootDir], packageJson)
+  };
+}
+
+async function detectPythonPackage(dir) {
+  const sources = await Promise.all(
+    ['pyproject.toml', 'requirements.txt', 'requirements-dev.txt', 'setup.py', 'Pipfile'].map(file => readText(path.join(dir, file)))
+  );
+  const text = sources.filter(Boolean).join('\n').toLowerCase();
+  const pyproject = sources[0] || '';
+
+  let framework = null;
+  if (text.includes('django')) framework = 'django';
+  else if (text.includes('fastapi')) framework = 'fastapi';
+  else if (text.includes('flask')) framework = 'flask';
+
+  const hasPytest = text.includes('pytest') ||
+    await fs.pathExists(path.join(dir, 'pytest.ini')) ||
+    await fs.pathExists(path.join(dir, 'conftest.py'));
+
+  let packageManager = 'pip';
+  if (await fs.pathExists(path.join(dir, 'poetry.lock')) || pyproject.includes('[tool.poetry]')) packageManager = 'poetry';
+  else if (await fs.pathExists(path.join(dir, 'uv.lock'))) packageManager = 'uv';
+  else if (await fs.pathExists(path.join(dir, 'Pipfile'))) packageManager = 'pipenv';
+
+  return {
+    name: readTomlString(pyproject, 'project', 'name') || readTomlString(pyproject, 'tool.poetry', 'name'),
+    framework,
+    testRunner: hasPytest ? 'pytest' : 'unittest',
+    packageManager
+  };
+}
+
+async function detectRustPackage(dir) {
+  const cargo = (await readText(path.join(dir, 'Cargo.toml'))) || '';
+  const frameworks = ['axum', 'warp', 'actix', 'tokio'];
+  const dependencies = getTomlSection(cargo, 'dependencies') || '';
+
+  return {
+    name: readTomlString(cargo, 'package', 'name'),
+    framework: frameworks.find(framework => new RegExp(`^\\s*${framework}(-web)?\\s*=`, 'm').test(dependencies)) || null,
+    testRunner: 'cargo test',
+    packageManager: 'cargo'
+  };
+}
+
+async function detectGoPackage(dir) {
+  const goMod = (await readText(path.join(dir, 'go.mod'))) || '';
+  const frameworks = { gin: 'github.com/gin-gonic/gin', echo: 'github.com/labstack/echo', fiber: 'github.com/gofiber/fiber' };
+  const moduleMatch = goMod.match(/^module\s+(\S+)/m);
+
+  return {
+    name: moduleMatch ? moduleMatch[1] : null,
+    framework: Object.keys(frameworks).find(framework => goMod.includes(frameworks[framework])) || null,
+    testRunner: 'go test',
+    packageManager: 'go'
+  };
+}
+
+async function detectRubyPackage(dir) {
+  const gemfile = (await readText(path.join(dir, 'Gemfile'))) || '';
+
+  let framework = null;
+  if (gemfile.includes('rails')) framework = 'rails';
+  else if (gemfile.includes('sinatra')) framework = 'sinatra';
+
+  const hasRspec = gemfile.includes('rspec') || await fs.pathExists(path.join(dir, '.rspec'));
+
+  return {
+    name: null,
+    framework,
+    testRunner: hasRspec ? 'rspec' : 'minitest',
+    packageManager: 'bundler'
+  };
+}
+
+const PACKAGE_DETECTORS = {
+  'javascript-typescript': detectJavaScriptPackage,
+  python: detectPythonPackage,
+  rust: detectRustPackage,
+  go: detectGoPackage,
+  ruby: detectRubyPackage
+};
+
+/**
+ * Detect the language, framework, test runner and package manager of one package
+ * @param {string} rootDir - Repository root
+ * @param {string} relativePath - Package directory relative to the root
+ * @param {string} [forceLanguage] - Language to describe in a mixed package (e.g. the Python side of a web app)
+ * @returns {Promise<Object>} Package description
+ */
+async function detectPackage(rootDir, relativePath, forceLanguage = null) {
+  const dir = path.join(rootDir, relativePath);
+  let language = forceLanguage;
+
+  if (!language) {
+    for (const [manifest, manifestLanguage] of Object.entries(MANIFESTS)) {
+      if (await fs.pathExists(path.join(dir, manifest))) {
+        language = manifestLanguage;
+        break;
+      }
+    }
+  }
+
+  // Projects without a manifest of their own (e.g. Nx projects) are recognized by their sources
+  if (!language) {
+    const extensions = { '.ts': 'javascript-typescript', '.tsx': 'javascript-typescript', '.js': 'javascript-typescript', '.py': 'python', '.rs': 'rust', '.go': 'go', '.rb': 'ruby' };
+    const [firstSource] = await findFilesByExtension(dir, Object.keys(extensions));
+    language = firstSource ? extensions[path.extname(firstSource)] : null;
+  }
+
+  const details = language ? await PACKAGE_DETECTORS[language](dir, rootDir) : {};
+  return {
+    name: details.name || path.basename(relativePath),
+    path: relativePath,
+    language: language || 'common',
+    framework: details.framework || 'none',
+    testRunner: details.testRunner || null,
+    packageManager: details.packageManager || null
+  };
+}
+
+/**
+ * Detect the workspace tools of a repository and describe each of its packages
+ * @param {string} rootDir - Repository root
+ * @returns {Promise<Object>} Workspace tools and packages (no packages for single-package repos)
+ */
+async function detectWorkspaces(rootDir) {
+  const tools = [];
+  const packageDirs = new Set();
+  const addDirs = dirs => dirs.forEach(dir => packageDirs.add(dir));
+
+  const packageJson = await readJson(path.join(rootDir, 'package.json'));
+  const jsWorkspaces = packageJson && (Array.isArray(packageJson.workspaces)
+    ? packageJson.workspaces
+    : packageJson.workspaces && packageJson.workspaces.packages);
+  if (Array.isArray(jsWorkspaces) && jsWorkspaces.length > 0) {
+    const manager = await detectJsPackageManager([rootDir], packageJson);
+    tools.push(`${manager === 'yarn' ? 'yarn' : 'npm'} workspaces`);
+    addDirs(await expandWorkspaceGlobs(rootDir, jsWorkspaces));
+  }
+
+  const pnpmWorkspace = await readText(path.join(rootDir, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspace) {
+    tools.push('pnpm workspaces');
+    addDirs(await expandWorkspaceGlobs(rootDir, readPnpmWorkspace(pnpmWorkspace)));
+  }
+
+  const lerna = await readJson(path.join(rootDir, 'lerna.json'));
+  if (lerna) {
+    tools.push('Lerna');
+    if (Array.isArray(lerna.packages)) {
+      addDirs(await expandWorkspaceGlobs(rootDir, lerna.packages));
+    }
+  }
+
+  if (await fs.pathExists(path.join(rootDir, 'nx.json'))) {
+    tools.push('Nx');
+    addDirs(await findDirectoriesWith(rootDir, 'project.json'));
+  }
+
+  if (await fs.pathExists(path.join(rootDir, 'turbo.json'))) {
+    tools.push('Turborepo');
+  }
+
+  const cargo = await readText(path.join(rootDir, 'Cargo.toml'));
+  const cargoMembers = cargo ? readTomlArray(cargo, 'workspace', 'members') : [];
+  if (cargoMembers.length > 0) {
+    tools.push('Cargo workspace');
+    const excluded = readTomlArray(cargo, 'workspace', 'exclude').map(dir => `!${dir}`);
+    addDirs(await expandWorkspaceGlobs(rootDir, [...cargoMembers, ...excluded]));
+  }
+
+  const goWork = await readText(path.join(rootDir, 'go.work'));
+  if (goWork) {
+    tools.push('Go workspace');
+    addDirs(readGoWork(goWork).map(dir => dir.replace(/^\.\//, '')).filter(dir => dir && dir !== '.'));
+  } else {
+    const goModules = await findDirectoriesWith(rootDir, 'go.mod');
+    if (goModules.length > 1 || (goModules.length === 1 && !(await fs.pathExists(path.join(rootDir, 'go.mod'))))) {
+      tools.push('Go modules');
+      addDirs(goModules);
+    }
+  }
+
+  const packages = [];
+  for (const dir of Array.from(packageDirs).sort()) {
+    if (await fs.pathExists(path.join(rootDir, dir))) {
+      packages.push(await detectPackage(rootDir, dir));
+    }
+  }
+
+  return { isMonorepo: packages.length > 0, tools, packages };
+}
+
+/**
+ * Describe a package in one line (language/framework, test runner, package manager)
+ * @param {Object} pkg - Package from detectWorkspaces
+ * @returns {string} Summary
+ */
+function describePackage(pkg) {
+  const stack = pkg.framework !== 'none' ? `${pkg.language}/${pkg.framework}` : pkg.language;
+  return [stack, pkg.testRunner, pkg.packageManager].filter(Boolean).join(', ');
+}
+
+const SECTION_START = '<!-- workspace-packages:start -->';
+const SECTION_END = '<!-- workspace-packages:end -->';
+
+/**
+ * Add (or refresh) the list of workspace packages in a root CLAUDE.md
+ * @param {string} content - CLAUDE.md content
+ * @param {Object} workspace - Result of detectWorkspaces
+ * @returns {string} Content with the workspace section
+ */
+function upsertWorkspaceSection(content, workspace) {
+  const rows = workspace.packages.map(pkg => {
+    const stack = pkg.framework !== 'none' ? `${pkg.language} (${pkg.framework})` : pkg.language;
+    return `| \`${pkg.path}\` | ${pkg.name} | ${stack} | ${pkg.testRunner || '-'} | ${pkg.packageManager || '-'} |`;
+  });
+
+  const section = [
+    SECTION_START,
+    '## Workspace Packages',
+    '',
+    `This repository is a monorepo (${workspace.tools.join(', ')}). Run commands from the package directory unless noted otherwise.`,
+    '',
+    '| Path | Package | Language | Test runner | Package manager |',
+    '|------|---------|----------|-------------|-----------------|',
+    ...rows,
+    SECTION_END
+  ].join('\n');
+
+  const start = content.indexOf(SECTION_START);
+  const end = content.indexOf(SECTION_END);
+  if (start !== -1 && end > start) {
+    return content.slice(0, start) + section + content.slice(end + SECTION_END.length);
+  }
+  return `${content.replace(/\s*$/, '')}\n\n${section}\n`;
+}
+
+/**
+ * Print the detected workspace packages
+ * @param {Object} workspace - Result of detectWorkspaces
+ */
+function printWorkspace(workspace) {
+  console.log(chalk.cyan(`\n📦 Monorepo detected (${workspace.tools.join(', ')}): ${workspace.packages.length} package(s)`));
+  workspace.packages.forEach(pkg => {
+    console.log(chalk.gray(`   • ${pkg.path} ${chalk.white(pkg.name)} - ${describePackage(pkg)}`));
+  });
+}
+
+/**
+ * Run the detect command: print what setup would detect, as text or JSON
+ * @param {Object} options - CLI options (directory, format)
+ * @returns {Promise<Object>} Detection result
+ */
+async function runDetect(options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const projectInfo = await detectProject(targetDir);
+  const result = {
+    language: projectInfo.detectedLanguage,
+    framework: projectInfo.detectedFramework,
+    languages: projectInfo.allLanguages,
+    frameworks: projectInfo.allFrameworks,
+    workspace: projectInfo.workspace
+  };
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log(chalk.blue(`🔍 ${targetDir}`));
+  console.log(chalk.white(`   Language: ${result.language || 'unknown'}${result.framework ? ` (${result.framework})` : ''}`));
+  if (result.languages.length > 1) {
+    console.log(chalk.gray(`   Also found: ${result.languages.slice(1).join(', ')}`));
+  }
+  if (result.workspace.isMonorepo) {
+    printWorkspace(result.workspace);
+  }
+  return result;
+}
+
+module.exports = {
+  detectWorkspaces,
+  detectPackage,
+  detectJsPackageManager,
+  getTomlSection,
+  readTomlArray,
+  readTomlString,
+  expandWorkspaceGlobs,
+  describePackage,
+  upsertWorkspaceSection,
+  printWorkspace,
+  runDetect
+};
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for AccessControl
+ * Tests token authentication, origin checks and the Express middleware
+ */
+
+const AccessControl = require('../../src/analytics/utils/AccessControl');
+
+describe('AccessControl', () => {
+  let accessControl;
+
+  const createRequest = ({ headers, ...overrides } = {}) => {
+    const url = overrides.url || '/api/data';
+    return {
+      method: 'GET',
+      url,
+      originalUrl: url,
+      path: url.split('?')[0],
+      headers: { host: 'localhost:3333', ...headers },
+      ...overrides
+    };
+  };
+
+  const createResponse = () => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status: jest.fn(code => { res.statusCode = code; return res; }),
+      json: jest.fn(() => res),
+      send: jest.fn(() => res),
+      type: jest.fn(() => res),
+      header: jest.fn((name, value) => { res.headers[name] = value; return res; }),
+      cookie: jest.fn(() => res),
+      redirect: jest.fn(() => res),
+      sendStatus: jest.fn(() => res)
+    };
+    return res;
+  };
+
+  beforeEach(() => {
+    accessControl = new AccessControl({ token: 'secret-token', allowedOrigins: ['https://dash.example.com/'] });
+  });
+
+  it('should add the token to dashboard URLs before the fragment', () => {
+    expect(accessControl.getAuthenticatedUrl('http://localhost:3333/#agents'))
+      .toBe('http://localhost:3333/?token=secret-token#agents');
+    expect(new AccessControl({ auth: false }).getAuthenticatedUrl('http://localhost:3333/')).toBe('http://localhost:3333/');
+  });
+
+  it('should accept the token from the query, a Bearer header or the cookie', () => {
+    expect(accessControl.isAuthorized(createRequest({ url: '/api/data?token=secret-token' }))).toBe(true);
+    expect(accessControl.isAuthorized(createRequest({ headers: { authorization: 'Bearer secret-token' } }))).toBe(true);
+    expect(accessControl.isAuthorized(createRequest({ headers: { cookie: 'a=1; cct_token_3333=secret-token' } }))).toBe(true);
+    expect(accessControl.isAuthorized(createRequest({ headers: { authorization: 'Bearer wrong' } }))).toBe(false);
+    expect(accessControl.isAuthorized(createRequest())).toBe(false);
+  });
+
+  it('should allow same-origin, configured and origin-less requests only', () => {
+    expect(accessControl.isOriginAllowed(createRequest())).toBe(true);
+    expect(accessControl.isOriginAllowed(createRequest({ headers: { origin: 'http://localhost:3333' } }))).toBe(true);
+    expect(accessControl.isOriginAllowed(createRequest({ headers: { origin: 'https://dash.example.com' } }))).toBe(true);
+    expect(accessControl.isOriginAllowed(createRequest({ headers: { origin: 'https://evil.example.com' } }))).toBe(false);
+  });
+
+  it('should reject unauthenticated API requests and disallowed origins', () => {
+    const middleware = accessControl.createExpressMiddleware();
+    const next = jest.fn();
+
+    const res = createResponse();
+    middleware(createRequest(), res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const forbidden = createResponse();
+    middleware(createRequest({ headers: { origin: 'https://evil.example.com', authorization: 'Bearer secret-token' } }), forbidden, next);
+    expect(forbidden.status).toHaveBeenCalledWith(403);
+
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should set the cookie and strip the token from page URLs', () => {
+    const middleware = accessControl.createExpressMiddleware();
+    const res = createResponse();
+
+    middleware(createRequest({ url: '/?token=secret-token&x=1' }), res, jest.fn());
+
+    expect(res.cookie).toHaveBeenCalledWith('cct_token_3333', 'secret-token', expect.objectContaining({ httpOnly: true }));
+    expect(res.redirect).toHaveBeenCalledWith(302, '/?x=1');
+  });
+
+  it('should send CORS headers only to allowed origins', () => {
+    const middleware = accessControl.createExpressMiddleware();
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware(createRequest({ headers: { origin: 'https://dash.example.com', authorization: 'Bearer secret-token' } }), res, next);
+
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('https://dash.example.com');
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for BudgetTracker
+ * Tests budget validation, windows and threshold alerts
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const BudgetTracker = require('../../src/analytics/core/BudgetTracker');
+
+describe('BudgetTracker', () => {
+  let tempDir;
+  let tracker;
+
+  // Wednesday 15 January 2025, local time
+  const now = new Date(2025, 0, 15, 12);
+
+  const conversation = (project, byDay, tokensByDay = {}) => ({
+    project,
+    cost: { total: Object.values(byDay).reduce((sum, cost) => sum + cost, 0), byDay, tokensByDay }
+  });
+
+  const conversations = [
+    conversation('api', { '2025-01-15': 8, '2025-01-13': 4, '2025-01-10': 20 }, { '2025-01-15': 900000 }),
+    conversation('web', { '2025-01-15': 2 })
+  ];
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'budget-tracker-'));
+    tracker = new BudgetTracker({ configPath: path.join(tempDir, 'budgets.json') });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('validateBudgets', () => {
+    it('should fill in ids and defaults', () => {
+      const [budget] = tracker.validateBudgets([{ period: 'daily', metric: 'cost', limit: 10, project: 'api' }]);
+      expect(budget).toEqual({ id: 'daily-api-cost', period: 'daily', metric: 'cost', limit: 10, project: 'api', warnAt: 0.8 });
+    });
+
+    it('should reject invalid budgets', () => {
+      expect(() => tracker.validateBudgets([{ period: 'hourly', metric: 'cost', limit: 1 }])).toThrow('period');
+      expect(() => tracker.validateBudgets([{ period: 'daily', metric: 'cost', limit: -1 }])).toThrow('limit');
+      expect(() => tracker.validateBudgets({})).toThrow('array');
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should only count spend inside the current window', async () => {
+      await tracker.save([
+        { id: 'day', period: 'daily', metric: 'cost', limit: 100 },
+        { id: 'week', period: 'weekly', metric: 'cost', limit: 100 },
+        { id: 'all', period: 'total', metric: 'cost', limit: 100 }
+      ]);
+
+      const { status } = tracker.evaluate(conversations, { now });
+
+      expect(status.map(budget => budget.spent)).toEqual([10, 14, 34]);
+    });
+
+    it('should alert once per threshold and window', async () => {
+      await tracker.save([
+        { id: 'api-daily', period: 'daily', metric: 'cost', limit: 10, project: 'api' },
+        { id: 'api-tokens', period: 'daily', metric: 'tokens', limit: 800000, project: 'api' }
+      ]);
+
+      const first = tracker.evaluate(conversations, { now });
+      expect(first.alerts.map(alert => [alert.budgetId, alert.level])).toEqual([
+        ['api-daily', 'warning'],
+        ['api-tokens', 'exceeded']
+      ]);
+      expect(first.alerts[0].message).toBe('Daily cost budget for api at 80%: 8.00 USD of 10.00 USD');
+
+      first.alerts.forEach(alert => tracker.markAlerted(alert));
+      expect(tracker.evaluate(conversations, { now }).alerts).toHaveLength(0);
+
+      // The next day is a new window
+      const tomorrow = new Date(2025, 0, 16, 12);
+      expect(tracker.evaluate([conversation('api', { '2025-01-16': 9 })], { now: tomorrow }).alerts).toHaveLength(1);
+    });
+  });
+
+  describe('load', () => {
+    it('should read budgets saved to the config file', async () => {
+      await tracker.save([{ period: 'weekly', metric: 'tokens', limit: 5000000 }]);
+
+      const reloaded = new BudgetTracker({ configPath: tracker.options.configPath });
+      expect(await reloaded.load()).toEqual(tracker.budgets);
+    });
+
+    it('should start without budgets when no config file exists', async () => {
+      expect(await tracker.load()).toEqual([]);
+    });
+  });
+});
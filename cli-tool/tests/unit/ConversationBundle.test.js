@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for ConversationBundle
+ * Tests writing, reading and importing conversation bundles
+ */
+
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const ConversationBundle = require('../../src/analytics/data/ConversationBundle');
+const ConversationAnalyzer = require('../../src/analytics/core/ConversationAnalyzer');
+
+describe('ConversationBundle', () => {
+  let tempDir;
+
+  const createConversation = (id, overrides = {}) => ({
+    id,
+    filename: `${id}.jsonl`,
+    filePath: `/home/jane/.claude/projects/demo/${id}.jsonl`,
+    project: 'demo',
+    messageCount: 2,
+    fileSize: 1024,
+    lastModified: new Date('2025-06-01T10:00:00Z'),
+    created: new Date('2025-06-01T09:00:00Z'),
+    tokens: 500,
+    cost: { total: 1.5, byDay: { '2025-06-01': 1.5 }, byModel: {}, unpricedModels: [] },
+    status: 'active',
+    runningProcess: { pid: 42 },
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bundle-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should round-trip a gzipped bundle without local paths or live state', async () => {
+    const bundler = new ConversationBundle({ origin: { user: 'jane', host: 'laptop' } });
+    const messages = new Map([['conv-1', [{ role: 'user', content: 'hello' }]]]);
+    const bundle = bundler.create([createConversation('conv-1')], messages);
+    const file = path.join(tempDir, bundler.getFileName(bundle));
+
+    await bundler.write(file, bundle);
+    const read = await bundler.read(file);
+
+    expect(path.basename(file)).toMatch(/^claude-usage-jane-laptop-\d{4}-\d{2}-\d{2}\.json\.gz$/);
+    expect(read.includesMessages).toBe(true);
+    expect(read.conversations[0].messages).toEqual([{ role: 'user', content: 'hello' }]);
+    expect(read.conversations[0].filePath).toBeUndefined();
+    expect(read.conversations[0].runningProcess).toBeUndefined();
+  });
+
+  it('should leave message bodies out of metadata-only bundles', () => {
+    const bundle = new ConversationBundle().create([createConversation('conv-1')]);
+
+    expect(bundle.includesMessages).toBe(false);
+    expect(bundle.conversations[0].messages).toBeUndefined();
+    expect(bundle.conversations[0].tokens).toBe(500);
+  });
+
+  it('should keep tool inputs out of bundles', async () => {
+    const secret = 'sk-ant-REDACTED';
+    const bundler = new ConversationBundle({ origin: { user: 'jane', host: 'laptop' } });
+    const conversation = createConversation('conv-1', {
+      toolUsage: {
+        toolStats: { Bash: 1 },
+        toolTimeline: [{ tool: 'Bash', timestamp: '2025-06-01T10:00:00Z', type: 'usage', parameters: { command: `curl -H 'x-api-key: ${secret}' https://api.anthropic.com` } }],
+        totalToolCalls: 1,
+        uniqueTools: 1
+      }
+    });
+    const file = path.join(tempDir, 'bundle.json.gz');
+
+    await bundler.write(file, bundler.create([conversation]));
+
+    const contents = zlib.gunzipSync(await fs.readFile(file)).toString('utf8');
+    expect(contents).not.toContain(secret);
+    expect((await bundler.read(file)).conversations[0].toolUsage).toEqual({
+      toolStats: { Bash: 1 },
+      toolTimeline: [{ tool: 'Bash', timestamp: '2025-06-01T10:00:00Z', type: 'usage' }],
+      totalToolCalls: 1,
+      uniqueTools: 1
+    });
+    expect(conversation.toolUsage.toolTimeline[0].parameters).toBeDefined();
+  });
+
+  it('should import bundles from directories, tag them and skip duplicates', async () => {
+    const jane = new ConversationBundle({ origin: { user: 'jane', host: 'laptop' } });
+    const omar = new ConversationBundle({ origin: { user: 'omar', host: 'desktop' } });
+    await jane.write(path.join(tempDir, 'a.json.gz'), jane.create([createConversation('conv-1')], new Map()));
+    await omar.write(path.join(tempDir, 'b.json.gz'), omar.create([createConversation('conv-1'), createConversation('conv-2')]));
+    await fs.writeFile(path.join(tempDir, 'notes.txt'), 'ignored');
+
+    const { conversations, messages, bundles } = await jane.importBundles([tempDir]);
+
+    expect(conversations.map(conv => `${conv.id}:${conv.user}@${conv.host}`)).toEqual([
+      'conv-1:jane@laptop',
+      'conv-2:omar@desktop'
+    ]);
+    expect(conversations[0]).toEqual(expect.objectContaining({ imported: true, status: 'completed' }));
+    expect(conversations[0].lastModified).toBeInstanceOf(Date);
+    expect(messages.get('conv-1')).toEqual([]);
+    expect(bundles[1]).toEqual(expect.objectContaining({ conversations: 1, skipped: 1, includesMessages: false }));
+  });
+
+  it('should reject files that are not bundles', async () => {
+    const file = path.join(tempDir, 'bad.json.gz');
+    await fs.writeFile(file, 'not gzip');
+
+    await expect(new ConversationBundle().read(file)).rejects.toThrow('is not a conversation bundle');
+  });
+
+  it('should merge imported conversations into the analyzer and group totals by user', () => {
+    const analyzer = new ConversationAnalyzer('/tmp/.claude');
+    analyzer.origin = { user: 'me', host: 'local' };
+    analyzer.setImportedConversations([
+      createConversation('conv-1', { user: 'jane', host: 'laptop', imported: true }),
+      createConversation('conv-2', { user: 'jane', host: 'laptop', imported: true, tokens: 250 })
+    ]);
+
+    const merged = analyzer.mergeImportedConversations([createConversation('conv-1', { user: 'me', host: 'local' })]);
+    const byUser = analyzer.groupByOrigin(merged);
+
+    expect(merged).toHaveLength(2);
+    expect(merged.find(conv => conv.id === 'conv-1').user).toBe('me');
+    expect(byUser.map(group => [group.key, group.conversations, group.tokens])).toEqual([
+      ['me@local', 1, 500],
+      ['jane@laptop', 1, 250]
+    ]);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for ConversationIndex
+ * Tests persistent incremental indexing of conversation files
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const ConversationIndex = require('../../src/analytics/data/ConversationIndex');
+const ConversationAnalyzer = require('../../src/analytics/core/ConversationAnalyzer');
+const StateCalculator = require('../../src/analytics/core/StateCalculator');
+
+const line = (entry) => JSON.stringify(entry) + '\n';
+
+const userMessage = (uuid, text, timestamp) => line({
+  type: 'user',
+  uuid,
+  timestamp,
+  cwd: '/home/dev/my-project',
+  message: { role: 'user', content: text }
+});
+
+const assistantToolUse = (uuid, toolId, timestamp) => line({
+  type: 'assistant',
+  uuid,
+  timestamp,
+  message: {
+    id: `msg_${uuid}`,
+    role: 'assistant',
+    model: 'claude-sonnet-4-20250514',
+    content: [{ type: 'tool_use', id: toolId, name: 'Read', input: { file_path: 'a.js' } }],
+    usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 50, service_tier: 'standard' }
+  }
+});
+
+const toolResult = (uuid, toolId, timestamp) => line({
+  type: 'user',
+  uuid,
+  timestamp,
+  message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolId, content: 'ok' }] }
+});
+
+const assistantText = (uuid, text, timestamp) => line({
+  type: 'assistant',
+  uuid,
+  timestamp,
+  message: {
+    id: `msg_${uuid}`,
+    role: 'assistant',
+    model: 'claude-sonnet-4-20250514',
+    content: [{ type: 'text', text }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+  }
+});
+
+describe('ConversationIndex', () => {
+  let tempDir;
+  let filePath;
+  let index;
+  let analyzer;
+
+  const sync = () => index.syncFile(filePath, item => analyzer.buildIndexEntry(item));
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversation-index-'));
+    filePath = path.join(tempDir, 'session.jsonl');
+    index = new ConversationIndex({ dbPath: ':memory:' });
+    await index.initialize();
+    analyzer = new ConversationAnalyzer(tempDir, null, index);
+  });
+
+  afterEach(async () => {
+    index.close();
+    await fs.remove(tempDir);
+  });
+
+  it('should index a conversation and record the byte offset', async () => {
+    const content = userMessage('u1', 'hello', '2025-01-01T10:00:00Z') +
+      assistantToolUse('a1', 'toolu_1', '2025-01-01T10:00:05Z');
+    await fs.writeFile(filePath, content);
+
+    const record = await sync();
+
+    expect(record.byte_offset).toBe(Buffer.byteLength(content));
+    expect(record.project_cwd).toBe('/home/dev/my-project');
+    expect(index.getMessages(filePath)).toHaveLength(2);
+  });
+
+  it('should only parse appended bytes on the next sync', async () => {
+    const first = userMessage('u1', 'hello', '2025-01-01T10:00:00Z');
+    await fs.writeFile(filePath, first);
+    await sync();
+
+    const appended = assistantText('a1', 'done', '2025-01-01T10:00:05Z');
+    await fs.appendFile(filePath, appended);
+    await sync();
+
+    expect(index.metrics.filesAppended).toBe(1);
+    expect(index.metrics.bytesParsed).toBe(Buffer.byteLength(first + appended));
+    expect(index.getMessages(filePath).map(row => row.uuid)).toEqual(['u1', 'a1']);
+  });
+
+  it('should leave an incomplete trailing line for the next sync', async () => {
+    const complete = userMessage('u1', 'hello', '2025-01-01T10:00:00Z');
+    const partial = assistantText('a1', 'done', '2025-01-01T10:00:05Z');
+    await fs.writeFile(filePath, complete + partial.slice(0, 20));
+
+    const record = await sync();
+    expect(record.byte_offset).toBe(Buffer.byteLength(complete));
+    expect(index.getMessages(filePath)).toHaveLength(1);
+
+    await fs.writeFile(filePath, complete + partial);
+    await sync();
+    expect(index.getMessages(filePath)).toHaveLength(2);
+  });
+
+  it('should reindex a file that was rewritten', async () => {
+    await fs.writeFile(filePath, userMessage('u1', 'hello there', '2025-01-01T10:00:00Z'));
+    await sync();
+
+    await fs.writeFile(filePath, userMessage('u2', 'hi', '2025-01-02T10:00:00Z'));
+    await sync();
+
+    expect(index.getMessages(filePath).map(row => row.uuid)).toEqual(['u2']);
+  });
+
+  it('should prune files that no longer exist', async () => {
+    await fs.writeFile(filePath, userMessage('u1', 'hello', '2025-01-01T10:00:00Z'));
+    await sync();
+
+    expect(index.pruneMissing([])).toBe(1);
+    expect(index.getMessages(filePath)).toHaveLength(0);
+  });
+
+  it('should produce the same analysis as a full parse', async () => {
+    await fs.writeFile(filePath,
+      userMessage('u1', 'read a.js', '2025-01-01T10:00:00Z') +
+      assistantToolUse('a1', 'toolu_1', '2025-01-01T10:00:05Z') +
+      toolResult('u2', 'toolu_1', '2025-01-01T10:00:06Z') +
+      assistantText('a2', 'Found an Error in a.js', '2025-01-01T10:00:10Z')
+    );
+    await sync();
+
+    const indexed = analyzer.messagesFromIndex(index.getMessages(filePath));
+    const parsed = await new ConversationAnalyzer(tempDir).getParsedConversation(filePath);
+
+    expect(indexed).toHaveLength(parsed.length);
+    expect(analyzer.calculateRealTokenUsage(indexed)).toEqual(analyzer.calculateRealTokenUsage(parsed));
+    expect(analyzer.extractModelInfo(indexed)).toEqual(analyzer.extractModelInfo(parsed));
+    expect(analyzer.extractToolUsage(indexed).toolStats).toEqual(analyzer.extractToolUsage(parsed).toolStats);
+    expect(analyzer.generateStatusSquares(indexed)).toEqual(analyzer.generateStatusSquares(parsed));
+  });
+
+  it('should keep tool inputs out of the served conversation summaries', async () => {
+    const secret = 'sk-ant-REDACTED';
+    await fs.writeFile(filePath,
+      userMessage('u1', 'call the API', '2025-01-01T10:00:00Z') +
+      line({
+        type: 'assistant',
+        uuid: 'a1',
+        timestamp: '2025-01-01T10:00:05Z',
+        message: {
+          id: 'msg_a1',
+          role: 'assistant',
+          model: 'claude-sonnet-4-20250514',
+          content: [{ type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: `curl -H 'x-api-key: ${secret}' https://api.anthropic.com` } }],
+          usage: { input_tokens: 100, output_tokens: 20 }
+        }
+      })
+    );
+
+    // The conversations /api/data and the data_refresh broadcast send
+    const conversations = await analyzer.loadConversations(new StateCalculator());
+
+    expect(JSON.stringify(conversations)).not.toContain(secret);
+    expect(conversations[0].toolUsage.toolStats).toEqual({ Bash: 1 });
+    expect(conversations[0].toolUsage.toolTimeline).toEqual([{ tool: 'Bash', timestamp: new Date('2025-01-01T10:00:05Z'), type: 'usage' }]);
+  });
+
+  it('should index tool names and counts, never tool inputs', async () => {
+    const secret = 'sk-ant-REDACTED';
+    const dbPath = path.join(tempDir, 'index.db');
+    const twoCalls = line({
+      type: 'assistant',
+      uuid: 'a1',
+      timestamp: '2025-01-01T10:00:05Z',
+      message: {
+        id: 'msg_a1',
+        role: 'assistant',
+        content: [
+          { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: `export ANTHROPIC_API_KEY=${secret}` } },
+          { type: 'tool_use', id: 'toolu_2', name: 'Bash', input: { command: 'npm test' } }
+        ]
+      }
+    });
+    await fs.writeFile(filePath, twoCalls);
+
+    const fileIndex = new ConversationIndex({ dbPath });
+    await fileIndex.initialize();
+    await fileIndex.syncFile(filePath, item => analyzer.buildIndexEntry(item));
+    expect(fileIndex.getMessages(filePath)[0].tools).toEqual([{ name: 'Bash', count: 2 }]);
+    fileIndex.close();
+    expect((await fs.readFile(dbPath)).includes(secret)).toBe(false);
+
+    await sync();
+    const indexed = analyzer.messagesFromIndex(index.getMessages(filePath));
+    expect(analyzer.extractToolUsage(indexed).toolStats).toEqual({ Bash: 2 });
+  });
+
+  it('should report disabled stats when not initialized', () => {
+    const disabled = new ConversationIndex({ dbPath: ':memory:' });
+    expect(disabled.isEnabled()).toBe(false);
+    expect(disabled.getStats()).toEqual({ enabled: false });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for CostCalculator
+ * Tests per-model pricing and cost aggregation
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const CostCalculator = require('../../src/analytics/core/CostCalculator');
+
+describe('CostCalculator', () => {
+  let tempDir;
+  let calculator;
+
+  const usage = { input_tokens: 1000000, output_tokens: 100000, cache_creation_input_tokens: 200000, cache_read_input_tokens: 2000000 };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cost-calculator-'));
+    calculator = new CostCalculator({ ratesPath: path.join(tempDir, 'pricing.json') });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('getRates', () => {
+    it('should pick the most specific matching model key', () => {
+      expect(calculator.getRates('claude-opus-4-5-20251101').input).toBe(5);
+      expect(calculator.getRates('claude-opus-4-20250514').input).toBe(15);
+      expect(calculator.getRates('claude-3-5-haiku-20241022').output).toBe(4);
+    });
+
+    it('should return null for unknown models', () => {
+      expect(calculator.getRates('<synthetic>')).toBeNull();
+      expect(calculator.getRates(null)).toBeNull();
+    });
+  });
+
+  describe('calculateUsageCost', () => {
+    it('should price input, output and cache tokens separately', () => {
+      const cost = calculator.calculateUsageCost(usage, 'claude-sonnet-4-20250514');
+
+      expect(cost.input).toBeCloseTo(3);
+      expect(cost.output).toBeCloseTo(1.5);
+      expect(cost.cacheWrite).toBeCloseTo(0.75);
+      expect(cost.cacheRead).toBeCloseTo(0.6);
+      expect(cost.total).toBeCloseTo(5.85);
+    });
+  });
+
+  describe('calculateConversationCost', () => {
+    it('should split cost by model and day and report unpriced models', () => {
+      const cost = calculator.calculateConversationCost([
+        { role: 'user', timestamp: new Date(2025, 0, 1, 10) },
+        { role: 'assistant', model: 'claude-sonnet-4-20250514', usage, timestamp: new Date(2025, 0, 1, 10) },
+        { role: 'assistant', model: 'claude-opus-4-1-20250805', usage: { output_tokens: 1000000 }, timestamp: new Date(2025, 0, 2, 9) },
+        { role: 'assistant', model: '<synthetic>', usage: { output_tokens: 10 }, timestamp: new Date(2025, 0, 2, 9) }
+      ]);
+
+      expect(cost.total).toBeCloseTo(80.85);
+      expect(cost.byModel['claude-opus-4-1-20250805']).toBeCloseTo(75);
+      expect(cost.byDay['2025-01-01']).toBeCloseTo(5.85);
+      expect(cost.byDay['2025-01-02']).toBeCloseTo(75);
+      expect(cost.unpricedModels).toEqual(['<synthetic>']);
+    });
+  });
+
+  describe('summarizeCosts', () => {
+    it('should aggregate costs per project and day', () => {
+      const message = { model: 'claude-sonnet-4', usage: { output_tokens: 1000000 }, timestamp: new Date(2025, 0, 1) };
+      const conversations = [
+        { project: 'api', cost: calculator.calculateConversationCost([message]) },
+        { project: 'api', cost: calculator.calculateConversationCost([message]) },
+        { project: 'web', cost: calculator.calculateConversationCost([message]) }
+      ];
+
+      const summary = calculator.summarizeCosts(conversations);
+
+      expect(summary.total).toBeCloseTo(45);
+      expect(summary.byProject[0]).toEqual({ project: 'api', cost: 30, conversations: 2 });
+      expect(summary.byDay).toEqual([{ date: '2025-01-01', cost: 45 }]);
+    });
+  });
+
+  describe('loadRates', () => {
+    it('should apply local overrides on top of the default table', async () => {
+      await fs.writeJson(path.join(tempDir, 'pricing.json'), {
+        models: {
+          'claude-sonnet-4': { output: 10 },
+          'my-custom-model': { input: 1, output: 2, cacheWrite: 0, cacheRead: 0 }
+        }
+      });
+
+      expect(await calculator.loadRates()).toBe(true);
+      expect(calculator.getRates('claude-sonnet-4-20250514')).toEqual({ input: 3, output: 10, cacheWrite: 3.75, cacheRead: 0.3 });
+      expect(calculator.getRates('my-custom-model').output).toBe(2);
+    });
+
+    it('should keep default rates when no override file exists', async () => {
+      expect(await calculator.loadRates()).toBe(false);
+      expect(calculator.getRates('claude-sonnet-4')).toEqual(CostCalculator.DEFAULT_RATES['claude-sonnet-4']);
+    });
+  });
+});
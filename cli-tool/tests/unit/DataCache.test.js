@@ -9,6 +9,9 @@ const DataCache = require('../../src/analytics/data/DataCache');
 jest.mock('fs-extra', () => ({
   stat: jest.fn(),
   readFile: jest.fn(),
+  open: jest.fn(),
+  read: jest.fn(),
+  close: jest.fn(),
 }));
 
 const fs = require('fs-extra');
@@ -327,4 +330,92 @@ describe('DataCache', () => {
       expect(dataCache.metrics.misses).toBe(0);
     });
   });
-});
\ No newline at end of file
+});
+
+describe('DataCache incremental parsing', () => {
+  const path = require('path');
+  const os = require('os');
+  const realFs = jest.requireActual('fs-extra');
+
+  const line = (entry) => JSON.stringify(entry) + '\n';
+  const toolUse = line({
+    type: 'assistant',
+    uuid: 'a1',
+    timestamp: '2025-01-01T10:00:05Z',
+    message: { id: 'msg_a1', role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'Bash', input: {} }] }
+  });
+  const toolResult = line({
+    type: 'user',
+    uuid: 'u2',
+    timestamp: '2025-01-01T10:00:06Z',
+    message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'ok' }] },
+    toolUseResult: { stdout: 'ok', stderr: '' }
+  });
+  const reply = line({
+    type: 'assistant',
+    uuid: 'a2',
+    timestamp: '2025-01-01T10:00:10Z',
+    message: { id: 'msg_a2', role: 'assistant', content: [{ type: 'text', text: 'done' }] }
+  });
+
+  let dataCache;
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    ['stat', 'readFile', 'open', 'read', 'close'].forEach(method => {
+      fs[method].mockImplementation((...args) => realFs[method](...args));
+    });
+    tempDir = await realFs.mkdtemp(path.join(os.tmpdir(), 'data-cache-'));
+    filePath = path.join(tempDir, 'session.jsonl');
+    dataCache = new DataCache();
+  });
+
+  afterEach(async () => {
+    dataCache.destroy();
+    await realFs.remove(tempDir);
+  });
+
+  const appendAndReparse = async (content) => {
+    await realFs.appendFile(filePath, content);
+    // Ensure the mtime moves forward even on coarse-grained filesystems
+    const future = new Date(Date.now() + 1000 * (dataCache.metrics.incrementalParses + 1));
+    await realFs.utimes(filePath, future, future);
+    dataCache.invalidateFile(filePath, { preserveParseState: true });
+    return dataCache.getParsedConversation(filePath);
+  };
+
+  it('should only parse appended lines and attach tool results across chunks', async () => {
+    await realFs.writeFile(filePath, toolUse);
+    const first = await dataCache.getParsedConversation(filePath);
+    expect(first).toHaveLength(1);
+    expect(first[0].toolResults).toBeNull();
+
+    const messages = await appendAndReparse(toolResult + reply);
+
+    expect(dataCache.metrics.incrementalParses).toBe(1);
+    expect(messages.map(message => message.uuid)).toEqual(['a1', 'a2']);
+    expect(messages[0].toolResults).toHaveLength(1);
+    expect(messages[0].toolResults[0].stdout).toBe('ok');
+  });
+
+  it('should wait for an incomplete trailing line to be finished', async () => {
+    await realFs.writeFile(filePath, toolUse + reply.slice(0, 30));
+    expect(await dataCache.getParsedConversation(filePath)).toHaveLength(1);
+
+    const messages = await appendAndReparse(reply.slice(30));
+    expect(messages.map(message => message.uuid)).toEqual(['a1', 'a2']);
+  });
+
+  it('should fully reparse a file that shrank', async () => {
+    await realFs.writeFile(filePath, toolUse + reply);
+    await dataCache.getParsedConversation(filePath);
+
+    await realFs.writeFile(filePath, reply);
+    dataCache.invalidateFile(filePath, { preserveParseState: true });
+    const messages = await dataCache.getParsedConversation(filePath);
+
+    expect(dataCache.metrics.incrementalParses).toBe(0);
+    expect(messages.map(message => message.uuid)).toEqual(['a2']);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for SearchIndex
+ * Tests indexing of parsed messages, filters, phrase matching and snippets
+ */
+
+const SearchIndex = require('../../src/analytics/data/SearchIndex');
+
+describe('SearchIndex', () => {
+  let index;
+
+  const apiConversation = { id: 'conv-api', project: 'api', filePath: '/tmp/conv-api.jsonl', lastModified: '2025-06-02T10:00:00Z' };
+  const webConversation = { id: 'conv-web', project: 'web', filePath: '/tmp/conv-web.jsonl', lastModified: '2025-06-03T10:00:00Z' };
+
+  const messagesByConversation = {
+    'conv-api': [
+      { id: 'm1', uuid: 'u1', role: 'user', timestamp: '2025-06-01T09:00:00Z', content: 'Why does the server say connection refused?' },
+      {
+        id: 'm2',
+        uuid: 'u2',
+        role: 'assistant',
+        timestamp: '2025-06-01T09:00:05Z',
+        content: [
+          { type: 'text', text: 'Let me check the logs.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'tail server.log' } }
+        ],
+        toolResults: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'ECONNREFUSED 127.0.0.1:5432 postgres unreachable' }]
+      }
+    ],
+    'conv-web': [
+      { id: 'm3', uuid: 'u3', role: 'user', timestamp: '2025-06-03T09:00:00Z', content: [{ type: 'text', text: 'The connection was refused again by the proxy' }] }
+    ]
+  };
+
+  const loadMessages = jest.fn(async (conversation) => messagesByConversation[conversation.id]);
+
+  beforeEach(async () => {
+    loadMessages.mockClear();
+    index = new SearchIndex();
+    index.setConversations([apiConversation, webConversation]);
+    await index.sync(loadMessages);
+  });
+
+  it('should find text inside tool results and report the matching message', () => {
+    const { results, total } = index.search('postgres');
+
+    expect(total).toBe(1);
+    expect(results[0]).toMatchObject({ conversationId: 'conv-api', messageId: 'm2', uuid: 'u2', role: 'assistant', tools: ['Bash'] });
+  });
+
+  it('should require quoted phrases to appear verbatim', () => {
+    expect(index.search('connection refused').total).toBe(2);
+
+    const { results } = index.search('"connection refused"');
+    expect(results.map(result => result.messageId)).toEqual(['m1']);
+  });
+
+  it('should match terms as word prefixes', () => {
+    expect(index.search('unreach').total).toBe(1);
+  });
+
+  it('should apply project, role, tool and date filters', () => {
+    expect(index.search('connection', { project: 'web' }).results.map(r => r.messageId)).toEqual(['m3']);
+    expect(index.search('connection', { role: 'assistant' }).total).toBe(0);
+    expect(index.search('logs', { tool: 'bash' }).total).toBe(1);
+    expect(index.search('logs', { tool: 'Read' }).total).toBe(0);
+    expect(index.search('connection', { from: '2025-06-03' }).results.map(r => r.messageId)).toEqual(['m3']);
+  });
+
+  it('should return highlight ranges within the snippet', () => {
+    const [result] = index.search('postgres').results;
+    const { start, end } = result.highlights[0];
+
+    expect(result.snippet.slice(start, end).toLowerCase()).toBe('postgres');
+  });
+
+  it('should only re-index conversations that changed and drop removed ones', async () => {
+    index.setConversations([{ ...apiConversation, lastModified: '2025-06-04T10:00:00Z' }]);
+    const stats = await index.sync(loadMessages);
+
+    expect(stats).toEqual({ indexed: 1, removed: 1 });
+    expect(loadMessages).toHaveBeenCalledTimes(3);
+    expect(index.search('proxy').total).toBe(0);
+    expect(index.getStats().conversations).toBe(1);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for TranscriptExporter
+ * Tests transcript normalization and Markdown, HTML and JSON rendering
+ */
+
+const TranscriptExporter = require('../../src/analytics/core/TranscriptExporter');
+
+describe('TranscriptExporter', () => {
+  let exporter;
+
+  const conversation = { id: 'conv-1', project: 'api' };
+  const messages = [
+    { id: 'u1', uuid: 'uuid-1', role: 'user', timestamp: '2025-06-01T09:00:00Z', content: 'Rename the <Client> class' },
+    {
+      id: 'msg_1',
+      uuid: 'uuid-2',
+      role: 'assistant',
+      model: 'claude-sonnet-4',
+      timestamp: '2025-06-01T09:00:05Z',
+      content: [
+        { type: 'text', text: 'Updating the file.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'Edit', input: { file_path: 'src/client.js', old_string: 'class Client {', new_string: 'class ApiClient {' } },
+        { type: 'tool_use', id: 'toolu_2', name: 'TodoWrite', input: { todos: [{ content: 'Rename class', status: 'completed' }, { content: 'Update imports', status: 'in_progress' }] } },
+        { type: 'tool_use', id: 'toolu_3', name: 'Bash', input: { command: 'npm test' } }
+      ],
+      toolResults: [
+        { type: 'tool_result', tool_use_id: 'toolu_1', content: 'File updated' },
+        { type: 'tool_result', tool_use_id: 'toolu_3', content: [{ type: 'text', text: '```\n1 failing\n```' }], is_error: true }
+      ]
+    }
+  ];
+
+  beforeEach(() => {
+    exporter = new TranscriptExporter();
+  });
+
+  it('should pair tool calls with their results, diffs and todos', () => {
+    const transcript = exporter.normalize(conversation, messages);
+    const [edit, todos, bash] = transcript.messages[1].blocks.slice(1);
+
+    expect(transcript).toMatchObject({ id: 'conv-1', project: 'api', messageCount: 2, models: ['claude-sonnet-4'] });
+    expect(edit.result.content).toBe('File updated');
+    expect(edit.diff).toEqual({ filePath: 'src/client.js', hunks: [{ removed: ['class Client {'], added: ['class ApiClient {'] }] });
+    expect(todos.todos).toEqual([{ content: 'Rename class', status: 'completed' }, { content: 'Update imports', status: 'in_progress' }]);
+    expect(todos.result).toBeNull();
+    expect(bash.result).toMatchObject({ content: '```\n1 failing\n```', isError: true });
+  });
+
+  it('should render Markdown with diff blocks, todo checkboxes and safe code fences', () => {
+    const markdown = exporter.render(exporter.normalize(conversation, messages), 'md');
+
+    expect(markdown).toContain('# Conversation conv-1');
+    expect(markdown).toContain('```diff\n--- a/src/client.js\n+++ b/src/client.js\n@@\n-class Client {\n+class ApiClient {\n```');
+    expect(markdown).toContain('- [x] Rename class');
+    expect(markdown).toContain('- [ ] Update imports _(in progress)_');
+    expect(markdown).toContain('<summary>Result (error)</summary>\n\n````\n```\n1 failing\n```\n````');
+  });
+
+  it('should render a standalone HTML page with escaped content', () => {
+    const html = exporter.render(exporter.normalize(conversation, messages), 'html');
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('Rename the &lt;Client&gt; class');
+    expect(html).toContain('<span class="added">+class ApiClient {</span>');
+    expect(html).not.toContain('<Client>');
+  });
+
+  it('should render JSON and reject unknown formats', () => {
+    const transcript = exporter.normalize(conversation, messages);
+
+    expect(JSON.parse(exporter.render(transcript, 'json')).messages).toHaveLength(2);
+    expect(() => exporter.render(transcript, 'pdf')).toThrow('Unknown export format "pdf"');
+  });
+});
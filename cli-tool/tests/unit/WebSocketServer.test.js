@@ -142,6 +142,25 @@ describe('WebSocketServer', () => {
     });
   });
 
+  describe('authorization', () => {
+    it('should close connections rejected by the authorize option', () => {
+      const authorize = jest.fn(() => false);
+      const securedServer = new WebSocketServer(mockHttpServer, { authorize });
+      const mockRequest = {
+        socket: { remoteAddress: '127.0.0.1' },
+        headers: { 'user-agent': 'test-client' }
+      };
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      securedServer.handleConnection(mockWs, mockRequest);
+
+      expect(authorize).toHaveBeenCalledWith(mockRequest);
+      expect(mockWs.close).toHaveBeenCalledWith(1008, 'Unauthorized');
+      expect(securedServer.clients.size).toBe(0);
+      console.warn.mockRestore();
+    });
+  });
+
   describe('handleClientMessage', () => {
     let clientId;
 
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for the agent endpoint provider and the fixture server
+ * Tests streamed Messages API requests, cassette recording and replay, and a replayed comprehensive analysis
+ */
+
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const AIAgentManager = require('../../src/ai-agents/AIAgentManager');
+const FixtureServer = require('../../src/ai-agents/FixtureServer');
+const { EndpointProvider, createProvider } = require('../../src/ai-agents/providers');
+const { postJson } = require('../../src/ai-agents/providers/http');
+
+// Stand-in for the Anthropic API that answers with the first line of the prompt,
+// as server-sent events when the request asks for a stream
+async function startUpstream(requests = [], { streams = true } = {}) {
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests.push({ headers: req.headers, body });
+      if (req.headers['x-api-key'] !== 'test-key') {
+        res.writeHead(401, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }));
+        return;
+      }
+      const prompt = body.messages[0].content;
+      const text = `Answer ${requests.length}: ${prompt.split('\n')[0]}`;
+      if (body.stream && streams) {
+        const event = data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+        res.writeHead(200, { 'content-type': 'text/event-stream; charset=utf-8' });
+        res.write(event({ type: 'message_start', message: { model: body.model, role: 'assistant', content: [], usage: { input_tokens: 10, output_tokens: 1 } } }));
+        res.write(event({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }));
+        // An event split across writes
+        const [head, tail] = [text.slice(0, 10), text.slice(10)];
+        const split = event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: head } });
+        res.write(split.slice(0, 20));
+        res.write(split.slice(20));
+        res.write(event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: tail } }));
+        res.write(event({ type: 'content_block_stop', index: 0 }));
+        res.write(event({ type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 5 } }));
+        res.end(event({ type: 'message_stop' }));
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        model: body.model,
+        content: [{ type: 'text', text }],
+        usage: { input_tokens: 10, output_tokens: 5 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('AI agent fixtures', () => {
+  let tempDir;
+  let upstream;
+  let fixtureServer;
+  const originalKey = process.env.ANTHROPIC_API_KEY;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-fixtures-'));
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (fixtureServer) {
+      await fixtureServer.stop();
+      fixtureServer = null;
+    }
+    if (upstream) {
+      await new Promise(resolve => upstream.server.close(resolve));
+      upstream = null;
+    }
+    if (originalKey === undefined) {
+      delete process.env.ANTHROPIC_API_KEY;
+    } else {
+      process.env.ANTHROPIC_API_KEY = originalKey;
+    }
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should stream prompts from a Messages API endpoint', async () => {
+    const requests = [];
+    upstream = await startUpstream(requests);
+    const provider = createProvider({ endpoint: `${upstream.url}/`, model: 'claude-test' });
+    expect(provider).toBeInstanceOf(EndpointProvider);
+    const chunks = [];
+
+    const result = await provider.complete('Review this\nmore', { systemPrompt: 'You review code', onText: chunk => chunks.push(chunk) });
+
+    expect(result).toEqual({ text: 'Answer 1: Review this', live: true, provider: 'endpoint', model: 'claude-test', replayed: false, inputTokens: 10, outputTokens: 5 });
+    expect(chunks).toEqual(['Answer 1: ', 'Review this']);
+    expect(requests[0].body).toEqual({ model: 'claude-test', max_tokens: 4096, stream: true, system: 'You review code', messages: [{ role: 'user', content: 'Review this\nmore' }] });
+    expect(requests[0].headers).toEqual(expect.objectContaining({ 'x-api-key': 'test-key', 'anthropic-version': '2023-06-01' }));
+
+    await expect(new EndpointProvider({ endpoint: upstream.url, apiKey: 'wrong' }).complete('Hi'))
+      .rejects.toThrow(`Endpoint request to ${upstream.url}/v1/messages failed (401): invalid x-api-key`);
+    // An endpoint that does not stream answers with the whole message
+    const whole = await startUpstream([], { streams: false });
+    chunks.length = 0;
+    expect((await new EndpointProvider({ endpoint: whole.url }).complete('Hi', { onText: chunk => chunks.push(chunk) })).text).toBe('Answer 1: Hi');
+    expect(chunks).toEqual(['Answer 1: Hi']);
+    await new Promise(resolve => whole.server.close(resolve));
+
+    expect(await new EndpointProvider({ endpoint: 'ftp://models' }).checkAvailability())
+      .toEqual({ available: false, reason: 'the endpoint must be an http or https URL, got "ftp://models"' });
+  });
+
+  it('should record with placeholders and replay in another checkout', async () => {
+    upstream = await startUpstream();
+    const cassettePath = path.join(tempDir, 'cassette.json');
+    const recordedDir = path.join(tempDir, 'checkout-a');
+
+    fixtureServer = new FixtureServer({ cassettePath, mode: 'record', upstream: upstream.url, placeholders: { projectDir: recordedDir } });
+    const recorder = new EndpointProvider({ endpoint: await fixtureServer.start() });
+    expect((await recorder.complete(`Review ${recordedDir}/src`)).text).toBe(`Answer 1: Review ${recordedDir}/src`);
+    expect((await recorder.complete(`Review ${recordedDir}/src`)).text).toBe(`Answer 2: Review ${recordedDir}/src`);
+    await fixtureServer.stop();
+
+    const cassette = await fs.readJson(cassettePath);
+    expect(cassette.version).toBe(1);
+    expect(cassette.interactions[0].request).toEqual({ system: null, messages: [{ role: 'user', content: 'Review {{projectDir}}/src' }] });
+    expect(cassette.interactions[1].response).toEqual(expect.objectContaining({
+      content: [{ type: 'text', text: 'Answer 2: Review {{projectDir}}/src' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 5 }
+    }));
+
+    // Replayed without the upstream or an API key, identical prompts answered in recorded order
+    const replayDir = path.join(tempDir, 'checkout-b');
+    fixtureServer = new FixtureServer({ cassettePath, upstream: 'http://127.0.0.1:9', placeholders: { projectDir: replayDir } });
+    const replayer = new EndpointProvider({ endpoint: await fixtureServer.start(), apiKey: null });
+    const chunks = [];
+    const first = await replayer.complete(`Review ${replayDir}/src`, { onText: chunk => chunks.push(chunk) });
+    expect(first).toEqual(expect.objectContaining({ text: `Answer 1: Review ${replayDir}/src`, replayed: true, inputTokens: 10, outputTokens: 5 }));
+    expect(chunks).toEqual([`Answer 1: Review ${replayDir}/src`]);
+    expect((await replayer.complete(`Review ${replayDir}/src`)).text).toBe(`Answer 2: Review ${replayDir}/src`);
+    expect((await replayer.complete(`Review ${replayDir}/src`)).text).toBe(`Answer 2: Review ${replayDir}/src`);
+
+    // Requests without stream get the message as JSON
+    const response = await postJson(`${fixtureServer.url}/v1/messages`, { messages: [{ role: 'user', content: `Review ${replayDir}/src` }] });
+    expect(response.headers['content-type']).toBe('application/json');
+    expect(JSON.parse(response.body).content[0].text).toBe(`Answer 2: Review ${replayDir}/src`);
+  });
+
+  it('should report errors sent in the event stream', async () => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write('event: message_start\ndata: {"type":"message_start","message":{"content":[],"usage":{}}}\n\n');
+        res.end('event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    upstream = { server, url: `http://127.0.0.1:${server.address().port}` };
+
+    await expect(new EndpointProvider({ endpoint: upstream.url }).complete('Hi'))
+      .rejects.toThrow(`Endpoint request to ${upstream.url}/v1/messages failed: Overloaded`);
+  });
+
+  it('should explain what is missing from a cassette', async () => {
+    const cassettePath = path.join(tempDir, 'cassette.json');
+    await expect(new FixtureServer({ cassettePath }).start()).rejects.toThrow(`Cassette not found: ${cassettePath} (record it with --record)`);
+    expect(() => new FixtureServer({ cassettePath, mode: 'live' })).toThrow('Fixture server mode must be one of replay, record, got "live"');
+
+    await fs.writeJson(cassettePath, { version: 1, interactions: [] });
+    fixtureServer = new FixtureServer({ cassettePath });
+    const provider = new EndpointProvider({ endpoint: await fixtureServer.start() });
+    await expect(provider.complete('Please conduct a review'))
+      .rejects.toThrow('failed (404): No recorded response in cassette.json for the prompt "Please conduct a review", re-record the cassette with --record');
+
+    await fs.writeJson(cassettePath, { responses: [] });
+    await expect(new FixtureServer({ cassettePath }).start()).rejects.toThrow('is not a cassette (no "interactions" array)');
+  });
+
+  it('should replay a comprehensive analysis deterministically', async () => {
+    const requests = [];
+    upstream = await startUpstream(requests);
+    const cassettePath = path.join(tempDir, 'fixtures', 'comprehensive.json');
+    const template = path.join(tempDir, 'template');
+    await fs.outputJson(path.join(template, 'package.json'), { name: 'shop', dependencies: { express: '^4.18.0' } });
+    await fs.outputFile(path.join(template, 'src', 'index.js'), 'const express = require(\'express\');\n');
+    await fs.outputFile(path.join(template, 'README.md'), '# Shop\n');
+    const projectA = path.join(tempDir, 'a');
+    const projectB = path.join(tempDir, 'b');
+    await fs.copy(template, projectA);
+    await fs.copy(template, projectB);
+
+    const run = async (projectPath, options) => {
+      const manager = new AIAgentManager(projectPath, { cassette: cassettePath, stream: false, ...options });
+      expect(await manager.initializeAgents()).toBe(true);
+      const results = await manager.runComprehensiveAnalysis();
+      await manager.cleanup();
+      return results;
+    };
+
+    const recorded = await run(projectA, { record: true, endpoint: upstream.url });
+    delete process.env.ANTHROPIC_API_KEY;
+    await new Promise(resolve => upstream.server.close(resolve));
+    upstream = null;
+    const replayed = await run(projectB, {});
+
+    // Every agent prompt was recorded once, with the project's files and without its location
+    const cassette = await fs.readJson(cassettePath);
+    expect(cassette.interactions).toHaveLength(requests.length);
+    expect(JSON.stringify(cassette)).not.toContain(projectA);
+    expect(cassette.interactions[0].request.messages[0].content).toContain('src/index.js');
+
+    expect(replayed.codeReview.projectReview).toBe(recorded.codeReview.projectReview);
+    expect(replayed.documentation.readme).toBe(recorded.documentation.readme);
+    expect(replayed.optimization.strategy).toBe(recorded.optimization.strategy.split(projectA).join(projectB));
+
+    const report = await fs.readJson(replayed.comprehensiveReport);
+    expect(report).toEqual(expect.objectContaining({ live: true, provider: 'endpoint', replayed: true, projectPath: projectB }));
+    const markdown = await fs.readFile(replayed.comprehensiveReport.replace(/\.json$/, '.md'), 'utf8');
+    expect(markdown).toContain('**Output**: Replayed from the cassette comprehensive.json (recorded model responses)');
+  });
+});
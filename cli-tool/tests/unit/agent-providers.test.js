@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for the AI agent providers
+ * Tests the Claude Code SDK provider, demo output, the mock provider and how ClaudeAgent uses them
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const ClaudeAgent = require('../../src/ai-agents/ClaudeAgent');
+const AIAgentManager = require('../../src/ai-agents/AIAgentManager');
+const { ClaudeCodeProvider, DemoProvider, MockProvider, createProvider } = require('../../src/ai-agents/providers');
+
+// Replays SDK messages and records the query arguments
+function fakeQuery(messages, calls = []) {
+  return (args) => {
+    calls.push(args);
+    return (async function* () {
+      for (const message of messages) yield message;
+    })();
+  };
+}
+
+const assistant = (text, parent = null) => ({
+  type: 'assistant',
+  parent_tool_use_id: parent,
+  session_id: 'session-1',
+  message: { content: [{ type: 'text', text }, { type: 'tool_use', id: 'tool-1', name: 'Read', input: {} }] }
+});
+
+// The partial messages the SDK sends while a turn streams
+const streamEvent = (event, parent = null) => ({ type: 'stream_event', parent_tool_use_id: parent, session_id: 'session-1', event });
+const turnStart = (parent = null) => streamEvent({ type: 'message_start', message: {} }, parent);
+const textDelta = (text, parent = null) => streamEvent({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }, parent);
+
+describe('AI agent providers', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-providers-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should stream assistant text deltas from the SDK and return a live result', async () => {
+    const calls = [];
+    const provider = new ClaudeCodeProvider({
+      model: 'sonnet',
+      query: fakeQuery([
+        { type: 'system', subtype: 'init', model: 'claude-sonnet-4', session_id: 'session-1' },
+        turnStart(),
+        textDelta('Let me read '),
+        textDelta('the code.'),
+        streamEvent({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{}' } }),
+        assistant('Let me read the code.'),
+        turnStart('tool-2'),
+        textDelta('Subagent notes', 'tool-2'),
+        assistant('Subagent notes', 'tool-2'),
+        { type: 'user', message: { content: [] } },
+        turnStart(),
+        textDelta('No issues'),
+        textDelta(' found.'),
+        assistant('No issues found.'),
+        { type: 'result', subtype: 'success', is_error: false, result: 'No issues found.', session_id: 'session-1', total_cost_usd: 0.012, duration_ms: 3400, num_turns: 2 }
+      ], calls)
+    });
+    const chunks = [];
+
+    const result = await provider.complete('Review this', { systemPrompt: 'You are a reviewer', cwd: tempDir, onText: chunk => chunks.push(chunk) });
+
+    expect(chunks).toEqual(['Let me read ', 'the code.', '\n\nNo issues', ' found.']);
+    expect(result).toEqual({
+      text: 'No issues found.',
+      live: true,
+      provider: 'claude-code',
+      model: 'claude-sonnet-4',
+      sessionId: 'session-1',
+      costUsd: 0.012,
+      durationMs: 3400,
+      numTurns: 2
+    });
+    expect(calls).toEqual([{
+      prompt: 'Review this',
+      options: { stderr: expect.any(Function), allowedTools: ['Read', 'Glob', 'Grep', 'LS'], maxTurns: 10, includePartialMessages: true, cwd: tempDir, appendSystemPrompt: 'You are a reviewer', model: 'sonnet' }
+    }]);
+  });
+
+  it('should report SDK failures instead of falling back to demo output', async () => {
+    const failing = result => new ClaudeCodeProvider({ query: fakeQuery([{ type: 'result', session_id: 's', num_turns: 1, ...result }]) });
+
+    await expect(failing({ subtype: 'success', is_error: true, result: 'Invalid API key · Please run /login' }).complete('Hi'))
+      .rejects.toThrow('Claude Code request failed: Invalid API key · Please run /login (check `claude auth status`, or use --demo for sample output)');
+    await expect(failing({ subtype: 'error_max_turns', is_error: true, num_turns: 10 }).complete('Hi'))
+      .rejects.toThrow('Claude Code stopped after 10 turns without a final answer');
+    await expect(new ClaudeCodeProvider({ query: fakeQuery([]) }).complete('Hi')).rejects.toThrow('Claude Code ended without a result');
+    const crashing = new ClaudeCodeProvider({
+      query: ({ options }) => (async function* () {
+        options.stderr('Starting\nInvalid API key · Please run /login\n');
+        throw new Error('Claude Code process exited with code 1');
+      })()
+    });
+    await expect(crashing.complete('Hi')).rejects.toThrow('Claude Code request failed: Invalid API key · Please run /login (check');
+    const trace = new ClaudeCodeProvider({
+      query: ({ options }) => (async function* () {
+        options.stderr('file:///cli.js:2907\n    ^\n\nError: Invalid env var CLAUDE_CODE_MAX_OUTPUT_TOKENS: 64000\n    at Bw0 (file:///cli.js:2907:18354)\n\nNode.js v20.19.5\n');
+        throw new Error('Claude Code process exited with code 1');
+      })()
+    });
+    await expect(trace.complete('Hi')).rejects.toThrow('Claude Code request failed: Invalid env var CLAUDE_CODE_MAX_OUTPUT_TOKENS: 64000 (check');
+
+    const agent = new ClaudeAgent('CodeReview', 'You review code', { provider: new MockProvider({ available: false }), stream: false });
+    expect(await agent.initialize()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('CodeReview Agent is not available: mock provider configured as unavailable'));
+  });
+
+  it('should stream responses to the output and flag where they came from', async () => {
+    const provider = new MockProvider({ responses: ['First answer from the mock', 'Second'], chunkSize: 5 });
+    const written = [];
+    const agent = new ClaudeAgent('CodeReview', 'You review code', { provider, stream: true, output: { write: chunk => written.push(chunk) } });
+
+    expect(await agent.initialize()).toBe(true);
+    expect(await agent.sendPrompt('Review it', { context: 'a Node project' })).toBe('First answer from the mock');
+    expect(await agent.continueConversation('And now?')).toBe('Second');
+
+    expect(written.join('')).toBe('First answer from the mock\nSecond\n');
+    expect(written.slice(0, 3)).toEqual(['First', ' answ', 'er fr']);
+    expect(provider.calls.map(call => call.prompt)).toEqual(['Context: a Node project\n\nReview it', 'And now?']);
+    expect(provider.calls[0].request).toEqual(expect.objectContaining({ agentType: 'CodeReview', systemPrompt: 'You review code' }));
+    expect(agent.getConversationHistory()[0]).toEqual(expect.objectContaining({ response: 'First answer from the mock', live: false, provider: 'mock' }));
+    expect(agent.getStatus()).toEqual(expect.objectContaining({ provider: 'mock', live: false, conversationCount: 2 }));
+  });
+
+  it('should only use canned output with --demo and never write it into the project', async () => {
+    expect(createProvider({ demo: true })).toBeInstanceOf(DemoProvider);
+    expect(createProvider({ model: 'opus' })).toEqual(expect.objectContaining({ name: 'claude-code', live: true, options: expect.objectContaining({ model: 'opus' }) }));
+
+    await fs.outputFile(path.join(tempDir, 'README.md'), '# My project\n');
+    const manager = new AIAgentManager(tempDir, { demo: true, stream: false });
+    expect(await manager.initializeAgents()).toBe(true);
+
+    const results = await manager.runDocumentationGeneration({ projectDocumentation: false, readme: true, writeFiles: true });
+
+    expect(results).toEqual(expect.objectContaining({ live: false, provider: 'demo' }));
+    expect(results.readme).toContain('Demo output from --demo');
+    expect(await fs.readFile(path.join(tempDir, 'README.md'), 'utf8')).toBe('# My project\n');
+    expect(await fs.readJson(results.reportPath)).toEqual(expect.objectContaining({ live: false, provider: 'demo' }));
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for apply
+ * Tests config loading, schema validation, name resolution and exit codes of `cct apply`
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+jest.mock('../../src/hook-scanner', () => ({
+  getHooksForLanguage: () => [
+    { id: 'PreToolUse:Bash:0', checked: true },
+    { id: 'PostToolUse:Edit:0', checked: false }
+  ],
+  getMCPsForLanguage: () => [
+    { id: 'memory', checked: true },
+    { id: 'github', checked: false }
+  ]
+}));
+
+const { APPLY_CONFIG_SCHEMA, EXIT_CODES, validateSchema, loadApplyConfig, resolveApplyConfig, runApply } = require('../../src/apply');
+
+describe('apply', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apply-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    process.exitCode = undefined;
+    await fs.remove(tempDir);
+  });
+
+  it('should load YAML and JSON configs and report parse errors', async () => {
+    await fs.writeFile(path.join(tempDir, 'team.yaml'), 'language: python\nframework: django\nhooks: []\n');
+    await fs.writeFile(path.join(tempDir, 'team.json'), '{"language": "python"}');
+    await fs.writeFile(path.join(tempDir, 'broken.yaml'), 'language: [python\n');
+
+    expect(await loadApplyConfig(path.join(tempDir, 'team.yaml'))).toEqual({ language: 'python', framework: 'django', hooks: [] });
+    expect(await loadApplyConfig(path.join(tempDir, 'team.json'))).toEqual({ language: 'python' });
+    await expect(loadApplyConfig(path.join(tempDir, 'broken.yaml'))).rejects.toThrow(/^Cannot parse .*broken\.yaml/);
+  });
+
+  it('should validate configs against the schema', () => {
+    expect(validateSchema({ version: 1, language: 'python', mcps: ['memory'], onExisting: 'merge' }, APPLY_CONFIG_SCHEMA)).toEqual([]);
+    expect(validateSchema({ version: 2, framwork: 'react', hooks: 'all', agents: [''], onExisting: 'skip' }, APPLY_CONFIG_SCHEMA)).toEqual([
+      'language is required',
+      'version must be one of 1',
+      'framwork is not a known setting',
+      'hooks must be an array',
+      'agents[0] must not be empty',
+      'onExisting must be one of backup, merge, cancel'
+    ]);
+    expect(validateSchema(['python'], APPLY_CONFIG_SCHEMA)).toEqual(['config must be an object']);
+  });
+
+  it('should use the setup defaults for omitted lists and reject unknown names', () => {
+    const { selections, errors } = resolveApplyConfig({ language: 'python', hooks: [] });
+    expect(errors).toEqual([]);
+    expect(selections).toEqual(expect.objectContaining({ framework: 'none', hooks: [], mcps: ['memory'], agents: [], onExisting: 'backup' }));
+
+    expect(resolveApplyConfig({ language: 'python', framework: 'rails', mcps: ['memory', 'slack'] }).errors).toEqual([
+      'framework "rails" is not available for python (django, flask, fastapi)',
+      'mcps: "slack" is not available for python/rails'
+    ]);
+    expect(resolveApplyConfig({ language: 'cobol' }).errors[0]).toMatch(/^language "cobol" is not available/);
+  });
+
+  it('should print a JSON result and set the exit code', async () => {
+    const configPath = path.join(tempDir, 'team.yaml');
+    await fs.writeFile(configPath, 'language: python\nagents: [missing-agent]\n');
+
+    const result = await runApply({ config: configPath, directory: tempDir, format: 'json' });
+
+    expect(result.exitCode).toBe(EXIT_CODES.UNKNOWN_NAME);
+    expect(process.exitCode).toBe(EXIT_CODES.UNKNOWN_NAME);
+    expect(JSON.parse(console.log.mock.calls[console.log.mock.calls.length - 1][0])).toEqual(expect.objectContaining({
+      status: 'invalid',
+      errors: ['agents: "missing-agent" is not available for python']
+    }));
+
+    const missing = await runApply({ format: 'json' });
+    expect(missing.exitCode).toBe(EXIT_CODES.INVALID_CONFIG);
+    expect(missing.errors).toEqual(['--config <file> is required']);
+  });
+});
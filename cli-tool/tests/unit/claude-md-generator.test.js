@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for claude-md-generator
+ * Tests collecting repository facts and generating or refreshing CLAUDE.md
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { collectRepositoryFacts, generateClaudeMd } = require('../../src/claude-md-generator');
+
+describe('claude-md-generator', () => {
+  let tempDir;
+
+  const write = (relativePath, content) => fs.outputFile(path.join(tempDir, relativePath), content);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-md-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should collect package scripts and Makefile targets as categorized commands', async () => {
+    await write('package.json', JSON.stringify({
+      name: 'demo-app',
+      description: 'Demo web app',
+      scripts: { prebuild: 'rm -rf dist', build: 'vite build', test: 'vitest run', lint: 'eslint .', dev: 'vite' },
+      dependencies: { react: '18.0.0' }
+    }));
+    await write('yarn.lock', '');
+    await write('Makefile', '.PHONY: ci\n## Run everything CI runs\nci: lint test\n\tyarn lint\ndeploy: build ## Ship it\n\t./deploy.sh\nCC := gcc\n');
+    await write('src/components/Button.jsx', '');
+
+    const facts = await collectRepositoryFacts(tempDir);
+
+    expect(facts.name).toBe('demo-app');
+    expect(facts.frameworks).toEqual(['react']);
+    expect(facts.commands.map(command => [command.category, command.command, command.description])).toEqual([
+      ['build', 'yarn build', 'vite build'],
+      ['test', 'yarn test', 'vitest run'],
+      ['lint', 'yarn lint', 'eslint .'],
+      ['dev', 'yarn dev', 'vite'],
+      ['other', 'make ci', 'Run everything CI runs'],
+      ['other', 'make deploy', 'Ship it']
+    ]);
+    expect(facts.layout).toEqual([{ path: 'src/', description: 'Source code', children: ['components'] }]);
+  });
+
+  it('should read conventions from Prettier, ESLint and Ruff configs', async () => {
+    await write('package.json', JSON.stringify({ name: 'web', prettier: { semi: false, singleQuote: true } }));
+    await write('.eslintrc.json', '{ // shared config\n  "extends": "eslint:recommended",\n  "rules": { "quotes": ["error", "single"], "no-debugger": "off", },\n}\n');
+    await write('pyproject.toml', '[tool.poetry]\nname = "api"\n\n[tool.ruff]\nline-length = 100\n\n[tool.ruff.lint]\nselect = ["E", "F", "I"]\n\n[tool.pytest.ini_options]\n');
+    await write('poetry.lock', '');
+    await write('api/main.py', '');
+
+    const facts = await collectRepositoryFacts(tempDir);
+
+    expect(facts.conventions).toEqual([
+      { tool: 'Prettier', file: 'package.json', rules: ['no semicolons', 'single quotes'] },
+      { tool: 'ESLint', file: '.eslintrc.json', rules: ['extends eslint:recommended', 'quotes: single'] },
+      { tool: 'Ruff', file: 'pyproject.toml', rules: ['max line length 100', 'rules E, F, I'] }
+    ]);
+    expect(facts.commands.map(command => command.command)).toEqual(['poetry run pytest', 'poetry run ruff check .', 'poetry run ruff format .']);
+  });
+
+  it('should generate a new CLAUDE.md with the template guidance', async () => {
+    await write('go.mod', 'module example.com/service\n');
+    await write('cmd/server/main.go', '');
+
+    const content = generateClaudeMd(await collectRepositoryFacts(tempDir), null, '## Go Guidelines\n\nUse gofmt.');
+
+    expect(content.startsWith('# CLAUDE.md\n')).toBe(true);
+    expect(content).toContain('- `go test ./...`');
+    expect(content).toContain('- `cmd/` - Command entry points (server)');
+    expect(content.trim().endsWith('## Go Guidelines\n\nUse gofmt.')).toBe(true);
+  });
+
+  it('should refresh only the generated section of an existing CLAUDE.md', async () => {
+    await write('package.json', JSON.stringify({ name: 'tool', scripts: { test: 'jest' } }));
+    await write('package-lock.json', '{}');
+    const facts = await collectRepositoryFacts(tempDir);
+
+    const first = generateClaudeMd(facts, '# Tool\n\nHand-written notes.\n', null);
+    facts.commands.push({ category: 'build', command: 'npm run build', description: 'tsc', source: 'package.json' });
+    const second = generateClaudeMd(facts, `${first}\n## Deploying\n\nAsk first.\n`, null);
+
+    expect(first.startsWith('# Tool\n\n<!-- project-facts:start -->')).toBe(true);
+    expect(first).toContain('- `npm test` - jest');
+    expect(second.match(/## Project Overview/g)).toHaveLength(1);
+    expect(second).toContain('- `npm run build` - tsc');
+    expect(second).toContain('Hand-written notes.');
+    expect(second.trim().endsWith('Ask first.')).toBe(true);
+  });
+});
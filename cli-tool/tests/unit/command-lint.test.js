@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for command-lint
+ * Tests the slash command rules, rule configuration, autofixes and CI output
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const {
+  setFrontmatterField,
+  loadLintConfig,
+  findCommandFiles,
+  lintCommands,
+  applyFixes,
+  formatLintResults,
+  runCommandLint
+} = require('../../src/command-lint');
+
+describe('command-lint', () => {
+  let tempDir;
+  let projectDir;
+  let homeDir;
+
+  const write = (relativePath, content) => fs.outputFile(path.join(tempDir, relativePath), content);
+  const lint = async () => {
+    const context = { targetDir: projectDir, homeDir };
+    return lintCommands(await findCommandFiles(projectDir, homeDir), await loadLintConfig(projectDir), context);
+  };
+  const summary = results => results.map(({ command, problems }) => [
+    command.displayPath,
+    problems.map(problem => `${problem.line} ${problem.severity} ${problem.ruleId}`)
+  ]);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'command-lint-'));
+    projectDir = path.join(tempDir, 'project');
+    homeDir = path.join(tempDir, 'home');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should check frontmatter, arguments, bash permissions and file references', async () => {
+    await write('project/docs/style.md', '# Style');
+    await write('project/.claude/commands/git/commit.md', [
+      '---',
+      'allowed-tools: bash(git add:*), Bash(git commit:*), Frobnicate',
+      'argumentHint: "[message]"',
+      '---',
+      '# Commit changes',
+      '',
+      'Follow @docs/style.md and @docs/missing.md, message: $ARGUMENTS',
+      '',
+      '```',
+      'See @examples/not-checked.md',
+      '```'
+    ].join('\n'));
+    await write('project/.claude/commands/status.md', '---\ndescription: Show status\nargument-hint: [scope]\n---\nStatus: !`git status`\n');
+    await write('project/.claude/commands/broken.md', '---\ndescription: [oops\n---\nbody\n');
+
+    expect(summary(await lint())).toEqual([
+      ['.claude/commands/broken.md', ['3 error frontmatter-syntax']],
+      ['.claude/commands/git/commit.md', [
+        '1 warn description-required',
+        '2 error allowed-tools',
+        '2 error allowed-tools',
+        '3 warn frontmatter-fields',
+        '7 warn argument-hint',
+        '7 error file-references'
+      ]],
+      ['.claude/commands/status.md', ['3 warn arguments-unused', '5 error bash-permission']]
+    ]);
+  });
+
+  it('should report names defined in both scopes and apply the rule configuration', async () => {
+    await write('project/.claude/commands/review.md', `---\ndescription: Review\n---\n${'Check every file carefully. '.repeat(40)}`);
+    await write('home/.claude/commands/review.md', '---\ndescription: My review\n---\nReview it\n');
+    await write('project/.claude/command-lint.json', JSON.stringify({ rules: { 'max-length': ['error', { maxTokens: 100 }] } }));
+
+    const results = await lint();
+
+    expect(summary(results)).toEqual([
+      ['.claude/commands/review.md', ['1 error duplicate-name', '1 error max-length']],
+      [path.join('~', '.claude/commands/review.md'), ['1 error duplicate-name']]
+    ]);
+
+    await write('project/.claude/command-lint.json', JSON.stringify({ rules: { 'duplicate-name': 'off', 'max-lenght': 'warn' } }));
+    await expect(loadLintConfig(projectDir)).rejects.toThrow(/^Unknown rule "max-lenght"/);
+    await write('project/.claude/command-lint.json', JSON.stringify({ rules: { 'duplicate-name': 'fatal' } }));
+    await expect(loadLintConfig(projectDir)).rejects.toThrow(/must be one of off, warn, error, got "fatal"/);
+  });
+
+  it('should apply the safe fixes without undoing each other', async () => {
+    await write('project/.claude/commands/commit.md', [
+      '---',
+      'allowed-tools: bash(git add:*), Bash(git commit:*)',
+      'argumentHint: "[message]"',
+      '---',
+      '# Commit changes',
+      '',
+      'Create a commit for the staged changes.',
+      '',
+      'Message: $ARGUMENTS'
+    ].join('\n'));
+    await write('project/.claude/commands/review.md', '# Review\n\nReview the diff with $1 and $2.\n');
+
+    const results = await lint();
+    const fixed = results.map(applyFixes);
+
+    expect(fixed[0]).toBe([
+      '---',
+      'allowed-tools: Bash(git add:*), Bash(git commit:*)',
+      'argument-hint: \'[message]\'',
+      'description: Create a commit for the staged changes.',
+      '---',
+      '# Commit changes',
+      '',
+      'Create a commit for the staged changes.',
+      '',
+      'Message: $ARGUMENTS'
+    ].join('\n'));
+    expect(fixed[1]).toBe('---\ndescription: Review the diff with $1 and $2.\nargument-hint: \'[arg1] [arg2]\'\n---\n# Review\n\nReview the diff with $1 and $2.\n');
+    expect(setFrontmatterField('---\nallowed-tools:\n  - Read\n  - Grep\nmodel: sonnet\n---\nBody', 'allowed-tools', ['Read'])).toBe('---\nallowed-tools:\n  - Read\nmodel: sonnet\n---\nBody');
+  });
+
+  it('should format results as GitHub annotations and JSON', async () => {
+    await write('project/.claude/commands/deploy.md', '---\ndescription: Deploy\n---\nRun !`./deploy.sh` with 100% care\n');
+
+    const results = await lint();
+
+    expect(formatLintResults(results, 'github', projectDir)).toBe(
+      '::error file=.claude/commands/deploy.md,line=4,title=bash-permission::Runs !`bash` commands but allowed-tools does not include Bash(...)'
+    );
+
+    // , and : end a property value, so they are escaped in file= and title= but not in the message
+    const [{ command, problems }] = results;
+    const odd = [{
+      command: { ...command, filePath: path.join(projectDir, '.claude', 'commands', 'a,b:c%.md') },
+      problems: [{ ...problems[0], ruleId: 'rule:x,y', message: 'Line one: 50%\nline two, done' }]
+    }];
+    expect(formatLintResults(odd, 'github', projectDir)).toBe(
+      '::error file=.claude/commands/a%2Cb%3Ac%25.md,line=4,title=rule%3Ax%2Cy::Line one: 50%25%0Aline two, done'
+    );
+    expect(JSON.parse(formatLintResults(results, 'json', projectDir))).toEqual({
+      errorCount: 1,
+      warningCount: 0,
+      fixableCount: 0,
+      results: [expect.objectContaining({
+        name: 'deploy',
+        scope: 'project',
+        problems: [{ ruleId: 'bash-permission', severity: 'error', line: 4, message: expect.any(String), fixable: false }]
+      })]
+    });
+  });
+
+  it('should only fix personal commands with --fix-personal', async () => {
+    await write('project/.claude/commands/review.md', '# Review\n\nReview the diff.\n');
+    await write('home/.claude/commands/standup.md', '# Standup\n\nSummarize yesterday\'s commits.\n');
+    const personalPath = path.join(homeDir, '.claude', 'commands', 'standup.md');
+    const logs = [];
+    jest.spyOn(console, 'log').mockImplementation(message => logs.push(message));
+
+    try {
+      await runCommandLint({ directory: projectDir, homeDir, fix: true });
+      expect(await fs.readFile(path.join(projectDir, '.claude', 'commands', 'review.md'), 'utf8')).toMatch(/^---\ndescription: Review the diff\.\n---\n/);
+      expect(await fs.readFile(personalPath, 'utf8')).toBe('# Standup\n\nSummarize yesterday\'s commits.\n');
+      expect(logs.join('\n')).toContain(`Not fixing 1 personal command outside the project (add --fix-personal):\n  - ${path.join('~', '.claude', 'commands', 'standup.md')}`);
+
+      await runCommandLint({ directory: projectDir, homeDir, fix: true, fixPersonal: true });
+      expect(await fs.readFile(personalPath, 'utf8')).toMatch(/^---\ndescription: Summarize yesterday's commits\.\n---\n/);
+    } finally {
+      console.log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for hook-builder
+ * Tests sample event payloads, test runs of hook commands and adding hooks to settings
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  getMatchingTools,
+  buildSamplePayload,
+  withHookSandbox,
+  runHookCommand,
+  describeHookResult,
+  addHookToSettings
+} = require('../../src/hook-builder');
+
+describe('hook-builder', () => {
+  it('should build sample events for the tools a matcher applies to', () => {
+    expect(getMatchingTools('Edit|MultiEdit|Write')).toEqual(['Edit', 'MultiEdit', 'Write']);
+    expect(getMatchingTools('*')).toContain('Bash');
+    expect(getMatchingTools('Notebook.*')).toEqual([]);
+
+    const payload = buildSamplePayload('PostToolUse', { cwd: '/project', toolName: 'Write' });
+    expect(payload).toEqual(expect.objectContaining({
+      cwd: '/project',
+      hook_event_name: 'PostToolUse',
+      tool_name: 'Write',
+      tool_input: expect.objectContaining({ file_path: '/project/src/example.js' }),
+      tool_response: { success: true }
+    }));
+    expect(buildSamplePayload('Stop', { cwd: '/project' })).not.toHaveProperty('tool_name');
+  });
+
+  it('should pass the event on stdin and report exit code, stdout and stderr', async () => {
+    const payload = buildSamplePayload('PreToolUse', { cwd: os.tmpdir(), toolName: 'Bash' });
+
+    const result = await runHookCommand(
+      'node -e "let s=\'\';process.stdin.on(\'data\',d=>s+=d).on(\'end\',()=>{console.log(JSON.parse(s).tool_input.command);console.error(process.env.CLAUDE_PROJECT_DIR);process.exit(2)})"',
+      payload,
+      { cwd: os.tmpdir() }
+    );
+
+    expect(result).toEqual(expect.objectContaining({ exitCode: 2, stdout: 'npm test\n', stderr: `${os.tmpdir()}\n`, timedOut: false }));
+    expect(describeHookResult('PreToolUse', result)).toBe('Blocking error: the tool call is blocked and stderr is sent to Claude');
+    expect(describeHookResult('Notification', { exitCode: 1, stdout: '', stderr: 'oops' })).toMatch(/^Non-blocking error \(exit 1\)/);
+    expect(describeHookResult('PreToolUse', { exitCode: 0, stdout: '{"decision":"block","reason":"no rm"}', stderr: '' }))
+      .toBe('Success with JSON output: decision "block" (no rm)');
+  });
+
+  it('should test hooks in a throwaway directory with the project\'s hook scripts', async () => {
+    const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hook-builder-'));
+    await fs.outputFile(path.join(projectDir, 'src', 'index.js'), 'module.exports = 1;\n');
+    await fs.outputFile(path.join(projectDir, '.claude', 'hooks', 'format.sh'), 'echo "formatted" > "$1"\n');
+    let sandboxDir;
+
+    try {
+      const { payload, result } = await withHookSandbox(projectDir, async sandbox => {
+        sandboxDir = sandbox;
+        const event = buildSamplePayload('PostToolUse', { cwd: sandbox, toolName: 'Edit' });
+        return {
+          payload: event,
+          result: await runHookCommand('sh "$CLAUDE_PROJECT_DIR/.claude/hooks/format.sh" src/index.js && cat src/index.js', event, { cwd: sandbox })
+        };
+      });
+
+      expect(payload.tool_input.file_path).toBe(path.join(sandboxDir, 'src', 'index.js'));
+      expect(result).toEqual(expect.objectContaining({ exitCode: 0, stdout: 'formatted\n' }));
+      expect(await fs.readFile(path.join(projectDir, 'src', 'index.js'), 'utf8')).toBe('module.exports = 1;\n');
+      expect(await fs.pathExists(sandboxDir)).toBe(false);
+    } finally {
+      await fs.remove(projectDir);
+    }
+  });
+
+  it('should stop hooks that run past their timeout', async () => {
+    const result = await runHookCommand('sleep 5; echo late', buildSamplePayload('Stop'), { timeout: 0.2 });
+
+    expect(result).toEqual(expect.objectContaining({ exitCode: null, stdout: '', timedOut: true }));
+    expect(result.durationMs).toBeLessThan(4000);
+    expect(describeHookResult('Stop', result)).toMatch(/^Timed out/);
+  });
+
+  it('should add hooks next to the ones configured for the same event and matcher', () => {
+    const settings = {
+      permissions: { allow: ['Bash(npm test)'] },
+      hooks: { PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: 'log.sh' }] }] }
+    };
+    const hook = { type: 'command', command: 'guard.sh', timeout: 10 };
+
+    const updated = addHookToSettings(settings, 'PreToolUse', 'Bash', hook);
+    const withStop = addHookToSettings(updated, 'Stop', '', { type: 'command', command: 'notify.sh' });
+
+    expect(updated.hooks.PreToolUse).toEqual([
+      { matcher: 'Bash', hooks: [{ type: 'command', command: 'log.sh' }, hook] }
+    ]);
+    expect(addHookToSettings(updated, 'PreToolUse', 'Bash', hook)).toEqual(updated);
+    expect(withStop.hooks.Stop).toEqual([{ hooks: [{ type: 'command', command: 'notify.sh' }] }]);
+    expect(withStop.permissions).toEqual(settings.permissions);
+  });
+});
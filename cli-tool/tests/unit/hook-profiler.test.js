@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for hook-profiler
+ * Tests finding hook runs in conversation history, aggregating them and timing dry runs
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const ConversationAnalyzer = require('../../src/analytics/core/ConversationAnalyzer');
+const { loadConfiguredHooks, collectHookExecutions, timeHookDryRuns, profileHooks } = require('../../src/hook-profiler');
+
+const at = seconds => new Date(Date.UTC(2025, 0, 1, 12, 0, seconds)).toISOString();
+
+// A session where a prettier PostToolUse hook runs after an Edit and a guard blocks a Bash call
+const transcript = cwd => [
+  { type: 'assistant', timestamp: at(0), cwd, message: { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_edit', name: 'Edit', input: {} }] } },
+  { type: 'user', timestamp: at(1), cwd, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_edit', content: 'ok' }] } },
+  { type: 'system', timestamp: at(4), cwd, toolUseID: 'toolu_edit', level: 'info', content: '\u001b[1mPostToolUse:Edit\u001b[22m [npx prettier --write .] completed successfully' },
+  { type: 'system', timestamp: at(4), cwd, toolUseID: 'toolu_edit', level: 'warning', content: 'PostToolUse:Edit [./lint.sh] failed with non-blocking status code 1: lint errors' },
+  { type: 'assistant', timestamp: at(10), cwd, message: { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_bash', name: 'Bash', input: { command: 'rm -rf /' } }] } },
+  { type: 'user', timestamp: at(10), cwd, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_bash', is_error: true, content: 'PreToolUse:Bash hook error: [./guard.sh]: rm -rf is not allowed' }] } },
+  { type: 'user', timestamp: at(20), cwd, message: { role: 'user', content: 'Stop hook feedback:\n[./check.sh]: tests are failing' } }
+].map(entry => JSON.stringify(entry));
+
+describe('hook-profiler', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hook-profiler-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should find hook runs, failures and blocks in conversation lines', () => {
+    const executions = new ConversationAnalyzer(tempDir).extractHookExecutions(transcript('/project'));
+
+    expect(executions.map(run => [run.event, run.tool, run.command, run.outcome, run.exitCode, run.latencyMs])).toEqual([
+      ['PostToolUse', 'Edit', 'npx prettier --write .', 'success', 0, 3000],
+      ['PostToolUse', 'Edit', './lint.sh', 'failure', 1, 3000],
+      ['PreToolUse', 'Bash', './guard.sh', 'blocked', 2, 0],
+      ['Stop', null, './check.sh', 'blocked', 2, null]
+    ]);
+    expect(executions[0].cwd).toBe('/project');
+  });
+
+  it('should only collect runs from conversations in the project', async () => {
+    const projectDir = path.join(tempDir, 'app');
+    await fs.outputFile(path.join(tempDir, '.claude/projects/-app/session.jsonl'), transcript(path.join(projectDir, 'src')).join('\n'));
+    await fs.outputFile(path.join(tempDir, '.claude/projects/-other/session.jsonl'), transcript(path.join(tempDir, 'app-old')).join('\n'));
+
+    const executions = await collectHookExecutions(path.join(tempDir, '.claude'), projectDir);
+
+    expect(executions).toHaveLength(4);
+    expect(await collectHookExecutions(path.join(tempDir, 'missing'), projectDir)).toEqual([]);
+  });
+
+  it('should aggregate latency, failure and block rates and flag slow hooks', () => {
+    const run = (command, outcome, latencyMs, event = 'PostToolUse') => ({ event, tool: 'Edit', command, outcome, latencyMs });
+    const executions = [
+      run('npx prettier --write .', 'success', 2500),
+      run('npx prettier --write .', 'success', 1500),
+      run('./guard.sh', 'blocked', 100, 'PreToolUse'),
+      run('./guard.sh', 'success', 50, 'PreToolUse'),
+      run('./guard.sh', 'failure', null, 'PreToolUse')
+    ];
+    const configured = [{ event: 'Stop', matcher: '', command: 'npm test', source: 'project' }];
+
+    const profiles = profileHooks(executions, configured);
+
+    expect(profiles.map(profile => [profile.command, profile.runs, profile.avgLatencyMs, profile.slow])).toEqual([
+      ['npx prettier --write .', 2, 2000, true],
+      ['./guard.sh', 3, 75, false],
+      ['npm test', 0, null, false]
+    ]);
+    expect(profiles[0].slowReasons).toEqual(['averages 2.0s on every Edit']);
+    expect(profiles[1]).toEqual(expect.objectContaining({ failures: 1, blocks: 1, maxLatencyMs: 100, totalLatencyMs: 150 }));
+    expect(profiles[1].failureRate).toBeCloseTo(1 / 3);
+    expect(profiles[2]).toEqual(expect.objectContaining({ source: 'project', failureRate: null, blockRate: null }));
+  });
+
+  it('should time dry runs of configured hooks without touching the project', async () => {
+    const originalHome = process.env.HOME;
+    process.env.HOME = tempDir;
+    try {
+      await fs.outputJson(path.join(tempDir, 'project/.claude/settings.json'), {
+        hooks: { PostToolUse: [{ matcher: 'Edit|Write', hooks: [{ type: 'command', command: 'sed -i s/1/2/ "$CLAUDE_PROJECT_DIR/src/index.js"' }] }] }
+      });
+      await fs.outputJson(path.join(tempDir, 'project/.claude/settings.local.json'), {
+        hooks: { Stop: [{ hooks: [{ type: 'command', command: 'exit 3' }, { type: 'prompt', prompt: 'ignored' }] }] }
+      });
+      await fs.outputFile(path.join(tempDir, 'project/src/index.js'), 'const a = 1;\n');
+
+      const configured = await loadConfiguredHooks(path.join(tempDir, 'project'));
+      const timings = await timeHookDryRuns(configured);
+      const profiles = profileHooks([], configured, timings, { slowThresholdMs: -1 });
+
+      expect(configured.map(hook => [hook.event, hook.matcher, hook.source])).toEqual([['PostToolUse', 'Edit|Write', 'project'], ['Stop', '', 'local']]);
+      expect(profiles.map(profile => profile.dryRun.exitCode).sort()).toEqual([0, 3]);
+      expect(profiles[0].slowReasons[0]).toMatch(/in the dry run$/);
+      expect(await fs.readFile(path.join(tempDir, 'project/src/index.js'), 'utf8')).toBe('const a = 1;\n');
+    } finally {
+      process.env.HOME = originalHome;
+    }
+  });
+});
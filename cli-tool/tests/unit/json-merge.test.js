@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for json-merge
+ * Tests settings.json and .mcp.json merging, conflict reporting and diffs
+ */
+
+const { mergeSettings, mergeMCPConfig, revertMerge, diffJson } = require('../../src/json-merge');
+
+describe('json-merge', () => {
+  const prettier = { type: 'command', command: 'npx prettier --write $FILE' };
+  const eslint = { type: 'command', command: 'npx eslint --fix $FILE' };
+
+  it('should union hook groups by matcher and hooks by command', () => {
+    const current = {
+      permissions: { allow: ['Bash(npm test)'] },
+      env: { NODE_ENV: 'development' },
+      hooks: {
+        PostToolUse: [{ matcher: 'Edit', hooks: [prettier] }],
+        Stop: [{ matcher: '', hooks: [{ type: 'command', command: './notify.sh' }] }]
+      }
+    };
+    const incoming = {
+      permissions: { allow: ['Bash(npm run lint)', 'Bash(npm test)'] },
+      hooks: {
+        PostToolUse: [
+          { matcher: 'Edit', hooks: [prettier, eslint] },
+          { matcher: 'Write', hooks: [prettier] }
+        ]
+      }
+    };
+
+    const { merged, conflicts } = mergeSettings(current, incoming);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.permissions.allow).toEqual(['Bash(npm test)', 'Bash(npm run lint)']);
+    expect(merged.env).toEqual({ NODE_ENV: 'development' });
+    expect(merged.hooks.PostToolUse).toEqual([
+      { matcher: 'Edit', hooks: [prettier, eslint] },
+      { matcher: 'Write', hooks: [prettier] }
+    ]);
+    expect(merged.hooks.Stop).toEqual(current.hooks.Stop);
+    expect(Object.keys(merged)).toEqual(['permissions', 'env', 'hooks']);
+  });
+
+  it('should report conflicts and keep the user value', () => {
+    const { merged, conflicts } = mergeSettings(
+      { env: { NODE_ENV: 'development' }, hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [{ ...prettier, timeout: 5 }] }] } },
+      { env: { NODE_ENV: 'production' }, hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [{ ...prettier, timeout: 30 }] }] } }
+    );
+
+    expect(merged.env.NODE_ENV).toBe('development');
+    expect(merged.hooks.PostToolUse[0].hooks[0].timeout).toBe(5);
+    expect(conflicts.map(conflict => conflict.path)).toEqual([
+      'env.NODE_ENV',
+      'hooks.PostToolUse[Edit][npx prettier --write $FILE].timeout'
+    ]);
+  });
+
+  it('should use the base to take template updates and respect user deletions', () => {
+    const base = { env: { LOG_LEVEL: 'info', DEBUG: '0' }, permissions: { allow: ['Bash(ls)'] } };
+    const current = { env: { LOG_LEVEL: 'info' }, permissions: { allow: [] } };
+    const incoming = { env: { LOG_LEVEL: 'warn', DEBUG: '0' }, permissions: { allow: ['Bash(ls)'] } };
+
+    const { merged, conflicts } = mergeSettings(current, incoming, base);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.env).toEqual({ LOG_LEVEL: 'warn' });
+    expect(merged.permissions.allow).toEqual([]);
+  });
+
+  it('should add MCP servers by name without mixing differing definitions', () => {
+    const current = {
+      mcpServers: {
+        custom: { command: 'node', args: ['server.js'] },
+        github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { TOKEN: 'x' } }
+      }
+    };
+    const incoming = {
+      mcpServers: {
+        github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'] },
+        memory: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-memory'] }
+      }
+    };
+
+    const { merged, conflicts } = mergeMCPConfig(current, incoming);
+
+    expect(Object.keys(merged.mcpServers)).toEqual(['custom', 'github', 'memory']);
+    expect(merged.mcpServers.github).toEqual(current.mcpServers.github);
+    expect(conflicts).toEqual([expect.objectContaining({ path: 'mcpServers.github' })]);
+  });
+
+  it('should revert only the merged additions and keep those changed since', () => {
+    const before = {
+      permissions: { allow: ['Bash(npm test)'] },
+      hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [prettier] }] }
+    };
+    const { merged: installed } = mergeSettings(before, {
+      permissions: { allow: ['Bash(npm run lint)'] },
+      env: { CI: '1' },
+      hooks: { PostToolUse: [{ matcher: 'Edit', hooks: [eslint] }, { matcher: 'Write', hooks: [prettier] }] }
+    });
+    const current = { ...installed, env: { CI: '0' }, model: 'opus' };
+    const report = { kept: [] };
+
+    const reverted = revertMerge(current, before, installed, [], report);
+
+    expect(reverted).toEqual({ ...before, env: { CI: '0' }, model: 'opus' });
+    expect(report.kept).toEqual(['env']);
+  });
+
+  it('should diff pretty-printed JSON line by line', () => {
+    const lines = diffJson({ a: 1, b: 2 }, { a: 1, b: 3, c: 4 });
+
+    expect(lines.filter(line => line.type === '-').map(line => line.line.trim())).toEqual(['"b": 2']);
+    expect(lines.filter(line => line.type === '+').map(line => line.line.trim())).toEqual(['"b": 3,', '"c": 4']);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for permission-policy
+ * Tests policy validation, rule precedence, the console bridge integration and the audit log
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const ConsoleBridge = require('../../src/console-bridge');
+const PermissionAuditLog = require('../../src/analytics/data/PermissionAuditLog');
+const Redactor = require('../../src/analytics/core/Redactor');
+const { POLICY_PATH, validatePolicy, loadPermissionPolicy, evaluatePolicy } = require('../../src/permission-policy');
+
+const teamPolicy = {
+  rules: [
+    { tool: 'Read|Glob|Grep', path: 'inside', decision: 'allow' },
+    { tool: 'Bash', command: '\\b(rm|curl|git push)\\b', decision: 'ask' },
+    { tool: 'Write|Edit|MultiEdit|NotebookEdit', path: 'outside', decision: 'deny', reason: 'Only files in this repository may be changed' },
+    { tool: 'Bash', decision: 'allow' }
+  ]
+};
+
+describe('permission-policy', () => {
+  let tempDir;
+  let projectDir;
+  let bridge;
+
+  const event = (tool_name, tool_input, cwd = projectDir) => ({ session_id: 'session-1', cwd, hook_event_name: 'PreToolUse', tool_name, tool_input });
+
+  // Send a hook request to the bridge without a socket
+  const relay = (bridgeInstance, message) => new Promise(resolve => {
+    const { EventEmitter } = require('events');
+    const request = new EventEmitter();
+    request.method = 'POST';
+    request.url = '/permission';
+    request.setEncoding = () => {};
+    const response = new EventEmitter();
+    response.writeHead = jest.fn();
+    response.end = body => {
+      response.writableEnded = true;
+      resolve(JSON.parse(body));
+    };
+    bridgeInstance.handleRelayRequest(request, response);
+    request.emit('data', JSON.stringify(message));
+    request.emit('end');
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'permission-policy-'));
+    projectDir = path.join(tempDir, 'project');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (bridge) {
+      await bridge.shutdown();
+      bridge = null;
+    }
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should reject invalid rules', async () => {
+    expect(() => validatePolicy({})).toThrow(`${POLICY_PATH} must contain a "rules" array`);
+    expect(() => validatePolicy({ rules: [{ tool: 'Bash', decision: 'approve' }] })).toThrow('rule #1: decision must be one of deny, ask, allow, got "approve"');
+    expect(() => validatePolicy({ rules: [{ tool: 'Bash', decision: 'allow', commands: 'ls' }] })).toThrow('rule #1: unknown field "commands"');
+    expect(() => validatePolicy({ rules: [{ decision: 'deny', command: '(rm' }] })).toThrow(/^rule #1: command is not a valid regex/);
+    expect(() => validatePolicy({ rules: [{ decision: 'deny', path: 'elsewhere' }] })).toThrow('rule #1: path must be one of inside, outside, got "elsewhere"');
+
+    expect(await loadPermissionPolicy(projectDir)).toBeNull();
+    await fs.outputFile(path.join(projectDir, POLICY_PATH), '{ "rules": [');
+    await expect(loadPermissionPolicy(projectDir)).rejects.toThrow(/^Cannot parse \.claude\/permission-policy\.json/);
+  });
+
+  it('should let deny win over ask and ask over allow', async () => {
+    const rules = validatePolicy(teamPolicy);
+    const decide = async payload => {
+      const result = await evaluatePolicy(rules, payload, projectDir);
+      return result && `${result.decision} #${result.rule}`;
+    };
+
+    expect(await decide(event('Read', { file_path: 'src/index.js' }))).toBe('allow #1');
+    expect(await decide(event('Grep', { pattern: 'TODO' }))).toBe('allow #1');
+    expect(await decide(event('Grep', { pattern: 'TODO', path: '/etc' }))).toBeNull();
+    expect(await decide(event('Read', { file_path: '../project-secrets/.env' }))).toBeNull();
+    expect(await decide(event('Bash', { command: 'npm test' }))).toBe('allow #4');
+    expect(await decide(event('Bash', { command: 'git push origin main' }))).toBe('ask #2');
+    expect(await decide(event('Bash', { command: 'npm run perform' }))).toBe('allow #4');
+    expect(await decide(event('Write', { file_path: path.join(projectDir, 'a.js'), content: '' }))).toBeNull();
+    expect(await decide(event('Edit', { file_path: path.join(tempDir, 'other/a.js') }))).toBe('deny #3');
+    expect((await evaluatePolicy(rules, event('Edit', { file_path: '/tmp/a.js' }), projectDir)).reason).toBe('Only files in this repository may be changed');
+  });
+
+  it('should not allow globs or symlinks that reach outside the project', async () => {
+    const rules = validatePolicy({ rules: [{ tool: 'Read|Glob|Grep', path: 'inside', decision: 'allow' }] });
+    const decide = async payload => {
+      const result = await evaluatePolicy(rules, payload, projectDir);
+      return result && result.decision;
+    };
+
+    expect(await decide(event('Glob', { pattern: 'src/**/*.js' }))).toBe('allow');
+    expect(await decide(event('Glob', { pattern: '/etc/**/*' }))).toBeNull();
+    expect(await decide(event('Glob', { pattern: '../../root/.ssh/*' }))).toBeNull();
+    expect(await decide(event('Glob', { pattern: '~/.ssh/*' }))).toBeNull();
+    expect(await decide(event('Grep', { pattern: 'BEGIN', glob: '../**/*.pem' }))).toBeNull();
+
+    // A link in the repository to a file outside it
+    await fs.outputFile(path.join(tempDir, 'secrets', 'id_rsa'), 'key');
+    await fs.ensureDir(projectDir);
+    await fs.symlink(path.join(tempDir, 'secrets', 'id_rsa'), path.join(projectDir, 'id_rsa'));
+    await fs.symlink(path.join(tempDir, 'secrets'), path.join(projectDir, 'linked'));
+    expect(await decide(event('Read', { file_path: 'id_rsa' }))).toBeNull();
+    expect(await decide(event('Read', { file_path: 'linked/new.txt' }))).toBeNull();
+    expect(await decide(event('Read', { file_path: 'src/new.js' }))).toBe('allow');
+
+    // A project reached through a symlink is still the project
+    await fs.symlink(projectDir, path.join(tempDir, 'project-link'));
+    expect(await evaluatePolicy(rules, event('Read', { file_path: path.join(projectDir, 'README.md') }), path.join(tempDir, 'project-link')))
+      .toEqual(expect.objectContaining({ decision: 'allow' }));
+  });
+
+  it('should decide by policy before asking the dashboard and log every decision', async () => {
+    await fs.outputJson(path.join(projectDir, POLICY_PATH), teamPolicy);
+    const auditLog = new PermissionAuditLog({ logPath: path.join(tempDir, 'audit.jsonl') });
+    bridge = new ConsoleBridge({ socketPath: path.join(tempDir, 'relay.sock'), hasViewers: () => true, auditLog });
+    const shown = [];
+    const logged = [];
+    bridge.on('console_interaction', interaction => {
+      shown.push(interaction);
+      bridge.handleWebMessage({ type: 'console_response', data: { interactionId: interaction.id, response: { type: 'choice', value: 0 } } });
+    });
+    bridge.on('permission_decision', entry => logged.push(entry));
+
+    // The hook's cwd is a subdirectory, the policy is found through the project directory
+    const cwd = path.join(projectDir, 'src');
+    expect(await relay(bridge, { projectDir, payload: event('Edit', { file_path: '/etc/hosts' }, cwd) })).toEqual({
+      decision: 'deny',
+      reason: 'Only files in this repository may be changed'
+    });
+    expect(await relay(bridge, { projectDir, payload: event('Read', { file_path: 'index.js' }, cwd) })).toEqual(expect.objectContaining({ decision: 'allow' }));
+    expect(await relay(bridge, { projectDir, payload: event('Bash', { command: 'curl https://example.com' }, cwd) })).toEqual(expect.objectContaining({ decision: 'allow' }));
+
+    expect(shown).toHaveLength(1);
+    expect(shown[0]).toEqual(expect.objectContaining({ tool: 'Bash', policyReason: `Permission policy rule #2 (${POLICY_PATH})` }));
+    expect(logged.map(entry => [entry.decision, entry.source, entry.rule, entry.tool])).toEqual([
+      ['deny', 'policy', 3, 'Edit'],
+      ['allow', 'policy', 1, 'Read'],
+      ['allow', 'dashboard', 2, 'Bash']
+    ]);
+    expect(await auditLog.readAll()).toEqual(logged);
+
+    // A broken policy decides nothing, the dashboard is asked instead
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await fs.outputFile(path.join(projectDir, POLICY_PATH), '{');
+    expect(await relay(bridge, { projectDir, payload: event('Edit', { file_path: '/etc/hosts' }) })).toEqual(expect.objectContaining({ decision: 'allow' }));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring the permission policy'));
+  });
+
+  it('should filter the audit log newest first', async () => {
+    const auditLog = new PermissionAuditLog({ logPath: path.join(tempDir, 'audit.jsonl') });
+    await auditLog.append({ timestamp: '2026-01-01T10:00:00.000Z', decision: 'allow', source: 'policy', tool: 'Read', summary: 'src/a.js', projectDir: '/work/api' });
+    await auditLog.append({ timestamp: '2026-01-02T10:00:00.000Z', decision: 'deny', source: 'dashboard', tool: 'Bash', summary: 'rm -rf /', reason: 'No', projectDir: '/work/api' });
+    await auditLog.append({ timestamp: '2026-01-03T10:00:00.000Z', decision: 'ask', source: 'timeout', tool: 'Bash', summary: 'git push', projectDir: '/work/web' });
+    await fs.appendFile(auditLog.options.logPath, 'not json\n');
+
+    const all = await auditLog.query();
+    expect(all.entries.map(entry => entry.summary)).toEqual(['git push', 'rm -rf /', 'src/a.js']);
+    expect(all.counts).toEqual({ allow: 1, deny: 1, ask: 1 });
+
+    expect((await auditLog.query({ tool: 'bash', project: 'api' })).entries.map(entry => entry.summary)).toEqual(['rm -rf /']);
+    expect((await auditLog.query({ q: 'PUSH', source: 'timeout' })).total).toBe(1);
+    expect((await auditLog.query({ from: '2026-01-02', limit: 1 })).entries.map(entry => entry.decision)).toEqual(['ask']);
+    expect((await fs.stat(auditLog.options.logPath)).mode & 0o777).toBe(0o600);
+  });
+
+  it('should redact audit entries for serving but keep the log raw', async () => {
+    const secret = 'sk-ant-REDACTED';
+    const redactor = new Redactor({ configPath: path.join(tempDir, 'redaction.json') });
+    const auditLog = new PermissionAuditLog({ logPath: path.join(tempDir, 'audit.jsonl'), redactor });
+    const stored = await auditLog.append({ decision: 'deny', source: 'dashboard', tool: 'Bash', summary: `curl -H "x-api-key: ${secret}" api.example.com`, reason: `Leaks ${secret}` });
+
+    const { entries } = await auditLog.query();
+    expect(entries[0].summary).toBe('curl -H "x-api-key: [REDACTED:anthropic-key]" api.example.com');
+    expect(entries[0].reason).toBe('Leaks [REDACTED:anthropic-key]');
+    expect(JSON.stringify(auditLog.redactEntry(stored))).not.toContain(secret);
+    expect((await auditLog.query({ q: 'sk-ant' })).total).toBe(0);
+
+    expect(stored.summary).toContain(secret);
+    expect(await fs.readFile(auditLog.options.logPath, 'utf8')).toContain(secret);
+    expect(new PermissionAuditLog().redactEntry(stored)).toBe(stored);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for the permission relay
+ * Tests the PreToolUse hook script, the console bridge queue and the hook installer
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const ConsoleBridge = require('../../src/console-bridge');
+const PermissionAuditLog = require('../../src/analytics/data/PermissionAuditLog');
+const { parseArgs, formatDecision } = require('../../src/permission-relay-hook');
+const { HOOK_SCRIPT_PATH, DEFAULT_MATCHER, findUnrelayedPolicyTools, installPermissionRelay } = require('../../src/permission-relay');
+const { POLICY_PATH, validatePolicy } = require('../../src/permission-policy');
+
+const HOOK_SCRIPT = path.join(__dirname, '../../src/permission-relay-hook.js');
+
+// Run the hook script like Claude Code does: event JSON on stdin, decision on stdout
+function runHook(args, payload) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [HOOK_SCRIPT, ...args], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout }));
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+const bashEvent = {
+  session_id: 'session-1',
+  cwd: '/project',
+  hook_event_name: 'PreToolUse',
+  tool_name: 'Bash',
+  tool_input: { command: 'rm -rf build', description: 'Clean the build' }
+};
+
+describe('permission relay', () => {
+  let tempDir;
+  let bridge;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'relay-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (bridge) {
+      await bridge.shutdown();
+      bridge = null;
+    }
+    console.log.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  it('should turn decisions into PreToolUse hook output', () => {
+    expect(parseArgs(['--timeout', '30', '--default', 'deny', '--socket', '/tmp/x.sock'])).toEqual({ timeout: 30, defaultDecision: 'deny', socketPath: '/tmp/x.sock' });
+    expect(parseArgs(['--default', 'allow']).defaultDecision).toBe('ask');
+
+    expect(JSON.parse(formatDecision({ decision: 'allow' }, { defaultDecision: 'ask' }))).toEqual({
+      hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'allow', permissionDecisionReason: 'Approved in the dashboard' }
+    });
+    expect(formatDecision({ decision: 'ask' }, { defaultDecision: 'deny' })).toBe('');
+    expect(JSON.parse(formatDecision(null, { defaultDecision: 'deny' })).hookSpecificOutput.permissionDecision).toBe('deny');
+    expect(formatDecision(null, { defaultDecision: 'ask' })).toBe('');
+  });
+
+  it('should queue requests for the web interface and answer them in order', async () => {
+    let viewers = false;
+    bridge = new ConsoleBridge({ socketPath: path.join(tempDir, 'relay.sock'), hasViewers: () => viewers });
+    const shown = [];
+    const resolved = [];
+    bridge.on('console_interaction', interaction => shown.push(interaction));
+    bridge.on('console_interaction_resolved', result => resolved.push(result));
+
+    expect(await bridge.requestPermission(bashEvent, { defaultDecision: 'deny' }).promise).toEqual(expect.objectContaining({ decision: 'deny' }));
+    expect(shown).toEqual([]);
+
+    viewers = true;
+    const first = bridge.requestPermission(bashEvent);
+    const second = bridge.requestPermission({ ...bashEvent, tool_name: 'Write', tool_input: { file_path: '/project/a.js', content: 'x' } });
+
+    expect(shown).toHaveLength(1);
+    expect(shown[0]).toEqual(expect.objectContaining({
+      id: first.id,
+      type: 'choice',
+      tool: 'Bash',
+      description: 'rm -rf build\nClean the build\nin /project',
+      options: ['Yes', 'No, and tell Claude to do something else']
+    }));
+
+    bridge.handleWebMessage({ type: 'console_response', data: { interactionId: first.id, response: { type: 'choice', value: 0 } } });
+    expect(await first.promise).toEqual(expect.objectContaining({ decision: 'allow' }));
+    expect(shown.map(interaction => interaction.tool)).toEqual(['Bash', 'Write']);
+
+    bridge.handleWebMessage({ type: 'console_response', data: { interactionId: second.id, response: { type: 'cancel' } } });
+    expect(await second.promise).toEqual(expect.objectContaining({ decision: 'ask' }));
+    expect(resolved).toEqual([{ id: first.id, decision: 'allow' }, { id: second.id, decision: 'ask' }]);
+    expect(bridge.currentInteraction).toBeNull();
+  });
+
+  it('should block the hook until the dashboard answers, or fall back on timeout', async () => {
+    const socketPath = path.join(tempDir, 'relay.sock');
+
+    // No dashboard running: the default decision, right away
+    expect(await runHook(['--socket', socketPath, '--default', 'deny'], bashEvent)).toEqual({
+      code: 0,
+      stdout: expect.stringContaining('"permissionDecision":"deny"')
+    });
+
+    bridge = new ConsoleBridge({
+      socketPath,
+      hasViewers: () => true,
+      auditLog: new PermissionAuditLog({ logPath: path.join(tempDir, 'audit.jsonl') })
+    });
+    await bridge.setupRelayServer();
+    expect((await fs.stat(socketPath)).mode & 0o777).toBe(0o600);
+
+    bridge.once('console_interaction', interaction => {
+      bridge.handleWebMessage({ type: 'console_response', data: { interactionId: interaction.id, response: { type: 'choice', value: 1 } } });
+    });
+    const denied = await runHook(['--socket', socketPath], bashEvent);
+    expect(JSON.parse(denied.stdout).hookSpecificOutput).toEqual({
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: 'Denied in the claude-code-templates dashboard'
+    });
+
+    // Nobody answers: after the timeout Claude Code decides as usual
+    const unanswered = await runHook(['--socket', socketPath, '--timeout', '1'], bashEvent);
+    expect(unanswered).toEqual({ code: 0, stdout: '' });
+    expect(bridge.pending.size).toBe(0);
+  }, 15000);
+
+  it('should create the relay socket and its directory for the current user only', async () => {
+    const umask = process.umask();
+    const socketPath = path.join(tempDir, 'state', 'relay.sock');
+    bridge = new ConsoleBridge({ socketPath, hasViewers: () => true });
+    // Private from the moment it exists, not only after the chmod
+    const chmod = jest.spyOn(fs, 'chmod').mockResolvedValue();
+    await bridge.setupRelayServer();
+    chmod.mockRestore();
+
+    expect((await fs.stat(path.dirname(socketPath))).mode & 0o777).toBe(0o700);
+    expect((await fs.stat(socketPath)).mode & 0o777).toBe(0o600);
+    expect(process.umask()).toBe(umask);
+  });
+
+  it('should install the hook script and a PreToolUse hook that rollback can undo', async () => {
+    await fs.outputJson(path.join(tempDir, '.claude/settings.json'), { permissions: { allow: ['Bash(npm test)'] } });
+
+    expect(await installPermissionRelay({ directory: tempDir, yes: true })).toBe(true);
+
+    const settings = await fs.readJson(path.join(tempDir, '.claude/settings.json'));
+    expect(settings.permissions).toEqual({ allow: ['Bash(npm test)'] });
+    expect(settings.hooks.PreToolUse).toEqual([{
+      matcher: 'Bash|Edit|MultiEdit|Write|NotebookEdit|WebFetch',
+      hooks: [{ type: 'command', command: `node "$CLAUDE_PROJECT_DIR/${HOOK_SCRIPT_PATH}" --timeout 55 --default ask`, timeout: 60 }]
+    }]);
+    expect(await fs.readFile(path.join(tempDir, HOOK_SCRIPT_PATH), 'utf8')).toBe(await fs.readFile(HOOK_SCRIPT, 'utf8'));
+
+    const journal = await fs.readJson(path.join(tempDir, '.claude/.cct-journal.json'));
+    expect(journal.installs[journal.installs.length - 1].files.map(file => [file.path, file.change])).toEqual([
+      ['.claude/settings.json', 'merged'],
+      [HOOK_SCRIPT_PATH, 'created']
+    ]);
+    expect(await installPermissionRelay({ directory: tempDir, yes: true })).toBe(false);
+  });
+
+  it('should relay the tools the permission policy has rules for', async () => {
+    const rules = validatePolicy({ rules: [
+      { tool: 'Read|Glob|Grep', path: 'inside', decision: 'allow' },
+      { tool: 'Bash', decision: 'allow' },
+      { command: 'rm', decision: 'deny' }
+    ] });
+    expect(findUnrelayedPolicyTools(DEFAULT_MATCHER, rules)).toEqual(['Read', 'Glob', 'Grep']);
+    expect(findUnrelayedPolicyTools('.*', rules)).toEqual([]);
+    expect(findUnrelayedPolicyTools(DEFAULT_MATCHER, null)).toEqual([]);
+
+    await fs.outputJson(path.join(tempDir, POLICY_PATH), { rules: [{ tool: 'Read|Glob|Grep', path: 'inside', decision: 'allow' }] });
+    expect(await installPermissionRelay({ directory: tempDir, yes: true })).toBe(true);
+
+    const settings = await fs.readJson(path.join(tempDir, '.claude/settings.json'));
+    expect(settings.hooks.PreToolUse[0].matcher).toBe('Bash|Edit|MultiEdit|Write|NotebookEdit|WebFetch|Read|Glob|Grep');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for report
+ * Tests the date range options, in-range filtering and the table, json, csv and md renderers
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { UsageReport } = require('../../src/report');
+
+const line = (entry) => JSON.stringify(entry) + '\n';
+
+// Local time, the report range is in the user's days
+const at = (day, hour) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, hour).toISOString();
+};
+
+const userMessage = (uuid, timestamp) => line({
+  type: 'user',
+  uuid,
+  timestamp,
+  cwd: '/home/dev/shop',
+  message: { role: 'user', content: 'Run the tests' }
+});
+
+const assistantToolUse = (uuid, timestamp, name) => line({
+  type: 'assistant',
+  uuid,
+  timestamp,
+  message: {
+    id: `msg_${uuid}`,
+    role: 'assistant',
+    model: 'claude-sonnet-4-20250514',
+    content: [{ type: 'tool_use', id: `toolu_${uuid}`, name, input: {} }],
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }
+});
+
+const sampleReport = () => ({
+  generatedAt: '2025-03-08T12:00:00.000Z',
+  range: { from: '2025-03-01', to: '2025-03-07' },
+  totals: {
+    conversations: 2,
+    messages: 1200,
+    inputTokens: 1000,
+    outputTokens: 200,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 50,
+    totalTokens: 1250,
+    toolCalls: 3,
+    cost: 0.0123,
+    currency: 'USD'
+  },
+  projects: [{ project: 'shop, "api"|v2', conversations: 2, messages: 1200, tokens: 1250, cost: 0.0123 }],
+  tools: [{ tool: 'Bash', calls: 3 }],
+  days: [{ date: '2025-03-02', tokens: 1250, cost: 0.0123 }],
+  sessions: []
+});
+
+describe('report', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should resolve and validate the --from and --to range', () => {
+    const report = new UsageReport({ from: '2025-03-01', to: '2025-03-07' });
+    expect(report.range).toEqual({ start: new Date(2025, 2, 1), end: new Date(2025, 2, 8) });
+    expect(report.isInRange({ timestamp: at('2025-03-01', 0) })).toBe(true);
+    expect(report.isInRange({ timestamp: new Date(2025, 2, 7, 23, 59).toISOString() })).toBe(true);
+    expect(report.isInRange({ timestamp: at('2025-03-08', 0) })).toBe(false);
+    expect(report.isInRange({ timestamp: new Date(2025, 1, 28, 23, 59).toISOString() })).toBe(false);
+
+    // Without --from, the 7 days up to --to
+    expect(new UsageReport({ to: '2025-03-07' }).range.start).toEqual(new Date(2025, 2, 1));
+    const today = new Date();
+    expect(new UsageReport().range.end).toEqual(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1));
+
+    expect(() => new UsageReport({ from: '2025-02-30' })).toThrow('Invalid --from date "2025-02-30", expected YYYY-MM-DD');
+    expect(() => new UsageReport({ to: '03/07/2025' })).toThrow('Invalid --to date "03/07/2025", expected YYYY-MM-DD');
+    expect(() => new UsageReport({ from: '2025-03-08', to: '2025-03-07' })).toThrow('--from date must not be after --to date');
+  });
+
+  it('should only count messages inside the range', async () => {
+    const claudeDir = path.join(tempDir, '.claude');
+    await fs.outputFile(path.join(claudeDir, 'projects', '-home-dev-shop', 'session-1.jsonl'),
+      userMessage('u1', at('2025-02-27', 10)) +
+      assistantToolUse('a1', at('2025-02-27', 10), 'Read') +
+      userMessage('u2', at('2025-03-02', 10)) +
+      assistantToolUse('a2', at('2025-03-02', 10), 'Bash') +
+      assistantToolUse('a3', at('2025-03-03', 10), 'Bash'));
+    await fs.outputFile(path.join(claudeDir, 'projects', '-home-dev-shop', 'session-2.jsonl'),
+      userMessage('u3', at('2025-03-09', 10)));
+
+    const report = new UsageReport({ claudeDir, indexPath: ':memory:', from: '2025-03-01', to: '2025-03-07' });
+    const data = await report.generate();
+
+    expect(data.range).toEqual({ from: '2025-03-01', to: '2025-03-07' });
+    expect(data.totals).toEqual(expect.objectContaining({ conversations: 1, messages: 3, inputTokens: 200, outputTokens: 40, toolCalls: 2 }));
+    expect(data.tools).toEqual([{ tool: 'Bash', calls: 2 }]);
+    expect(data.projects).toHaveLength(1);
+    expect(data.days.map(day => day.tokens)).toEqual([120, 120]);
+
+    await expect(new UsageReport({ claudeDir: path.join(tempDir, 'missing') }).generate())
+      .rejects.toThrow(`Claude Code directory not found at ${path.join(tempDir, 'missing')}`);
+  });
+
+  it('should quote CSV values with commas, quotes and line breaks', () => {
+    const report = new UsageReport();
+    const data = sampleReport();
+    data.tools.push({ tool: 'mcp__notes\nsearch', calls: 1 });
+
+    const csv = report.render(data, 'csv');
+    const rows = csv.split('\n');
+
+    expect(rows[0]).toBe('section,name,metric,value');
+    expect(rows).toContain('range,all,currency,USD');
+    expect(rows).toContain('totals,all,cost,0.0123');
+    expect(rows).toContain('project,"shop, ""api""|v2",tokens,1250');
+    expect(csv).toContain('tool,"mcp__notes\nsearch",calls,1');
+    expect(rows).toContain('day,2025-03-02,tokens,1250');
+  });
+
+  it('should render tables, Markdown and JSON', () => {
+    const report = new UsageReport();
+    const data = sampleReport();
+
+    const table = report.render(data, 'table');
+    expect(table).toContain('Claude Code usage report 2025-03-01 → 2025-03-07');
+    // Names left-aligned, values right-aligned
+    const lines = table.split('\n');
+    const messagesRow = lines.find(row => row.startsWith('  Messages '));
+    const costRow = lines.find(row => row.startsWith('  Cost '));
+    expect(messagesRow).toMatch(/^ {2}Messages +1,200$/);
+    expect(costRow).toMatch(/^ {2}Cost +0\.01 USD$/);
+    expect(messagesRow.length).toBe(costRow.length);
+    expect(table).toMatch(/Sessions\n.*No data/);
+
+    const markdown = report.render(data, 'md');
+    expect(markdown).toContain('**Range:** 2025-03-01 → 2025-03-07');
+    expect(markdown).toContain('| Project | Conversations | Messages | Tokens | Cost |\n| --- | ---: | ---: | ---: | ---: |');
+    expect(markdown).toContain('| shop, "api"\\|v2 | 2 | 1,200 | 1,250 | 0.01 USD |');
+    expect(markdown).toContain('## Sessions\n\n_No data_');
+
+    expect(JSON.parse(report.render(data, 'json'))).toEqual(data);
+    expect(() => report.render(data, 'xml')).toThrow('Unknown report format "xml". Use one of: table, json, csv, md');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for review-findings
+ * Tests findings validation, fingerprints, SARIF output and the CodeReviewAgent's findings reports
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const CodeReviewAgent = require('../../src/ai-agents/CodeReviewAgent');
+const { MockProvider, DemoProvider } = require('../../src/ai-agents/providers');
+const { extractFindings, dedupeFindings, toSarif } = require('../../src/ai-agents/review-findings');
+
+const DB_CODE = 'const db = require(\'./db\');\n\nfunction findUser(id) {\n  return db.query(`SELECT * FROM users WHERE id = ${id}`);\n}\n\nmodule.exports = { findUser };\n';
+
+// A model response with a findings block
+const response = (findings, prose = '## Review\nOne issue found.') => `${prose}\n\n\`\`\`json\n${JSON.stringify({ findings }, null, 2)}\n\`\`\`\n`;
+
+const sqlInjection = (overrides = {}) => ({
+  file: 'src/users.js',
+  startLine: 4,
+  endLine: 4,
+  severity: 'high',
+  category: 'security',
+  rule: 'sql-injection',
+  message: 'User input is concatenated into a SQL query',
+  fix: 'Use a parameterized query',
+  ...overrides
+});
+
+describe('review-findings', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-findings-'));
+    await fs.outputFile(path.join(tempDir, 'src', 'users.js'), DB_CODE);
+    await fs.outputJson(path.join(tempDir, 'package.json'), { name: 'shop' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should validate findings against the schema and the project files', async () => {
+    const text = response([
+      sqlInjection({ file: path.join(tempDir, 'src', 'users.js') }),
+      { file: 'package.json', severity: 'low', category: 'maintainability', rule: 'missing-engines', message: 'No engines field' },
+      sqlInjection({ severity: 'urgent' }),
+      sqlInjection({ file: 'src/orders.js' }),
+      sqlInjection({ startLine: 6, endLine: 12 }),
+      sqlInjection({ file: '../other/users.js' }),
+      sqlInjection({ cwe: 'CWE-89' }),
+      'not an object'
+    ], 'Example:\n```json\n{"findings": [{"file": "example.js"}]}\n```');
+
+    const { findings, errors } = await extractFindings(text, tempDir);
+
+    expect(findings.map(finding => [finding.file, finding.startLine, finding.endLine, finding.severity])).toEqual([
+      ['src/users.js', 4, 4, 'high'],
+      ['package.json', null, null, 'low']
+    ]);
+    expect(findings[0].fix).toBe('Use a parameterized query');
+    expect(findings[0].fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    expect(errors).toEqual([
+      'finding #3: severity must be one of critical, high, medium, low, info, got "urgent"',
+      'finding #4: file "src/orders.js" does not exist in the project',
+      'finding #5: lines 6-12 are past the end of src/users.js (8 lines)',
+      'finding #6: file "../other/users.js" is outside the project',
+      'finding #7: unknown field "cwe"',
+      'finding #8: must be an object'
+    ]);
+
+    expect(await extractFindings('## Review\nLooks fine.', tempDir)).toEqual({
+      findings: [],
+      errors: ['the response has no ```json block with a "findings" array']
+    });
+  });
+
+  it('should fingerprint the flagged code, not the wording or the line number', async () => {
+    const first = (await extractFindings(response([sqlInjection()]), tempDir)).findings[0];
+
+    // The same issue, reworded and reported by another analysis at a lower severity
+    const reworded = (await extractFindings(response([sqlInjection({ severity: 'medium', message: 'SQL injection in findUser' })]), tempDir)).findings[0];
+    expect(reworded.fingerprint).toBe(first.fingerprint);
+    expect(dedupeFindings([reworded, first])).toEqual([first]);
+
+    // Two lines added above the query
+    await fs.writeFile(path.join(tempDir, 'src', 'users.js'), `// Users\n\n${DB_CODE}`);
+    const moved = (await extractFindings(response([sqlInjection({ startLine: 6, endLine: 6 })]), tempDir)).findings[0];
+    expect(moved.fingerprint).toBe(first.fingerprint);
+
+    const otherRule = (await extractFindings(response([sqlInjection({ startLine: 6, endLine: 6, rule: 'missing-validation' })]), tempDir)).findings[0];
+    expect(otherRule.fingerprint).not.toBe(first.fingerprint);
+  });
+
+  it('should convert findings to SARIF 2.1', async () => {
+    const { findings } = await extractFindings(response([
+      sqlInjection(),
+      { file: 'package.json', severity: 'info', category: 'maintainability', rule: 'missing-engines', message: 'No engines field' }
+    ]), tempDir);
+    findings[0].baselineState = 'new';
+
+    const sarif = toSarif(findings, { projectPath: tempDir, sessionId: 'session-1' });
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.$schema).toBe('https://json.schemastore.org/sarif-2.1.0.json');
+    const [run] = sarif.runs;
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['sql-injection', 'missing-engines']);
+    expect(run.automationDetails).toEqual({ id: 'code-review/session-1' });
+    expect(run.originalUriBaseIds.PROJECTROOT.uri).toBe(`file://${tempDir}/`);
+    expect(run.results[0]).toEqual({
+      ruleId: 'sql-injection',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'User input is concatenated into a SQL query\nSuggested fix: Use a parameterized query' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/users.js', uriBaseId: 'PROJECTROOT' }, region: { startLine: 4, endLine: 4 } } }],
+      partialFingerprints: { 'cctFindingHash/v1': findings[0].fingerprint },
+      baselineState: 'new',
+      properties: { severity: 'high', category: 'security' }
+    });
+    expect(run.results[1].level).toBe('note');
+    expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+  });
+
+  it('should write findings and SARIF next to the report and compare them with the last run', async () => {
+    const review = async (responses) => {
+      const provider = new MockProvider({ responses });
+      const agent = new CodeReviewAgent({ provider, stream: false });
+      await agent.initialize();
+      await agent.reviewProject(tempDir);
+      await agent.securityAnalysis(tempDir);
+      const reportPath = await agent.generateReport(tempDir);
+      return { agent, provider, reportPath };
+    };
+
+    const missingEngines = { file: 'package.json', severity: 'low', category: 'maintainability', rule: 'missing-engines', message: 'No engines field' };
+    const first = await review([response([sqlInjection(), missingEngines]), response([sqlInjection({ severity: 'critical' })])]);
+
+    expect(first.provider.calls[0].prompt).toContain('list every finding in a fenced ```json block');
+    expect(first.provider.calls[1].prompt).toContain('severity: critical, high, medium, low, info');
+    const findingsReport = await fs.readJson(first.agent.findingsReport.findingsPath);
+    expect(findingsReport).toEqual(expect.objectContaining({ summary: '2 findings (1 critical, 1 low)', baseline: null, errors: [] }));
+    expect(findingsReport.findings.map(finding => [finding.rule, finding.severity])).toEqual([['sql-injection', 'critical'], ['missing-engines', 'low']]);
+    expect((await fs.readJson(first.agent.findingsReport.sarifPath)).runs[0].results).toHaveLength(2);
+    expect(await fs.readJson(first.reportPath)).toEqual(expect.objectContaining({
+      findings: expect.objectContaining({ path: first.agent.findingsReport.findingsPath, total: 2 }),
+      summary: 'Code review completed with 2 analyses performed, 2 findings.'
+    }));
+
+    // The engines field was added, a new issue appeared and the security analysis answered without a block
+    const second = await review([response([sqlInjection({ message: 'Unsafe query' }), { ...sqlInjection(), startLine: 7, endLine: 7, rule: 'broad-export', category: 'architecture', severity: 'info' }]), 'No security issues.']);
+    const secondReport = await fs.readJson(second.agent.findingsReport.findingsPath);
+    expect(secondReport.baseline).toEqual({ sessionId: first.agent.sessionId, timestamp: findingsReport.timestamp, new: 1, unchanged: 1, resolved: 1 });
+    expect(secondReport.findings.map(finding => [finding.rule, finding.baselineState])).toEqual([['sql-injection', 'unchanged'], ['broad-export', 'new']]);
+    expect(secondReport.resolvedFindings.map(finding => finding.rule)).toEqual(['missing-engines']);
+    expect(secondReport.errors).toEqual(['security analysis: the response has no ```json block with a "findings" array']);
+    expect((await fs.readJson(second.agent.findingsReport.sarifPath)).runs[0].results.map(result => result.baselineState)).toEqual(['unchanged', 'new']);
+  });
+
+  it('should write demo findings for files in the project', async () => {
+    const agent = new CodeReviewAgent({ provider: new DemoProvider(), stream: false, cwd: tempDir });
+    await agent.initialize();
+    await agent.reviewProject(tempDir);
+    await agent.securityAnalysis(tempDir);
+    await agent.generateReport(tempDir);
+
+    // The review and the security analysis answer alike, each finding is kept once
+    const findingsReport = await fs.readJson(agent.findingsReport.findingsPath);
+    expect(findingsReport).toEqual(expect.objectContaining({ live: false, provider: 'demo', summary: '1 findings (1 medium)', errors: [] }));
+    expect(findingsReport.findings).toEqual([expect.objectContaining({
+      file: 'package.json',
+      startLine: null,
+      severity: 'medium',
+      category: 'security',
+      rule: 'demo-outdated-dependencies',
+      message: expect.stringMatching(/^Demo finding from --demo: /)
+    })]);
+    const sarif = await fs.readJson(agent.findingsReport.sarifPath);
+    expect(sarif.runs[0].results.map(result => [result.ruleId, result.locations[0].physicalLocation.artifactLocation.uri]))
+      .toEqual([['demo-outdated-dependencies', 'package.json']]);
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('problems with the model\'s findings'));
+
+    await fs.outputFile(path.join(tempDir, 'README.md'), '# Shop\n');
+    const { text } = await new DemoProvider().complete('Review', { agentType: 'CodeReview', cwd: tempDir });
+    expect((await extractFindings(text, tempDir)).findings.map(finding => finding.rule)).toEqual(['demo-outdated-dependencies', 'demo-missing-setup-docs']);
+    expect(text).toMatch(/```\n\n\*Demo output from --demo/);
+  });
+});
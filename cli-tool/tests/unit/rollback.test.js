@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for rollback
+ * Tests the install journal and undoing recorded installs
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { snapshotFiles, recordInstall, readJournal } = require('../../src/install-journal');
+const { planRollback, applyRollback } = require('../../src/rollback');
+
+describe('rollback', () => {
+  let tempDir;
+
+  const file = relativePath => path.join(tempDir, relativePath);
+
+  const install = async (files, details = { type: 'templates' }) => {
+    const snapshot = await snapshotFiles(tempDir, Object.keys(files));
+    for (const [relativePath, content] of Object.entries(files)) {
+      await fs.outputFile(file(relativePath), content);
+    }
+    return recordInstall(snapshot, details);
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rollback-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should journal created files and the directories made for them', async () => {
+    await fs.outputFile(file('CLAUDE.md'), 'same');
+
+    const entry = await install({ 'CLAUDE.md': 'same', '.claude/commands/test.md': 'template' });
+
+    expect(entry.files).toEqual([
+      expect.objectContaining({ path: '.claude/commands/test.md', change: 'created' })
+    ]);
+    expect(entry.directories.sort()).toEqual(['.claude', '.claude/commands']);
+    expect((await readJournal(tempDir)).installs).toHaveLength(1);
+  });
+
+  it('should remove created files, restore backups and keep files edited since', async () => {
+    await fs.outputFile(file('CLAUDE.md'), 'original');
+    await fs.outputFile(file('CLAUDE.md.backup-1'), 'original');
+    await install(
+      { 'CLAUDE.md': 'template', '.claude/commands/test.md': 'template', '.claude/commands/lint.md': 'template' },
+      { type: 'templates', action: 'backup', backups: [{ file: 'CLAUDE.md', backup: 'CLAUDE.md.backup-1' }] }
+    );
+    await fs.outputFile(file('.claude/commands/lint.md'), 'edited');
+
+    const plan = await planRollback(tempDir, await readJournal(tempDir));
+    await applyRollback(tempDir, plan);
+
+    expect(plan.steps.map(step => [step.path, step.action])).toEqual([
+      ['CLAUDE.md', 'restore'],
+      ['.claude/commands/test.md', 'remove'],
+      ['.claude/commands/lint.md', 'keep']
+    ]);
+    expect(await fs.readFile(file('CLAUDE.md'), 'utf8')).toBe('original');
+    expect(await fs.pathExists(file('.claude/commands/test.md'))).toBe(false);
+    expect(await fs.readFile(file('.claude/commands/lint.md'), 'utf8')).toBe('edited');
+    expect(await fs.pathExists(file('.claude/.cct-journal.json'))).toBe(false);
+  });
+
+  it('should strip merged entries and remove directories left empty', async () => {
+    const before = { mcpServers: { custom: { command: 'node' } } };
+    const merged = { mcpServers: { custom: { command: 'node' }, memory: { command: 'npx' } } };
+    await fs.outputFile(file('.mcp.json'), JSON.stringify(before));
+    await install({ '.mcp.json': JSON.stringify(merged) }, { type: 'templates', action: 'merge' });
+    await install({ '.claude/agents/reviewer.md': 'agent' }, { type: 'agents' });
+
+    const plan = await planRollback(tempDir, await readJournal(tempDir));
+    await applyRollback(tempDir, plan);
+
+    expect(plan.steps.map(step => [step.path, step.action])).toEqual([
+      ['.claude/agents/reviewer.md', 'remove'],
+      ['.mcp.json', 'unmerge']
+    ]);
+    expect(await fs.readJson(file('.mcp.json'))).toEqual(before);
+    expect(await fs.pathExists(file('.claude'))).toBe(false);
+  });
+
+  it('should undo installs newest first', async () => {
+    await install({ 'CLAUDE.md': 'v1' });
+    await fs.outputFile(file('CLAUDE.md.backup-2'), 'v1');
+    await install(
+      { 'CLAUDE.md': 'v2' },
+      { type: 'templates', action: 'backup', backups: [{ file: 'CLAUDE.md', backup: 'CLAUDE.md.backup-2' }] }
+    );
+
+    const plan = await planRollback(tempDir, await readJournal(tempDir));
+    await applyRollback(tempDir, plan);
+
+    expect(plan.steps.map(step => step.action)).toEqual(['restore', 'remove']);
+    expect(await fs.pathExists(file('CLAUDE.md'))).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for template-packs
+ * Tests pack manifest validation, loading from directories and tarballs, and merging into the templates
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { execFileSync } = require('child_process');
+const {
+  validatePackManifest,
+  loadTemplatePack,
+  loadTemplatePacks,
+  applyTemplatePacks
+} = require('../../src/template-packs');
+
+describe('template-packs', () => {
+  let tempDir;
+  let packDir;
+
+  const manifest = {
+    name: 'acme-templates',
+    version: '1.0.0',
+    languages: {
+      java: {
+        name: 'Java',
+        files: [{ source: 'java/CLAUDE.md', destination: 'CLAUDE.md' }],
+        frameworks: {
+          spring: {
+            name: 'Spring Boot',
+            additionalFiles: [{ source: 'java/examples/spring-app/.claude/commands', destination: '.claude/commands' }]
+          }
+        }
+      },
+      python: { frameworks: { 'acme-service': { name: 'Acme Service' } } }
+    }
+  };
+
+  const baseConfig = {
+    python: {
+      name: 'Python',
+      files: [{ source: 'python/CLAUDE.md', destination: 'CLAUDE.md' }],
+      frameworks: { django: { name: 'Django', additionalFiles: [] } }
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'packs-'));
+    packDir = path.join(tempDir, 'acme-templates');
+    await fs.outputFile(path.join(packDir, 'java/CLAUDE.md'), '# Java');
+    await fs.outputFile(path.join(packDir, 'java/examples/spring-app/.claude/commands/bean.md'), '# Bean');
+    await fs.writeJson(path.join(packDir, 'cct-pack.json'), manifest);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.warn.mockRestore();
+    await fs.remove(tempDir);
+  });
+
+  it('should accept a valid manifest', () => {
+    expect(validatePackManifest(manifest, packDir)).toEqual([]);
+  });
+
+  it('should report missing fields, missing sources and paths leaving the pack', () => {
+    const errors = validatePackManifest({
+      name: 'Acme Templates',
+      languages: {
+        go: { files: [{ source: '../outside.md', destination: 'CLAUDE.md' }] },
+        kotlin: { name: 'Kotlin', files: [{ source: 'kotlin/CLAUDE.md', destination: '/etc/CLAUDE.md' }] },
+        ruby: {}
+      }
+    }, packDir);
+
+    expect(errors).toEqual([
+      'name must be lowercase letters, digits, ".", "_" or "-"',
+      'languages.go.name is required for a new language',
+      'languages.go.files[0].source must be a path inside the pack',
+      'languages.kotlin.files[0].source kotlin/CLAUDE.md does not exist',
+      'languages.kotlin.files[0].destination must be a path inside the project',
+      'languages.ruby needs "files" (new language) or "frameworks" (extends an existing language)'
+    ]);
+  });
+
+  it('should load packs from the config, including tarballs with a wrapping directory', async () => {
+    const tarball = path.join(tempDir, 'acme-templates-1.0.0.tgz');
+    execFileSync('tar', ['-czf', tarball, '-C', tempDir, 'acme-templates']);
+    const configPath = path.join(tempDir, 'template-packs.json');
+    await fs.writeJson(configPath, { packs: ['acme-templates-1.0.0.tgz', 'missing-pack'] });
+
+    const packs = loadTemplatePacks({ configPath, cacheDir: path.join(tempDir, 'cache') });
+
+    expect(packs).toHaveLength(1);
+    expect(packs[0].name).toBe('acme-templates');
+    expect(await fs.pathExists(path.join(packs[0].root, 'java/CLAUDE.md'))).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('missing-pack does not exist'));
+  });
+
+  it('should add new languages and frameworks without replacing built-in ones', () => {
+    const pack = loadTemplatePack(packDir);
+    const clashing = { ...pack, name: 'other', languages: { python: { frameworks: { django: { name: 'Other Django' } } } } };
+
+    const config = applyTemplatePacks(baseConfig, [pack, clashing]);
+
+    expect(Object.keys(config)).toEqual(['python', 'java']);
+    expect(config.java.files).toEqual([{ source: 'java/CLAUDE.md', destination: 'CLAUDE.md', root: packDir }]);
+    expect(config.java.frameworks.spring.pack).toBe('acme-templates');
+    expect(Object.keys(config.python.frameworks)).toEqual(['django', 'acme-service']);
+    expect(config.python.frameworks.django.name).toBe('Django');
+    expect(baseConfig.python.frameworks['acme-service']).toBeUndefined();
+  });
+});
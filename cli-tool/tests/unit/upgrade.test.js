@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for upgrade
+ * Tests template drift classification and applying safe updates
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { planUpgrade, applyUpgrade } = require('../../src/upgrade');
+const { describeFiles, readManifest } = require('../../src/install-manifest');
+
+describe('upgrade', () => {
+  let tempDir;
+
+  const toFiles = entries => new Map(Object.entries(entries).map(([file, content]) => [file, Buffer.from(content)]));
+
+  const createManifest = installed => ({
+    manifestVersion: 1,
+    templateVersion: '1.0.0',
+    language: 'common',
+    framework: 'none',
+    ...describeFiles(toFiles(installed))
+  });
+
+  const writeProject = async files => {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(tempDir, file), content);
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upgrade-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should classify files against the installed and current templates', async () => {
+    const manifest = createManifest({
+      'CLAUDE.md': 'v1',
+      '.claude/commands/test.md': 'v1',
+      '.claude/commands/lint.md': 'v1',
+      '.claude/commands/old.md': 'v1',
+      '.claude/commands/deleted.md': 'v1',
+      'README-claude.md': 'v1'
+    });
+    await writeProject({
+      'CLAUDE.md': 'v1',
+      '.claude/commands/test.md': 'mine',
+      '.claude/commands/lint.md': 'mine',
+      '.claude/commands/old.md': 'v1',
+      '.claude/commands/new-local.md': 'mine',
+      'README-claude.md': 'v1'
+    });
+    const templates = toFiles({
+      'CLAUDE.md': 'v2',
+      '.claude/commands/test.md': 'v1',
+      '.claude/commands/lint.md': 'v2',
+      '.claude/commands/deleted.md': 'v2',
+      '.claude/commands/new.md': 'v2',
+      '.claude/commands/new-local.md': 'v2',
+      'README-claude.md': 'v1'
+    });
+
+    const plan = await planUpgrade(tempDir, manifest, templates);
+    const statuses = Object.fromEntries(plan.map(entry => [entry.path, entry.status]));
+
+    expect(statuses).toEqual({
+      'CLAUDE.md': 'changed-upstream',
+      '.claude/commands/test.md': 'modified-locally',
+      '.claude/commands/lint.md': 'conflict',
+      '.claude/commands/old.md': 'removed-upstream',
+      '.claude/commands/deleted.md': 'deleted-locally',
+      '.claude/commands/new.md': 'added-upstream',
+      '.claude/commands/new-local.md': 'conflict',
+      'README-claude.md': 'unchanged'
+    });
+  });
+
+  it('should three-way merge settings changed on both sides', async () => {
+    const installed = { permissions: { allow: ['Bash(ls)'] }, env: { LOG_LEVEL: 'info' } };
+    const manifest = createManifest({ '.claude/settings.json': JSON.stringify(installed, null, 2) });
+    await writeProject({
+      '.claude/settings.json': JSON.stringify({ ...installed, env: { LOG_LEVEL: 'info', MINE: '1' } }, null, 2)
+    });
+    const templates = toFiles({
+      '.claude/settings.json': JSON.stringify({ ...installed, env: { LOG_LEVEL: 'warn' } }, null, 2)
+    });
+
+    const [entry] = await planUpgrade(tempDir, manifest, templates);
+
+    expect(entry.status).toBe('mergeable');
+    expect(JSON.parse(entry.content.toString()).env).toEqual({ LOG_LEVEL: 'warn', MINE: '1' });
+  });
+
+  it('should report conflicting settings keys', async () => {
+    const manifest = createManifest({ '.mcp.json': JSON.stringify({ mcpServers: { db: { command: 'v1' } } }) });
+    await writeProject({ '.mcp.json': JSON.stringify({ mcpServers: { db: { command: 'mine' } } }) });
+    const templates = toFiles({ '.mcp.json': JSON.stringify({ mcpServers: { db: { command: 'v2' } } }) });
+
+    const [entry] = await planUpgrade(tempDir, manifest, templates);
+
+    expect(entry.status).toBe('conflict');
+    expect(entry.conflicts.map(conflict => conflict.path)).toEqual(['mcpServers.db']);
+  });
+
+  it('should apply safe updates and keep kept files reported on the next run', async () => {
+    const manifest = createManifest({ 'CLAUDE.md': 'v1', 'notes.md': 'v1' });
+    await writeProject({ 'CLAUDE.md': 'v1', 'notes.md': 'mine' });
+    const templates = toFiles({ 'CLAUDE.md': 'v2', 'notes.md': 'v2', 'added.md': 'v2' });
+
+    const plan = await planUpgrade(tempDir, manifest, templates);
+    await applyUpgrade(tempDir, manifest, plan, templates);
+
+    expect(await fs.readFile(path.join(tempDir, 'CLAUDE.md'), 'utf8')).toBe('v2');
+    expect(await fs.readFile(path.join(tempDir, 'added.md'), 'utf8')).toBe('v2');
+    expect(await fs.readFile(path.join(tempDir, 'notes.md'), 'utf8')).toBe('mine');
+
+    const updated = await readManifest(tempDir);
+    const nextPlan = await planUpgrade(tempDir, updated, templates);
+
+    expect(nextPlan.map(entry => [entry.path, entry.status])).toEqual([
+      ['CLAUDE.md', 'unchanged'],
+      ['added.md', 'unchanged'],
+      ['notes.md', 'conflict']
+    ]);
+  });
+});
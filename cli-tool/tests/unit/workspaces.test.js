@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for workspaces
+ * Tests monorepo detection and the workspace section of the root CLAUDE.md
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { detectWorkspaces, upsertWorkspaceSection } = require('../../src/workspaces');
+
+describe('workspaces', () => {
+  let tempDir;
+
+  const write = (relativePath, content) => fs.outputFile(
+    path.join(tempDir, relativePath),
+    typeof content === 'string' ? content : JSON.stringify(content)
+  );
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should describe the packages of a pnpm and Turborepo workspace', async () => {
+    await write('package.json', { name: 'root', private: true });
+    await write('pnpm-workspace.yaml', "packages:\n  - 'apps/*'\n  - 'packages/*'\n  - '!packages/legacy'\n");
+    await write('pnpm-lock.yaml', '');
+    await write('turbo.json', {});
+    await write('apps/web/package.json', { name: '@acme/web', dependencies: { next: '14.0.0', react: '18.0.0' }, devDependencies: { vitest: '1.0.0' } });
+    await write('packages/ui/package.json', { name: '@acme/ui', dependencies: { react: '18.0.0' }, devDependencies: { jest: '29.0.0' } });
+    await write('packages/legacy/package.json', { name: '@acme/legacy' });
+
+    const workspace = await detectWorkspaces(tempDir);
+
+    expect(workspace.isMonorepo).toBe(true);
+    expect(workspace.tools).toEqual(['pnpm workspaces', 'Turborepo']);
+    expect(workspace.packages.map(pkg => [pkg.path, pkg.name, pkg.framework, pkg.testRunner, pkg.packageManager])).toEqual([
+      ['apps/web', '@acme/web', 'react', 'vitest', 'pnpm'],
+      ['packages/ui', '@acme/ui', 'react', 'jest', 'pnpm']
+    ]);
+  });
+
+  it('should follow Cargo workspace members and excludes', async () => {
+    await write('Cargo.toml', '[workspace]\nmembers = [\n  "crates/*",\n]\nexclude = ["crates/experimental"]\n');
+    await write('crates/api/Cargo.toml', '[package]\nname = "api"\n\n[dependencies]\naxum = "0.7"\n');
+    await write('crates/core/Cargo.toml', '[package]\nname = "core"\n');
+    await write('crates/experimental/Cargo.toml', '[package]\nname = "experimental"\n');
+
+    const workspace = await detectWorkspaces(tempDir);
+
+    expect(workspace.tools).toEqual(['Cargo workspace']);
+    expect(workspace.packages.map(pkg => [pkg.path, pkg.name, pkg.language])).toEqual([
+      ['crates/api', 'api', 'rust'],
+      ['crates/core', 'core', 'rust']
+    ]);
+  });
+
+  it('should read go.work and ignore single-package repositories', async () => {
+    await write('go.work', 'go 1.22\n\nuse (\n\t./services/auth\n\t./tools\n)\n');
+    await write('services/auth/go.mod', 'module example.com/auth\n\nrequire github.com/gin-gonic/gin v1.9.0\n');
+    await write('tools/go.mod', 'module example.com/tools\n');
+
+    const workspace = await detectWorkspaces(tempDir);
+
+    expect(workspace.tools).toEqual(['Go workspace']);
+    expect(workspace.packages.map(pkg => [pkg.path, pkg.language])).toEqual([
+      ['services/auth', 'go'],
+      ['tools', 'go']
+    ]);
+
+    const single = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+    await fs.outputFile(path.join(single, 'package.json'), JSON.stringify({ name: 'app' }));
+    expect(await detectWorkspaces(single)).toEqual({ isMonorepo: false, tools: [], packages: [] });
+    await fs.remove(single);
+  });
+
+  it('should add the workspace section to CLAUDE.md once and refresh it in place', () => {
+    const workspace = {
+      tools: ['npm workspaces'],
+      packages: [{ name: 'api', path: 'packages/api', language: 'javascript-typescript', framework: 'node', testRunner: 'jest', packageManager: 'npm' }]
+    };
+
+    const first = upsertWorkspaceSection('# Project\n\nNotes\n', workspace);
+    workspace.packages.push({ name: 'docs', path: 'docs', language: 'common', framework: 'none', testRunner: null, packageManager: null });
+    const second = upsertWorkspaceSection(`${first}\n## After\n`, workspace);
+
+    expect(first).toContain('| `packages/api` | api | javascript-typescript (node) | jest | npm |');
+    expect(second.match(/## Workspace Packages/g)).toHaveLength(1);
+    expect(second).toContain('| `docs` | docs | common | - | - |');
+    expect(second.startsWith('# Project\n\nNotes\n\n<!-- workspace-packages:start -->')).toBe(true);
+    expect(second.trim().endsWith('## After')).toBe(true);
+  });
+});